@@ -32,6 +32,9 @@ const STORAGE_BUCKET = 'bmw-csv-files';
 const TABLES = {
   FILES: 'bmw_files',
   PROCESSED_DATA: 'bmw_processed_data',
+  FACT_METRICS: 'bmw_fact_metrics',
+  PROCESSING_STATE: 'bmw_processing_state',
+  PROCESSING_JOBS: 'bmw_processing_jobs',
   METADATA: 'bmw_metadata',
   COMPLIANCE_HISTORY: 'bmw_compliance_history',
   KPI_HISTORY: 'bmw_kpi_history'
@@ -87,6 +90,36 @@ async function clearAllData() {
     }
     console.log('✅ Cleared processed data table');
 
+    // Clear fact rows and the processing state, so the next run reprocesses every market-month
+    const { error: factMetricsError } = await supabase
+      .from(TABLES.FACT_METRICS)
+      .delete()
+      .neq('id', 0);
+
+    if (factMetricsError) {
+      throw new Error(`Error clearing fact rows: ${factMetricsError.message}`);
+    }
+
+    const { error: processingStateError } = await supabase
+      .from(TABLES.PROCESSING_STATE)
+      .delete()
+      .neq('market_month', '');
+
+    if (processingStateError) {
+      throw new Error(`Error clearing processing state: ${processingStateError.message}`);
+    }
+
+    // Unfinished processing jobs would resume against the cleared data
+    const { error: processingJobsError } = await supabase
+      .from(TABLES.PROCESSING_JOBS)
+      .delete()
+      .neq('id', 0);
+
+    if (processingJobsError) {
+      throw new Error(`Error clearing processing jobs: ${processingJobsError.message}`);
+    }
+    console.log('✅ Cleared fact table, processing state and processing jobs');
+
     // Clear metadata
     const { error: metadataError } = await supabase
       .from(TABLES.METADATA)
@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+/* global process */
+
+/**
+ * Regression test for market resolution
+ * Runs the resolver against fixtures built from the files in data/uploads and data/old
+ * (dimension-split and legacy naming schemes, cluster files whose Country column holds
+ * sub-markets or free text).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseMarketFilename, resolveMarket } from '../src/utils/marketResolver.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const fixtures = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures/market-resolution.json'), 'utf8'));
+
+const failures = [];
+
+fixtures.filenames.forEach(({ filename, expected }) => {
+  const actual = parseMarketFilename(filename);
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    failures.push(`${filename}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+});
+
+fixtures.records.forEach(({ description, record, expected }) => {
+  const actual = resolveMarket(record);
+  if (actual !== expected) {
+    failures.push(`${description}: expected ${expected}, got ${actual}`);
+  }
+});
+
+const total = fixtures.filenames.length + fixtures.records.length;
+
+if (failures.length > 0) {
+  console.error(`❌ ${failures.length} of ${total} market resolution cases failed:`);
+  failures.forEach(failure => console.error(`   - ${failure}`));
+  process.exit(1);
+}
+
+console.log(`✅ All ${total} market resolution cases passed`);
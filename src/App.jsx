@@ -2,17 +2,20 @@ import React, { useState, useEffect, Component } from 'react';
 import UploadPage from './components/UploadPage';
 import Dashboard from './components/Dashboard';
 import DataInventory from './components/DataInventory';
-import { generateInsights } from './utils/insightGenerator';
 import { initializeSupabase } from './utils/supabase';
 import { 
   processAllCSVsFromSupabase, 
-  getProcessedData, 
   getMetadata 
 } from './utils/supabaseCsvProcessor';
 import { processAllMonthsCompliance } from './utils/autoComplianceProcessor';
 import { processAllMonthsKPI } from './utils/autoKPIProcessor';
+import { getPinnedRun, pinProcessingRun } from './utils/processingRuns';
+import { loadMarketRegistry, getMarketDisplayName, isActiveMarket } from './utils/marketRegistry';
+import { loadMarketGroups } from './utils/marketGroups';
+import { loadModelHierarchy } from './utils/modelHierarchyStore';
+import { loadQualityProfiles } from './utils/qualityProfileStore';
 
-import { AlertTriangle, Loader2, BarChart3, Database, TrendingUp, RefreshCw, Upload } from 'lucide-react';
+import { AlertTriangle, Loader2, BarChart3, Database, TrendingUp, RefreshCw, Upload, Pin } from 'lucide-react';
 
 // Error Boundary Component
 class ErrorBoundary extends Component {
@@ -59,12 +62,12 @@ class ErrorBoundary extends Component {
 }
 
 function App() {
-  const [parsedData, setParsedData] = useState([]);
   const [metadata, setMetadata] = useState(null);
+  const [dataVersion, setDataVersion] = useState(0); // Bumped whenever processed data may have changed
+  const [pinnedRun, setPinnedRun] = useState(null); // Processing run snapshot the dashboard is pinned to
   const [isLoading, setIsLoading] = useState(false);
   const [isInitializing, setIsInitializing] = useState(true);
   const [error, setError] = useState(null);
-  const [insights, setInsights] = useState([]);
   const [isSupabaseInitialized, setIsSupabaseInitialized] = useState(false);
   const [currentPage, setCurrentPage] = useState('dashboard'); // 'dashboard' or 'upload'
   const [selectedMonth, setSelectedMonth] = useState('all'); // Default to all months for trend analysis
@@ -90,7 +93,7 @@ function App() {
             const coverage = await checkComplianceCoverage();
             if (coverage.needsProcessing) {
               console.log('🔄 Auto-processing compliance for missing periods...');
-              await processAllMonthsCompliance();
+              await processAllMonthsCompliance(coverage.missing);
             }
           } catch (error) {
             console.warn('⚠️ Auto-compliance check failed:', error);
@@ -102,11 +105,23 @@ function App() {
             const kpiCoverage = await checkKPICoverage();
             if (kpiCoverage.needsProcessing) {
               console.log('🔄 Auto-processing KPI metrics for missing periods...');
-              await processAllMonthsKPI();
+              await processAllMonthsKPI(kpiCoverage.missing);
             }
           } catch (error) {
             console.warn('⚠️ Auto-KPI check failed:', error);
           }
+
+          // Roll up history for market groups added or missing since the last run
+          try {
+            const { checkMarketGroupCoverage, processMarketGroupHistory } = await import('./utils/autoGroupProcessor');
+            const groupCoverage = await checkMarketGroupCoverage();
+            if (groupCoverage.needsProcessing) {
+              console.log('🔄 Auto-processing market group history...');
+              await processMarketGroupHistory(null, { groups: groupCoverage.groups });
+            }
+          } catch (error) {
+            console.warn('⚠️ Auto market group check failed:', error);
+          }
         }
         
         // Always set initialization to complete
@@ -122,48 +137,30 @@ function App() {
   }, []); // Empty dependency array to run only once
 
   // Load data from Supabase
+  // Only the metadata (markets, months, record counts) is loaded here; the dashboard
+  // queries the records each tab needs by market and period. When the dashboard is pinned
+  // to a processing run, that run's metadata and snapshot are used instead. The market
+  // registry, market groups, model hierarchy and quality profiles are reloaded with it so
+  // names, selectors, model rollups and quality grades follow their edits.
   const loadDataFromSupabase = async () => {
     try {
       console.log('📊 Loading data from Supabase...');
       
-      const [processedData, metadata] = await Promise.all([
-        getProcessedData(),
-        getMetadata()
-      ]);
-
-      if (processedData) {
-        const data = processedData.data || [];
-        setParsedData(data);
-        console.log('✅ Processed data loaded:', processedData.total_records, 'records');
-        
-        // Generate insights from the loaded data
-        if (data.length > 0) {
-          console.log('🧠 Generating insights from data...');
-          console.log('📊 Sample data row:', data[0]);
-          console.log('📊 Data keys:', Object.keys(data[0]));
-          
-
-          
-          const generatedInsights = generateInsights(data);
-          setInsights(generatedInsights);
-          console.log('✅ Generated', generatedInsights.length, 'insights');
-        } else {
-          setInsights([]);
-        }
-      } else {
-        setParsedData([]);
-        setInsights([]);
-        console.log('ℹ️ No processed data found - this is normal for a new setup');
-      }
+      const [metadata, pinned] = await Promise.all([getMetadata(), getPinnedRun(), loadMarketRegistry(), loadMarketGroups(), loadModelHierarchy(), loadQualityProfiles()]);
+      setPinnedRun(pinned);
 
-      if (metadata) {
+      if (pinned) {
+        setMetadata(pinned.metadata || {});
+        console.log(`📌 Dashboard pinned to processing run #${pinned.id}`);
+      } else if (metadata) {
         setMetadata(metadata.metadata || {});
-        console.log('✅ Metadata loaded');
+        console.log('✅ Metadata loaded:', metadata.metadata?.total_records || 0, 'records');
       } else {
         setMetadata({});
         console.log('ℹ️ No metadata found - this is normal for a new setup');
       }
 
+      setDataVersion(version => version + 1);
       setIsLoading(false);
     } catch (error) {
       console.error('❌ Error loading data from Supabase:', error);
@@ -185,8 +182,8 @@ function App() {
     // This will be called when files are uploaded
     // We'll refresh metadata from Supabase
     const metadata = await getMetadata();
-    if (metadata) {
-      setMetadata(metadata);
+    if (metadata && !pinnedRun) {
+      setMetadata(metadata.metadata || {});
     }
   };
 
@@ -229,6 +226,16 @@ function App() {
     }
   };
 
+  // Show the current data again instead of the pinned snapshot
+  const handleUnpin = async () => {
+    try {
+      await pinProcessingRun(null);
+      await loadDataFromSupabase();
+    } catch (error) {
+      console.error('❌ Error unpinning dashboard:', error);
+    }
+  };
+
   // Handle errors from FileUpload component
   const handleError = (errorMessage) => {
     setError(errorMessage);
@@ -237,9 +244,8 @@ function App() {
 
   // Clear all data and reset state
   const handleClearAll = () => {
-    setParsedData([]);
     setMetadata(null);
-    setInsights([]);
+    setDataVersion(version => version + 1);
     setError(null);
     setIsLoading(false);
   };
@@ -247,78 +253,21 @@ function App() {
   // Process June 2025 data for MoM calculations
 
 
-  // Get available months from the data
+  // Get available months from the metadata
   const getAvailableMonths = () => {
-    if (!parsedData || parsedData.length === 0) return [];
+    if (!metadata?.months) return [];
     
-    const months = [...new Set(parsedData.map(row => `${row.year}-${row.month.toString().padStart(2, '0')}`))];
-    return months.sort().reverse(); // Most recent first
+    return [...metadata.months].sort().reverse(); // Most recent first
   };
 
-  // Market name mapping for display
-  const getMarketDisplayName = (marketCode) => {
-    const marketNames = {
-      'BE': 'Belgium',
-      'CH': 'Switzerland',
-      'CS': 'Central Southern Europe',
-      'ES': 'Spain',
-      'FR': 'France',
-      'IT': 'Italy',
-      'NE': 'Nordics',
-      'NL': 'Netherlands',
-      'PT': 'Portugal',
-      'UK': 'United Kingdom'
-    };
-    return marketNames[marketCode] || marketCode;
-  };
-
-  // Get available markets from the data
+  // Get available markets from the metadata (inactive markets in the registry are hidden)
   const getAvailableMarkets = () => {
-    if (!parsedData || parsedData.length === 0) return [];
-    
-    const markets = [...new Set(parsedData.map(row => {
-      // Extract market code from file source
-      if (row.file_source) {
-        const match = row.file_source.match(/BMW_([A-Z]{2})_\d{4}_\d{2}\.csv/);
-        return match ? match[1] : null;
-      }
-      return null;
-    }).filter(Boolean))];
-    
-    return markets.sort(); // Alphabetical order
-  };
-
-  // Filter data by selected month and market
-  const getFilteredData = () => {
-    if (!parsedData) return [];
-    
-    let filteredData = parsedData;
+    if (!metadata?.markets) return [];
     
-    // Filter by month
-    if (selectedMonth !== 'all') {
-      filteredData = filteredData.filter(row => `${row.year}-${row.month.toString().padStart(2, '0')}` === selectedMonth);
-    }
-    
-    // Filter by market
-    if (selectedMarket !== 'all') {
-      filteredData = filteredData.filter(row => {
-        if (row.file_source) {
-          const match = row.file_source.match(/BMW_([A-Z]{2})_\d{4}_\d{2}\.csv/);
-          return match && match[1] === selectedMarket;
-        }
-        return false;
-      });
-    }
-    
-    return filteredData;
+    return metadata.markets.filter(isActiveMarket).sort(); // Alphabetical order
   };
 
-  // Get filtered insights
-  const getFilteredInsights = () => {
-    const filteredData = getFilteredData();
-    if (!filteredData || filteredData.length === 0) return [];
-    return generateInsights(filteredData);
-  };
+  const hasData = (metadata?.total_records || 0) > 0;
 
   // Show Supabase configuration error if not initialized
   if (!isSupabaseInitialized && !isInitializing) {
@@ -442,13 +391,30 @@ function App() {
               </div>
             )}
 
+            {/* Pinned snapshot notice */}
+            {!isLoading && pinnedRun && (
+              <div className="mb-6 bg-yellow-50 border border-yellow-200 rounded-xl p-4 flex items-center justify-between">
+                <p className="text-sm text-yellow-800 flex items-center">
+                  <Pin className="h-4 w-4 mr-2 flex-shrink-0" />
+                  <span>
+                    Showing the snapshot of processing run #{pinnedRun.id} from {new Date(pinnedRun.completed_at).toLocaleString()}.
+                    Only the processed records are pinned; KPI anomalies and the compliance, coverage and KPI history are those of the latest processing.
+                  </span>
+                </p>
+                <button onClick={handleUnpin} className="btn-secondary text-sm">
+                  Show current data
+                </button>
+              </div>
+            )}
+
             {/* Dashboard Section */}
-            {!isLoading && getFilteredInsights().length > 0 && (
+            {!isLoading && hasData && (
               <div className="mt-12 animate-fade-in">
                 <ErrorBoundary>
                   <Dashboard 
-                  data={parsedData} 
-                  insights={insights} 
+                  totalRecords={metadata.total_records}
+                  dataVersion={dataVersion}
+                  runId={pinnedRun?.id || null}
                   selectedMarket={selectedMarket}
                   selectedMonth={selectedMonth}
                   availableMarkets={getAvailableMarkets()}
@@ -462,7 +428,7 @@ function App() {
             )}
 
             {/* Enhanced No Data State */}
-            {!isLoading && !isInitializing && getFilteredData().length === 0 && !error && (
+            {!isLoading && !isInitializing && !hasData && !error && (
               <div className="text-center py-20 animate-fade-in">
                 <div className="max-w-md mx-auto">
                   <div className="w-20 h-20 bg-gradient-to-br from-gray-100 to-gray-200 rounded-full flex items-center justify-center mx-auto mb-6">
@@ -0,0 +1,134 @@
+import React from 'react';
+import { Package, CheckCircle, XCircle, AlertCircle, Loader2 } from 'lucide-react';
+import { REQUIRED_DIMENSIONS, getBundleUploadFiles } from '../utils/bundleImporter.js';
+
+// Cell showing how a dimension of a market-month is covered by the bundle
+const DimensionCell = ({ row, dimension }) => {
+  const entry = row.dimensions[dimension];
+
+  if (entry?.isValid) {
+    return (
+      <span title={entry.filename}>
+        <CheckCircle className="h-4 w-4 text-green-600 mx-auto" />
+      </span>
+    );
+  }
+  if (entry) {
+    return (
+      <span title={`${entry.filename}: ${entry.errors.join('; ')}`}>
+        <XCircle className="h-4 w-4 text-red-600 mx-auto" />
+      </span>
+    );
+  }
+  if (!row.expected.includes(dimension)) {
+    return <span className="text-xs text-gray-400" title="This market does not deliver this dimension">–</span>;
+  }
+  if (row.legacy?.isValid) {
+    return <span className="text-xs font-medium text-blue-600" title={`Derived from ${row.legacy.filename}`}>Legacy</span>;
+  }
+  return <span className="text-xs font-medium text-red-600">Missing</span>;
+};
+
+const BundleCompletenessMatrix = ({ bundleName, matrix, onConfirm, onCancel, isUploading }) => {
+  const uploadFiles = getBundleUploadFiles(matrix);
+  const incompleteRows = matrix.rows.filter(row => !row.isComplete);
+
+  return (
+    <div className="bg-white rounded-xl p-6 shadow-soft border border-gray-200 mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+          <Package className="h-5 w-5 mr-2 text-bmw-600" />
+          Bundle Completeness
+        </h3>
+        <span className="text-sm text-gray-500">{bundleName}</span>
+      </div>
+
+      {incompleteRows.length > 0 && (
+        <div className="mb-4 bg-yellow-50 border border-yellow-200 rounded-lg p-3 flex items-start">
+          <AlertCircle className="h-4 w-4 text-yellow-600 mr-2 mt-0.5 flex-shrink-0" />
+          <p className="text-sm text-yellow-800">
+            {incompleteRows.length} market-month{incompleteRows.length > 1 ? 's are' : ' is'} missing required dimensions:{' '}
+            {incompleteRows.map(row => `${row.country} ${row.monthName} ${row.year} (${row.missing.join(', ')})`).join('; ')}.
+            Reports for these markets will show coverage gaps until the missing files are uploaded.
+          </p>
+        </div>
+      )}
+
+      {matrix.rows.length === 0 ? (
+        <div className="text-center text-gray-500 py-6">
+          No files with a recognised BMW filename were found in this bundle
+        </div>
+      ) : (
+        <div className="overflow-x-auto mb-4">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Market / Month</th>
+                {REQUIRED_DIMENSIONS.map(dimension => (
+                  <th key={dimension} className="px-3 py-2 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    {dimension}
+                  </th>
+                ))}
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-100">
+              {matrix.rows.map(row => (
+                <tr key={row.key}>
+                  <td className="px-3 py-2 text-gray-900 whitespace-nowrap">
+                    {row.country} – {row.monthName} {row.year}
+                  </td>
+                  {REQUIRED_DIMENSIONS.map(dimension => (
+                    <td key={dimension} className="px-3 py-2 text-center">
+                      <DimensionCell row={row} dimension={dimension} />
+                    </td>
+                  ))}
+                  <td className="px-3 py-2 text-right whitespace-nowrap">
+                    {row.isComplete ? (
+                      <span className="badge badge-success">Complete</span>
+                    ) : (
+                      <span className="badge badge-warning">{row.missing.length} missing</span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Entries that will not be uploaded */}
+      {(matrix.invalidEntries.length > 0 || matrix.rows.some(row => row.duplicates.length > 0)) && (
+        <div className="mb-4">
+          <h4 className="text-sm font-medium text-gray-900 mb-2">Skipped entries</h4>
+          <ul className="text-xs text-gray-600 space-y-1">
+            {matrix.invalidEntries.map(entry => (
+              <li key={entry.filename}>• {entry.filename}: {entry.errors.join('; ')}</li>
+            ))}
+            {matrix.rows.flatMap(row => row.duplicates).map(entry => (
+              <li key={`duplicate-${entry.filename}`}>• {entry.filename}: another file already provides this dimension</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="flex justify-end space-x-3">
+        <button onClick={onCancel} disabled={isUploading} className="btn-secondary disabled:opacity-50 disabled:cursor-not-allowed">
+          Cancel
+        </button>
+        <button
+          onClick={() => onConfirm(uploadFiles)}
+          disabled={isUploading || uploadFiles.length === 0}
+          className="btn-primary inline-flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isUploading && <Loader2 className="h-4 w-4 animate-spin" />}
+          {incompleteRows.length > 0
+            ? `Upload ${uploadFiles.length} files anyway`
+            : `Upload ${uploadFiles.length} files`}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default BundleCompletenessMatrix;
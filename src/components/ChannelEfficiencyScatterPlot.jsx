@@ -1,8 +1,13 @@
 import React, { useState, useMemo } from 'react';
 import { ScatterChart, Scatter, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Cell } from 'recharts';
 import { Target, TrendingUp, TrendingDown, DollarSign, BarChart3, Filter, Maximize2, Award, AlertTriangle, CheckCircle } from 'lucide-react';
+import { getMetric, getMarket, getDimensionValue, selectRowsForField } from '../utils/recordSchema.js';
+import { getCurrencySymbol } from '../utils/currency.js';
+import { getMarketDisplayName } from '../utils/marketRegistry.js';
+import { useReportingCurrency } from '../hooks/useReportingCurrency';
 
 const ChannelEfficiencyScatterPlot = ({ data, availableMarkets, availableMonths }) => {
+  const currency = useReportingCurrency();
   const [selectedMarket, setSelectedMarket] = useState('all');
   const [selectedMonth, setSelectedMonth] = useState('latest');
   const [selectedChannelType, setSelectedChannelType] = useState('all');
@@ -32,11 +37,11 @@ const ChannelEfficiencyScatterPlot = ({ data, availableMarkets, availableMonths
       // Group data by channel and campaign type
       const channelData = {};
       
-      data.forEach(row => {
-        const channelName = row['Channel_Name'] || row['channel_name'] || 'Unknown';
-        const channelType = row['Channel_Type'] || row['channel_type'] || 'Other';
-        const campaignType = row['Campaign_Type'] || row['campaign_type'] || 'Unknown';
-        const market = row.file_source ? row.file_source.match(/BMW_([A-Z]{2})_\d{4}_\d{2}\.csv/)?.[1] : 'Unknown';
+      selectRowsForField(data, 'Channel Name').forEach(row => {
+        const channelName = getDimensionValue(row, 'Channel Name') || 'Unknown';
+        const channelType = getDimensionValue(row, 'Channel Type') || 'Other';
+        const campaignType = getDimensionValue(row, 'Campaign Type') || 'Unknown';
+        const market = getMarket(row) || 'Unknown';
         
         if (!channelData[channelName]) {
           channelData[channelName] = {
@@ -54,11 +59,11 @@ const ChannelEfficiencyScatterPlot = ({ data, availableMarkets, availableMonths
         }
         
         const channel = channelData[channelName];
-        channel.total_spend += parseFloat(row['Media Cost'] || row['media_cost'] || row['spend'] || 0) || 0;
-        channel.total_nvwr += parseFloat(row['NVWR'] || row['nvwr'] || 0) || 0;
-        channel.total_impressions += parseFloat(row['Impressions'] || row['impressions'] || 0) || 0;
-        channel.total_clicks += parseFloat(row['Clicks'] || row['clicks'] || 0) || 0;
-        channel.total_iv += parseFloat(row['IV'] || row['iv'] || 0) || 0;
+        channel.total_spend += getMetric(row, 'Media Cost');
+        channel.total_nvwr += getMetric(row, 'NVWR');
+        channel.total_impressions += getMetric(row, 'Impressions');
+        channel.total_clicks += getMetric(row, 'Clicks');
+        channel.total_iv += getMetric(row, 'IV');
         channel.records += 1;
 
         // Track campaign type breakdown
@@ -71,11 +76,11 @@ const ChannelEfficiencyScatterPlot = ({ data, availableMarkets, availableMonths
             iv: 0
           };
         }
-        channel.campaign_breakdown[campaignType].spend += parseFloat(row['Media Cost'] || row['media_cost'] || row['spend'] || 0) || 0;
-        channel.campaign_breakdown[campaignType].nvwr += parseFloat(row['NVWR'] || row['nvwr'] || 0) || 0;
-        channel.campaign_breakdown[campaignType].impressions += parseFloat(row['Impressions'] || row['impressions'] || 0) || 0;
-        channel.campaign_breakdown[campaignType].clicks += parseFloat(row['Clicks'] || row['clicks'] || 0) || 0;
-        channel.campaign_breakdown[campaignType].iv += parseFloat(row['IV'] || row['iv'] || 0) || 0;
+        channel.campaign_breakdown[campaignType].spend += getMetric(row, 'Media Cost');
+        channel.campaign_breakdown[campaignType].nvwr += getMetric(row, 'NVWR');
+        channel.campaign_breakdown[campaignType].impressions += getMetric(row, 'Impressions');
+        channel.campaign_breakdown[campaignType].clicks += getMetric(row, 'Clicks');
+        channel.campaign_breakdown[campaignType].iv += getMetric(row, 'IV');
       });
 
       // Calculate metrics for each channel
@@ -246,7 +251,7 @@ const ChannelEfficiencyScatterPlot = ({ data, availableMarkets, availableMonths
             </div>
             <div className="flex justify-between">
               <span className="text-gray-600">Total Spend:</span>
-              <span className="font-medium">€{data.total_spend.toLocaleString()}</span>
+              <span className="font-medium">{getCurrencySymbol(currency)}{data.total_spend.toLocaleString()}</span>
             </div>
             <div className="flex justify-between">
               <span className="text-gray-600">ROI:</span>
@@ -313,7 +318,7 @@ const ChannelEfficiencyScatterPlot = ({ data, availableMarkets, availableMonths
         <div className="flex items-center space-x-2 text-sm">
           <DollarSign className="h-4 w-4 text-green-600" />
           <span className="text-green-600 font-medium">
-            €{opportunityValue.toLocaleString()} potential savings
+            {getCurrencySymbol(currency)}{opportunityValue.toLocaleString()} potential savings
           </span>
         </div>
       </div>
@@ -329,7 +334,7 @@ const ChannelEfficiencyScatterPlot = ({ data, availableMarkets, availableMonths
           >
             <option value="all">All Markets</option>
             {availableMarkets?.map(market => (
-              <option key={market} value={market}>{market}</option>
+              <option key={market} value={market}>{getMarketDisplayName(market)}</option>
             ))}
           </select>
         </div>
@@ -480,9 +485,9 @@ const ChannelEfficiencyScatterPlot = ({ data, availableMarkets, availableMonths
       <div className="mt-4 p-3 bg-gray-50 rounded-lg">
         <h4 className="text-sm font-medium text-gray-900 mb-2">Current Benchmarks:</h4>
         <div className="grid grid-cols-3 gap-4 text-xs text-gray-600">
-          <div>CPM: €{benchmarks.cpm?.toFixed(2) || 'N/A'}</div>
-          <div>CP-IV: €{benchmarks.cp_iv?.toFixed(2) || 'N/A'}</div>
-          <div>CP-NVWR: €{benchmarks.cp_nvwr?.toFixed(2) || 'N/A'}</div>
+          <div>CPM: {getCurrencySymbol(currency)}{benchmarks.cpm?.toFixed(2) || 'N/A'}</div>
+          <div>CP-IV: {getCurrencySymbol(currency)}{benchmarks.cp_iv?.toFixed(2) || 'N/A'}</div>
+          <div>CP-NVWR: {getCurrencySymbol(currency)}{benchmarks.cp_nvwr?.toFixed(2) || 'N/A'}</div>
         </div>
       </div>
     </div>
@@ -1,7 +1,11 @@
 import React from 'react';
 import { Lightbulb, TrendingUp, TrendingDown, Target, AlertTriangle, CheckCircle, DollarSign, BarChart3 } from 'lucide-react';
+import { getMetric, getPeriod, getDimensionValue, sumMetricValues, selectRowsForField } from '../utils/recordSchema.js';
+import { getCurrencySymbol } from '../utils/currency.js';
+import { useReportingCurrency } from '../hooks/useReportingCurrency';
 
 const ChartCommentary = ({ chartType, data, insights }) => {
+  const currency = useReportingCurrency();
   const getCommentaryContent = () => {
     switch (chartType) {
       case 'costEfficiency':
@@ -19,21 +23,22 @@ const ChartCommentary = ({ chartType, data, insights }) => {
     if (!data || data.length === 0) return null;
 
     try {
-      // Calculate key metrics
-      const totalSpend = data.reduce((sum, row) => sum + (parseFloat(row['Media Cost'] || row['media_cost'] || row['spend'] || 0) || 0), 0);
-      const totalNVWR = data.reduce((sum, row) => sum + (parseFloat(row['NVWR'] || row['nvwr'] || 0) || 0), 0);
+      // Calculate key metrics from the 'All' rows so dimension files are not double counted
+      const totalRows = selectRowsForField(data);
+      const totalSpend = sumMetricValues(totalRows, 'Media Cost');
+      const totalNVWR = sumMetricValues(totalRows, 'NVWR');
       const avgCPNvwr = totalNVWR > 0 ? totalSpend / totalNVWR : 0;
       
       // Find trends
       const monthlyData = {};
-      data.forEach(row => {
+      totalRows.forEach(row => {
         if (row.year && row.month) {
-          const monthKey = `${row.year}-${row.month.toString().padStart(2, '0')}`;
+          const monthKey = getPeriod(row);
           if (!monthlyData[monthKey]) {
             monthlyData[monthKey] = { spend: 0, nvwr: 0 };
           }
-          monthlyData[monthKey].spend += parseFloat(row['Media Cost'] || row['media_cost'] || row['spend'] || 0) || 0;
-          monthlyData[monthKey].nvwr += parseFloat(row['NVWR'] || row['nvwr'] || 0) || 0;
+          monthlyData[monthKey].spend += getMetric(row, 'Media Cost');
+          monthlyData[monthKey].nvwr += getMetric(row, 'NVWR');
         }
       });
 
@@ -75,13 +80,13 @@ const ChartCommentary = ({ chartType, data, insights }) => {
           {
             icon: DollarSign,
             title: 'Average Cost per NVWR',
-            value: `€${avgCPNvwr.toFixed(2)}`,
+            value: `${getCurrencySymbol(currency)}${avgCPNvwr.toFixed(2)}`,
             description: 'The current average cost to acquire one NVWR across all channels and markets.'
           },
           {
             icon: BarChart3,
             title: 'Total Investment',
-            value: `€${totalSpend.toLocaleString()}`,
+            value: `${getCurrencySymbol(currency)}${totalSpend.toLocaleString()}`,
             description: 'Total media spend analyzed across all markets and time periods.'
           },
           {
@@ -127,9 +132,9 @@ const ChartCommentary = ({ chartType, data, insights }) => {
     try {
       // Group data by channel and campaign type
       const channelData = {};
-      data.forEach(row => {
-        const channelName = row['Channel_Name'] || row['channel_name'] || 'Unknown';
-        const campaignType = row['Campaign_Type'] || row['campaign_type'] || 'Unknown';
+      selectRowsForField(data, 'Channel Name').forEach(row => {
+        const channelName = getDimensionValue(row, 'Channel Name') || 'Unknown';
+        const campaignType = getDimensionValue(row, 'Campaign Type') || 'Unknown';
         
         if (!channelData[channelName]) {
           channelData[channelName] = {
@@ -144,17 +149,17 @@ const ChartCommentary = ({ chartType, data, insights }) => {
         }
         
         const channel = channelData[channelName];
-        channel.spend += parseFloat(row['Media Cost'] || row['media_cost'] || row['spend'] || 0) || 0;
-        channel.nvwr += parseFloat(row['NVWR'] || row['nvwr'] || 0) || 0;
-        channel.impressions += parseFloat(row['Impressions'] || row['impressions'] || 0) || 0;
-        channel.clicks += parseFloat(row['Clicks'] || row['clicks'] || 0) || 0;
-        channel.iv += parseFloat(row['IV'] || row['iv'] || 0) || 0;
+        channel.spend += getMetric(row, 'Media Cost');
+        channel.nvwr += getMetric(row, 'NVWR');
+        channel.impressions += getMetric(row, 'Impressions');
+        channel.clicks += getMetric(row, 'Clicks');
+        channel.iv += getMetric(row, 'IV');
 
         // Track campaign type breakdown
         if (!channel.campaign_breakdown[campaignType]) {
           channel.campaign_breakdown[campaignType] = { spend: 0 };
         }
-        channel.campaign_breakdown[campaignType].spend += parseFloat(row['Media Cost'] || row['media_cost'] || row['spend'] || 0) || 0;
+        channel.campaign_breakdown[campaignType].spend += getMetric(row, 'Media Cost');
       });
 
       const channels = Object.values(channelData).filter(ch => ch.nvwr > 0);
@@ -312,7 +317,7 @@ const ChartCommentary = ({ chartType, data, insights }) => {
           {
             icon: AlertTriangle,
             title: 'Optimization Opportunity',
-            value: `€${opportunityValue.toLocaleString()}`,
+            value: `${getCurrencySymbol(currency)}${opportunityValue.toLocaleString()}`,
             description: 'Potential savings from improving channels below median efficiency.'
           },
           {
@@ -357,23 +362,25 @@ const ChartCommentary = ({ chartType, data, insights }) => {
 
     try {
       // Calculate key metrics
-      const totalSpend = data.reduce((sum, row) => sum + (parseFloat(row['Media Cost'] || row['media_cost'] || row['spend'] || 0) || 0), 0);
-      const totalNVWR = data.reduce((sum, row) => sum + (parseFloat(row['NVWR'] || row['nvwr'] || 0) || 0), 0);
+      const totalRows = selectRowsForField(data);
+      const totalSpend = sumMetricValues(totalRows, 'Media Cost');
+      const totalNVWR = sumMetricValues(totalRows, 'NVWR');
       const avgROI = totalSpend > 0 ? (totalNVWR / totalSpend) * 100 : 0;
       
       // Count unique models and channels
-      const uniqueModels = new Set(data.map(row => row['Model'] || row['model']).filter(Boolean)).size;
-      const uniqueChannels = new Set(data.map(row => row['Channel_Name'] || row['channel_name']).filter(Boolean)).size;
+      const modelRows = selectRowsForField(data, 'Model');
+      const uniqueModels = new Set(modelRows.map(row => getDimensionValue(row, 'Model')).filter(Boolean)).size;
+      const uniqueChannels = new Set(selectRowsForField(data, 'Channel Name').map(row => getDimensionValue(row, 'Channel Name')).filter(Boolean)).size;
       
       // Find top performing model
       const modelData = {};
-      data.forEach(row => {
-        const model = row['Model'] || row['model'] || 'Unknown';
+      modelRows.forEach(row => {
+        const model = getDimensionValue(row, 'Model') || 'Unknown';
         if (!modelData[model]) {
           modelData[model] = { spend: 0, nvwr: 0 };
         }
-        modelData[model].spend += parseFloat(row['Media Cost'] || row['media_cost'] || row['spend'] || 0) || 0;
-        modelData[model].nvwr += parseFloat(row['NVWR'] || row['nvwr'] || 0) || 0;
+        modelData[model].spend += getMetric(row, 'Media Cost');
+        modelData[model].nvwr += getMetric(row, 'NVWR');
       });
       
       const topModel = Object.entries(modelData)
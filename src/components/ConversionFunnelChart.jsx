@@ -13,8 +13,11 @@ import {
   getPerformanceColor, 
   BMW_COLORS 
 } from '../utils/trendAnalysisDataProcessor';
+import { getMarketDisplayName } from '../utils/marketRegistry';
+import { useReportingCurrency } from '../hooks/useReportingCurrency';
 
 const ConversionFunnelChart = ({ data, availableMarkets, availableMonths }) => {
+  const currency = useReportingCurrency();
   const [selectedMarket, setSelectedMarket] = useState('all');
   const [selectedMonth, setSelectedMonth] = useState('latest');
 
@@ -28,23 +31,6 @@ const ConversionFunnelChart = ({ data, availableMarkets, availableMonths }) => {
     }
   }, [data, selectedMarket, selectedMonth]);
 
-  // Get market display names
-  const getMarketDisplayName = (marketCode) => {
-    const marketNames = {
-      'BE': 'Belgium',
-      'FR': 'France',
-      'DE': 'Germany',
-      'IT': 'Italy',
-      'ES': 'Spain',
-      'NL': 'Netherlands',
-      'UK': 'United Kingdom',
-      'CS': 'Central Southern Europe',
-      'NE': 'Nordics',
-      'PT': 'Portugal'
-    };
-    return marketNames[marketCode] || marketCode;
-  };
-
   // Export chart
   const exportChart = () => {
     console.log('Exporting funnel chart...');
@@ -150,7 +136,7 @@ const ConversionFunnelChart = ({ data, availableMarkets, availableMonths }) => {
                       </div>
                       <div className="text-xs text-gray-500">
                         {index === 0 ? 'Starting point' : 
-                         `From ${stages[index - 1]?.name || 'previous stage'}: ${stage.conversionRate !== null ? stage.conversionRate.toFixed(1) : '0.0'}%`}
+                         `From ${stages[index - 1]?.name || 'previous stage'}: ${stage.conversionRate !== null ? `${stage.conversionRate.toFixed(1)}%` : 'n/a'}`}
                       </div>
                     </div>
                   </div>
@@ -197,7 +183,7 @@ const ConversionFunnelChart = ({ data, availableMarkets, availableMonths }) => {
                         <div className="flex items-center justify-between">
                           <span className="text-gray-500">Cost per {stage.name}:</span>
                           <span className="font-medium text-gray-900">
-                            {formatValue(stage.costPerConversion, 'currency')}
+                            {formatValue(stage.costPerConversion, 'currency', { currency })}
                           </span>
                         </div>
                       )}
@@ -227,7 +213,7 @@ const ConversionFunnelChart = ({ data, availableMarkets, availableMonths }) => {
             <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
               <div className="text-center">
                 <div className="text-base font-bold text-gray-900">
-                  {formatValue(totalSpend, 'currency')}
+                  {formatValue(totalSpend, 'currency', { currency })}
                 </div>
                 <div className="text-xs text-gray-500">Total Spend</div>
               </div>
@@ -329,8 +315,8 @@ const ConversionFunnelChart = ({ data, availableMarkets, availableMonths }) => {
                           }
                           
                           // Overall funnel health
-                          const totalConversion = stages[stages.length - 1]?.percentage || 0;
-                          if (totalConversion < 1) {
+                          const totalConversion = stages[stages.length - 1]?.percentage ?? null;
+                          if (totalConversion !== null && totalConversion < 1) {
                             insights.push(
                               <div key="overall" className="flex items-start space-x-2">
                                 <div className="w-1.5 h-1.5 bg-yellow-500 rounded-full mt-1.5 flex-shrink-0"></div>
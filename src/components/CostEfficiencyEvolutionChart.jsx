@@ -1,8 +1,12 @@
 import React, { useState, useMemo } from 'react';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceLine, ResponsiveContainer, Area, AreaChart } from 'recharts';
 import { TrendingUp, TrendingDown, Target, Award, AlertTriangle, Calendar, DollarSign } from 'lucide-react';
+import { getMetric, getMarket, getPeriod, selectRowsForField } from '../utils/recordSchema.js';
+import { getCurrencySymbol } from '../utils/currency.js';
+import { useReportingCurrency } from '../hooks/useReportingCurrency';
 
 const CostEfficiencyEvolutionChart = ({ data, availableMarkets, availableMonths }) => {
+  const currency = useReportingCurrency();
   const [selectedMetrics, setSelectedMetrics] = useState(['cpm', 'cpc', 'cp_iv', 'cp_nvwr']);
   const [showIndexed, setShowIndexed] = useState(false);
   const [selectedMarkets, setSelectedMarkets] = useState(['all']);
@@ -22,9 +26,9 @@ const CostEfficiencyEvolutionChart = ({ data, availableMarkets, availableMonths
       // Group data by month and market
       const monthlyData = {};
       
-      data.forEach(row => {
-        const monthKey = `${row.year}-${row.month.toString().padStart(2, '0')}`;
-        const market = row.file_source ? row.file_source.match(/BMW_([A-Z]{2})_\d{4}_\d{2}\.csv/)?.[1] : 'Unknown';
+      selectRowsForField(data).forEach(row => {
+        const monthKey = getPeriod(row);
+        const market = getMarket(row) || 'Unknown';
         
         if (!monthlyData[monthKey]) {
           monthlyData[monthKey] = {
@@ -47,11 +51,11 @@ const CostEfficiencyEvolutionChart = ({ data, availableMarkets, availableMonths
         }
         
         const marketData = monthlyData[monthKey].markets[market];
-        marketData.total_spend += parseFloat(row['Media Cost'] || row['media_cost'] || row['spend'] || 0) || 0;
-        marketData.total_impressions += parseFloat(row['Impressions'] || row['impressions'] || 0) || 0;
-        marketData.total_clicks += parseFloat(row['Clicks'] || row['clicks'] || 0) || 0;
-        marketData.total_iv += parseFloat(row['IV'] || row['iv'] || 0) || 0;
-        marketData.total_nvwr += parseFloat(row['NVWR'] || row['nvwr'] || 0) || 0;
+        marketData.total_spend += getMetric(row, 'Media Cost');
+        marketData.total_impressions += getMetric(row, 'Impressions');
+        marketData.total_clicks += getMetric(row, 'Clicks');
+        marketData.total_iv += getMetric(row, 'IV');
+        marketData.total_nvwr += getMetric(row, 'NVWR');
       });
 
       // Calculate metrics for each month
@@ -167,7 +171,7 @@ const CostEfficiencyEvolutionChart = ({ data, availableMarkets, availableMonths
                 </div>
                 <div className="text-right">
                   <div className="text-sm font-bold text-gray-900">
-                    {showIndexed ? `${entry.value.toFixed(1)}` : `€${entry.value.toFixed(2)}`}
+                    {showIndexed ? `${entry.value.toFixed(1)}` : `${getCurrencySymbol(currency)}${entry.value.toFixed(2)}`}
                   </div>
                   {efficiencyScore && (
                     <div 
@@ -250,7 +254,7 @@ const CostEfficiencyEvolutionChart = ({ data, availableMarkets, availableMonths
             <YAxis 
               stroke="#6B7280"
               fontSize={12}
-              tickFormatter={value => showIndexed ? `${value.toFixed(0)}` : `€${value.toFixed(0)}`}
+              tickFormatter={value => showIndexed ? `${value.toFixed(0)}` : `${getCurrencySymbol(currency)}${value.toFixed(0)}`}
             />
             <Tooltip content={<CustomTooltip />} />
             <Legend />
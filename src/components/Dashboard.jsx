@@ -1,15 +1,68 @@
-import React, { useState, useMemo } from 'react';
-import { Copy, CheckCircle, AlertTriangle, BarChart3, TrendingUp, Target, FileText, Activity, Lightbulb, Shield } from 'lucide-react';
+import React, { useState, useMemo, useEffect, useRef } from 'react';
+import { Copy, CheckCircle, AlertTriangle, BarChart3, TrendingUp, Target, FileText, Activity, Lightbulb, Shield, Table, Loader2, Coins, Globe, Layers } from 'lucide-react';
 import OnebuilderCompliance from './OnebuilderCompliance';
 import EnhancedTrendAnalysis from './EnhancedTrendAnalysis';
 import DataQualityDashboard from './DataQualityDashboard';
 import DimensionCoverageAnalysis from './DimensionCoverageAnalysis';
-import { generateInsights } from '../utils/insightGenerator';
-import { calculateComprehensiveDataQuality, integrateComplianceData } from '../utils/dataQualityScorer';
+import PivotView from './PivotView';
+import KPIAnomalies from './KPIAnomalies';
+import ModelKPIHistory from './ModelKPIHistory';
+import { useComputeTask } from '../hooks/useComputeTask';
+import { ReportingCurrencyContext } from '../hooks/useReportingCurrency';
+import { getMarketCodes } from '../utils/marketResolver';
+import { getProcessedData, getCrossDimensionData } from '../utils/supabaseCsvProcessor';
+import { BASE_CURRENCY, indexFxRates, convertRecords } from '../utils/currency';
+import { getFxRates } from '../utils/fxRates';
+import { getMarketCurrencies } from '../utils/marketRegistry';
+import { getActiveMarketGroups, getSelectionMarkets, resolveMarketSelection } from '../utils/marketGroups';
+import { MODEL_LEVELS, MODEL_LEVEL_LABELS, DEFAULT_MODEL_LEVEL, getModelHierarchy } from '../utils/modelHierarchy';
+import { getQualityProfiles } from '../utils/qualityProfiles';
+
+// Loaded tab scopes kept in memory, so switching back to a tab does not query again
+const MAX_CACHED_SCOPES = 6;
+
+// Remembers the reporting currency chosen in the header
+const REPORTING_CURRENCY_KEY = 'bmw_reporting_currency';
+
+/**
+ * Markets and months a tab needs: the latest month for all markets on the insights and
+ * quality tabs (plus the selected month, which the insights quality score uses), and the
+ * selector filters on the trends and pivot tabs (a market group loads its members), which
+ * also load the cross-dimension records. runId reads a pinned run's snapshot.
+ */
+const getTabScope = (tab, { selectedMarket, selectedMonth, latestMonth, runId }) => {
+  if (tab === 'trends' || tab === 'pivot') {
+    return {
+      markets: getSelectionMarkets(selectedMarket),
+      months: selectedMonth === 'all' ? null : [selectedMonth],
+      cross: true,
+      runId
+    };
+  }
+
+  const months = [latestMonth];
+  if (tab === 'insights' && selectedMonth !== 'all' && selectedMonth !== latestMonth) {
+    months.push(selectedMonth);
+  }
+  return { markets: null, months: months.filter(Boolean), cross: false, runId };
+};
+
+/**
+ * Load the processed (and, for the pivot tab, cross-dimension) records of a tab scope
+ */
+const loadTabScope = async ({ markets, months, cross, runId }) => {
+  const [processedData, crossDimensionData] = await Promise.all([
+    getProcessedData({ markets, months, runId }),
+    cross ? getCrossDimensionData({ markets, months, runId }) : null
+  ]);
+
+  return { data: processedData?.data || [], crossData: crossDimensionData?.data || [] };
+};
 
 const Dashboard = ({ 
-  data, 
-  insights, 
+  totalRecords,
+  dataVersion,
+  runId,
   selectedMarket, 
   selectedMonth, 
   availableMarkets, 
@@ -19,93 +72,144 @@ const Dashboard = ({
   getMarketDisplayName
 }) => {
   const [copySuccess, setCopySuccess] = useState(false);
-  const [activeTab, setActiveTab] = useState('insights'); // 'insights', 'trends', 'compliance', 'quality'
+  const [activeTab, setActiveTab] = useState('insights'); // 'insights', 'trends', 'pivot', 'quality'
+  const [tabData, setTabData] = useState({ data: [], crossData: [] });
+  const [isLoadingTab, setIsLoadingTab] = useState(true);
+  const scopeCache = useRef({ version: null, entries: new Map() });
+  const [reportingCurrency, setCurrency] = useState(() => localStorage.getItem(REPORTING_CURRENCY_KEY) || BASE_CURRENCY);
+  const [modelLevel, setModelLevel] = useState(DEFAULT_MODEL_LEVEL);
+  const [currencyConfig, setCurrencyConfig] = useState(() => ({ marketCurrencies: getMarketCurrencies(), rateIndex: {} }));
+
+  // Market currencies (from the market registry) and FX rates, reloaded with the processed
+  // data (rates may have been uploaded or currencies changed)
+  useEffect(() => {
+    getFxRates().then(rates => {
+      setCurrencyConfig({ marketCurrencies: getMarketCurrencies(), rateIndex: indexFxRates(rates) });
+    });
+  }, [dataVersion]);
+
+  const handleCurrencyChange = (currency) => {
+    localStorage.setItem(REPORTING_CURRENCY_KEY, currency);
+    setCurrency(currency);
+  };
+
+  const reportingCurrencies = [...new Set([BASE_CURRENCY, ...Object.values(currencyConfig.marketCurrencies)])].sort();
+
+  // Groups follow the group configuration, reloaded with each data refresh
+  const [marketGroups, setMarketGroups] = useState(getActiveMarketGroups);
+  useEffect(() => {
+    setMarketGroups(getActiveMarketGroups());
+  }, [dataVersion]);
+
+  // A selected group that was removed or deactivated falls back to all markets
+  useEffect(() => {
+    if (selectedMarket !== 'all' && !availableMarkets?.includes(selectedMarket) && !marketGroups.some(group => group.code === selectedMarket)) {
+      onMarketChange('all');
+    }
+  }, [selectedMarket, availableMarkets, marketGroups, onMarketChange]);
+
+  const latestMonth = useMemo(() => {
+    if (!availableMonths || availableMonths.length === 0) return null;
+    return [...availableMonths].sort()[availableMonths.length - 1];
+  }, [availableMonths]);
+
+  const scopeKey = JSON.stringify(getTabScope(activeTab, { selectedMarket, selectedMonth, latestMonth, runId }));
+
+  // Load the records the active tab needs whenever its scope or the processed data changes
+  useEffect(() => {
+    const cache = scopeCache.current;
+    if (cache.version !== dataVersion) {
+      cache.version = dataVersion;
+      cache.entries.clear();
+    }
+
+    if (cache.entries.has(scopeKey)) {
+      setTabData(cache.entries.get(scopeKey));
+      setIsLoadingTab(false);
+      return undefined;
+    }
+
+    let isCurrent = true;
+    setIsLoadingTab(true);
+    loadTabScope(JSON.parse(scopeKey))
+      .then(result => {
+        cache.entries.set(scopeKey, result);
+        if (cache.entries.size > MAX_CACHED_SCOPES) {
+          cache.entries.delete(cache.entries.keys().next().value);
+        }
+        if (isCurrent) {
+          setTabData(result);
+        }
+      })
+      .finally(() => {
+        if (isCurrent) {
+          setIsLoadingTab(false);
+        }
+      });
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [scopeKey, dataVersion]);
+
+  // Costs are converted to the reporting currency before any aggregation across markets
+  const { data, crossData, missingRates } = useMemo(() => {
+    const options = { reportingCurrency, ...currencyConfig };
+    const converted = convertRecords(tabData.data, options);
+    const convertedCross = convertRecords(tabData.crossData, options);
+    return { data: converted.records, crossData: convertedCross.records, missingRates: converted.missingRates };
+  }, [tabData, reportingCurrency, currencyConfig]);
 
   // Get the latest month from available data
   const getLatestMonth = () => {
-    if (!availableMonths || availableMonths.length === 0) return 'No data available';
-    const sortedMonths = [...availableMonths].sort();
-    const latestMonth = sortedMonths[sortedMonths.length - 1];
+    if (!latestMonth) return 'No data available';
     return new Date(latestMonth + '-01').toLocaleDateString('en-US', { 
       year: 'numeric', 
       month: 'long' 
     });
   };
 
-  // Get data for current tab (latest month for insights/compliance, filtered for trends)
+  // Get data for current tab (latest month for insights/compliance, the loaded selector scope for trends)
   const getTabData = () => {
     if (activeTab === 'trends') {
-      // For trends tab, use filtered data based on selectors
-      let filteredData = data;
-      
-      // Filter by month
-      if (selectedMonth !== 'all') {
-        filteredData = filteredData.filter(row => `${row.year}-${row.month.toString().padStart(2, '0')}` === selectedMonth);
-      }
-      
-      // Filter by market
-      if (selectedMarket !== 'all') {
-        filteredData = filteredData.filter(row => {
-          if (row.file_source) {
-            const match = row.file_source.match(/BMW_([A-Z]{2})_\d{4}_\d{2}\.csv/);
-            return match && match[1] === selectedMarket;
-          }
-          return false;
-        });
-      }
-      
-      return filteredData;
-    } else {
-      // For insights and compliance tabs, use only the latest month's data for all markets
-      if (!availableMonths || availableMonths.length === 0) return [];
-      
-      const sortedMonths = [...availableMonths].sort();
-      const latestMonth = sortedMonths[sortedMonths.length - 1];
-      const [latestYear, latestMonthNum] = latestMonth.split('-');
-      
-      return data.filter(row => 
-        row.year === parseInt(latestYear) && 
-        row.month === parseInt(latestMonthNum)
-      );
+      return data;
     }
+
+    // For insights and compliance tabs, use only the latest month's data for all markets
+    if (!latestMonth) return [];
+
+    const [latestYear, latestMonthNum] = latestMonth.split('-');
+    return data.filter(row => 
+      row.year === parseInt(latestYear) && 
+      row.month === parseInt(latestMonthNum)
+    );
   };
 
-  // Calculate data quality for insights
-  const qualityData = useMemo(() => {
-    if (activeTab !== 'insights') return null;
-    
+  // Data quality (insights tab only) and insights for the current tab are computed in the worker
+  const insightsArgs = useMemo(() => {
     const tabData = getTabData();
     if (!tabData || tabData.length === 0) return null;
     
     // Get the latest month if no specific month is selected
-    let period = selectedMonth;
-    if (selectedMonth === 'all') {
-      const availableMonths = [...new Set(data.map(row => `${row.year}-${row.month.toString().padStart(2, '0')}`))].sort();
-      period = availableMonths[availableMonths.length - 1];
-    }
+    const period = selectedMonth === 'all' ? latestMonth : selectedMonth;
     
-    // Get the market code
-    let market = selectedMarket;
+    // Get the market code, or the group object of a market group
+    let market = resolveMarketSelection(selectedMarket);
     if (selectedMarket === 'all') {
-      const availableMarkets = [...new Set(data.map(row => row.country))];
+      const availableMarkets = getMarketCodes(data);
       market = availableMarkets[0]; // Use first available market
     }
     
-    const baseQualityData = calculateComprehensiveDataQuality(data, market, period);
-    
     // TODO: Integrate compliance data when available
     // For now, we'll need to get compliance data from the OnebuilderCompliance component
     // This could be done by passing compliance data as a prop or by calling the compliance processor
     
-    return baseQualityData;
-  }, [data, activeTab, selectedMarket, selectedMonth]);
+    return [activeTab === 'insights' ? data : null, tabData, market, period, reportingCurrency, getModelHierarchy(), modelLevel, getQualityProfiles()];
+  }, [data, activeTab, selectedMarket, selectedMonth, latestMonth, reportingCurrency, modelLevel]);
 
-  // Generate insights based on current tab data
-  const tabInsights = useMemo(() => {
-    const tabData = getTabData();
-    if (!tabData || tabData.length === 0) return [];
-    return generateInsights(tabData, qualityData);
-  }, [data, activeTab, selectedMarket, selectedMonth, qualityData]);
+  const { result: insightsResult, isComputing: isComputingInsights, progress: insightsProgress } = useComputeTask('insights', insightsArgs);
+  const qualityData = insightsResult?.qualityData || null;
+  const tabInsights = insightsResult?.insights || [];
 
   const copyAllInsights = async () => {
     if (tabInsights.length === 0) return;
@@ -127,7 +231,7 @@ Recommendation: ${insight.recommendation}
     }
   };
 
-  if (!data || data.length === 0) {
+  if (!totalRecords) {
     return (
       <div className="max-w-7xl mx-auto">
         <div className="text-center py-16">
@@ -152,7 +256,13 @@ Recommendation: ${insight.recommendation}
       id: 'trends',
       name: 'Trend Analysis',
       icon: Activity,
-      description: 'Dynamic visualizations and performance trends with market and time period filtering'
+      description: 'KPI anomalies, dynamic visualizations and performance trends with market and time period filtering'
+    },
+    {
+      id: 'pivot',
+      name: 'Pivot Explorer',
+      icon: Table,
+      description: 'Group metrics by any combination of market, month, campaign type, channel, phase and model'
     },
     {
       id: 'quality',
@@ -178,7 +288,7 @@ Recommendation: ${insight.recommendation}
                 </h2>
                 <p className="text-gray-600 mt-2 flex items-center">
                   <Target className="h-4 w-4 mr-2" />
-                  Key insights from {data.length.toLocaleString()} data records
+                  Key insights from {totalRecords.toLocaleString()} data records
                 </p>
               </div>
             </div>
@@ -192,7 +302,7 @@ Recommendation: ${insight.recommendation}
                   </div>
                   <div>
                     <p className="text-sm font-medium text-gray-600">Total Records</p>
-                    <p className="text-xl font-bold text-gray-900">{data.length.toLocaleString()}</p>
+                    <p className="text-xl font-bold text-gray-900">{totalRecords.toLocaleString()}</p>
                   </div>
                 </div>
               </div>
@@ -204,7 +314,7 @@ Recommendation: ${insight.recommendation}
                   </div>
                   <div>
                     <p className="text-sm font-medium text-gray-600">Insights Generated</p>
-                    <p className="text-xl font-bold text-gray-900">{insights.length}</p>
+                    <p className="text-xl font-bold text-gray-900">{isComputingInsights ? '…' : tabInsights.length}</p>
                   </div>
                 </div>
               </div>
@@ -217,14 +327,83 @@ Recommendation: ${insight.recommendation}
                   <div>
                     <p className="text-sm font-medium text-gray-600">Data Quality</p>
                     <p className="text-xl font-bold text-gray-900">
-                      {qualityData ? `${qualityData.overallScore}%` : 'N/A'}
+                      {isComputingInsights ? '…' : qualityData ? `${qualityData.overallScore}%` : 'N/A'}
                     </p>
                   </div>
                 </div>
               </div>
             </div>
           </div>
+
+          <div className="flex flex-col gap-3">
+          {/* Market or market group */}
+          <div className="flex items-center space-x-2">
+            <Globe className="h-4 w-4 text-gray-500" />
+            <label htmlFor="selected-market" className="text-sm font-medium text-gray-700">Market</label>
+            <select
+              id="selected-market"
+              value={selectedMarket}
+              onChange={(e) => onMarketChange(e.target.value)}
+              className="border border-gray-300 rounded-lg px-3 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-bmw-500"
+            >
+              <option value="all">All markets</option>
+              {marketGroups.length > 0 && (
+                <optgroup label="Market groups">
+                  {marketGroups.map(group => (
+                    <option key={group.code} value={group.code}>{group.name}</option>
+                  ))}
+                </optgroup>
+              )}
+              <optgroup label="Markets">
+                {(availableMarkets || []).map(market => (
+                  <option key={market} value={market}>{getMarketDisplayName(market)}</option>
+                ))}
+              </optgroup>
+            </select>
+          </div>
+
+          {/* Model hierarchy level of model breakdowns */}
+          <div className="flex items-center space-x-2">
+            <Layers className="h-4 w-4 text-gray-500" />
+            <label htmlFor="model-level" className="text-sm font-medium text-gray-700">Models by</label>
+            <select
+              id="model-level"
+              value={modelLevel}
+              onChange={(e) => setModelLevel(e.target.value)}
+              className="border border-gray-300 rounded-lg px-3 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-bmw-500"
+            >
+              {MODEL_LEVELS.map(level => (
+                <option key={level} value={level}>{MODEL_LEVEL_LABELS[level]}</option>
+              ))}
+            </select>
+          </div>
+
+          {/* Reporting currency */}
+          <div className="flex items-center space-x-2">
+            <Coins className="h-4 w-4 text-gray-500" />
+            <label htmlFor="reporting-currency" className="text-sm font-medium text-gray-700">Currency</label>
+            <select
+              id="reporting-currency"
+              value={reportingCurrency}
+              onChange={(e) => handleCurrencyChange(e.target.value)}
+              className="border border-gray-300 rounded-lg px-3 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-bmw-500"
+            >
+              {reportingCurrencies.map(currency => (
+                <option key={currency} value={currency}>{currency}</option>
+              ))}
+            </select>
+          </div>
+          </div>
         </div>
+
+        {missingRates.length > 0 && (
+          <div className="mt-4 bg-yellow-50 border border-yellow-200 rounded-lg p-3 flex items-start text-sm text-yellow-800">
+            <AlertTriangle className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0" />
+            <span>
+              No FX rate to convert {missingRates.map(({ market, currency, period }) => `${market} ${period} (${currency})`).join(', ')} to {reportingCurrency}; these costs are shown unconverted. Upload FX rates on the Data Management page.
+            </span>
+          </div>
+        )}
       </div>
 
       {/* Tab Navigation */}
@@ -267,22 +446,54 @@ Recommendation: ${insight.recommendation}
       </div>
 
       {/* Tab Content */}
+      {isLoadingTab ? (
+        <div className="flex justify-center items-center py-16 text-gray-600">
+          <Loader2 className="h-6 w-6 mr-3 animate-spin text-bmw-600" />
+          Loading data...
+        </div>
+      ) : (
+      <ReportingCurrencyContext.Provider value={reportingCurrency}>
       <div className="animate-fade-in">
         {activeTab === 'trends' && (
           <div>
+            <KPIAnomalies
+              selectedMarket={selectedMarket}
+              period={selectedMonth === 'all' ? latestMonth : selectedMonth}
+              dataVersion={dataVersion}
+              isPinned={!!runId}
+              getMarketDisplayName={getMarketDisplayName}
+            />
+            <ModelKPIHistory
+              selectedMarket={selectedMarket}
+              modelLevel={modelLevel}
+              dataVersion={dataVersion}
+              isPinned={!!runId}
+            />
             <EnhancedTrendAnalysis 
               data={getTabData()} 
+              crossData={crossData}
               selectedMarket={selectedMarket}
               selectedMonth={selectedMonth}
               availableMarkets={availableMarkets}
               availableMonths={availableMonths}
+              modelLevel={modelLevel}
             />
           </div>
         )}
 
+        {activeTab === 'pivot' && (
+          <PivotView
+            data={data}
+            crossData={crossData}
+            selectedMarket={resolveMarketSelection(selectedMarket)}
+            selectedMonth={selectedMonth}
+            getMarketDisplayName={getMarketDisplayName}
+          />
+        )}
+
         {activeTab === 'quality' && (
           <div className="space-y-6">
-            <OnebuilderCompliance data={getTabData()} />
+            <OnebuilderCompliance data={getTabData()} isPinned={!!runId} />
             <DataQualityDashboard 
               data={data}
               selectedMarket={selectedMarket}
@@ -298,7 +509,12 @@ Recommendation: ${insight.recommendation}
 
         {activeTab === 'insights' && (
           <div>
-            {tabInsights.length > 0 ? (
+            {isComputingInsights ? (
+              <div className="flex justify-center items-center py-16 text-gray-600">
+                <Loader2 className="h-6 w-6 mr-3 animate-spin text-bmw-600" />
+                {insightsProgress || 'Generating insights'}...
+              </div>
+            ) : tabInsights.length > 0 ? (
               <div className="space-y-8">
                 <div className="flex items-center justify-between">
                   <div>
@@ -341,6 +557,8 @@ Recommendation: ${insight.recommendation}
           </div>
         )}
       </div>
+      </ReportingCurrencyContext.Provider>
+      )}
     </div>
   );
 };
@@ -2,25 +2,29 @@ import React, { useState, useMemo } from 'react';
 import { 
   TrendingUp, 
   TrendingDown, 
-  HelpCircle
+  HelpCircle,
+  Loader2
 } from 'lucide-react';
-import { calculateComprehensiveDataQuality } from '../utils/dataQualityScorer.js';
+import { useComputeTask } from '../hooks/useComputeTask.js';
 import { analyzeOnebuilderCompliance } from '../utils/onebuilderCompliance.js';
 import { getComplianceHistory } from '../utils/complianceHistory.js';
+import { getPeriod } from '../utils/recordSchema.js';
+import { getMarketCodes } from '../utils/marketResolver.js';
+import { getQualityProfiles } from '../utils/qualityProfiles.js';
 
 const DataQualityDashboard = ({ data, selectedMarket, selectedMonth, getMarketDisplayName }) => {
   const [showCalculationHelp, setShowCalculationHelp] = useState(false);
 
-  // Calculate data quality for latest month and all markets
-  const qualityData = useMemo(() => {
+  // Calculate data quality for latest month and all markets (in the compute worker)
+  const qualityArgs = useMemo(() => {
     if (!data || data.length === 0) return null;
     
     try {
       // Debug: Log all available data
       console.log('🔍 Data Quality Debug - All data:', {
         totalRecords: data.length,
-        markets: [...new Set(data.map(row => row.country))],
-        months: [...new Set(data.map(row => `${row.year}-${row.month.toString().padStart(2, '0')}`))].sort(),
+        markets: getMarketCodes(data),
+        months: [...new Set(data.map(row => getPeriod(row)))].sort(),
         sampleRecords: data.slice(0, 3).map(row => ({
           country: row.country,
           year: row.year,
@@ -31,7 +35,7 @@ const DataQualityDashboard = ({ data, selectedMarket, selectedMonth, getMarketDi
       });
       
       // Always use the latest month
-      const availableMonths = [...new Set(data.map(row => `${row.year}-${row.month.toString().padStart(2, '0')}`))].sort();
+      const availableMonths = [...new Set(data.map(row => getPeriod(row)))].sort();
       if (availableMonths.length === 0) {
         console.warn('No available months found in data');
         return null;
@@ -49,29 +53,20 @@ const DataQualityDashboard = ({ data, selectedMarket, selectedMonth, getMarketDi
       console.log('🔍 Data Quality Debug - Latest month data:', {
         latestPeriod,
         filteredRecords: latestMonthData.length,
-        markets: [...new Set(latestMonthData.map(row => row.country))],
+        markets: getMarketCodes(latestMonthData),
         dimensions: [...new Set(latestMonthData.map(row => row.dimension))]
       });
       
-      // Calculate comprehensive quality data for all markets
-      const qualityData = calculateComprehensiveDataQuality(latestMonthData, 'all', latestPeriod);
-      
-      // Debug: Log quality data structure
-      console.log('🔍 Data Quality Debug - Quality data structure:', {
-        hasQualityData: !!qualityData,
-        overallScore: qualityData?.overallScore,
-        hasMarketAnalysis: !!qualityData?.marketAnalysis,
-        marketCount: qualityData?.marketAnalysis ? Object.keys(qualityData.marketAnalysis).length : 0,
-        dimensionBreakdown: qualityData?.dimensionBreakdown ? Object.keys(qualityData.dimensionBreakdown) : null
-      });
-      
-      return qualityData;
+      // Comprehensive quality data for all markets
+      return [latestMonthData, 'all', latestPeriod, getQualityProfiles()];
     } catch (error) {
       console.error('Error calculating data quality:', error);
       return null;
     }
   }, [data]);
 
+  const { result: qualityData, isComputing, progress } = useComputeTask('dataQuality', qualityArgs);
+
   // Calculate Onebuilder compliance
   const complianceData = useMemo(() => {
     if (!data || data.length === 0) return null;
@@ -88,7 +83,7 @@ const DataQualityDashboard = ({ data, selectedMarket, selectedMonth, getMarketDi
   const latestMonthDisplay = useMemo(() => {
     if (!data || data.length === 0) return '';
     
-    const availableMonths = [...new Set(data.map(row => `${row.year}-${row.month.toString().padStart(2, '0')}`))].sort();
+    const availableMonths = [...new Set(data.map(row => getPeriod(row)))].sort();
     if (availableMonths.length === 0) return '';
     
     const latestPeriod = availableMonths[availableMonths.length - 1];
@@ -98,6 +93,17 @@ const DataQualityDashboard = ({ data, selectedMarket, selectedMonth, getMarketDi
     return `${monthName} ${year}`;
   }, [data]);
 
+  if (isComputing) {
+    return (
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+        <div className="flex justify-center items-center py-8 text-gray-500">
+          <Loader2 className="h-5 w-5 mr-2 animate-spin text-bmw-600" />
+          {progress || 'Scoring data quality'}...
+        </div>
+      </div>
+    );
+  }
+
   if (!qualityData) {
     return (
       <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
@@ -139,6 +145,7 @@ const DataQualityDashboard = ({ data, selectedMarket, selectedMonth, getMarketDi
               <li>• <strong>Coverage Gap:</strong> Records missing from dimension files compared to "All" data</li>
               <li>• <strong>Weighted Average:</strong> Media Cost (25%), Impressions (20%), Clicks (15%), IV (20%), NVWR (20%)</li>
               <li>• <strong>Grade System:</strong> A+ (95-100%), A (90-94%), B (80-89%), C (70-79%), D (60-69%), F (0-59%)</li>
+              <li>• <strong>Source Ratios:</strong> CPM, CTR, CPC, CP NVWR etc. are recomputed from base metrics; supplied ratios more than 1% off are listed as findings</li>
             </ul>
           </div>
         )}
@@ -178,6 +185,33 @@ const DataQualityDashboard = ({ data, selectedMarket, selectedMonth, getMarketDi
             <div className="text-xs text-gray-500">Dimensions</div>
           </div>
         </div>
+
+        {/* Source ratios that disagree with the ratios recomputed from base metrics */}
+        {qualityData.ratioFindings?.total > 0 && (
+          <div className="mt-4 pt-4 border-t border-gray-100">
+            <div className="flex items-center justify-between mb-2">
+              <h4 className="text-sm font-medium text-gray-900">Inconsistent Source Ratios</h4>
+              <span className="text-xs text-gray-500">
+                {qualityData.ratioFindings.total} rows – recomputed from base metrics
+              </span>
+            </div>
+            <div className="flex flex-wrap gap-2 mb-2">
+              {Object.entries(qualityData.ratioFindings.byMetric).map(([metric, count]) => (
+                <span key={metric} className="px-2 py-1 text-xs font-medium rounded-full bg-yellow-100 text-yellow-800">
+                  {metric}: {count}
+                </span>
+              ))}
+            </div>
+            <div className="space-y-1">
+              {qualityData.ratioFindings.findings.slice(0, 5).map((finding, index) => (
+                <div key={index} className="text-xs text-gray-600">
+                  • {getMarketDisplayName(finding.market)} {finding.dimension} "{finding.value}": {finding.metric} supplied {finding.supplied.toFixed(2)}, 
+                  recomputed {finding.expected.toFixed(2)} ({finding.deviation}% off)
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
       </div>
 
       {/* Onebuilder Compliance Section */}
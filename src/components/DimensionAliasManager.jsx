@@ -0,0 +1,275 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Tags, Plus, Pencil, Trash2, Loader2, AlertTriangle } from 'lucide-react';
+import { getAliasRules, saveAliasRule, deleteAliasRule, getUnmatchedValueSummary } from '../utils/aliasRules.js';
+import { MATCH_TYPES, MATCH_TYPE_LABELS, compileAliasRules } from '../utils/dimensionAliases.js';
+import { DIMENSION_FIELDS } from '../utils/recordSchema.js';
+
+const EMPTY_RULE = { dimension: DIMENSION_FIELDS[0], match_type: 'exact', pattern: '', canonical_value: '', priority: 100, is_active: true };
+
+// Unmatched values listed before "show all"
+const UNMATCHED_PREVIEW = 25;
+
+// Form for adding or editing one alias rule
+const AliasRuleForm = ({ rule, isSaving, onSave, onCancel }) => {
+  const [form, setForm] = useState(rule);
+  const update = (field, value) => setForm(current => ({ ...current, [field]: value }));
+
+  const inputClass = 'border border-gray-300 rounded px-2 py-1 text-sm w-full';
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-4">
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-3">
+        <label className="text-xs text-gray-600">
+          Dimension
+          <select value={form.dimension} onChange={(e) => update('dimension', e.target.value)} className={inputClass}>
+            {DIMENSION_FIELDS.map(field => <option key={field} value={field}>{field}</option>)}
+          </select>
+        </label>
+        <label className="text-xs text-gray-600">
+          Match
+          <select value={form.match_type} onChange={(e) => update('match_type', e.target.value)} className={inputClass}>
+            {MATCH_TYPES.map(type => <option key={type} value={type}>{MATCH_TYPE_LABELS[type]}</option>)}
+          </select>
+        </label>
+        <label className="text-xs text-gray-600">
+          Raw value / pattern
+          <input value={form.pattern} onChange={(e) => update('pattern', e.target.value)} className={inputClass} />
+        </label>
+        <label className="text-xs text-gray-600">
+          Canonical value
+          <input value={form.canonical_value} onChange={(e) => update('canonical_value', e.target.value)} className={inputClass} />
+        </label>
+        <label className="text-xs text-gray-600">
+          Priority
+          <input type="number" value={form.priority} onChange={(e) => update('priority', e.target.value)} className={inputClass} />
+        </label>
+      </div>
+      <div className="flex items-center justify-between">
+        <label className="flex items-center gap-1 text-sm text-gray-700">
+          <input type="checkbox" checked={form.is_active} onChange={(e) => update('is_active', e.target.checked)} />
+          Active
+        </label>
+        <div className="flex gap-2">
+          <button onClick={onCancel} disabled={isSaving} className="btn-secondary">Cancel</button>
+          <button onClick={() => onSave(form)} disabled={isSaving || !form.pattern || !form.canonical_value} className="btn-primary flex items-center gap-2">
+            {isSaving && <Loader2 className="h-4 w-4 animate-spin" />}
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const DimensionAliasManager = () => {
+  const [rules, setRules] = useState([]);
+  const [unmatchedValues, setUnmatchedValues] = useState([]);
+  const [dimensionFilter, setDimensionFilter] = useState('all');
+  const [editing, setEditing] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [rulesChanged, setRulesChanged] = useState(false);
+  const [showAllUnmatched, setShowAllUnmatched] = useState(false);
+  const [error, setError] = useState(null);
+
+  const compiledRules = useMemo(() => compileAliasRules(rules), [rules]);
+
+  useEffect(() => {
+    const loadRules = async () => {
+      setIsLoading(true);
+      try {
+        setRules(await getAliasRules());
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    loadRules();
+  }, []);
+
+  // Values a rule now matches drop out of the list straight away
+  useEffect(() => {
+    if (isLoading) return;
+    getUnmatchedValueSummary(compiledRules)
+      .then(setUnmatchedValues)
+      .catch(loadError => {
+        console.error('❌ Error loading unmatched values:', loadError);
+        setError(loadError.message);
+      });
+  }, [compiledRules, isLoading]);
+
+  const handleSave = async (rule) => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      setRules(await saveAliasRule(rule));
+      setEditing(null);
+      setRulesChanged(true);
+    } catch (saveError) {
+      console.error('❌ Error saving alias rule:', saveError);
+      setError(saveError.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Delete the ${rule.dimension} rule "${rule.pattern}" → "${rule.canonical_value}"?`)) return;
+
+    setIsSaving(true);
+    setError(null);
+    try {
+      setRules(await deleteAliasRule(rule.id));
+      setRulesChanged(true);
+    } catch (deleteError) {
+      console.error('❌ Error deleting alias rule:', deleteError);
+      setError(deleteError.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const visibleRules = rules.filter(rule => dimensionFilter === 'all' || rule.dimension === dimensionFilter);
+  const filteredUnmatched = unmatchedValues.filter(value => dimensionFilter === 'all' || value.dimension === dimensionFilter);
+  const visibleUnmatched = showAllUnmatched ? filteredUnmatched : filteredUnmatched.slice(0, UNMATCHED_PREVIEW);
+
+  return (
+    <div className="mt-8 bg-white border border-gray-200 rounded-xl p-6 shadow-soft">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+          <Tags className="h-5 w-5 mr-2 text-bmw-600" />
+          Dimension Value Aliases
+        </h3>
+        <div className="flex items-center gap-2">
+          <select
+            value={dimensionFilter}
+            onChange={(e) => setDimensionFilter(e.target.value)}
+            className="border border-gray-300 rounded-lg px-3 py-1.5 text-sm"
+          >
+            <option value="all">All dimensions</option>
+            {DIMENSION_FIELDS.map(field => <option key={field} value={field}>{field}</option>)}
+          </select>
+          <button
+            onClick={() => setEditing({ ...EMPTY_RULE, dimension: dimensionFilter === 'all' ? EMPTY_RULE.dimension : dimensionFilter })}
+            disabled={!!editing || isSaving}
+            className="btn-secondary flex items-center gap-2"
+          >
+            <Plus className="h-4 w-4" />
+            Add rule
+          </button>
+        </div>
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        Rules map raw dimension values to one canonical value while files are processed: exact rules first, then case-insensitive, then regex (ignoring case), lowest priority first. The raw value is kept with each record.
+      </p>
+
+      {rulesChanged && (
+        <div className="mb-4 bg-yellow-50 border border-yellow-200 rounded-lg p-3 flex items-start text-sm text-yellow-800">
+          <AlertTriangle className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0" />
+          <span>Rule changes apply when the files are processed again; the next "Process All Files" reprocesses every market-month.</span>
+        </div>
+      )}
+
+      {error && <p className="text-sm text-red-700 mb-3">{error}</p>}
+
+      {editing && (
+        <AliasRuleForm
+          key={editing.id || `${editing.dimension}-${editing.pattern}`}
+          rule={editing}
+          isSaving={isSaving}
+          onSave={handleSave}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+
+      {isLoading ? (
+        <div className="flex items-center text-sm text-gray-600">
+          <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+          Loading rules...
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div className="overflow-x-auto">
+            <h4 className="text-sm font-semibold text-gray-900 mb-2">Rules ({visibleRules.length})</h4>
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  <th className="py-2 pr-3">Dimension</th>
+                  <th className="py-2 pr-3">Match</th>
+                  <th className="py-2 pr-3">Raw value / pattern</th>
+                  <th className="py-2 pr-3">Canonical</th>
+                  <th className="py-2" />
+                </tr>
+              </thead>
+              <tbody className="text-gray-700">
+                {visibleRules.map(rule => (
+                  <tr key={rule.id} className={`border-t border-gray-50 ${rule.is_active ? '' : 'text-gray-400'}`}>
+                    <td className="py-1 pr-3">{rule.dimension}</td>
+                    <td className="py-1 pr-3">{MATCH_TYPE_LABELS[rule.match_type]}</td>
+                    <td className="py-1 pr-3 font-mono text-xs">{rule.pattern}</td>
+                    <td className="py-1 pr-3 font-medium">{rule.canonical_value}</td>
+                    <td className="py-1 text-right whitespace-nowrap">
+                      <button onClick={() => setEditing(rule)} disabled={!!editing || isSaving} className="text-bmw-600 hover:text-bmw-800 mr-2" title="Edit rule">
+                        <Pencil className="h-4 w-4" />
+                      </button>
+                      <button onClick={() => handleDelete(rule)} disabled={!!editing || isSaving} className="text-red-600 hover:text-red-800" title="Delete rule">
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="overflow-x-auto">
+            <h4 className="text-sm font-semibold text-gray-900 mb-2">Unmatched values ({filteredUnmatched.length})</h4>
+            {filteredUnmatched.length === 0 ? (
+              <p className="text-sm text-gray-500">Every processed value matches a rule or is a canonical value.</p>
+            ) : (
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    <th className="py-2 pr-3">Dimension</th>
+                    <th className="py-2 pr-3">Raw value</th>
+                    <th className="py-2 pr-3">Records</th>
+                    <th className="py-2 pr-3">Markets</th>
+                    <th className="py-2 pr-3">Latest</th>
+                    <th className="py-2" />
+                  </tr>
+                </thead>
+                <tbody className="text-gray-700">
+                  {visibleUnmatched.map(value => (
+                    <tr key={`${value.dimension}-${value.raw_value}`} className="border-t border-gray-50">
+                      <td className="py-1 pr-3">{value.dimension}</td>
+                      <td className="py-1 pr-3 font-mono text-xs">{value.raw_value}</td>
+                      <td className="py-1 pr-3">{value.record_count.toLocaleString()}</td>
+                      <td className="py-1 pr-3">{value.markets.join(', ')}</td>
+                      <td className="py-1 pr-3">{value.latest_period}</td>
+                      <td className="py-1 text-right">
+                        <button
+                          onClick={() => setEditing({ ...EMPTY_RULE, dimension: value.dimension, pattern: value.raw_value })}
+                          disabled={!!editing || isSaving}
+                          className="text-bmw-600 hover:text-bmw-800"
+                          title="Create a rule for this value"
+                        >
+                          <Plus className="h-4 w-4" />
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            {filteredUnmatched.length > UNMATCHED_PREVIEW && (
+              <button onClick={() => setShowAllUnmatched(!showAllUnmatched)} className="mt-2 text-sm text-bmw-600 hover:text-bmw-800">
+                {showAllUnmatched ? 'Show fewer' : `Show all ${filteredUnmatched.length}`}
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DimensionAliasManager;
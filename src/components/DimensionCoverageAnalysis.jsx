@@ -1,9 +1,11 @@
 import React, { useMemo } from 'react';
-import { calculateComprehensiveDataQuality } from '../utils/dataQualityScorer.js';
+import { Loader2 } from 'lucide-react';
+import { useComputeTask } from '../hooks/useComputeTask.js';
+import { getQualityProfiles } from '../utils/qualityProfiles.js';
 
 const DimensionCoverageAnalysis = ({ data, getMarketDisplayName }) => {
-  // Calculate dimension coverage for latest month and all markets
-  const coverageData = useMemo(() => {
+  // Calculate dimension coverage for latest month and all markets (in the compute worker)
+  const coverageArgs = useMemo(() => {
     if (!data || data.length === 0) return null;
     
     try {
@@ -22,16 +24,30 @@ const DimensionCoverageAnalysis = ({ data, getMarketDisplayName }) => {
         row.month === parseInt(latestMonth)
       );
       
-      // Calculate comprehensive quality data for all markets
-      const qualityData = calculateComprehensiveDataQuality(latestMonthData, 'all', latestPeriod);
-      
-      return qualityData;
+      // Comprehensive quality data for all markets
+      return [latestMonthData, 'all', latestPeriod, getQualityProfiles()];
     } catch (error) {
       console.error('Error calculating dimension coverage:', error);
       return null;
     }
   }, [data]);
 
+  const { result: coverageData, isComputing, progress } = useComputeTask('dataQuality', coverageArgs);
+
+  if (isComputing) {
+    return (
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">Dimension Coverage Analysis</h3>
+        </div>
+        <div className="flex justify-center items-center py-8 text-gray-500">
+          <Loader2 className="h-5 w-5 mr-2 animate-spin text-bmw-600" />
+          {progress || 'Scoring data quality'}...
+        </div>
+      </div>
+    );
+  }
+
   if (!coverageData || !coverageData.marketAnalysis) {
     return (
       <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
@@ -97,6 +113,13 @@ const MarketAnalysisCard = ({ marketCode, marketData, getMarketDisplayName }) =>
         </span>
       </div>
       
+      {marketData.qualityProfile && (
+        <p className="text-xs text-gray-500 mb-2">
+          Graded with the {marketData.qualityProfile.name} quality profile
+          {marketData.qualityProfile.excluded_metrics.length > 0 && ` (excluding ${marketData.qualityProfile.excluded_metrics.join(', ')})`}
+        </p>
+      )}
+
       <div className="mb-3">
         <div className="flex items-center justify-between text-sm mb-1">
           <span className="text-gray-600">Overall Coverage</span>
@@ -121,9 +144,13 @@ const MarketAnalysisCard = ({ marketCode, marketData, getMarketDisplayName }) =>
         {Object.entries(marketData.dimensionScores).map(([dimension, score]) => (
           <div key={dimension} className="flex items-center justify-between text-xs">
             <span className="text-gray-600 truncate">{dimension}</span>
-            <span className={`font-medium ${getCoverageColor(score.coverage)}`}>
-              {score.coverage}%
-            </span>
+            {score.coverage === null ? (
+              <span className="font-medium text-gray-400">n/a</span>
+            ) : (
+              <span className={`font-medium ${getCoverageColor(score.coverage)}`}>
+                {score.coverage}%
+              </span>
+            )}
           </div>
         ))}
       </div>
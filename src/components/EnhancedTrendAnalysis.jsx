@@ -7,8 +7,9 @@ import CostEfficiencyEvolutionChart from './CostEfficiencyEvolutionChart';
 import ChannelEfficiencyScatterPlot from './ChannelEfficiencyScatterPlot';
 import PerformanceDistributionComponents from './PerformanceDistributionComponents';
 import ChartCommentary from './ChartCommentary';
+import { getSelectionLabel } from '../utils/marketGroups';
 
-const EnhancedTrendAnalysis = ({ data, selectedMarket, selectedMonth, availableMarkets, availableMonths }) => {
+const EnhancedTrendAnalysis = ({ data, crossData, selectedMarket, selectedMonth, availableMarkets, availableMonths, modelLevel }) => {
   const [lastUpdated, setLastUpdated] = useState(new Date());
   const [activePhase, setActivePhase] = useState('phase1'); // 'phase1' or 'phase2'
 
@@ -104,7 +105,7 @@ const EnhancedTrendAnalysis = ({ data, selectedMarket, selectedMonth, availableM
           <div className="flex items-center space-x-2">
             <span className="font-medium text-gray-700">Market:</span>
             <span className="px-2 py-1 bg-blue-100 text-blue-800 rounded-md">
-              {selectedMarket === 'all' ? 'All Markets' : selectedMarket}
+              {getSelectionLabel(selectedMarket)}
             </span>
           </div>
           <div className="flex items-center space-x-2">
@@ -189,8 +190,10 @@ const EnhancedTrendAnalysis = ({ data, selectedMarket, selectedMonth, availableM
             <div className="xl:col-span-2">
               <PerformanceDistributionComponents 
                 data={data} 
+                crossData={crossData}
                 availableMarkets={availableMarkets}
                 availableMonths={availableMonths}
+                modelLevel={modelLevel}
               />
             </div>
             <div className="xl:col-span-1">
@@ -0,0 +1,76 @@
+import React, { useState, useEffect } from 'react';
+import { History, RotateCcw, Loader2 } from 'lucide-react';
+import { getFileRevisions } from '../utils/fileRevisions.js';
+
+const FileRevisionHistory = ({ filename, activeRevision, onRollback, isRollingBack }) => {
+  const [revisions, setRevisions] = useState(null);
+
+  useEffect(() => {
+    getFileRevisions(filename)
+      .then(setRevisions)
+      .catch(() => setRevisions([]));
+  }, [filename, activeRevision]);
+
+  if (!revisions) {
+    return (
+      <div className="mt-4 flex items-center text-sm text-gray-500">
+        <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+        Loading revisions...
+      </div>
+    );
+  }
+
+  if (revisions.length === 0) {
+    return <p className="mt-4 text-sm text-gray-500">No revision history recorded for this file</p>;
+  }
+
+  return (
+    <div className="mt-4 border-t border-gray-100 pt-4">
+      <h5 className="text-sm font-medium text-gray-900 mb-2 flex items-center">
+        <History className="h-4 w-4 mr-2 text-bmw-600" />
+        Revisions
+      </h5>
+      <table className="min-w-full text-xs">
+        <thead>
+          <tr className="text-left text-gray-500">
+            <th className="py-1 pr-3 font-medium">Revision</th>
+            <th className="py-1 pr-3 font-medium">Uploaded</th>
+            <th className="py-1 pr-3 font-medium">By</th>
+            <th className="py-1 pr-3 font-medium">Size</th>
+            <th className="py-1 pr-3 font-medium">Checksum</th>
+            <th className="py-1" />
+          </tr>
+        </thead>
+        <tbody className="text-gray-700">
+          {revisions.map(revision => (
+            <tr key={revision.id} className="border-t border-gray-50">
+              <td className="py-1 pr-3 font-medium">r{revision.revision}</td>
+              <td className="py-1 pr-3">{new Date(revision.uploaded_at).toLocaleString()}</td>
+              <td className="py-1 pr-3">{revision.uploaded_by || 'unknown'}</td>
+              <td className="py-1 pr-3">{revision.file_size} bytes</td>
+              <td className="py-1 pr-3 font-mono" title={revision.checksum || ''}>
+                {revision.checksum ? revision.checksum.slice(0, 12) : 'n/a'}
+              </td>
+              <td className="py-1 text-right">
+                {revision.revision === activeRevision ? (
+                  <span className="badge badge-success">Active</span>
+                ) : (
+                  <button
+                    onClick={() => onRollback(filename, revision.revision)}
+                    disabled={isRollingBack}
+                    className="inline-flex items-center text-bmw-600 hover:text-bmw-800 disabled:opacity-50"
+                  >
+                    <RotateCcw className="h-3 w-3 mr-1" />
+                    Make active
+                  </button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default FileRevisionHistory;
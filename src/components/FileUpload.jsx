@@ -1,5 +1,6 @@
 import React, { useState, useRef, useCallback, useEffect } from 'react';
 import { Upload, Trash2, FileText, RefreshCw, Loader2, CheckCircle, XCircle, AlertCircle } from 'lucide-react';
+import { DIMENSION_FIELDS } from '../utils/recordSchema.js';
 import { uploadFileToSupabase, getUploadedFiles, processCSVFileFromSupabase, processAllCSVsFromSupabase, deleteFileFromSupabase, clearAllDataFromSupabase } from '../utils/supabaseCsvProcessor.js';
 
 const FileUpload = ({ onDataUpdate, onError, onClearAll, onMetadataUpdate }) => {
@@ -10,7 +11,7 @@ const FileUpload = ({ onDataUpdate, onError, onClearAll, onMetadataUpdate }) =>
 
   // Expected columns for BMW data (matching actual CSV structure)
   const expectedColumns = [
-    'Country', 'Campaign Type', 'Channel Type', 'Channel Name', 'Phase', 'Model',
+    'Country', ...DIMENSION_FIELDS,
     'Media Cost', 'Impressions', 'CPM', 'Clicks', 'CTR', 'CPC', 'IV', 'CP IV',
     'Entry Rate', 'NVWR', 'CP NVWR', 'CVR', 'DCS (pre) Order', 'CP DCS (pre) Order',
     'Meta_Leads', 'Cp lead Forms'
@@ -41,7 +42,7 @@ const FileUpload = ({ onDataUpdate, onError, onClearAll, onMetadataUpdate }) =>
     }
   };
 
-  const processFile = async (file) => {
+  const processFile = useCallback(async (file) => {
     try {
       console.log(`🔄 Processing file: ${file.name}`);
       
@@ -93,7 +94,7 @@ const FileUpload = ({ onDataUpdate, onError, onClearAll, onMetadataUpdate }) =>
       processingFiles.delete(file.name);
       setProcessingFiles(new Set(processingFiles));
     }
-  };
+  }, [processingFiles, uploadedFiles, onDataUpdate, onMetadataUpdate]);
 
   const handleFiles = useCallback(async (files) => {
     const csvFiles = Array.from(files).filter(file => 
@@ -0,0 +1,98 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Coins, Upload, Loader2 } from 'lucide-react';
+import { parseFxRatesCSV, getFxRates, saveFxRates } from '../utils/fxRates.js';
+import { BASE_CURRENCY } from '../utils/currency.js';
+
+const FxRatesManager = ({ onRatesChange }) => {
+  const [rates, setRates] = useState([]);
+  const [uploadResult, setUploadResult] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const loadRates = async () => {
+    setRates(await getFxRates());
+  };
+
+  useEffect(() => {
+    loadRates();
+  }, []);
+
+  const handleUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const { rates: parsedRates, errors } = parseFxRatesCSV(await file.text());
+    setIsSaving(true);
+    try {
+      if (parsedRates.length > 0) {
+        await saveFxRates(parsedRates, file.name);
+        await loadRates();
+        if (onRatesChange) {
+          onRatesChange();
+        }
+      }
+      setUploadResult({ saved: parsedRates.length, errors });
+    } catch (error) {
+      console.error('❌ Error saving FX rates:', error);
+      setUploadResult({ saved: 0, errors: [error.message] });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // Months covered per currency
+  const coverage = Object.entries(rates.reduce((byCurrency, rate) => {
+    const period = `${rate.year}-${rate.month.toString().padStart(2, '0')}`;
+    (byCurrency[rate.currency] = byCurrency[rate.currency] || []).push(period);
+    return byCurrency;
+  }, {}));
+
+  return (
+    <div className="mt-8 bg-white border border-gray-200 rounded-xl p-6 shadow-soft">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+          <Coins className="h-5 w-5 mr-2 text-bmw-600" />
+          FX Rates
+        </h3>
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          disabled={isSaving}
+          className="btn-secondary flex items-center gap-2"
+        >
+          {isSaving ? <Loader2 className="h-4 w-4 animate-spin" /> : <Upload className="h-4 w-4" />}
+          Upload FX rates
+        </button>
+        <input ref={fileInputRef} type="file" accept=".csv" onChange={handleUpload} className="hidden" />
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        CSV with Currency, Period (YYYY-MM) and Rate to EUR columns: the value of one unit of the currency in EUR for that month. Months without a rate use the latest earlier one; each market's currency is set in the market registry.
+      </p>
+
+      {uploadResult && (
+        <div className={`mb-4 text-sm rounded-lg p-3 ${uploadResult.errors.length > 0 ? 'bg-yellow-50 text-yellow-800' : 'bg-green-50 text-green-800'}`}>
+          <p>Saved {uploadResult.saved} rates{uploadResult.errors.length > 0 ? `, skipped ${uploadResult.errors.length} rows` : ''}</p>
+          {uploadResult.errors.slice(0, 5).map(error => <p key={error} className="text-xs">{error}</p>)}
+        </div>
+      )}
+
+      <h4 className="text-sm font-medium text-gray-700 mb-2">Stored rates</h4>
+      {coverage.length === 0 ? (
+        <p className="text-sm text-gray-500">No FX rates stored yet; costs are only comparable across {BASE_CURRENCY} markets</p>
+      ) : (
+        <table className="min-w-full text-sm">
+          <tbody className="text-gray-700">
+            {coverage.map(([currency, periods]) => (
+              <tr key={currency} className="border-t border-gray-50">
+                <td className="py-1 pr-3 font-medium">{currency}</td>
+                <td className="py-1">{periods.length} months ({periods[0]} – {periods[periods.length - 1]})</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default FxRatesManager;
@@ -1,7 +1,11 @@
 import React, { useMemo } from 'react';
 import { Lightbulb, TrendingUp, TrendingDown, Target, DollarSign, AlertTriangle, CheckCircle, Award } from 'lucide-react';
+import { getMetric, getPeriod, getDimensionValue, selectRowsForField } from '../utils/recordSchema.js';
+import { getCurrencySymbol } from '../utils/currency.js';
+import { useReportingCurrency } from '../hooks/useReportingCurrency';
 
 const IntelligenceLayer = ({ data }) => {
+  const currency = useReportingCurrency();
   const insights = useMemo(() => {
     if (!data || data.length === 0) return [];
 
@@ -13,13 +17,11 @@ const IntelligenceLayer = ({ data }) => {
       const modelData = {};
       const monthlyData = {};
 
-      data.forEach(row => {
-        const channelName = row['Channel_Name'] || row['channel_name'] || 'Unknown';
-        const channelType = row['Channel_Type'] || row['channel_type'] || 'Other';
-        const model = row['Model'] || row['model'] || 'Unknown';
-        const monthKey = `${row.year}-${row.month.toString().padStart(2, '0')}`;
+      // Each breakdown reads the dimension file that carries its column
+      selectRowsForField(data, 'Channel Name').forEach(row => {
+        const channelName = getDimensionValue(row, 'Channel Name') || 'Unknown';
+        const channelType = getDimensionValue(row, 'Channel Type') || 'Other';
 
-        // Channel data
         if (!channelData[channelName]) {
           channelData[channelName] = {
             channelName,
@@ -31,13 +33,16 @@ const IntelligenceLayer = ({ data }) => {
             iv: 0
           };
         }
-        channelData[channelName].spend += parseFloat(row['Media Cost'] || row['media_cost'] || row['spend'] || 0) || 0;
-        channelData[channelName].nvwr += parseFloat(row['NVWR'] || row['nvwr'] || 0) || 0;
-        channelData[channelName].impressions += parseFloat(row['Impressions'] || row['impressions'] || 0) || 0;
-        channelData[channelName].clicks += parseFloat(row['Clicks'] || row['clicks'] || 0) || 0;
-        channelData[channelName].iv += parseFloat(row['IV'] || row['iv'] || 0) || 0;
+        channelData[channelName].spend += getMetric(row, 'Media Cost');
+        channelData[channelName].nvwr += getMetric(row, 'NVWR');
+        channelData[channelName].impressions += getMetric(row, 'Impressions');
+        channelData[channelName].clicks += getMetric(row, 'Clicks');
+        channelData[channelName].iv += getMetric(row, 'IV');
+      });
+
+      selectRowsForField(data, 'Model').forEach(row => {
+        const model = getDimensionValue(row, 'Model') || 'Unknown';
 
-        // Model data
         if (!modelData[model]) {
           modelData[model] = {
             model,
@@ -48,13 +53,16 @@ const IntelligenceLayer = ({ data }) => {
             iv: 0
           };
         }
-        modelData[model].spend += parseFloat(row['Media Cost'] || row['media_cost'] || row['spend'] || 0) || 0;
-        modelData[model].nvwr += parseFloat(row['NVWR'] || row['nvwr'] || 0) || 0;
-        modelData[model].impressions += parseFloat(row['Impressions'] || row['impressions'] || 0) || 0;
-        modelData[model].clicks += parseFloat(row['Clicks'] || row['clicks'] || 0) || 0;
-        modelData[model].iv += parseFloat(row['IV'] || row['iv'] || 0) || 0;
+        modelData[model].spend += getMetric(row, 'Media Cost');
+        modelData[model].nvwr += getMetric(row, 'NVWR');
+        modelData[model].impressions += getMetric(row, 'Impressions');
+        modelData[model].clicks += getMetric(row, 'Clicks');
+        modelData[model].iv += getMetric(row, 'IV');
+      });
+
+      selectRowsForField(data).forEach(row => {
+        const monthKey = getPeriod(row);
 
-        // Monthly data
         if (!monthlyData[monthKey]) {
           monthlyData[monthKey] = {
             month: monthKey,
@@ -65,11 +73,11 @@ const IntelligenceLayer = ({ data }) => {
             iv: 0
           };
         }
-        monthlyData[monthKey].spend += parseFloat(row['Media Cost'] || row['media_cost'] || row['spend'] || 0) || 0;
-        monthlyData[monthKey].nvwr += parseFloat(row['NVWR'] || row['nvwr'] || 0) || 0;
-        monthlyData[monthKey].impressions += parseFloat(row['Impressions'] || row['impressions'] || 0) || 0;
-        monthlyData[monthKey].clicks += parseFloat(row['Clicks'] || row['clicks'] || 0) || 0;
-        monthlyData[monthKey].iv += parseFloat(row['IV'] || row['iv'] || 0) || 0;
+        monthlyData[monthKey].spend += getMetric(row, 'Media Cost');
+        monthlyData[monthKey].nvwr += getMetric(row, 'NVWR');
+        monthlyData[monthKey].impressions += getMetric(row, 'Impressions');
+        monthlyData[monthKey].clicks += getMetric(row, 'Clicks');
+        monthlyData[monthKey].iv += getMetric(row, 'IV');
       });
 
       // Calculate metrics
@@ -135,7 +143,7 @@ const IntelligenceLayer = ({ data }) => {
         insights.push({
           type: 'success',
           title: `${bestModel.model} is the top performer with ${bestModel.roi.toFixed(1)}% ROI`,
-          description: `This model generates ${bestModel.nvwr.toLocaleString()} NVWR with €${bestModel.spend.toLocaleString()} spend`,
+          description: `This model generates ${bestModel.nvwr.toLocaleString()} NVWR with ${getCurrencySymbol(currency)}${bestModel.spend.toLocaleString()} spend`,
           recommendation: 'Consider increasing marketing focus on this high-performing model',
           confidence: 90,
           icon: Award,
@@ -167,8 +175,8 @@ const IntelligenceLayer = ({ data }) => {
         
         insights.push({
           type: 'opportunity',
-          title: `Potential savings of €${potentialSavings.toLocaleString()} from ${mostExpensive.channelName} optimization`,
-          description: `This channel costs €${mostExpensive.cp_nvwr.toFixed(2)} per NVWR vs average of €${avgCPNvwr.toFixed(2)}`,
+          title: `Potential savings of ${getCurrencySymbol(currency)}${potentialSavings.toLocaleString()} from ${mostExpensive.channelName} optimization`,
+          description: `This channel costs ${getCurrencySymbol(currency)}${mostExpensive.cp_nvwr.toFixed(2)} per NVWR vs average of ${getCurrencySymbol(currency)}${avgCPNvwr.toFixed(2)}`,
           recommendation: 'Optimize this channel to reduce cost per conversion',
           confidence: 85,
           icon: DollarSign,
@@ -231,7 +239,7 @@ const IntelligenceLayer = ({ data }) => {
       console.error('Error generating insights:', error);
       return [];
     }
-  }, [data]);
+  }, [data, currency]);
 
   const getInsightIcon = (insight) => {
     const Icon = insight.icon;
@@ -0,0 +1,119 @@
+import React, { useState, useEffect } from 'react';
+import { Activity, Loader2, TrendingUp, TrendingDown } from 'lucide-react';
+import { getKPIAnomalies } from '../utils/kpiAnomalies';
+import { getAnomalyMetricLabel, ANOMALY_SEVERITIES } from '../utils/anomalyDetection';
+import { getDimensionLabel } from '../utils/dimensionRegistry';
+import { getSelectionMarkets } from '../utils/marketGroups';
+
+// Anomalies listed before the rest are collapsed
+const VISIBLE_ANOMALIES = 8;
+
+const SEVERITY_STYLES = {
+  high: 'bg-red-100 text-red-800',
+  medium: 'bg-orange-100 text-orange-800',
+  low: 'bg-yellow-100 text-yellow-800'
+};
+
+const IMPACT_STYLES = {
+  adverse: 'text-red-600',
+  favourable: 'text-green-600'
+};
+
+const KPIAnomalies = ({ selectedMarket, period, dataVersion, isPinned = false, getMarketDisplayName }) => {
+  const [anomalies, setAnomalies] = useState(null);
+  const [severityFilter, setSeverityFilter] = useState('all');
+  const [showAll, setShowAll] = useState(false);
+
+  // Anomalies are detected while files are processed; reload them with the processed data
+  useEffect(() => {
+    if (!period) return undefined;
+    let isCurrent = true;
+    setAnomalies(null);
+    getKPIAnomalies({ markets: getSelectionMarkets(selectedMarket), period })
+      .then(loaded => { if (isCurrent) setAnomalies(loaded); })
+      .catch(error => {
+        console.warn('⚠️ Could not load KPI anomalies:', error.message);
+        if (isCurrent) setAnomalies([]);
+      });
+    return () => { isCurrent = false; };
+  }, [selectedMarket, period, dataVersion]);
+
+  const filtered = (anomalies || []).filter(anomaly => severityFilter === 'all' || anomaly.severity === severityFilter);
+  const visible = showAll ? filtered : filtered.slice(0, VISIBLE_ANOMALIES);
+  const counts = Object.fromEntries(ANOMALY_SEVERITIES.map(({ severity }) =>
+    [severity, (anomalies || []).filter(anomaly => anomaly.severity === severity).length]));
+
+  return (
+    <div className="bg-white rounded-xl shadow-soft p-6 border border-gray-200 mb-8">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center">
+          <Activity className="h-5 w-5 text-bmw-600 mr-2" />
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">KPI Anomalies{period ? ` – ${period}` : ''}</h3>
+            <p className="text-xs text-gray-500">Months far from the series' own history (robust z-score against the median of the previous months)</p>
+            {isPinned && (
+              <p className="text-xs text-yellow-700">Detected by the latest processing, not the pinned run</p>
+            )}
+          </div>
+        </div>
+        {anomalies && anomalies.length > 0 && (
+          <select
+            value={severityFilter}
+            onChange={(e) => { setSeverityFilter(e.target.value); setShowAll(false); }}
+            className="text-sm border border-gray-300 rounded-md px-2 py-1"
+          >
+            <option value="all">All severities ({anomalies.length})</option>
+            {ANOMALY_SEVERITIES.map(({ severity }) => (
+              <option key={severity} value={severity}>{severity} ({counts[severity]})</option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {anomalies === null ? (
+        <div className="flex justify-center items-center py-6 text-gray-500">
+          <Loader2 className="h-5 w-5 mr-2 animate-spin text-bmw-600" />
+          Loading anomalies...
+        </div>
+      ) : filtered.length === 0 ? (
+        <div className="text-center text-sm text-gray-500 py-6">
+          No KPI anomalies for this selection
+        </div>
+      ) : (
+        <div className="space-y-2">
+          {visible.map(anomaly => {
+            const DirectionIcon = anomaly.direction === 'up' ? TrendingUp : TrendingDown;
+            return (
+              <div key={anomaly.id} className="flex items-start p-3 rounded-lg border border-gray-200 hover:bg-gray-50">
+                <span className={`px-2 py-0.5 rounded text-xs font-medium mr-3 mt-0.5 ${SEVERITY_STYLES[anomaly.severity]}`}>
+                  {anomaly.severity}
+                </span>
+                <DirectionIcon className={`h-4 w-4 mr-2 mt-0.5 flex-shrink-0 ${IMPACT_STYLES[anomaly.impact] || 'text-gray-500'}`} />
+                <div className="flex-1 min-w-0">
+                  <div className="text-sm font-medium text-gray-900">
+                    {getMarketDisplayName ? getMarketDisplayName(anomaly.market_code) : anomaly.market_code}
+                    {' · '}{getAnomalyMetricLabel(anomaly.metric)}
+                    {anomaly.dimension !== 'All' && (
+                      <span className="text-gray-500 font-normal"> · {getDimensionLabel(anomaly.dimension)}: {anomaly.dimension_value}</span>
+                    )}
+                  </div>
+                  <div className="text-xs text-gray-600 mt-0.5">{anomaly.explanation}</div>
+                </div>
+              </div>
+            );
+          })}
+          {filtered.length > VISIBLE_ANOMALIES && (
+            <button
+              onClick={() => setShowAll(!showAll)}
+              className="text-sm text-bmw-600 hover:text-bmw-700 font-medium"
+            >
+              {showAll ? 'Show fewer' : `Show all ${filtered.length} anomalies`}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default KPIAnomalies;
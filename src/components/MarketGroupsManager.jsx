@@ -0,0 +1,191 @@
+import React, { useState } from 'react';
+import { Layers, Plus, Pencil, Trash2, Loader2 } from 'lucide-react';
+import { getMarketGroups, saveMarketGroup, deleteMarketGroup } from '../utils/marketGroups.js';
+import { getMarkets } from '../utils/marketRegistry.js';
+import { processMarketGroupHistory } from '../utils/autoGroupProcessor.js';
+
+const EMPTY_GROUP = { code: '', name: '', markets: [], is_active: true };
+
+// Form for adding or editing one market group
+const MarketGroupForm = ({ group, isNew, isSaving, onSave, onCancel }) => {
+  const [form, setForm] = useState(group);
+  const update = (field, value) => setForm(current => ({ ...current, [field]: value }));
+  const toggleMarket = (code) => update('markets', form.markets.includes(code)
+    ? form.markets.filter(market => market !== code)
+    : [...form.markets, code]);
+
+  const inputClass = 'border border-gray-300 rounded px-2 py-1 text-sm w-full';
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-4">
+      <div className="grid grid-cols-2 gap-3 mb-3">
+        <label className="text-xs text-gray-600">
+          Code
+          <input value={form.code} onChange={(e) => update('code', e.target.value.toUpperCase())} disabled={!isNew} maxLength={10} className={inputClass} />
+        </label>
+        <label className="text-xs text-gray-600">
+          Name
+          <input value={form.name} onChange={(e) => update('name', e.target.value)} className={inputClass} />
+        </label>
+      </div>
+      <div className="flex flex-wrap items-center gap-4 mb-3 text-sm text-gray-700">
+        <span className="text-xs text-gray-600">Markets:</span>
+        {getMarkets().map(market => (
+          <label key={market.code} className="flex items-center gap-1" title={market.display_name}>
+            <input type="checkbox" checked={form.markets.includes(market.code)} onChange={() => toggleMarket(market.code)} />
+            {market.code}
+          </label>
+        ))}
+        <label className="flex items-center gap-1 ml-auto">
+          <input type="checkbox" checked={form.is_active} onChange={(e) => update('is_active', e.target.checked)} />
+          Active
+        </label>
+      </div>
+      <div className="flex justify-end gap-2">
+        <button onClick={onCancel} disabled={isSaving} className="btn-secondary">Cancel</button>
+        <button onClick={() => onSave(form)} disabled={isSaving || !form.code} className="btn-primary flex items-center gap-2">
+          {isSaving && <Loader2 className="h-4 w-4 animate-spin" />}
+          Save
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const MarketGroupsManager = ({ onGroupsChange }) => {
+  const [groups, setGroups] = useState(getMarketGroups);
+  const [editing, setEditing] = useState(null); // { group, isNew }
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Saving rolls the group's history up again, since its members may have changed
+  const handleSave = async (group) => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      const savedGroups = await saveMarketGroup(group);
+      const savedGroup = savedGroups.find(saved => saved.code === group.code.trim().toUpperCase());
+      if (savedGroup?.is_active) {
+        const result = await processMarketGroupHistory(null, { groups: [savedGroup] });
+        if (!result.success) {
+          console.warn('⚠️ Market group history could not be rolled up:', result.error);
+        }
+      }
+      setGroups(savedGroups);
+      setEditing(null);
+      if (onGroupsChange) {
+        onGroupsChange();
+      }
+    } catch (saveError) {
+      console.error('❌ Error saving market group:', saveError);
+      setError(saveError.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (group) => {
+    if (!window.confirm(`Delete market group ${group.name} and its rolled-up history?`)) return;
+
+    setIsSaving(true);
+    setError(null);
+    try {
+      setGroups(await deleteMarketGroup(group.code));
+      if (onGroupsChange) {
+        onGroupsChange();
+      }
+    } catch (deleteError) {
+      console.error('❌ Error deleting market group:', deleteError);
+      setError(deleteError.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="mt-8 bg-white border border-gray-200 rounded-xl p-6 shadow-soft">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+          <Layers className="h-5 w-5 mr-2 text-bmw-600" />
+          Market Groups
+        </h3>
+        <button
+          onClick={() => setEditing({ group: EMPTY_GROUP, isNew: true })}
+          disabled={!!editing || isSaving}
+          className="btn-secondary flex items-center gap-2"
+        >
+          <Plus className="h-4 w-4" />
+          Add group
+        </button>
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        Active groups can be selected on the dashboard like a market. Their KPIs, compliance and data quality are rolled up from the member markets; group spend history is kept in EUR.
+      </p>
+
+      {error && <p className="text-sm text-red-700 mb-3">{error}</p>}
+
+      {editing && (
+        <MarketGroupForm
+          key={editing.group.code || 'new'}
+          group={editing.group}
+          isNew={editing.isNew}
+          isSaving={isSaving}
+          onSave={handleSave}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+
+      {groups.length === 0 ? (
+        <p className="text-sm text-gray-500">No market groups configured.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                <th className="py-2 pr-3">Code</th>
+                <th className="py-2 pr-3">Name</th>
+                <th className="py-2 pr-3">Markets</th>
+                <th className="py-2 pr-3">Status</th>
+                <th className="py-2" />
+              </tr>
+            </thead>
+            <tbody className="text-gray-700">
+              {groups.map(group => (
+                <tr key={group.code} className="border-t border-gray-50">
+                  <td className="py-1 pr-3 font-medium">{group.code}</td>
+                  <td className="py-1 pr-3">{group.name}</td>
+                  <td className="py-1 pr-3">{group.markets.join(', ')}</td>
+                  <td className="py-1 pr-3">
+                    <span className={`badge ${group.is_active ? 'badge-success' : 'badge-warning'}`}>
+                      {group.is_active ? 'Active' : 'Inactive'}
+                    </span>
+                  </td>
+                  <td className="py-1 text-right whitespace-nowrap">
+                    <button
+                      onClick={() => setEditing({ group, isNew: false })}
+                      disabled={!!editing || isSaving}
+                      className="text-bmw-600 hover:text-bmw-800 mr-2"
+                      title={`Edit ${group.code}`}
+                    >
+                      <Pencil className="h-4 w-4" />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(group)}
+                      disabled={!!editing || isSaving}
+                      className="text-red-600 hover:text-red-800"
+                      title={`Delete ${group.code}`}
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MarketGroupsManager;
@@ -15,8 +15,11 @@ import {
   getPerformanceColor, 
   BMW_COLORS 
 } from '../utils/trendAnalysisDataProcessor';
+import { getMarketDisplayName } from '../utils/marketRegistry';
+import { useReportingCurrency } from '../hooks/useReportingCurrency';
 
 const MarketPerformanceHeatmap = ({ data, availableMonths }) => {
+  const currency = useReportingCurrency();
   const [selectedMonth, setSelectedMonth] = useState('latest');
   const [sortBy, setSortBy] = useState('performance_score');
   const [sortDirection, setSortDirection] = useState('desc');
@@ -45,23 +48,6 @@ const MarketPerformanceHeatmap = ({ data, availableMonths }) => {
     }
   }, [data, selectedMonth, sortBy, sortDirection]);
 
-  // Get market display names
-  const getMarketDisplayName = (marketCode) => {
-    const marketNames = {
-      'BE': 'Belgium',
-      'FR': 'France',
-      'DE': 'Germany',
-      'IT': 'Italy',
-      'ES': 'Spain',
-      'NL': 'Netherlands',
-      'UK': 'United Kingdom',
-      'CS': 'Central Southern Europe',
-      'NE': 'Nordics',
-      'PT': 'Portugal'
-    };
-    return marketNames[marketCode] || marketCode;
-  };
-
   // Get cell color based on percentile
   const getCellColor = (percentile, metric) => {
     if (metric === 'cost_per_nvwr') {
@@ -231,7 +217,7 @@ const MarketPerformanceHeatmap = ({ data, availableMonths }) => {
                             style={{ backgroundColor: cellColor }}
                             title={`${getRankText(rank, heatmapData.length)} best ${metric.label}`}
                           >
-                            {formatValue(value, metric.format)}
+                            {formatValue(value, metric.format, { currency })}
                           </div>
                           <div className="text-xs text-gray-500 mt-1">
                             {getRankText(rank, heatmapData.length)}
@@ -0,0 +1,169 @@
+import React, { useState } from 'react';
+import { Globe, Plus, Pencil, Loader2 } from 'lucide-react';
+import { getMarkets, saveMarket, ALL_DIMENSIONS } from '../utils/marketRegistry.js';
+import { BASE_CURRENCY } from '../utils/currency.js';
+
+const EMPTY_MARKET = { code: '', display_name: '', region: '', currency: BASE_CURRENCY, language: '', is_active: true, expected_dimensions: ALL_DIMENSIONS };
+
+// Form for adding or editing one market
+const MarketForm = ({ market, isNew, isSaving, onSave, onCancel }) => {
+  const [form, setForm] = useState({ ...market, expected_dimensions: market.expected_dimensions || ALL_DIMENSIONS });
+  const update = (field, value) => setForm(current => ({ ...current, [field]: value }));
+  const toggleDimension = (dimension) => update('expected_dimensions', form.expected_dimensions.includes(dimension)
+    ? form.expected_dimensions.filter(expected => expected !== dimension)
+    : [...form.expected_dimensions, dimension]);
+
+  const inputClass = 'border border-gray-300 rounded px-2 py-1 text-sm w-full';
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-4">
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-3">
+        <label className="text-xs text-gray-600">
+          Code
+          <input value={form.code} onChange={(e) => update('code', e.target.value.toUpperCase())} disabled={!isNew} maxLength={2} className={inputClass} />
+        </label>
+        <label className="text-xs text-gray-600">
+          Display name
+          <input value={form.display_name} onChange={(e) => update('display_name', e.target.value)} className={inputClass} />
+        </label>
+        <label className="text-xs text-gray-600">
+          Region
+          <input value={form.region || ''} onChange={(e) => update('region', e.target.value)} className={inputClass} />
+        </label>
+        <label className="text-xs text-gray-600">
+          Currency
+          <input value={form.currency} onChange={(e) => update('currency', e.target.value.toUpperCase())} maxLength={3} className={inputClass} />
+        </label>
+        <label className="text-xs text-gray-600">
+          Language
+          <input value={form.language || ''} onChange={(e) => update('language', e.target.value)} className={inputClass} />
+        </label>
+      </div>
+      <div className="flex flex-wrap items-center gap-4 mb-3 text-sm text-gray-700">
+        <span className="text-xs text-gray-600">Expected dimensions:</span>
+        {ALL_DIMENSIONS.map(dimension => (
+          <label key={dimension} className="flex items-center gap-1">
+            <input type="checkbox" checked={form.expected_dimensions.includes(dimension)} onChange={() => toggleDimension(dimension)} />
+            {dimension}
+          </label>
+        ))}
+        <label className="flex items-center gap-1 ml-auto">
+          <input type="checkbox" checked={form.is_active} onChange={(e) => update('is_active', e.target.checked)} />
+          Active
+        </label>
+      </div>
+      <div className="flex justify-end gap-2">
+        <button onClick={onCancel} disabled={isSaving} className="btn-secondary">Cancel</button>
+        <button onClick={() => onSave(form)} disabled={isSaving || !form.code} className="btn-primary flex items-center gap-2">
+          {isSaving && <Loader2 className="h-4 w-4 animate-spin" />}
+          Save
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const MarketRegistryManager = ({ onRegistryChange }) => {
+  const [markets, setMarkets] = useState(getMarkets);
+  const [editing, setEditing] = useState(null); // { market, isNew }
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSave = async (market) => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      setMarkets(await saveMarket(market));
+      setEditing(null);
+      if (onRegistryChange) {
+        onRegistryChange();
+      }
+    } catch (saveError) {
+      console.error('❌ Error saving market:', saveError);
+      setError(saveError.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="mt-8 bg-white border border-gray-200 rounded-xl p-6 shadow-soft">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+          <Globe className="h-5 w-5 mr-2 text-bmw-600" />
+          Markets
+        </h3>
+        <button
+          onClick={() => setEditing({ market: EMPTY_MARKET, isNew: true })}
+          disabled={!!editing}
+          className="btn-secondary flex items-center gap-2"
+        >
+          <Plus className="h-4 w-4" />
+          Add market
+        </button>
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        Files are only accepted for registered markets. Inactive markets are hidden from the market selectors; a market-month is complete once it has every expected dimension.
+      </p>
+
+      {error && <p className="text-sm text-red-700 mb-3">{error}</p>}
+
+      {editing && (
+        <MarketForm
+          key={editing.market.code || 'new'}
+          market={editing.market}
+          isNew={editing.isNew}
+          isSaving={isSaving}
+          onSave={handleSave}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+              <th className="py-2 pr-3">Code</th>
+              <th className="py-2 pr-3">Name</th>
+              <th className="py-2 pr-3">Region</th>
+              <th className="py-2 pr-3">Currency</th>
+              <th className="py-2 pr-3">Language</th>
+              <th className="py-2 pr-3">Expected dimensions</th>
+              <th className="py-2 pr-3">Status</th>
+              <th className="py-2" />
+            </tr>
+          </thead>
+          <tbody className="text-gray-700">
+            {markets.map(market => (
+              <tr key={market.code} className="border-t border-gray-50">
+                <td className="py-1 pr-3 font-medium">{market.code}</td>
+                <td className="py-1 pr-3">{market.display_name}</td>
+                <td className="py-1 pr-3">{market.region || '–'}</td>
+                <td className="py-1 pr-3">{market.currency}</td>
+                <td className="py-1 pr-3">{market.language || '–'}</td>
+                <td className="py-1 pr-3">{market.expected_dimensions?.length ? market.expected_dimensions.join(', ') : 'All'}</td>
+                <td className="py-1 pr-3">
+                  <span className={`badge ${market.is_active ? 'badge-success' : 'badge-warning'}`}>
+                    {market.is_active ? 'Active' : 'Inactive'}
+                  </span>
+                </td>
+                <td className="py-1 text-right">
+                  <button
+                    onClick={() => setEditing({ market, isNew: false })}
+                    disabled={!!editing}
+                    className="text-bmw-600 hover:text-bmw-800"
+                    title={`Edit ${market.code}`}
+                  >
+                    <Pencil className="h-4 w-4" />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default MarketRegistryManager;
@@ -0,0 +1,236 @@
+import React, { useState } from 'react';
+import { Bike, Plus, Pencil, Trash2, Loader2, Search } from 'lucide-react';
+import { saveModelEntry, deleteModelEntry } from '../utils/modelHierarchyStore.js';
+import { getModelHierarchy, resolveModel, parseModelValue } from '../utils/modelHierarchy.js';
+import { queryFacts } from '../utils/factTable.js';
+import { getDimensionValue } from '../utils/recordSchema.js';
+
+const EMPTY_ENTRY = { model_code: '', model: '', family: '', segment: '', is_model: true };
+
+// Form for adding or editing one hierarchy entry
+const ModelEntryForm = ({ entry, isNew, isSaving, onSave, onCancel }) => {
+  const [form, setForm] = useState(entry);
+  const update = (field, value) => setForm(current => ({ ...current, [field]: value }));
+
+  const inputClass = 'border border-gray-300 rounded px-2 py-1 text-sm w-full';
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-4">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-3">
+        <label className="text-xs text-gray-600">
+          Model code
+          <input value={form.model_code} onChange={(e) => update('model_code', e.target.value.toUpperCase())} disabled={!isNew} maxLength={20} className={inputClass} />
+        </label>
+        <label className="text-xs text-gray-600">
+          Model
+          <input value={form.model} onChange={(e) => update('model', e.target.value)} className={inputClass} />
+        </label>
+        <label className="text-xs text-gray-600">
+          Family
+          <input value={form.family} onChange={(e) => update('family', e.target.value)} className={inputClass} />
+        </label>
+        <label className="text-xs text-gray-600">
+          Segment
+          <input value={form.segment} onChange={(e) => update('segment', e.target.value)} className={inputClass} />
+        </label>
+      </div>
+      <div className="flex items-center justify-between">
+        <label className="flex items-center gap-1 text-sm text-gray-700" title="Uncheck for buckets such as Brand or Multi, matched by name">
+          <input type="checkbox" checked={form.is_model} onChange={(e) => update('is_model', e.target.checked)} />
+          Model (not a bucket)
+        </label>
+        <div className="flex gap-2">
+          <button onClick={onCancel} disabled={isSaving} className="btn-secondary">Cancel</button>
+          <button onClick={() => onSave(form)} disabled={isSaving || !form.model_code} className="btn-primary flex items-center gap-2">
+            {isSaving && <Loader2 className="h-4 w-4 animate-spin" />}
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const ModelHierarchyManager = ({ onHierarchyChange }) => {
+  const [entries, setEntries] = useState(getModelHierarchy);
+  const [editing, setEditing] = useState(null); // { entry, isNew }
+  const [unclassified, setUnclassified] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const refresh = (savedEntries) => {
+    setEntries(savedEntries);
+    setUnclassified(current => current && current.filter(value => !resolveModel(value.value).classified));
+    if (onHierarchyChange) {
+      onHierarchyChange();
+    }
+  };
+
+  const handleSave = async (entry) => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      refresh(await saveModelEntry(entry));
+      setEditing(null);
+    } catch (saveError) {
+      console.error('❌ Error saving model:', saveError);
+      setError(saveError.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (entry) => {
+    if (!window.confirm(`Remove ${entry.model} (${entry.model_code}) from the model hierarchy?`)) return;
+
+    setIsSaving(true);
+    setError(null);
+    try {
+      refresh(await deleteModelEntry(entry.model_code));
+    } catch (deleteError) {
+      console.error('❌ Error deleting model:', deleteError);
+      setError(deleteError.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // Model values in the stored records that the hierarchy cannot place
+  const findUnclassified = async () => {
+    setIsSearching(true);
+    setError(null);
+    try {
+      const records = await queryFacts({ dimensions: ['Model'] });
+      const counts = {};
+      records.forEach(record => {
+        const value = getDimensionValue(record, 'Model');
+        if (!resolveModel(value).classified) {
+          counts[value] = (counts[value] || 0) + 1;
+        }
+      });
+      setUnclassified(Object.entries(counts).map(([value, records]) => ({ value, records })).sort((a, b) => b.records - a.records));
+    } catch (searchError) {
+      console.error('❌ Error finding unclassified models:', searchError);
+      setError(searchError.message);
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  const classify = (value) => {
+    const { name, code } = parseModelValue(value);
+    setEditing({ entry: { ...EMPTY_ENTRY, model_code: code || name.toUpperCase(), model: name }, isNew: true });
+  };
+
+  return (
+    <div className="mt-8 bg-white border border-gray-200 rounded-xl p-6 shadow-soft">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+          <Bike className="h-5 w-5 mr-2 text-bmw-600" />
+          Model Hierarchy
+        </h3>
+        <div className="flex items-center gap-2">
+          <button onClick={findUnclassified} disabled={isSearching} className="btn-secondary flex items-center gap-2">
+            {isSearching ? <Loader2 className="h-4 w-4 animate-spin" /> : <Search className="h-4 w-4" />}
+            Find unclassified
+          </button>
+          <button
+            onClick={() => setEditing({ entry: EMPTY_ENTRY, isNew: true })}
+            disabled={!!editing || isSaving}
+            className="btn-secondary flex items-center gap-2"
+          >
+            <Plus className="h-4 w-4" />
+            Add model
+          </button>
+        </div>
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        Model values ("R 1300 GS Adventure (KA2)") are placed by their model code, then by name. Insights, distribution charts and KPI history report models at the level picked on the dashboard; buckets such as Brand and Multi are never reported as a model.
+      </p>
+
+      {error && <p className="text-sm text-red-700 mb-3">{error}</p>}
+
+      {editing && (
+        <ModelEntryForm
+          key={editing.entry.model_code || 'new'}
+          entry={editing.entry}
+          isNew={editing.isNew}
+          isSaving={isSaving}
+          onSave={handleSave}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+
+      {unclassified && (
+        <div className="mb-4 bg-yellow-50 border border-yellow-200 rounded-lg p-3 text-sm text-yellow-800">
+          {unclassified.length === 0 ? (
+            <span>Every stored model value is in the hierarchy.</span>
+          ) : (
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="font-medium">Unclassified:</span>
+              {unclassified.map(({ value, records }) => (
+                <button
+                  key={value}
+                  onClick={() => classify(value)}
+                  disabled={!!editing || isSaving}
+                  className="px-2 py-0.5 bg-white border border-yellow-300 rounded text-xs hover:bg-yellow-100"
+                  title="Add to the hierarchy"
+                >
+                  {value} ({records})
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="overflow-x-auto max-h-96">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+              <th className="py-2 pr-3">Code</th>
+              <th className="py-2 pr-3">Model</th>
+              <th className="py-2 pr-3">Family</th>
+              <th className="py-2 pr-3">Segment</th>
+              <th className="py-2" />
+            </tr>
+          </thead>
+          <tbody className="text-gray-700">
+            {entries.map(entry => (
+              <tr key={entry.model_code} className="border-t border-gray-50">
+                <td className="py-1 pr-3 font-medium">{entry.model_code}</td>
+                <td className="py-1 pr-3">
+                  {entry.model}
+                  {!entry.is_model && <span className="ml-2 badge badge-warning">Bucket</span>}
+                </td>
+                <td className="py-1 pr-3">{entry.family}</td>
+                <td className="py-1 pr-3">{entry.segment}</td>
+                <td className="py-1 text-right whitespace-nowrap">
+                  <button
+                    onClick={() => setEditing({ entry, isNew: false })}
+                    disabled={!!editing || isSaving}
+                    className="text-bmw-600 hover:text-bmw-800 mr-2"
+                    title={`Edit ${entry.model_code}`}
+                  >
+                    <Pencil className="h-4 w-4" />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(entry)}
+                    disabled={!!editing || isSaving}
+                    className="text-red-600 hover:text-red-800"
+                    title={`Remove ${entry.model_code}`}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ModelHierarchyManager;
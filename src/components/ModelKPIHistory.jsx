@@ -0,0 +1,109 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { History } from 'lucide-react';
+import { getKPIHistory, getModelPerformance } from '../utils/kpiHistory';
+import { MODEL_LEVEL_LABELS, DEFAULT_MODEL_LEVEL } from '../utils/modelHierarchy';
+import { isMarketGroup, getSelectionLabel } from '../utils/marketGroups';
+import { getMarketCurrencies } from '../utils/marketRegistry';
+import { formatCurrency, getMarketCurrency, BASE_CURRENCY } from '../utils/currency';
+
+// Most recent months and largest level values shown
+const HISTORY_MONTHS = 6;
+const VISIBLE_VALUES = 10;
+
+const toPeriodKey = (row) => `${row.year}-${row.month.toString().padStart(2, '0')}`;
+
+const ModelKPIHistory = ({ selectedMarket, modelLevel = DEFAULT_MODEL_LEVEL, dataVersion, isPinned = false }) => {
+  const [history, setHistory] = useState(null);
+
+  // KPI history is written while files are processed; reload it with the processed data.
+  // Spend of different currencies cannot be added up, so all markets together have no history.
+  useEffect(() => {
+    if (selectedMarket === 'all') return undefined;
+    let isCurrent = true;
+    setHistory(null);
+    getKPIHistory(selectedMarket)
+      .then(loaded => { if (isCurrent) setHistory(loaded.slice(0, HISTORY_MONTHS).reverse()); });
+    return () => { isCurrent = false; };
+  }, [selectedMarket, dataVersion]);
+
+  // Group history is summed in EUR, a market's in its own currency
+  const currency = isMarketGroup(selectedMarket) ? BASE_CURRENCY : getMarketCurrency(selectedMarket, getMarketCurrencies());
+
+  const { periods, rows } = useMemo(() => {
+    const months = (history || []).map(row => ({ period: toPeriodKey(row), entries: getModelPerformance(row, modelLevel) }));
+    const totals = {};
+    months.forEach(({ entries }) => entries.forEach(entry => {
+      totals[entry.model] = (totals[entry.model] ?? 0) + (entry.spend ?? 0);
+    }));
+
+    return {
+      periods: months.map(({ period }) => period),
+      rows: Object.keys(totals)
+        .sort((a, b) => totals[b] - totals[a])
+        .slice(0, VISIBLE_VALUES)
+        .map(value => ({
+          value,
+          months: months.map(({ entries }) => entries.find(entry => entry.model === value) || null)
+        }))
+    };
+  }, [history, modelLevel]);
+
+  if (selectedMarket === 'all') {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-xl shadow-soft p-6 border border-gray-200 mb-8">
+      <div className="flex items-center mb-4">
+        <History className="h-5 w-5 text-bmw-600 mr-2" />
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">{MODEL_LEVEL_LABELS[modelLevel]} KPI History – {getSelectionLabel(selectedMarket)}</h3>
+          <p className="text-xs text-gray-500">Spend and cost per NVWR by month from the KPI history, in {currency}; history rows are placed by the current model hierarchy</p>
+          {isPinned && (
+            <p className="text-xs text-yellow-700">From the latest processing, not the pinned run</p>
+          )}
+        </div>
+      </div>
+
+      {history === null ? (
+        <p className="text-sm text-gray-500">Loading KPI history...</p>
+      ) : rows.length === 0 ? (
+        <p className="text-sm text-gray-500">No model KPIs in the history yet.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                <th className="py-2 pr-4">{MODEL_LEVEL_LABELS[modelLevel]}</th>
+                {periods.map(period => (
+                  <th key={period} className="py-2 pr-4 text-right">{period}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="text-gray-700">
+              {rows.map(row => (
+                <tr key={row.value} className="border-t border-gray-50">
+                  <td className="py-1 pr-4 font-medium">{row.value}</td>
+                  {row.months.map((entry, index) => (
+                    <td key={periods[index]} className="py-1 pr-4 text-right whitespace-nowrap">
+                      {entry ? (
+                        <>
+                          <div>{entry.spend === null ? 'n/a' : formatCurrency(entry.spend, { decimals: 0, currency })}</div>
+                          <div className="text-xs text-gray-500">
+                            {entry.cost_per_nvwr === null ? 'n/a' : formatCurrency(entry.cost_per_nvwr, { currency })} / NVWR
+                          </div>
+                        </>
+                      ) : '–'}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ModelKPIHistory;
@@ -1,9 +1,14 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import { AlertTriangle, CheckCircle, Clock, TrendingUp, TrendingDown, Circle, ChevronDown, ChevronRight, HelpCircle } from 'lucide-react';
-import { analyzeOnebuilderCompliance, formatCompliancePercentage, formatNumber, formatCurrency, formatMoMChange } from '../utils/onebuilderCompliance';
+import { analyzeOnebuilderCompliance, isUnmappedRow, formatCompliancePercentage, formatNumber, formatCurrency, formatMoMChange } from '../utils/onebuilderCompliance';
+import { getMetric, getMarket, getDimensionValue, isUnmappedValue } from '../utils/recordSchema';
+import { COMPLIANCE_DIMENSIONS } from '../utils/dimensionRegistry';
 import { getComplianceHistory, saveComplianceHistory, extractDataPeriod, getMonthName } from '../utils/complianceHistory';
+import { getActiveMarketGroups } from '../utils/marketGroups';
+import { useReportingCurrency } from '../hooks/useReportingCurrency';
 
-const OnebuilderCompliance = ({ data }) => {
+const OnebuilderCompliance = ({ data, isPinned = false }) => {
+  const currency = useReportingCurrency();
   const [expandedMarkets, setExpandedMarkets] = useState(new Set());
   const [historicalData, setHistoricalData] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -25,16 +30,17 @@ const OnebuilderCompliance = ({ data }) => {
     loadHistoricalData();
   }, []);
 
-  // Save current compliance data to history when data changes
+  // Save current compliance data to history when data changes; a pinned run's snapshot is
+  // not current data, so it is never saved over the history
   useEffect(() => {
     const saveCurrentData = async () => {
-      if (data && data.length > 0 && !loading) {
+      if (data && data.length > 0 && !loading && !isPinned) {
         try {
           const { year, month } = extractDataPeriod(data);
           const monthName = getMonthName(month);
-          const compliance = analyzeOnebuilderCompliance(data, historicalData);
+          const compliance = analyzeOnebuilderCompliance(data, historicalData, { groups: getActiveMarketGroups() });
           
-          await saveComplianceHistory(compliance.marketCompliance, year, month, monthName);
+          await saveComplianceHistory([...compliance.marketCompliance, ...compliance.groupCompliance], year, month, monthName);
         } catch (error) {
           console.error('Error saving compliance history:', error);
         }
@@ -42,14 +48,14 @@ const OnebuilderCompliance = ({ data }) => {
     };
 
     saveCurrentData();
-  }, [data, historicalData, loading]);
+  }, [data, historicalData, loading, isPinned]);
 
   // Only calculate compliance when we have both data and historical data
   const compliance = useMemo(() => {
     if (!data || data.length === 0 || loading) {
       return null;
     }
-    return analyzeOnebuilderCompliance(data, historicalData);
+    return analyzeOnebuilderCompliance(data, historicalData, { groups: getActiveMarketGroups() });
   }, [data, historicalData, loading]);
 
   // Debug: Log the compliance data to see if momChange is present
@@ -101,15 +107,40 @@ const OnebuilderCompliance = ({ data }) => {
     }
   };
 
-  const getUnmappedDataTypes = (market) => {
-    const types = [];
-    if (market.unmappedByField.model > 0) types.push(`Model: ${market.unmappedByField.model}`);
-    if (market.unmappedByField.phase > 0) types.push(`Phase: ${market.unmappedByField.phase}`);
-    if (market.unmappedByField.channelType > 0) types.push(`Channel Type: ${market.unmappedByField.channelType}`);
-    if (market.unmappedByField.channelName > 0) types.push(`Channel Name: ${market.unmappedByField.channelName}`);
-    if (market.unmappedByField.campaignType > 0) types.push(`Campaign Type: ${market.unmappedByField.campaignType}`);
-    return types;
-  };
+  const renderMoMChange = (momChange) => (
+    momChange && momChange.percentage !== null ? (
+      <div className="flex items-center">
+        {momChange.direction === 'up' ? (
+          <TrendingUp className="h-4 w-4 text-green-500 mr-1" />
+        ) : momChange.direction === 'down' ? (
+          <TrendingDown className="h-4 w-4 text-red-500 mr-1" />
+        ) : (
+          <Circle className="h-4 w-4 text-gray-400 mr-1" />
+        )}
+        <span className={`text-sm font-medium ${
+          momChange.direction === 'up' ? 'text-green-600' : 
+          momChange.direction === 'down' ? 'text-red-600' : 'text-gray-600'
+        }`}>
+          {formatMoMChange(momChange).text}
+        </span>
+      </div>
+    ) : (
+      <span className="text-sm text-gray-400">N/A</span>
+    )
+  );
+
+  // Completion once the reclassification rules filled unmapped values (shown when any were)
+  const renderAfterReclassification = (entry) => (
+    entry.reclassifiedRecords > 0 && (
+      <div className="text-xs text-blue-600 mt-1" title="Completion after reclassification rules filled unmapped values">
+        {formatCompliancePercentage(entry.afterReclassification.compliance)} after reclassification
+      </div>
+    )
+  );
+
+  const getUnmappedDataTypes = (market) => COMPLIANCE_DIMENSIONS
+    .filter(entry => market.unmappedByField[entry.complianceKey] > 0)
+    .map(entry => `${entry.label}: ${market.unmappedByField[entry.complianceKey]}`);
 
   const toggleMarketExpansion = (marketCode) => {
     const newExpanded = new Set(expandedMarkets);
@@ -122,15 +153,9 @@ const OnebuilderCompliance = ({ data }) => {
   };
 
   const getUnmappedRecordsForMarket = (market) => {
-    return data.filter(row => 
-      (row.country && row.country.length === 2 ? row.country.toUpperCase() : (row.file_source?.match(/BMW_([A-Z]{2})_/)?[1] : row.country)) === market.marketCode && (
-        !row.Model || row.Model.trim() === '' || row.Model.toLowerCase().includes('not mapped') ||
-        !row.Phase || row.Phase.trim() === '' || row.Phase.toLowerCase().includes('not mapped') ||
-        !row['Channel Type'] || row['Channel Type'].trim() === '' || row['Channel Type'].toLowerCase().includes('not mapped') ||
-        !row['Channel Name'] || row['Channel Name'].trim() === '' || row['Channel Name'].toLowerCase().includes('not mapped') ||
-        !row['Campaign Type'] || row['Campaign Type'].trim() === '' || row['Campaign Type'].toLowerCase().includes('not mapped')
-      )
-    );
+    // Only the column a record's dimension file breaks down by can be unmapped; rows a
+    // reclassification rule filled are listed as delivered
+    return data.filter(row => getMarket(row) === market.marketCode && isUnmappedRow(row));
   };
 
   const Tooltip = ({ children, content }) => {
@@ -177,12 +202,24 @@ const OnebuilderCompliance = ({ data }) => {
           <p className="text-sm text-gray-600 mt-1">
             Market-by-market breakdown of data mapping completion
           </p>
+          {isPinned && (
+            <p className="text-xs text-yellow-700 mt-1">
+              Month-over-month changes compare with the latest compliance history, not the pinned run's
+            </p>
+          )}
         </div>
-        <div className={`px-4 py-2 rounded-full text-sm font-medium border flex items-center ${getStatusColor(compliance.summary.complianceStatus)}`}>
-          {getStatusIcon(compliance.summary.complianceStatus)}
-          <span className="ml-2 font-semibold">
-            {formatCompliancePercentage(compliance.overallCompliance)} Overall
-          </span>
+        <div className="text-right">
+          <div className={`px-4 py-2 rounded-full text-sm font-medium border flex items-center ${getStatusColor(compliance.summary.complianceStatus)}`}>
+            {getStatusIcon(compliance.summary.complianceStatus)}
+            <span className="ml-2 font-semibold">
+              {formatCompliancePercentage(compliance.overallCompliance)} Overall
+            </span>
+          </div>
+          {compliance.summary.reclassifiedRecords > 0 && (
+            <div className="text-xs text-blue-600 mt-1">
+              {formatCompliancePercentage(compliance.overallComplianceAfterReclassification)} after reclassifying {formatNumber(compliance.summary.reclassifiedRecords)} records
+            </div>
+          )}
         </div>
       </div>
 
@@ -206,6 +243,9 @@ const OnebuilderCompliance = ({ data }) => {
           <div className="bg-red-50 rounded-lg p-4 border border-red-200 cursor-help">
             <div className="text-2xl font-bold text-red-600">{formatNumber(compliance.summary.totalUnmapped)}</div>
             <div className="text-sm text-red-600">Unmapped Records</div>
+            {compliance.summary.reclassifiedRecords > 0 && (
+              <div className="text-xs text-blue-600">{formatNumber(compliance.summary.reclassifiedRecords)} reclassified by rules</div>
+            )}
           </div>
         </Tooltip>
         <div className="bg-blue-50 rounded-lg p-4 border border-blue-200">
@@ -255,6 +295,7 @@ const OnebuilderCompliance = ({ data }) => {
                           {formatCompliancePercentage(market.compliance)}
                         </span>
                       </div>
+                      {renderAfterReclassification(market)}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       {/* Debug: Log MoM data for this market */}
@@ -264,30 +305,15 @@ const OnebuilderCompliance = ({ data }) => {
                         percentage: market.momChange?.percentage,
                         direction: market.momChange?.direction
                       })}
-                      {market.momChange && market.momChange.percentage !== null ? (
-                        <div className="flex items-center">
-                          {market.momChange.direction === 'up' ? (
-                            <TrendingUp className="h-4 w-4 text-green-500 mr-1" />
-                          ) : market.momChange.direction === 'down' ? (
-                            <TrendingDown className="h-4 w-4 text-red-500 mr-1" />
-                          ) : (
-                            <Circle className="h-4 w-4 text-gray-400 mr-1" />
-                          )}
-                          <span className={`text-sm font-medium ${
-                            market.momChange.direction === 'up' ? 'text-green-600' : 
-                            market.momChange.direction === 'down' ? 'text-red-600' : 'text-gray-600'
-                          }`}>
-                            {formatMoMChange(market.momChange).text}
-                          </span>
-                        </div>
-                      ) : (
-                        <span className="text-sm text-gray-400">N/A</span>
-                      )}
+                      {renderMoMChange(market.momChange)}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       <div>
                         <div className="font-medium text-gray-900">{formatNumber(market.mappedRecords)} mapped</div>
                         <div className="text-red-600 font-medium">{formatNumber(market.totalUnmapped)} unmapped</div>
+                        {market.reclassifiedRecords > 0 && (
+                          <div className="text-xs text-blue-600">{formatNumber(market.reclassifiedRecords)} reclassified</div>
+                        )}
                       </div>
                     </td>
                     <td className="px-6 py-4">
@@ -316,18 +342,16 @@ const OnebuilderCompliance = ({ data }) => {
                         <div className="bg-white rounded-lg border border-gray-200 overflow-hidden">
                           <div className="px-4 py-3 bg-red-50 border-b border-red-200">
                             <h4 className="text-sm font-semibold text-red-800">
-                              Unmapped Data Details for {market.marketCode} ({unmappedRecords.length} records)
+                              Unmapped Data Details for {market.marketCode} ({unmappedRecords.length} records{market.reclassifiedRecords > 0 ? `, ${market.reclassifiedRecords} reclassified by rules` : ''})
                             </h4>
                           </div>
                           <div className="overflow-x-auto">
                             <table className="min-w-full divide-y divide-gray-200">
                               <thead className="bg-gray-50">
                                 <tr>
-                                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Model</th>
-                                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Phase</th>
-                                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Channel Type</th>
-                                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Channel Name</th>
-                                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Campaign Type</th>
+                                  {COMPLIANCE_DIMENSIONS.map(entry => (
+                                    <th key={entry.column} className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">{entry.label}</th>
+                                  ))}
                                   <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">NVWR</th>
                                   <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Media Cost</th>
                                 </tr>
@@ -335,56 +359,22 @@ const OnebuilderCompliance = ({ data }) => {
                               <tbody className="bg-white divide-y divide-gray-200">
                                 {unmappedRecords.slice(0, 20).map((record, index) => (
                                   <tr key={index} className="hover:bg-gray-50">
-                                    <td className="px-4 py-2 text-xs">
-                                      <span className={`px-2 py-1 rounded text-xs font-medium ${
-                                        !record.Model || record.Model.trim() === '' || record.Model.toLowerCase().includes('not mapped')
-                                          ? 'bg-red-100 text-red-800'
-                                          : 'bg-green-100 text-green-800'
-                                      }`}>
-                                        {record.Model || 'N/A'}
-                                      </span>
-                                    </td>
-                                    <td className="px-4 py-2 text-xs">
-                                      <span className={`px-2 py-1 rounded text-xs font-medium ${
-                                        !record.Phase || record.Phase.trim() === '' || record.Phase.toLowerCase().includes('not mapped')
-                                          ? 'bg-red-100 text-red-800'
-                                          : 'bg-green-100 text-green-800'
-                                      }`}>
-                                        {record.Phase || 'N/A'}
-                                      </span>
-                                    </td>
-                                    <td className="px-4 py-2 text-xs">
-                                      <span className={`px-2 py-1 rounded text-xs font-medium ${
-                                        !record['Channel Type'] || record['Channel Type'].trim() === '' || record['Channel Type'].toLowerCase().includes('not mapped')
-                                          ? 'bg-red-100 text-red-800'
-                                          : 'bg-green-100 text-green-800'
-                                      }`}>
-                                        {record['Channel Type'] || 'N/A'}
-                                      </span>
-                                    </td>
-                                    <td className="px-4 py-2 text-xs">
-                                      <span className={`px-2 py-1 rounded text-xs font-medium ${
-                                        !record['Channel Name'] || record['Channel Name'].trim() === '' || record['Channel Name'].toLowerCase().includes('not mapped')
-                                          ? 'bg-red-100 text-red-800'
-                                          : 'bg-green-100 text-green-800'
-                                      }`}>
-                                        {record['Channel Name'] || 'N/A'}
-                                      </span>
-                                    </td>
-                                    <td className="px-4 py-2 text-xs">
-                                      <span className={`px-2 py-1 rounded text-xs font-medium ${
-                                        !record['Campaign Type'] || record['Campaign Type'].trim() === '' || record['Campaign Type'].toLowerCase().includes('not mapped')
-                                          ? 'bg-red-100 text-red-800'
-                                          : 'bg-green-100 text-green-800'
-                                      }`}>
-                                        {record['Campaign Type'] || 'N/A'}
-                                      </span>
-                                    </td>
+                                    {COMPLIANCE_DIMENSIONS.map(entry => (
+                                      <td key={entry.column} className="px-4 py-2 text-xs">
+                                        <span className={`px-2 py-1 rounded text-xs font-medium ${
+                                          isUnmappedValue(getDimensionValue(record, entry.column))
+                                            ? 'bg-red-100 text-red-800'
+                                            : 'bg-green-100 text-green-800'
+                                        }`}>
+                                          {getDimensionValue(record, entry.column) || 'N/A'}
+                                        </span>
+                                      </td>
+                                    ))}
                                     <td className="px-4 py-2 text-xs font-medium text-gray-900">
-                                      {formatNumber(parseFloat(record.NVWR) || 0)}
+                                      {formatNumber(getMetric(record, 'NVWR'))}
                                     </td>
                                     <td className="px-4 py-2 text-xs font-medium text-gray-900">
-                                      {formatCurrency(parseFloat(record['Media Cost']) || 0)}
+                                      {formatCurrency(getMetric(record, 'Media Cost'), currency)}
                                     </td>
                                   </tr>
                                 ))}
@@ -407,6 +397,57 @@ const OnebuilderCompliance = ({ data }) => {
         </table>
       </div>
 
+      {/* Market Group Rollups */}
+      {compliance.groupCompliance.length > 0 && (
+        <div className="mt-6 overflow-x-auto">
+          <h4 className="text-sm font-semibold text-gray-900 mb-2">Market Groups</h4>
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Group</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Completion</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">MoM Change</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Records</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">NVWR Impact</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {compliance.groupCompliance.map(group => (
+                <tr key={group.marketCode}>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="text-sm font-semibold text-gray-900">{group.name}</div>
+                    <div className="text-xs text-gray-500">{group.markets.join(' + ')}</div>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="flex items-center">
+                      {getStatusIcon(group.status)}
+                      <span className={`ml-2 text-sm font-semibold ${getStatusColor(group.status).split(' ')[0]}`}>
+                        {formatCompliancePercentage(group.compliance)}
+                      </span>
+                    </div>
+                    {renderAfterReclassification(group)}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">{renderMoMChange(group.momChange)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="font-medium text-gray-900">{formatNumber(group.mappedRecords)} mapped</div>
+                    <div className="text-red-600 font-medium">{formatNumber(group.totalUnmapped)} unmapped</div>
+                    {group.reclassifiedRecords > 0 && (
+                      <div className="text-xs text-blue-600">{formatNumber(group.reclassifiedRecords)} reclassified</div>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="font-medium text-gray-900">{formatNumber(group.totalNVWR)} total</div>
+                    <div className="text-red-600 font-medium">
+                      {formatNumber(group.unmappedNVWR)} ({formatCompliancePercentage(group.unmappedNVWRPercentage)})
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
       {/* Unmapped Data Types Summary */}
       {Object.values(compliance.unmappedDataTypes).some(count => count > 0) && (
         <div className="mt-6 p-4 bg-yellow-50 rounded-lg border border-yellow-200">
@@ -415,7 +456,7 @@ const OnebuilderCompliance = ({ data }) => {
             {Object.entries(compliance.unmappedDataTypes).map(([type, count]) => (
               count > 0 && (
                 <div key={type} className="text-xs bg-yellow-100 text-yellow-800 px-3 py-2 rounded text-center border border-yellow-300">
-                  <div className="font-semibold">{type.charAt(0).toUpperCase() + type.slice(1)}</div>
+                  <div className="font-semibold">{COMPLIANCE_DIMENSIONS.find(entry => entry.complianceKey === type)?.label || type}</div>
                   <div className="text-lg font-bold">{formatNumber(count)}</div>
                 </div>
               )
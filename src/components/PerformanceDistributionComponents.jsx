@@ -1,8 +1,16 @@
 import React, { useState, useMemo } from 'react';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, PieChart, Pie, Cell, Treemap } from 'recharts';
 import { BarChart3, PieChart as PieChartIcon, Network, Grid3X3, Filter, TrendingUp, DollarSign, Target } from 'lucide-react';
+import { getMetric, getPeriod, getDimensionValue, selectRowsForField } from '../utils/recordSchema.js';
+import { getCurrencySymbol } from '../utils/currency.js';
+import { getModelLevelValue, MODEL_LEVEL_LABELS, DEFAULT_MODEL_LEVEL } from '../utils/modelHierarchy.js';
+import { useReportingCurrency } from '../hooks/useReportingCurrency';
 
-const PerformanceDistributionComponents = ({ data, availableMarkets, availableMonths }) => {
+// KPI card label per model hierarchy level
+const MODEL_LEVEL_COUNT_LABELS = { model_code: 'Total Models', model: 'Total Models', family: 'Total Families', segment: 'Total Segments' };
+
+const PerformanceDistributionComponents = ({ data, crossData, availableMarkets, availableMonths, modelLevel = DEFAULT_MODEL_LEVEL }) => {
+  const currency = useReportingCurrency();
   const [activeTab, setActiveTab] = useState('models');
   const [selectedMarket, setSelectedMarket] = useState('all');
   const [selectedMonth, setSelectedMonth] = useState('latest');
@@ -10,7 +18,7 @@ const PerformanceDistributionComponents = ({ data, availableMarkets, availableMo
   const [sortBy, setSortBy] = useState('total_volume');
 
   const tabs = [
-    { id: 'models', name: 'Model Performance', icon: BarChart3 },
+    { id: 'models', name: `${MODEL_LEVEL_LABELS[modelLevel]} Performance`, icon: BarChart3 },
     { id: 'budget', name: 'Budget Allocation', icon: PieChartIcon },
     { id: 'campaigns', name: 'Campaign Analysis', icon: Network },
     { id: 'matrix', name: 'Performance Matrix', icon: Grid3X3 }
@@ -26,13 +34,13 @@ const PerformanceDistributionComponents = ({ data, availableMarkets, availableMo
       const campaignData = {};
       const monthlyData = {};
 
-      data.forEach(row => {
-        const model = row['Model'] || row['model'] || 'Unknown';
-        const channelName = row['Channel_Name'] || row['channel_name'] || 'Unknown';
-        const channelType = row['Channel_Type'] || row['channel_type'] || 'Other';
-        const campaignType = row['Campaign_Type'] || row['campaign_type'] || 'Unknown';
-        const monthKey = `${row.year}-${row.month.toString().padStart(2, '0')}`;
-        
+      // Each breakdown reads the dimension file that carries its column
+      const totalRows = selectRowsForField(data);
+
+      // Models are grouped at the selected level of the model hierarchy
+      selectRowsForField(data, 'Model').forEach(row => {
+        const model = getModelLevelValue(getDimensionValue(row, 'Model'), modelLevel) || 'Unknown';
+
         // Model data
         if (!modelData[model]) {
           modelData[model] = {
@@ -44,11 +52,16 @@ const PerformanceDistributionComponents = ({ data, availableMarkets, availableMo
             spend: 0
           };
         }
-        modelData[model].impressions += parseFloat(row['Impressions'] || row['impressions'] || 0) || 0;
-        modelData[model].clicks += parseFloat(row['Clicks'] || row['clicks'] || 0) || 0;
-        modelData[model].iv += parseFloat(row['IV'] || row['iv'] || 0) || 0;
-        modelData[model].nvwr += parseFloat(row['NVWR'] || row['nvwr'] || 0) || 0;
-        modelData[model].spend += parseFloat(row['Media Cost'] || row['media_cost'] || row['spend'] || 0) || 0;
+        modelData[model].impressions += getMetric(row, 'Impressions');
+        modelData[model].clicks += getMetric(row, 'Clicks');
+        modelData[model].iv += getMetric(row, 'IV');
+        modelData[model].nvwr += getMetric(row, 'NVWR');
+        modelData[model].spend += getMetric(row, 'Media Cost');
+      });
+
+      selectRowsForField(data, 'Channel Name').forEach(row => {
+        const channelName = getDimensionValue(row, 'Channel Name') || 'Unknown';
+        const channelType = getDimensionValue(row, 'Channel Type') || 'Other';
 
         // Channel data
         if (!channelData[channelName]) {
@@ -60,8 +73,15 @@ const PerformanceDistributionComponents = ({ data, availableMarkets, availableMo
             roi: 0
           };
         }
-        channelData[channelName].spend += parseFloat(row['Media Cost'] || row['media_cost'] || row['spend'] || 0) || 0;
-        channelData[channelName].nvwr += parseFloat(row['NVWR'] || row['nvwr'] || 0) || 0;
+        channelData[channelName].spend += getMetric(row, 'Media Cost');
+        channelData[channelName].nvwr += getMetric(row, 'NVWR');
+      });
+
+      // Channel and model levels below a campaign type are only known for cross-dimensional
+      // rows (derived from legacy exports); without them campaign types are shown on their own
+      const hasCrossRows = !!crossData && crossData.length > 0;
+      (hasCrossRows ? crossData : selectRowsForField(data, 'Campaign Type')).forEach(row => {
+        const campaignType = getDimensionValue(row, 'Campaign Type') || 'Unknown';
 
         // Campaign data
         if (!campaignData[campaignType]) {
@@ -72,6 +92,12 @@ const PerformanceDistributionComponents = ({ data, availableMarkets, availableMo
             channels: {}
           };
         }
+        campaignData[campaignType].spend += getMetric(row, 'Media Cost');
+        campaignData[campaignType].nvwr += getMetric(row, 'NVWR');
+        if (!hasCrossRows) return;
+
+        const model = getModelLevelValue(getDimensionValue(row, 'Model'), modelLevel) || 'Unknown';
+        const channelName = getDimensionValue(row, 'Channel Name') || 'Unknown';
         if (!campaignData[campaignType].channels[channelName]) {
           campaignData[campaignType].channels[channelName] = {
             channelName,
@@ -87,12 +113,14 @@ const PerformanceDistributionComponents = ({ data, availableMarkets, availableMo
             nvwr: 0
           };
         }
-        campaignData[campaignType].spend += parseFloat(row['Media Cost'] || row['media_cost'] || row['spend'] || 0) || 0;
-        campaignData[campaignType].nvwr += parseFloat(row['NVWR'] || row['nvwr'] || 0) || 0;
-        campaignData[campaignType].channels[channelName].spend += parseFloat(row['Media Cost'] || row['media_cost'] || row['spend'] || 0) || 0;
-        campaignData[campaignType].channels[channelName].nvwr += parseFloat(row['NVWR'] || row['nvwr'] || 0) || 0;
-        campaignData[campaignType].channels[channelName].models[model].spend += parseFloat(row['Media Cost'] || row['media_cost'] || row['spend'] || 0) || 0;
-        campaignData[campaignType].channels[channelName].models[model].nvwr += parseFloat(row['NVWR'] || row['nvwr'] || 0) || 0;
+        campaignData[campaignType].channels[channelName].spend += getMetric(row, 'Media Cost');
+        campaignData[campaignType].channels[channelName].nvwr += getMetric(row, 'NVWR');
+        campaignData[campaignType].channels[channelName].models[model].spend += getMetric(row, 'Media Cost');
+        campaignData[campaignType].channels[channelName].models[model].nvwr += getMetric(row, 'NVWR');
+      });
+
+      totalRows.forEach(row => {
+        const monthKey = getPeriod(row);
 
         // Monthly data
         if (!monthlyData[monthKey]) {
@@ -108,8 +136,8 @@ const PerformanceDistributionComponents = ({ data, availableMarkets, availableMo
             efficiency_score: 0
           };
         }
-        monthlyData[monthKey].nvwr += parseFloat(row['NVWR'] || row['nvwr'] || 0) || 0;
-        monthlyData[monthKey].spend += parseFloat(row['Media Cost'] || row['media_cost'] || row['spend'] || 0) || 0;
+        monthlyData[monthKey].nvwr += getMetric(row, 'NVWR');
+        monthlyData[monthKey].spend += getMetric(row, 'Media Cost');
       });
 
       // Calculate ROI for channels
@@ -119,13 +147,13 @@ const PerformanceDistributionComponents = ({ data, availableMarkets, availableMo
 
       // Calculate metrics for monthly data
       Object.values(monthlyData).forEach(month => {
-        const totalImpressions = data
-          .filter(row => `${row.year}-${row.month.toString().padStart(2, '0')}` === month.month)
-          .reduce((sum, row) => sum + (parseFloat(row['Impressions'] || row['impressions'] || 0) || 0), 0);
+        const totalImpressions = totalRows
+          .filter(row => getPeriod(row) === month.month)
+          .reduce((sum, row) => sum + getMetric(row, 'Impressions'), 0);
         
-        const totalClicks = data
-          .filter(row => `${row.year}-${row.month.toString().padStart(2, '0')}` === month.month)
-          .reduce((sum, row) => sum + (parseFloat(row['Clicks'] || row['clicks'] || 0) || 0), 0);
+        const totalClicks = totalRows
+          .filter(row => getPeriod(row) === month.month)
+          .reduce((sum, row) => sum + getMetric(row, 'Clicks'), 0);
 
         month.cpm = totalImpressions > 0 ? (month.spend / totalImpressions) * 1000 : 0;
         month.cp_nvwr = month.nvwr > 0 ? month.spend / month.nvwr : 0;
@@ -150,13 +178,14 @@ const PerformanceDistributionComponents = ({ data, availableMarkets, availableMo
         modelData: Object.values(modelData),
         channelData: Object.values(channelData),
         campaignData: Object.values(campaignData),
+        campaignRecords: hasCrossRows ? crossData.length : 0,
         monthlyData: Object.values(monthlyData).sort((a, b) => new Date(a.month) - new Date(b.month))
       };
     } catch (error) {
       console.error('Error processing distribution data:', error);
       return {};
     }
-  }, [data]);
+  }, [data, crossData, modelLevel]);
 
   const colors = ['#3B82F6', '#10B981', '#F59E0B', '#EF4444', '#8B5CF6', '#06B6D4', '#84CC16', '#F97316'];
 
@@ -236,9 +265,9 @@ const PerformanceDistributionComponents = ({ data, availableMarkets, availableMo
         {/* KPI Cards */}
         <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
           {[
-            { label: 'Total Models', value: modelData.length, icon: Target },
+            { label: MODEL_LEVEL_COUNT_LABELS[modelLevel], value: modelData.length, icon: Target },
             { label: 'Total NVWR', value: modelData.reduce((sum, m) => sum + m.nvwr, 0).toLocaleString(), icon: TrendingUp },
-            { label: 'Total Spend', value: `€${modelData.reduce((sum, m) => sum + m.spend, 0).toLocaleString()}`, icon: DollarSign },
+            { label: 'Total Spend', value: `${getCurrencySymbol(currency)}${modelData.reduce((sum, m) => sum + m.spend, 0).toLocaleString()}`, icon: DollarSign },
             { label: 'Avg ROI', value: `${(modelData.reduce((sum, m) => sum + (m.nvwr / m.spend), 0) / modelData.length * 100).toFixed(1)}%`, icon: BarChart3 }
           ].map((kpi, index) => {
             const Icon = kpi.icon;
@@ -314,7 +343,7 @@ const PerformanceDistributionComponents = ({ data, availableMarkets, availableMo
                 ))}
               </Pie>
               <Tooltip 
-                formatter={(value, name) => [`€${value.toLocaleString()}`, name]}
+                formatter={(value, name) => [`${getCurrencySymbol(currency)}${value.toLocaleString()}`, name]}
                 labelFormatter={(label) => `${label} (${((pieData.find(d => d.name === label)?.value / pieData.reduce((sum, d) => sum + d.value, 0)) * 100).toFixed(1)}%)`}
               />
             </PieChart>
@@ -334,7 +363,7 @@ const PerformanceDistributionComponents = ({ data, availableMarkets, availableMo
                   </div>
                   <div className="text-right">
                     <p className="font-bold text-green-600">{channel.roi.toFixed(1)}% ROI</p>
-                    <p className="text-sm text-gray-600">€{channel.spend.toLocaleString()}</p>
+                    <p className="text-sm text-gray-600">{getCurrencySymbol(currency)}{channel.spend.toLocaleString()}</p>
                   </div>
                 </div>
               ))}
@@ -352,7 +381,7 @@ const PerformanceDistributionComponents = ({ data, availableMarkets, availableMo
                   </div>
                   <div className="text-right">
                     <p className="font-bold text-red-600">{channel.roi.toFixed(1)}% ROI</p>
-                    <p className="text-sm text-gray-600">€{channel.spend.toLocaleString()}</p>
+                    <p className="text-sm text-gray-600">{getCurrencySymbol(currency)}{channel.spend.toLocaleString()}</p>
                   </div>
                 </div>
               ))}
@@ -364,7 +393,7 @@ const PerformanceDistributionComponents = ({ data, availableMarkets, availableMo
   };
 
   const renderCampaignAnalysis = () => {
-    const { campaignData } = processData;
+    const { campaignData, campaignRecords } = processData;
     if (!campaignData || campaignData.length === 0) return null;
 
     const treemapData = campaignData.map(campaign => ({
@@ -385,6 +414,11 @@ const PerformanceDistributionComponents = ({ data, availableMarkets, availableMo
 
     return (
       <div className="space-y-6">
+        <p className="text-sm text-gray-600">
+          {campaignRecords > 0
+            ? `Campaign type → channel → ${MODEL_LEVEL_LABELS[modelLevel].toLowerCase()} from ${campaignRecords.toLocaleString()} cross-dimensional records (markets delivering legacy exports)`
+            : 'Campaign types only: channels and models per campaign type need cross-dimensional records (legacy exports), and none were loaded'}
+        </p>
         <div className="h-96">
           <ResponsiveContainer width="100%" height="100%">
             <Treemap
@@ -432,7 +466,7 @@ const PerformanceDistributionComponents = ({ data, availableMarkets, availableMo
 
     const formatValue = (value, format) => {
       switch (format) {
-        case 'currency': return `€${value.toLocaleString()}`;
+        case 'currency': return `${getCurrencySymbol(currency)}${value.toLocaleString()}`;
         case 'percentage': return `${value.toFixed(2)}%`;
         case 'number': return value.toLocaleString();
         default: return value.toFixed(2);
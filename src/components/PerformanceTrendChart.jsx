@@ -17,47 +17,32 @@ import {
   Calendar,
   Filter,
   BarChart3,
-  AlertTriangle
+  AlertTriangle,
+  Loader2
 } from 'lucide-react';
 import { 
-  processTrendData, 
   METRICS_CONFIG, 
   formatValue, 
   BMW_COLORS 
 } from '../utils/trendAnalysisDataProcessor';
+import { useComputeTask } from '../hooks/useComputeTask';
+import { getMarketDisplayName } from '../utils/marketRegistry';
+import { useReportingCurrency } from '../hooks/useReportingCurrency';
 
 const PerformanceTrendChart = ({ data, availableMarkets, availableMonths }) => {
+  const currency = useReportingCurrency();
   const [selectedMetrics, setSelectedMetrics] = useState(['impressions', 'clicks', 'nvwr']);
   const [selectedMarkets, setSelectedMarkets] = useState(['all']);
   const [dateRange, setDateRange] = useState('6');
   const [sortBy, setSortBy] = useState('performance_score');
 
-  // Process data
-  const trendData = useMemo(() => {
-    try {
-      return processTrendData(data, selectedMetrics, selectedMarkets, dateRange);
-    } catch (error) {
-      console.error('Error processing trend data:', error);
-      return [];
-    }
-  }, [data, selectedMetrics, selectedMarkets, dateRange]);
-
-  // Get market display names
-  const getMarketDisplayName = (marketCode) => {
-    const marketNames = {
-      'BE': 'Belgium',
-      'FR': 'France',
-      'DE': 'Germany',
-      'IT': 'Italy',
-      'ES': 'Spain',
-      'NL': 'Netherlands',
-      'UK': 'United Kingdom',
-      'CS': 'Central Southern Europe',
-      'NE': 'Nordics',
-      'PT': 'Portugal'
-    };
-    return marketNames[marketCode] || marketCode;
-  };
+  // Process data in the compute worker; the previous trend stays on screen while it updates
+  const trendArgs = useMemo(
+    () => [data, selectedMetrics, selectedMarkets, dateRange, currency],
+    [data, selectedMetrics, selectedMarkets, dateRange, currency]
+  );
+  const { result, isComputing, progress } = useComputeTask('trendData', trendArgs);
+  const trendData = result || [];
 
   // Custom tooltip
   const CustomTooltip = ({ active, payload, label }) => {
@@ -83,7 +68,7 @@ const PerformanceTrendChart = ({ data, availableMarkets, availableMonths }) => {
                 </div>
                 <div className="text-right">
                   <div className="text-sm font-bold text-gray-900">
-                    {formatValue(entry.value, METRICS_CONFIG.volume[metric]?.format)}
+                    {formatValue(entry.value, METRICS_CONFIG.volume[metric]?.format, { currency })}
                   </div>
                   {momChange !== null && momChange !== undefined && (
                     <div className={`text-xs flex items-center ${
@@ -223,8 +208,15 @@ const PerformanceTrendChart = ({ data, availableMarkets, availableMonths }) => {
         </div>
       </div>
 
+      {isComputing && (
+        <div className="mb-4 flex items-center text-sm text-gray-500">
+          <Loader2 className="h-4 w-4 mr-2 animate-spin text-bmw-600" />
+          {progress || 'Aggregating trends'}...
+        </div>
+      )}
+
       {/* Data Availability Warning */}
-      {trendData.length <= 1 && (
+      {!isComputing && trendData.length <= 1 && (
         <div className="mb-6 bg-yellow-50 border border-yellow-200 rounded-lg p-4">
           <div className="flex items-center">
             <AlertTriangle className="h-5 w-5 text-yellow-600 mr-2" />
@@ -0,0 +1,127 @@
+import React, { useState, useMemo } from 'react';
+import { Table, Info } from 'lucide-react';
+import { buildPivot, PIVOT_FIELDS } from '../utils/pivotData.js';
+import { formatValue } from '../utils/trendAnalysisDataProcessor.js';
+import { useReportingCurrency } from '../hooks/useReportingCurrency';
+
+// Metric columns shown in the pivot table
+const PIVOT_METRICS = [
+  { key: 'Media Cost', label: 'Spend', format: 'currency' },
+  { key: 'Impressions', label: 'Impressions', format: 'number' },
+  { key: 'Clicks', label: 'Clicks', format: 'number' },
+  { key: 'IV', label: 'IV', format: 'number' },
+  { key: 'NVWR', label: 'NVWR', format: 'number' },
+  { key: 'CPM', label: 'CPM', format: 'currency' },
+  { key: 'CTR', label: 'CTR', format: 'percentage', scale: 100 },
+  { key: 'CPC', label: 'CPC', format: 'currency' },
+  { key: 'Cp NVWR', label: 'CP NVWR', format: 'currency' },
+  { key: 'CVR', label: 'CVR', format: 'percentage', scale: 100 }
+];
+
+const formatPivotValue = (value, { format, scale = 1 }, currency) => {
+  const number = parseFloat(value);
+  if (isNaN(number)) return 'n/a';
+  return formatValue(format === 'number' ? Math.round(number) : number * scale, format, { currency });
+};
+
+const PivotView = ({ data, crossData, selectedMarket, selectedMonth, getMarketDisplayName }) => {
+  const currency = useReportingCurrency();
+  const [groupBy, setGroupBy] = useState(['Market', 'Model']);
+
+  const pivot = useMemo(() => buildPivot(data, crossData, groupBy, {
+    market: selectedMarket,
+    month: selectedMonth
+  }), [data, crossData, groupBy, selectedMarket, selectedMonth]);
+
+  const toggleField = (field) => {
+    setGroupBy(prev => prev.includes(field) ? prev.filter(f => f !== field) : [...prev, field]);
+  };
+
+  const formatKey = (field, value) => field === 'Market' ? getMarketDisplayName(value) : value;
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+          <Table className="h-5 w-5 mr-2 text-bmw-600" />
+          Pivot Explorer
+        </h3>
+        <span className="text-xs text-gray-500">
+          {pivot.rows.length} rows from {pivot.sourceRecords} {pivot.grain} records
+        </span>
+      </div>
+
+      {/* Group-by selection */}
+      <div className="flex flex-wrap gap-2 mb-4">
+        {Object.keys(PIVOT_FIELDS).map(field => (
+          <button
+            key={field}
+            onClick={() => toggleField(field)}
+            className={`px-3 py-1 rounded-full text-sm font-medium border transition-colors ${
+              groupBy.includes(field)
+                ? 'bg-bmw-600 text-white border-bmw-600'
+                : 'bg-white text-gray-700 border-gray-300 hover:border-bmw-400'
+            }`}
+          >
+            {field}
+          </button>
+        ))}
+      </div>
+
+      {/* Degradation notice for market/months without cross-dimensional data */}
+      {pivot.unavailablePeriods.length > 0 && (
+        <div className="mb-4 bg-yellow-50 border border-yellow-200 rounded-lg p-3 flex items-start">
+          <Info className="h-4 w-4 text-yellow-600 mr-2 mt-0.5 flex-shrink-0" />
+          <p className="text-xs text-yellow-800">
+            Combining several dimensions needs files that carry every dimension column (legacy exports).
+            Not available for: {pivot.unavailablePeriods.map(p => `${p.country} ${p.period}`).join(', ')}.
+            Select a single dimension to include these markets.
+          </p>
+        </div>
+      )}
+
+      {pivot.rows.length === 0 ? (
+        <div className="text-center text-gray-500 py-8">
+          No data available for this combination of dimensions
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                {pivot.groupBy.map(field => (
+                  <th key={field} className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    {field}
+                  </th>
+                ))}
+                {PIVOT_METRICS.map(metric => (
+                  <th key={metric.key} className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    {metric.label}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-100">
+              {pivot.rows.map((row, index) => (
+                <tr key={index} className="hover:bg-gray-50">
+                  {pivot.groupBy.map(field => (
+                    <td key={field} className="px-3 py-2 text-gray-900 whitespace-nowrap">
+                      {formatKey(field, row.keys[field])}
+                    </td>
+                  ))}
+                  {PIVOT_METRICS.map(metric => (
+                    <td key={metric.key} className="px-3 py-2 text-right text-gray-700 whitespace-nowrap">
+                      {formatPivotValue(row[metric.key], metric, currency)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PivotView;
@@ -0,0 +1,111 @@
+import React from 'react';
+import { Loader2, Square, Play, Trash2, CheckCircle, XCircle, Circle } from 'lucide-react';
+import { JOB_STATUS, isJobResumable, isJobActiveInTab } from '../utils/processingJobs.js';
+
+const STATUS_LABELS = {
+  [JOB_STATUS.QUEUED]: 'Queued',
+  [JOB_STATUS.RUNNING]: 'Processing',
+  [JOB_STATUS.CANCELLING]: 'Cancelling',
+  [JOB_STATUS.CANCELLED]: 'Cancelled',
+  [JOB_STATUS.FAILED]: 'Failed',
+  [JOB_STATUS.COMPLETED]: 'Completed'
+};
+
+const countRowErrors = (step) => (step.result?.result?.row_errors || []).reduce((sum, file) => sum + file.count, 0);
+
+// Row errors of a market-month step, one line per error, for the step's tooltip
+const describeRowErrors = (step) => (step.result?.result?.row_errors || [])
+  .flatMap(file => file.errors.map(error => `${file.filename} line ${error.line}: ${error.message}`))
+  .join('\n');
+
+const StepIcon = ({ step, isCurrent }) => {
+  if (step.status === 'completed') {
+    return step.result?.error
+      ? <XCircle className="h-3 w-3 text-red-500" />
+      : <CheckCircle className="h-3 w-3 text-green-500" />;
+  }
+  if (isCurrent) {
+    return <Loader2 className="h-3 w-3 text-bmw-600 animate-spin" />;
+  }
+  return <Circle className="h-3 w-3 text-gray-300" />;
+};
+
+const ProcessingJobPanel = ({ job, onCancel, onResume, onDiscard }) => {
+  if (!job) {
+    return null;
+  }
+
+  const totalSteps = job.steps.length;
+  const completedSteps = job.progress?.completedSteps ?? job.completed_steps;
+  const percent = totalSteps > 0 ? Math.round((completedSteps / totalSteps) * 100) : 0;
+  const isRunning = job.status === JOB_STATUS.RUNNING || job.status === JOB_STATUS.CANCELLING;
+  const currentStep = isRunning ? job.steps.find(step => step.status !== 'completed') : null;
+  const canResume = isJobResumable(job);
+
+  return (
+    <div className="mb-6 bg-gradient-to-r from-bmw-50 to-blue-50 border border-bmw-200 rounded-xl p-6 shadow-soft">
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center">
+          {isRunning && <Loader2 className="h-5 w-5 text-bmw-600 animate-spin mr-3" />}
+          <div>
+            <h3 className="text-lg font-semibold text-bmw-800">
+              Processing job #{job.id}: {STATUS_LABELS[job.status] || job.status}
+            </h3>
+            <p className="text-sm text-bmw-700">{job.progress?.message}</p>
+          </div>
+        </div>
+        <div className="flex items-center gap-2">
+          {job.status === JOB_STATUS.RUNNING && isJobActiveInTab(job.id) && (
+            <button onClick={onCancel} className="btn-secondary flex items-center gap-2">
+              <Square className="h-4 w-4" />
+              Cancel
+            </button>
+          )}
+          {canResume && (
+            <button onClick={onResume} className="btn-primary flex items-center gap-2">
+              <Play className="h-4 w-4" />
+              Resume
+            </button>
+          )}
+          {canResume && (
+            <button onClick={onDiscard} className="btn-secondary flex items-center gap-2">
+              <Trash2 className="h-4 w-4" />
+              Discard
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="w-full bg-white rounded-full h-2 mb-2">
+        <div className="bg-bmw-600 h-2 rounded-full transition-all" style={{ width: `${percent}%` }} />
+      </div>
+      <p className="text-xs text-gray-600 mb-3">
+        {completedSteps} of {totalSteps} steps completed
+        {job.triggered_by && ` · started by ${job.triggered_by}`}
+        {job.forced && ' · reprocessing everything'}
+        {job.plan?.reclassify && ' · re-applying reclassification rules'}
+      </p>
+
+      {job.error && (
+        <p className="text-sm text-red-700 mb-3">{job.error}</p>
+      )}
+
+      <ul className="grid grid-cols-2 md:grid-cols-3 gap-x-4 gap-y-1 text-xs text-gray-700 max-h-48 overflow-y-auto">
+        {job.steps.map(step => (
+          <li key={step.id} className="flex items-center gap-1" title={step.result?.error || describeRowErrors(step)}>
+            <StepIcon step={step} isCurrent={step === currentStep} />
+            {step.label}
+            {step.result?.result?.missing_dimensions?.length > 0 && (
+              <span className="text-yellow-700">(missing {step.result.result.missing_dimensions.join(', ')})</span>
+            )}
+            {countRowErrors(step) > 0 && (
+              <span className="text-yellow-700">({countRowErrors(step)} row errors)</span>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default ProcessingJobPanel;
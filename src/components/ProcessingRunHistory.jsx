@@ -0,0 +1,225 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { GitCompare, Pin, PinOff, Loader2 } from 'lucide-react';
+import { getProcessingRuns, pinProcessingRun, diffSnapshots } from '../utils/processingRuns.js';
+import { formatValue } from '../utils/trendAnalysisDataProcessor.js';
+
+// Differences listed before the rest are collapsed into a count
+const MAX_DIFF_ROWS = 200;
+
+const formatRunLabel = (run) => `#${run.id} – ${new Date(run.completed_at).toLocaleString()}`;
+
+const formatDiffValue = (value) => formatValue(value === null ? null : Math.round(value * 100) / 100);
+
+// Spend across markets, in EUR; summaries of runs recorded before costs were converted
+// added up different currencies and are not shown
+const formatRunSpend = (summary) => {
+  if (!summary?.currency) return 'n/a';
+  const spend = formatValue(summary.totals?.['Media Cost'] ?? null, 'currency', { currency: summary.currency });
+  return summary.unconverted?.length > 0 ? `${spend}*` : spend;
+};
+
+const formatUnconverted = (summary) => summary?.unconverted?.length > 0
+  ? `* Includes unconverted costs of ${summary.unconverted.map(({ market, currency, period }) => `${market} ${period} (${currency})`).join(', ')}: no FX rate`
+  : undefined;
+
+const ProcessingRunHistory = ({ runsVersion, onPinChange }) => {
+  const [runs, setRuns] = useState(null);
+  const [baseRunId, setBaseRunId] = useState('');
+  const [compareRunId, setCompareRunId] = useState('');
+  const [diff, setDiff] = useState(null);
+  const [isComparing, setIsComparing] = useState(false);
+  const [isPinning, setIsPinning] = useState(false);
+  const [filters, setFilters] = useState({ country: '', period: '', dimension: '', metric: '' });
+
+  useEffect(() => {
+    getProcessingRuns()
+      .then(loadedRuns => {
+        setRuns(loadedRuns);
+        // Compare the two most recent runs by default
+        setCompareRunId(loadedRuns[0] ? String(loadedRuns[0].id) : '');
+        setBaseRunId(loadedRuns[1] ? String(loadedRuns[1].id) : '');
+      })
+      .catch(() => setRuns([]));
+  }, [runsVersion]);
+
+  const filterOptions = useMemo(() => {
+    if (!diff) return null;
+    const unique = (field) => [...new Set(diff.map(row => row[field]))].sort();
+    return { country: unique('country'), period: unique('period'), dimension: unique('dimension'), metric: unique('metric') };
+  }, [diff]);
+
+  const filteredDiff = useMemo(() => (diff || []).filter(row =>
+    Object.entries(filters).every(([field, value]) => !value || row[field] === value)
+  ), [diff, filters]);
+
+  const handleCompare = async () => {
+    setIsComparing(true);
+    setFilters({ country: '', period: '', dimension: '', metric: '' });
+    try {
+      setDiff(await diffSnapshots(Number(baseRunId), Number(compareRunId)));
+    } catch (error) {
+      console.error('❌ Error comparing processing runs:', error);
+      setDiff([]);
+    } finally {
+      setIsComparing(false);
+    }
+  };
+
+  const handlePin = async (runId) => {
+    setIsPinning(true);
+    try {
+      await pinProcessingRun(runId);
+      setRuns(await getProcessingRuns());
+      if (onPinChange) {
+        onPinChange();
+      }
+    } catch (error) {
+      console.error('❌ Error pinning processing run:', error);
+    } finally {
+      setIsPinning(false);
+    }
+  };
+
+  if (!runs || runs.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mt-8 bg-white border border-gray-200 rounded-xl p-6 shadow-soft">
+      <h3 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+        <GitCompare className="h-5 w-5 mr-2 text-bmw-600" />
+        Processing Runs
+      </h3>
+
+      <table className="min-w-full text-sm mb-6">
+        <thead>
+          <tr className="text-left text-gray-500">
+            <th className="py-1 pr-3 font-medium">Run</th>
+            <th className="py-1 pr-3 font-medium">Completed</th>
+            <th className="py-1 pr-3 font-medium">By</th>
+            <th className="py-1 pr-3 font-medium">Reprocessed</th>
+            <th className="py-1 pr-3 font-medium">Records</th>
+            <th className="py-1 pr-3 font-medium">Spend</th>
+            <th className="py-1" />
+          </tr>
+        </thead>
+        <tbody className="text-gray-700">
+          {runs.map(run => (
+            <tr key={run.id} className="border-t border-gray-50">
+              <td className="py-1 pr-3 font-medium">#{run.id}{run.forced && <span className="ml-1 text-xs text-gray-500">(full)</span>}</td>
+              <td className="py-1 pr-3">{new Date(run.completed_at).toLocaleString()}</td>
+              <td className="py-1 pr-3">{run.triggered_by || 'unknown'}</td>
+              <td className="py-1 pr-3">{run.changed_market_months?.changed?.length || 0} market-months</td>
+              <td className="py-1 pr-3">{formatValue(run.summary?.records ?? null)}</td>
+              <td className="py-1 pr-3" title={formatUnconverted(run.summary)}>{formatRunSpend(run.summary)}</td>
+              <td className="py-1 text-right">
+                {run.pinned_at ? (
+                  <button
+                    onClick={() => handlePin(null)}
+                    disabled={isPinning}
+                    className="inline-flex items-center text-bmw-600 hover:text-bmw-800 disabled:opacity-50"
+                    title="Show this run's processed records; anomalies and history stay at the latest processing"
+                  >
+                    <PinOff className="h-3 w-3 mr-1" />
+                    Unpin
+                  </button>
+                ) : (
+                  <button
+                    onClick={() => handlePin(run.id)}
+                    disabled={isPinning}
+                    className="inline-flex items-center text-bmw-600 hover:text-bmw-800 disabled:opacity-50"
+                    title="Show this run's processed records; anomalies and history stay at the latest processing"
+                  >
+                    <Pin className="h-3 w-3 mr-1" />
+                    Pin dashboard
+                  </button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {/* Run-to-run diff */}
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <select value={baseRunId} onChange={(e) => setBaseRunId(e.target.value)} className="border border-gray-300 rounded-lg px-3 py-1.5 text-sm">
+          <option value="">Base run</option>
+          {runs.map(run => <option key={run.id} value={run.id}>{formatRunLabel(run)}</option>)}
+        </select>
+        <span className="text-sm text-gray-500">vs</span>
+        <select value={compareRunId} onChange={(e) => setCompareRunId(e.target.value)} className="border border-gray-300 rounded-lg px-3 py-1.5 text-sm">
+          <option value="">Compare run</option>
+          {runs.map(run => <option key={run.id} value={run.id}>{formatRunLabel(run)}</option>)}
+        </select>
+        <button
+          onClick={handleCompare}
+          disabled={!baseRunId || !compareRunId || baseRunId === compareRunId || isComparing}
+          className="btn-secondary flex items-center gap-2"
+        >
+          {isComparing && <Loader2 className="h-4 w-4 animate-spin" />}
+          Compare
+        </button>
+      </div>
+
+      {diff && diff.length === 0 && (
+        <p className="text-sm text-gray-600">No differences between these runs</p>
+      )}
+
+      {diff && diff.length > 0 && (
+        <div>
+          <div className="flex flex-wrap gap-2 mb-3">
+            {Object.entries(filterOptions).map(([field, options]) => (
+              <select
+                key={field}
+                value={filters[field]}
+                onChange={(e) => setFilters(prev => ({ ...prev, [field]: e.target.value }))}
+                className="border border-gray-300 rounded-lg px-2 py-1 text-xs"
+              >
+                <option value="">All {field === 'country' ? 'markets' : field === 'period' ? 'months' : `${field}s`}</option>
+                {options.map(option => <option key={option} value={option}>{option}</option>)}
+              </select>
+            ))}
+          </div>
+
+          <table className="min-w-full text-xs">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="py-1 pr-3 font-medium">Market</th>
+                <th className="py-1 pr-3 font-medium">Month</th>
+                <th className="py-1 pr-3 font-medium">Dimension</th>
+                <th className="py-1 pr-3 font-medium">Value</th>
+                <th className="py-1 pr-3 font-medium">Metric</th>
+                <th className="py-1 pr-3 font-medium text-right">Before</th>
+                <th className="py-1 pr-3 font-medium text-right">After</th>
+                <th className="py-1 font-medium text-right">Change</th>
+              </tr>
+            </thead>
+            <tbody className="text-gray-700">
+              {filteredDiff.slice(0, MAX_DIFF_ROWS).map((row, index) => (
+                <tr key={index} className="border-t border-gray-50">
+                  <td className="py-1 pr-3">{row.country}</td>
+                  <td className="py-1 pr-3">{row.period}</td>
+                  <td className="py-1 pr-3">{row.dimension}</td>
+                  <td className="py-1 pr-3">{row.dimension_value}</td>
+                  <td className="py-1 pr-3">{row.metric}</td>
+                  <td className="py-1 pr-3 text-right">{formatDiffValue(row.before)}</td>
+                  <td className="py-1 pr-3 text-right">{formatDiffValue(row.after)}</td>
+                  <td className={`py-1 text-right ${row.change > 0 ? 'text-green-700' : row.change < 0 ? 'text-red-700' : 'text-gray-500'}`}>
+                    {row.status === 'changed' ? formatDiffValue(row.change) : row.status}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {filteredDiff.length > MAX_DIFF_ROWS && (
+            <p className="text-xs text-gray-500 mt-2">
+              Showing {MAX_DIFF_ROWS} of {filteredDiff.length} differences; narrow them down with the filters
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProcessingRunHistory;
@@ -0,0 +1,226 @@
+import React, { useState } from 'react';
+import { Gauge, Plus, Pencil, Trash2, Loader2 } from 'lucide-react';
+import { saveQualityProfile, deleteQualityProfile } from '../utils/qualityProfileStore.js';
+import { getQualityProfiles, getScoredMetrics, QUALITY_METRICS, DEFAULT_QUALITY_PROFILE } from '../utils/qualityProfiles.js';
+import { getMarkets } from '../utils/marketRegistry.js';
+
+const EMPTY_PROFILE = { ...DEFAULT_QUALITY_PROFILE, name: '', is_default: false };
+
+// Form for adding or editing one quality profile
+const QualityProfileForm = ({ profile, isNew, isSaving, takenMarkets, onSave, onCancel }) => {
+  const [form, setForm] = useState(profile);
+  const update = (field, value) => setForm(current => ({ ...current, [field]: value }));
+  const updateWeight = (metric, value) => update('metric_weights', { ...form.metric_weights, [metric]: value });
+  const toggle = (field, value) => update(field, form[field].includes(value)
+    ? form[field].filter(entry => entry !== value)
+    : [...form[field], value]);
+
+  const inputClass = 'border border-gray-300 rounded px-2 py-1 text-sm w-full';
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-4">
+      <div className="grid grid-cols-3 gap-3 mb-3">
+        <label className="text-xs text-gray-600">
+          Name
+          <input value={form.name} onChange={(e) => update('name', e.target.value)} disabled={!isNew} maxLength={50} className={inputClass} />
+        </label>
+        <label className="text-xs text-gray-600">
+          Warning above gap (%)
+          <input type="number" min="0" max="100" value={form.warning_gap} onChange={(e) => update('warning_gap', e.target.value)} className={inputClass} />
+        </label>
+        <label className="text-xs text-gray-600">
+          Critical above gap (%)
+          <input type="number" min="0" max="100" value={form.critical_gap} onChange={(e) => update('critical_gap', e.target.value)} className={inputClass} />
+        </label>
+      </div>
+      <div className="grid grid-cols-5 gap-3 mb-3">
+        {QUALITY_METRICS.map(metric => (
+          <div key={metric} className="text-xs text-gray-600">
+            <label>
+              {metric} weight
+              <input
+                type="number"
+                min="0"
+                value={form.metric_weights[metric] ?? 0}
+                onChange={(e) => updateWeight(metric, e.target.value)}
+                disabled={form.excluded_metrics.includes(metric)}
+                className={inputClass}
+              />
+            </label>
+            <label className="flex items-center gap-1 mt-1">
+              <input type="checkbox" checked={form.excluded_metrics.includes(metric)} onChange={() => toggle('excluded_metrics', metric)} />
+              Exclude
+            </label>
+          </div>
+        ))}
+      </div>
+      {!form.is_default && (
+        <div className="flex flex-wrap items-center gap-4 mb-3 text-sm text-gray-700">
+          <span className="text-xs text-gray-600">Markets:</span>
+          {getMarkets().map(market => (
+            <label
+              key={market.code}
+              className={`flex items-center gap-1 ${takenMarkets.includes(market.code) ? 'text-gray-400' : ''}`}
+              title={takenMarkets.includes(market.code) ? `${market.display_name} uses another profile` : market.display_name}
+            >
+              <input
+                type="checkbox"
+                checked={form.markets.includes(market.code)}
+                disabled={takenMarkets.includes(market.code)}
+                onChange={() => toggle('markets', market.code)}
+              />
+              {market.code}
+            </label>
+          ))}
+        </div>
+      )}
+      <div className="flex justify-end gap-2">
+        <button onClick={onCancel} disabled={isSaving} className="btn-secondary">Cancel</button>
+        <button onClick={() => onSave(form)} disabled={isSaving || !form.name.trim()} className="btn-primary flex items-center gap-2">
+          {isSaving && <Loader2 className="h-4 w-4 animate-spin" />}
+          Save
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Weights of a profile's scored metrics as shares of their total
+const formatWeights = (profile) => {
+  const scored = getScoredMetrics(profile);
+  const total = scored.reduce((sum, metric) => sum + (Number(profile.metric_weights[metric]) || 0), 0);
+  return scored
+    .map(metric => `${metric} ${total > 0 ? Math.round((Number(profile.metric_weights[metric]) || 0) / total * 100) : 0}%`)
+    .join(', ');
+};
+
+const QualityProfilesManager = ({ onProfilesChange }) => {
+  const [profiles, setProfiles] = useState(getQualityProfiles);
+  const [editing, setEditing] = useState(null); // { profile, isNew }
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSave = async (profile) => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      setProfiles(await saveQualityProfile(profile));
+      setEditing(null);
+      if (onProfilesChange) {
+        onProfilesChange();
+      }
+    } catch (saveError) {
+      console.error('❌ Error saving quality profile:', saveError);
+      setError(saveError.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (profile) => {
+    if (!window.confirm(`Delete quality profile ${profile.name}? Its markets are graded with the default profile.`)) return;
+
+    setIsSaving(true);
+    setError(null);
+    try {
+      setProfiles(await deleteQualityProfile(profile.name));
+      if (onProfilesChange) {
+        onProfilesChange();
+      }
+    } catch (deleteError) {
+      console.error('❌ Error deleting quality profile:', deleteError);
+      setError(deleteError.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // Markets listed in a profile other than the one being edited
+  const takenMarkets = editing
+    ? profiles.filter(profile => profile.name !== editing.profile.name).flatMap(profile => profile.markets)
+    : [];
+
+  return (
+    <div className="mt-8 bg-white border border-gray-200 rounded-xl p-6 shadow-soft">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+          <Gauge className="h-5 w-5 mr-2 text-bmw-600" />
+          Quality Profiles
+        </h3>
+        <button
+          onClick={() => setEditing({ profile: EMPTY_PROFILE, isNew: true })}
+          disabled={!!editing || isSaving}
+          className="btn-secondary flex items-center gap-2"
+        >
+          <Plus className="h-4 w-4" />
+          Add profile
+        </button>
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        How data quality is graded: metric weights, metrics left out (e.g. IV for markets that never report it) and the coverage gaps that make a metric a warning or critical. Markets not listed in a profile use the default profile. Coverage history keeps the profile it was graded with; reprocess a month to grade it again.
+      </p>
+
+      {error && <p className="text-sm text-red-700 mb-3">{error}</p>}
+
+      {editing && (
+        <QualityProfileForm
+          key={editing.profile.name || 'new'}
+          profile={editing.profile}
+          isNew={editing.isNew}
+          isSaving={isSaving}
+          takenMarkets={takenMarkets}
+          onSave={handleSave}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+              <th className="py-2 pr-3">Name</th>
+              <th className="py-2 pr-3">Markets</th>
+              <th className="py-2 pr-3">Weights</th>
+              <th className="py-2 pr-3">Excluded</th>
+              <th className="py-2 pr-3">Warning / critical gap</th>
+              <th className="py-2" />
+            </tr>
+          </thead>
+          <tbody className="text-gray-700">
+            {profiles.map(profile => (
+              <tr key={profile.name} className="border-t border-gray-50">
+                <td className="py-1 pr-3 font-medium">{profile.name}</td>
+                <td className="py-1 pr-3">{profile.is_default ? 'All other markets' : profile.markets.join(', ') || '–'}</td>
+                <td className="py-1 pr-3 text-xs">{formatWeights(profile)}</td>
+                <td className="py-1 pr-3">{profile.excluded_metrics.join(', ') || '–'}</td>
+                <td className="py-1 pr-3">&gt;{profile.warning_gap}% / &gt;{profile.critical_gap}%</td>
+                <td className="py-1 text-right whitespace-nowrap">
+                  <button
+                    onClick={() => setEditing({ profile, isNew: false })}
+                    disabled={!!editing || isSaving}
+                    className="text-bmw-600 hover:text-bmw-800 mr-2"
+                    title={`Edit ${profile.name}`}
+                  >
+                    <Pencil className="h-4 w-4" />
+                  </button>
+                  {!profile.is_default && (
+                    <button
+                      onClick={() => handleDelete(profile)}
+                      disabled={!!editing || isSaving}
+                      className="text-red-600 hover:text-red-800"
+                      title={`Delete ${profile.name}`}
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default QualityProfilesManager;
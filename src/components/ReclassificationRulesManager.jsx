@@ -0,0 +1,306 @@
+import React, { useState, useEffect } from 'react';
+import { Shuffle, Plus, Pencil, Trash2, Loader2, RefreshCw, ChevronDown, ChevronRight } from 'lucide-react';
+import { getReclassificationRules, saveReclassificationRule, deleteReclassificationRule, getReclassificationSummary } from '../utils/reclassificationRules.js';
+import { CONDITION_OPERATORS, describeCondition, getValidFromPeriod } from '../utils/reclassification.js';
+import { DIMENSION_FIELDS, METRIC_FIELDS } from '../utils/recordSchema.js';
+import { getMarkets, getMarketCurrencies } from '../utils/marketRegistry.js';
+import { formatCurrency, getMarketCurrency } from '../utils/currency.js';
+
+const currentMonth = () => new Date().toISOString().slice(0, 7);
+
+const EMPTY_RULE = {
+  market_code: '',
+  dimension: 'Channel Name',
+  condition_metric: '',
+  condition_operator: '<',
+  condition_value: '',
+  target_value: '',
+  valid_from: currentMonth(),
+  description: '',
+  is_active: true
+};
+
+// Form for adding or editing one reclassification rule
+const ReclassificationRuleForm = ({ rule, isSaving, onSave, onCancel }) => {
+  const [form, setForm] = useState({ ...rule, valid_from: getValidFromPeriod(rule), condition_metric: rule.condition_metric || '' });
+  const update = (field, value) => setForm(current => ({ ...current, [field]: value }));
+
+  const inputClass = 'border border-gray-300 rounded px-2 py-1 text-sm w-full';
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-4">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-3">
+        <label className="text-xs text-gray-600">
+          Market
+          <select value={form.market_code || ''} onChange={(e) => update('market_code', e.target.value)} className={inputClass}>
+            <option value="">All markets</option>
+            {getMarkets().map(market => <option key={market.code} value={market.code}>{market.code} – {market.display_name}</option>)}
+          </select>
+        </label>
+        <label className="text-xs text-gray-600">
+          Dimension
+          <select value={form.dimension} onChange={(e) => update('dimension', e.target.value)} className={inputClass}>
+            {DIMENSION_FIELDS.map(field => <option key={field} value={field}>{field}</option>)}
+          </select>
+        </label>
+        <label className="text-xs text-gray-600">
+          Reclassify to
+          <input value={form.target_value} onChange={(e) => update('target_value', e.target.value)} className={inputClass} />
+        </label>
+        <label className="text-xs text-gray-600">
+          Valid from
+          <input type="month" value={form.valid_from} onChange={(e) => update('valid_from', e.target.value)} className={inputClass} />
+        </label>
+      </div>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-3">
+        <label className="text-xs text-gray-600">
+          Only when
+          <select value={form.condition_metric} onChange={(e) => update('condition_metric', e.target.value)} className={inputClass}>
+            <option value="">Every unmapped row</option>
+            {METRIC_FIELDS.map(metric => <option key={metric} value={metric}>{metric}</option>)}
+          </select>
+        </label>
+        {form.condition_metric && (
+          <>
+            <label className="text-xs text-gray-600">
+              Is
+              <select value={form.condition_operator} onChange={(e) => update('condition_operator', e.target.value)} className={inputClass}>
+                {CONDITION_OPERATORS.map(operator => <option key={operator} value={operator}>{operator}</option>)}
+              </select>
+            </label>
+            <label className="text-xs text-gray-600" title="Costs are compared in the market's own currency">
+              Value
+              <input type="number" value={form.condition_value ?? ''} onChange={(e) => update('condition_value', e.target.value)} className={inputClass} />
+            </label>
+          </>
+        )}
+        <label className={`text-xs text-gray-600 ${form.condition_metric ? '' : 'md:col-span-3'}`}>
+          Description
+          <input value={form.description || ''} onChange={(e) => update('description', e.target.value)} className={inputClass} />
+        </label>
+      </div>
+      <div className="flex items-center justify-between">
+        <label className="flex items-center gap-1 text-sm text-gray-700">
+          <input type="checkbox" checked={form.is_active} onChange={(e) => update('is_active', e.target.checked)} />
+          Active
+        </label>
+        <div className="flex gap-2">
+          <button onClick={onCancel} disabled={isSaving} className="btn-secondary">Cancel</button>
+          <button onClick={() => onSave(form)} disabled={isSaving || !form.target_value || !form.valid_from} className="btn-primary flex items-center gap-2">
+            {isSaving && <Loader2 className="h-4 w-4 animate-spin" />}
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const ReclassificationRulesManager = ({ onReapply, isProcessing, runsVersion }) => {
+  const [rules, setRules] = useState([]);
+  const [summary, setSummary] = useState({});
+  const [editing, setEditing] = useState(null);
+  const [expandedRules, setExpandedRules] = useState(new Set());
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [rulesChanged, setRulesChanged] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Reload after every processing run, which rewrites the reclassification log
+  useEffect(() => {
+    const loadRules = async () => {
+      setIsLoading(true);
+      try {
+        const [storedRules, storedSummary] = await Promise.all([getReclassificationRules(), getReclassificationSummary()]);
+        setRules(storedRules);
+        setSummary(storedSummary);
+      } catch (loadError) {
+        console.error('❌ Error loading reclassification rules:', loadError);
+        setError(loadError.message);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    loadRules();
+  }, [runsVersion]);
+
+  const handleSave = async (rule) => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      setRules(await saveReclassificationRule(rule));
+      setEditing(null);
+      setRulesChanged(true);
+    } catch (saveError) {
+      console.error('❌ Error saving reclassification rule:', saveError);
+      setError(saveError.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Delete the rule reclassifying unmapped ${rule.dimension} to "${rule.target_value}"?`)) return;
+
+    setIsSaving(true);
+    setError(null);
+    try {
+      setRules(await deleteReclassificationRule(rule.id));
+      setRulesChanged(true);
+    } catch (deleteError) {
+      console.error('❌ Error deleting reclassification rule:', deleteError);
+      setError(deleteError.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleReapply = async () => {
+    if (!window.confirm('Reprocess every market-month the reclassification rules cover, or that a rule reclassified before?')) return;
+    setRulesChanged(false);
+    await onReapply();
+  };
+
+  const toggleRule = (id) => {
+    const expanded = new Set(expandedRules);
+    if (expanded.has(id)) {
+      expanded.delete(id);
+    } else {
+      expanded.add(id);
+    }
+    setExpandedRules(expanded);
+  };
+
+  const marketCurrencies = getMarketCurrencies();
+
+  return (
+    <div className="mt-8 bg-white border border-gray-200 rounded-xl p-6 shadow-soft">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+          <Shuffle className="h-5 w-5 mr-2 text-bmw-600" />
+          Reclassification Rules
+        </h3>
+        <div className="flex items-center gap-2">
+          <button onClick={handleReapply} disabled={isProcessing || isSaving} className="btn-secondary flex items-center gap-2">
+            <RefreshCw className="h-4 w-4" />
+            Re-apply to history
+          </button>
+          <button onClick={() => setEditing(EMPTY_RULE)} disabled={!!editing || isSaving} className="btn-secondary flex items-center gap-2">
+            <Plus className="h-4 w-4" />
+            Add rule
+          </button>
+        </div>
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        Rules assign unmapped values of a dimension to a value from their valid-from month on, for one market or all of them, optionally only for rows whose metric passes a condition. Market-specific rules are tried first. Compliance is reported as delivered and after reclassification.
+      </p>
+
+      {rulesChanged && (
+        <div className="mb-4 bg-yellow-50 border border-yellow-200 rounded-lg p-3 text-sm text-yellow-800">
+          The next processing run reprocesses the market-months the changed rules apply to; use "Re-apply to history" to reprocess them now, along with the months a rule reclassified before.
+        </div>
+      )}
+
+      {error && <p className="text-sm text-red-700 mb-3">{error}</p>}
+
+      {editing && (
+        <ReclassificationRuleForm
+          key={editing.id || 'new'}
+          rule={editing}
+          isSaving={isSaving}
+          onSave={handleSave}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+
+      {isLoading ? (
+        <div className="flex items-center text-sm text-gray-600">
+          <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+          Loading rules...
+        </div>
+      ) : rules.length === 0 ? (
+        <p className="text-sm text-gray-500">No reclassification rules yet.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                <th className="py-2 pr-3">Market</th>
+                <th className="py-2 pr-3">Dimension</th>
+                <th className="py-2 pr-3">Condition</th>
+                <th className="py-2 pr-3">Reclassify to</th>
+                <th className="py-2 pr-3">Valid from</th>
+                <th className="py-2 pr-3">Reclassified</th>
+                <th className="py-2" />
+              </tr>
+            </thead>
+            <tbody className="text-gray-700">
+              {rules.map(rule => {
+                const ruleSummary = summary[rule.id];
+                const isExpanded = expandedRules.has(rule.id);
+
+                return (
+                  <React.Fragment key={rule.id}>
+                    <tr className={`border-t border-gray-50 ${rule.is_active ? '' : 'text-gray-400'}`} title={rule.description || undefined}>
+                      <td className="py-1 pr-3">{rule.market_code || 'All'}</td>
+                      <td className="py-1 pr-3">{rule.dimension}</td>
+                      <td className="py-1 pr-3">{describeCondition(rule) || 'Every unmapped row'}</td>
+                      <td className="py-1 pr-3 font-medium">{rule.target_value}</td>
+                      <td className="py-1 pr-3">{getValidFromPeriod(rule)}</td>
+                      <td className="py-1 pr-3">
+                        {ruleSummary ? (
+                          <button onClick={() => toggleRule(rule.id)} className="flex items-center text-bmw-600 hover:text-bmw-800">
+                            {isExpanded ? <ChevronDown className="h-3 w-3 mr-1" /> : <ChevronRight className="h-3 w-3 mr-1" />}
+                            {ruleSummary.record_count.toLocaleString()} records in {ruleSummary.marketMonths.length} months
+                          </button>
+                        ) : (
+                          <span className="text-gray-400">Nothing yet</span>
+                        )}
+                      </td>
+                      <td className="py-1 text-right whitespace-nowrap">
+                        <button onClick={() => setEditing(rule)} disabled={!!editing || isSaving} className="text-bmw-600 hover:text-bmw-800 mr-2" title="Edit rule">
+                          <Pencil className="h-4 w-4" />
+                        </button>
+                        <button onClick={() => handleDelete(rule)} disabled={!!editing || isSaving} className="text-red-600 hover:text-red-800" title="Delete rule">
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      </td>
+                    </tr>
+                    {isExpanded && ruleSummary && (
+                      <tr>
+                        <td colSpan="7" className="pb-2">
+                          <table className="ml-4 text-xs text-gray-600">
+                            <thead>
+                              <tr className="text-left text-gray-500">
+                                <th className="py-1 pr-4">Market-month</th>
+                                <th className="py-1 pr-4">Records</th>
+                                <th className="py-1 pr-4">Media Cost</th>
+                                <th className="py-1 pr-4">NVWR</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {ruleSummary.marketMonths.map(entry => (
+                                <tr key={`${entry.market_code}-${entry.period}`}>
+                                  <td className="py-0.5 pr-4">{entry.market_code} {entry.period}</td>
+                                  <td className="py-0.5 pr-4">{entry.record_count.toLocaleString()}</td>
+                                  <td className="py-0.5 pr-4">{formatCurrency(entry.media_cost, { decimals: 0, currency: getMarketCurrency(entry.market_code, marketCurrencies) })}</td>
+                                  <td className="py-0.5 pr-4">{entry.nvwr.toLocaleString()}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReclassificationRulesManager;
@@ -1,34 +1,83 @@
 import React, { useState, useRef, useCallback, useEffect } from 'react';
-import { Upload, Trash2, FileText, RefreshCw, Loader2, CheckCircle, XCircle, AlertCircle, ArrowLeft } from 'lucide-react';
-import { uploadFileToSupabase, getUploadedFiles, processCSVFileFromSupabase, processAllCSVsFromSupabase, deleteFileFromSupabase, clearAllDataFromSupabase } from '../utils/supabaseCsvProcessor.js';
+import { Upload, Trash2, FileText, RefreshCw, Loader2, CheckCircle, XCircle, AlertCircle, ArrowLeft, History } from 'lucide-react';
+import { uploadFileToSupabase, getUploadedFiles, processCSVFileFromSupabase, createProcessingJob, runProcessingJob, deleteFileFromSupabase, clearAllDataFromSupabase } from '../utils/supabaseCsvProcessor.js';
+import { DIMENSION_FIELDS, METRIC_FIELDS } from '../utils/recordSchema.js';
+import { DIMENSION_REGISTRY } from '../utils/dimensionRegistry.js';
+import { isWorkbookFile } from '../utils/workbookImporter.js';
+import { isBundleFile, unpackBundle, buildCompletenessMatrix } from '../utils/bundleImporter.js';
+import { preflightFile } from '../utils/uploadPreflight.js';
+import { activateFileRevision } from '../utils/fileRevisions.js';
+import { JOB_STATUS, getProcessingJob, getUnfinishedProcessingJob, requestJobCancellation, discardProcessingJob, isJobActiveInTab } from '../utils/processingJobs.js';
 import DataInventory from './DataInventory';
+import BundleCompletenessMatrix from './BundleCompletenessMatrix';
+import UploadPreflightReport from './UploadPreflightReport';
+import FileRevisionHistory from './FileRevisionHistory';
+import ProcessingRunHistory from './ProcessingRunHistory';
+import ProcessingJobPanel from './ProcessingJobPanel';
+import FxRatesManager from './FxRatesManager';
+import MarketRegistryManager from './MarketRegistryManager';
+import MarketGroupsManager from './MarketGroupsManager';
+import DimensionAliasManager from './DimensionAliasManager';
+import ModelHierarchyManager from './ModelHierarchyManager';
+import QualityProfilesManager from './QualityProfilesManager';
+import ReclassificationRulesManager from './ReclassificationRulesManager';
+
+// Remembers who is uploading so revisions can be attributed
+const UPLOADER_NAME_KEY = 'bmw_uploader_name';
+
+// How often a job running in another tab is polled for progress
+const JOB_POLL_INTERVAL_MS = 2000;
 
 const UploadPage = ({ onDataUpdate, onError, onClearAll, onMetadataUpdate, onBack, metadata, onRefresh, isRefreshing, onLoadServerFiles, isInitializing }) => {
   const [uploadedFiles, setUploadedFiles] = useState([]);
   const [isDragOver, setIsDragOver] = useState(false);
   const [isProcessing, setIsProcessing] = useState(false);
   const [processingFiles, setProcessingFiles] = useState(new Set());
+  const [pendingBundle, setPendingBundle] = useState(null);
+  const [pendingPreflight, setPendingPreflight] = useState(null);
+  const [uploaderName, setUploaderName] = useState(() => localStorage.getItem(UPLOADER_NAME_KEY) || '');
+  const [expandedHistory, setExpandedHistory] = useState(null);
+  const [runsVersion, setRunsVersion] = useState(0);
+  const [job, setJob] = useState(null);
+  const hasUnfinishedJob = Boolean(job) && job.status !== JOB_STATUS.COMPLETED;
 
   // Expected columns for BMW data (matching actual CSV structure)
-  const expectedColumns = [
-    'Country', 'Campaign Type', 'Channel Type', 'Channel Name', 'Phase', 'Model',
-    'Media Cost', 'Impressions', 'CPM', 'Clicks', 'CTR', 'CPC', 'IV', 'CP IV',
-    'Entry Rate', 'NVWR', 'CP NVWR', 'CVR', 'DCS (pre) Order', 'CP DCS (pre) Order',
-    'Meta_Leads', 'Cp lead Forms'
-  ];
+  const expectedColumns = ['Country', ...DIMENSION_FIELDS, ...METRIC_FIELDS];
 
   // Load existing files from Supabase on component mount
   React.useEffect(() => {
     loadExistingFiles();
+    // A job interrupted by a refresh (or still running in another tab) is picked up again
+    getUnfinishedProcessingJob().then(setJob);
   }, []);
 
+  // Follow the progress of a job running in another tab; polling restarts only when the
+  // job or its status changes, not with each progress update
+  const jobId = job?.id;
+  const jobStatus = job?.status;
+  useEffect(() => {
+    if (!jobId || isJobActiveInTab(jobId) || (jobStatus !== JOB_STATUS.RUNNING && jobStatus !== JOB_STATUS.CANCELLING)) {
+      return undefined;
+    }
+
+    const poll = setInterval(async () => {
+      try {
+        setJob(await getProcessingJob(jobId));
+      } catch (error) {
+        console.warn('⚠️ Could not refresh the processing job:', error.message);
+      }
+    }, JOB_POLL_INTERVAL_MS);
+    return () => clearInterval(poll);
+  }, [jobId, jobStatus]);
+
   const loadExistingFiles = async () => {
     try {
       const files = await getUploadedFiles();
       setUploadedFiles(files.map(file => ({
         name: file.filename,
         status: 'success',
-        message: `Uploaded to Supabase (${file.file_size} bytes)`,
+        message: `Uploaded to Supabase (${file.file_size} bytes, revision ${file.active_revision || 1})`,
+        activeRevision: file.active_revision || 1,
         data: null,
         fileInfo: {
           country: file.country,
@@ -42,7 +91,7 @@ const UploadPage = ({ onDataUpdate, onError, onClearAll, onMetadataUpdate, onBac
     }
   };
 
-  const processFile = async (file) => {
+  const processFile = async (file, { sheets } = {}) => {
     try {
       console.log(`🔄 Processing file: ${file.name}`);
       
@@ -57,20 +106,26 @@ const UploadPage = ({ onDataUpdate, onError, onClearAll, onMetadataUpdate, onBac
       setProcessingFiles(new Set(processingFiles));
 
       // Upload file to Supabase
-      const result = await uploadFileToSupabase(file);
+      const result = await uploadFileToSupabase(file, { uploadedBy: uploaderName.trim() || null, sheets });
       
       if (result.success) {
         console.log(`✅ ${result.message}: ${file.name}`);
-        
-        // Add to uploaded files list if not already there
-        if (!uploadedFiles.some(f => f.filename === file.name)) {
-          setUploadedFiles(prev => [...prev, result.fileRecord]);
-        }
+        result.skippedSheets?.forEach(sheet => {
+          console.warn(`⚠️ Sheet "${sheet.sheetName}" in ${file.name} skipped: ${sheet.reason}`);
+        });
+
+        // Workbooks produce one file record per dimension sheet
+        const fileRecords = result.fileRecords || [result.fileRecord];
+
+        // Reload the list so new files and new revisions show up
+        await loadExistingFiles();
 
         // Process the uploaded file to extract data
         console.log(`🔄 Processing data from ${file.name}...`);
         try {
-          await processCSVFileFromSupabase(result.fileRecord);
+          for (const fileRecord of fileRecords) {
+            await processCSVFileFromSupabase(fileRecord);
+          }
           console.log(`✅ Data processed successfully from ${file.name}`);
           
           // Trigger data refresh in parent components
@@ -96,21 +151,44 @@ const UploadPage = ({ onDataUpdate, onError, onClearAll, onMetadataUpdate, onBac
     }
   };
 
-  const handleFiles = useCallback(async (files) => {
-    const csvFiles = Array.from(files).filter(file => 
-      file.type === 'text/csv' || file.name.endsWith('.csv')
-    );
+  // Unpack zip bundles and hold them for review in the completeness matrix
+  const prepareBundles = useCallback(async (bundles) => {
+    try {
+      const entries = [];
+      for (const bundle of bundles) {
+        entries.push(...(await unpackBundle(bundle)));
+      }
+      setPendingBundle({
+        name: bundles.map(bundle => bundle.name).join(', '),
+        matrix: buildCompletenessMatrix(entries)
+      });
+    } catch (error) {
+      console.error('❌ Error unpacking bundle:', error);
+      onError(`Could not read zip bundle: ${error.message}`);
+    }
+  }, [onError]);
 
-    if (csvFiles.length === 0) {
-      onError('Please select CSV files only.');
-      return;
+  // Check files locally and hold them for review in the preflight report
+  const preparePreflight = useCallback(async (files) => {
+    try {
+      const reports = [];
+      for (const file of files) {
+        reports.push(await preflightFile(file));
+      }
+      setPendingPreflight(reports);
+    } catch (error) {
+      console.error('❌ Error running upload preflight:', error);
+      onError(`Could not check files: ${error.message}`);
     }
+  }, [onError]);
 
+  // Upload files the user confirmed in a preflight report or bundle matrix
+  // (uploads: { file, sheets }, see getBundleUploadFiles)
+  const uploadReviewedFiles = async (uploads) => {
     setIsProcessing(true);
-    
     try {
-      for (const file of csvFiles) {
-        await processFile(file);
+      for (const { file, sheets } of uploads) {
+        await processFile(file, { sheets });
       }
     } catch (error) {
       console.error('Error processing files:', error);
@@ -118,7 +196,37 @@ const UploadPage = ({ onDataUpdate, onError, onClearAll, onMetadataUpdate, onBac
     } finally {
       setIsProcessing(false);
     }
-  }, [onError]);
+  };
+
+  const handleConfirmPreflight = async (files) => {
+    await uploadReviewedFiles(files.map(file => ({ file })));
+    setPendingPreflight(null);
+  };
+
+  const handleConfirmBundle = async (uploads) => {
+    await uploadReviewedFiles(uploads);
+    setPendingBundle(null);
+  };
+
+  const handleFiles = useCallback(async (files) => {
+    const bundles = Array.from(files).filter(file => isBundleFile(file.name));
+    const csvFiles = Array.from(files).filter(file => 
+      file.type === 'text/csv' || file.name.endsWith('.csv') || isWorkbookFile(file.name)
+    );
+
+    if (csvFiles.length === 0 && bundles.length === 0) {
+      onError('Please select CSV, Excel (.xlsx) or zip files only.');
+      return;
+    }
+
+    // Nothing is uploaded until the user has reviewed the checks
+    if (bundles.length > 0) {
+      await prepareBundles(bundles);
+    }
+    if (csvFiles.length > 0) {
+      await preparePreflight(csvFiles);
+    }
+  }, [onError, prepareBundles, preparePreflight]);
 
   const handleDragOver = useCallback((e) => {
     e.preventDefault();
@@ -138,7 +246,9 @@ const UploadPage = ({ onDataUpdate, onError, onClearAll, onMetadataUpdate, onBac
   }, [handleFiles]);
 
   const handleFileInput = useCallback((e) => {
-    const files = e.target.files;
+    const files = Array.from(e.target.files);
+    // Reset so the same file can be selected again after fixing it
+    e.target.value = '';
     handleFiles(files);
   }, [handleFiles]);
 
@@ -161,6 +271,23 @@ const UploadPage = ({ onDataUpdate, onError, onClearAll, onMetadataUpdate, onBac
     }
   };
 
+  const handleUploaderNameChange = (e) => {
+    setUploaderName(e.target.value);
+    localStorage.setItem(UPLOADER_NAME_KEY, e.target.value);
+  };
+
+  // Activate another revision and reprocess so the dashboard reflects it
+  const handleRollback = async (filename, revision) => {
+    try {
+      await activateFileRevision(filename, revision);
+      await loadExistingFiles();
+      await handleProcessAllFiles();
+    } catch (error) {
+      console.error('Error rolling back file revision:', error);
+      onError('Error activating revision. Please try again.');
+    }
+  };
+
   const clearAllFiles = async () => {
     try {
       await clearAllDataFromSupabase();
@@ -174,15 +301,18 @@ const UploadPage = ({ onDataUpdate, onError, onClearAll, onMetadataUpdate, onBac
     }
   };
 
-  const handleProcessAllFiles = async () => {
+  // Run a processing job in this tab, following its progress step by step
+  const runJob = async (jobId) => {
     try {
-      console.log('🔄 Processing all uploaded files...');
-      setIsProcessing(true);
-      
-      const result = await processAllCSVsFromSupabase();
-      
+      const result = await runProcessingJob(jobId, {
+        onProgress: (progress) => setJob(current => current && { ...current, progress })
+      });
+      const finishedJob = await getProcessingJob(jobId);
+
       if (result.success) {
         console.log('✅ All files processed successfully');
+        setRunsVersion(version => version + 1);
+        setJob(null);
         
         // Trigger data refresh in parent components
         if (onDataUpdate) {
@@ -195,13 +325,44 @@ const UploadPage = ({ onDataUpdate, onError, onClearAll, onMetadataUpdate, onBac
         // Reload files list
         await loadExistingFiles();
       } else {
-        console.error('❌ Error processing files:', result.error);
+        console.log(`⏹️ Processing job #${jobId} cancelled`);
+        setJob(finishedJob);
       }
     } catch (error) {
       console.error('❌ Error processing all files:', error);
-    } finally {
-      setIsProcessing(false);
+      setJob(await getProcessingJob(jobId).catch(() => null));
+    }
+  };
+
+  const handleProcessAllFiles = async (options = {}) => {
+    try {
+      console.log('🔄 Processing all uploaded files...');
+      const newJob = await createProcessingJob({ triggeredBy: uploaderName.trim() || null, ...options });
+      setJob(newJob);
+      await runJob(newJob.id);
+    } catch (error) {
+      console.error('❌ Error processing all files:', error);
+      onError(error.message);
+      setJob(await getUnfinishedProcessingJob());
+    }
+  };
+
+  const handleResumeJob = async () => {
+    setJob(current => ({ ...current, status: JOB_STATUS.RUNNING, error: null }));
+    await runJob(job.id);
+  };
+
+  const handleCancelJob = async () => {
+    await requestJobCancellation(job.id);
+    setJob(current => ({ ...current, status: JOB_STATUS.CANCELLING }));
+  };
+
+  const handleDiscardJob = async () => {
+    if (!window.confirm('Discard this processing job? Market-months it already processed stay stored; run "Process All Files" again to finish the rest.')) {
+      return;
     }
+    await discardProcessingJob(job);
+    setJob(null);
   };
 
   return (
@@ -287,9 +448,26 @@ const UploadPage = ({ onDataUpdate, onError, onClearAll, onMetadataUpdate, onBac
           <p className="text-xs text-gray-500 mt-3">
             Files will be stored securely in Supabase cloud storage and processed data will be cached for faster loading
           </p>
+          <p className="text-xs text-gray-500 mt-1">
+            Excel workbooks (BMW_[CC]_[YYYY]_[MM].xlsx) may hold one sheet per dimension, named after the dimension ({DIMENSION_REGISTRY.map(entry => entry.filenameToken).join(', ')}); the original workbook is kept for auditing
+          </p>
+          <p className="text-xs text-gray-500 mt-1">
+            Re-uploading a file with the same name stores it as a new revision and makes it active; earlier revisions can be restored from the file's history
+          </p>
+          <p className="text-xs text-gray-500 mt-1">
+            A .zip bundle can carry a whole month for one or more markets; its contents are checked for all six dimensions per market-month before anything is uploaded
+          </p>
         </div>
       </div>
 
+      {/* Processing job progress */}
+      <ProcessingJobPanel
+        job={job}
+        onCancel={handleCancelJob}
+        onResume={handleResumeJob}
+        onDiscard={handleDiscardJob}
+      />
+
       {/* Enhanced Processing Indicator */}
       {isProcessing && (
         <div className="mb-6 bg-gradient-to-r from-bmw-50 to-blue-50 border border-bmw-200 rounded-xl p-6 shadow-soft">
@@ -305,6 +483,40 @@ const UploadPage = ({ onDataUpdate, onError, onClearAll, onMetadataUpdate, onBac
         </div>
       )}
 
+      {/* Uploader attribution for file revisions */}
+      <div className="mb-6 flex items-center space-x-3">
+        <label htmlFor="uploader-name" className="text-sm font-medium text-gray-700">Uploaded by</label>
+        <input
+          id="uploader-name"
+          type="text"
+          value={uploaderName}
+          onChange={handleUploaderNameChange}
+          placeholder="Your name"
+          className="border border-gray-300 rounded-lg px-3 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-bmw-500"
+        />
+      </div>
+
+      {/* Preflight review */}
+      {pendingPreflight && (
+        <UploadPreflightReport
+          reports={pendingPreflight}
+          onConfirm={handleConfirmPreflight}
+          onCancel={() => setPendingPreflight(null)}
+          isUploading={isProcessing}
+        />
+      )}
+
+      {/* Zip bundle review */}
+      {pendingBundle && (
+        <BundleCompletenessMatrix
+          bundleName={pendingBundle.name}
+          matrix={pendingBundle.matrix}
+          onConfirm={handleConfirmBundle}
+          onCancel={() => setPendingBundle(null)}
+          isUploading={isProcessing}
+        />
+      )}
+
       {/* Enhanced Drag and Drop Area */}
       <div
         className={`border-2 border-dashed rounded-2xl p-12 text-center transition-all duration-300 ${
@@ -325,7 +537,7 @@ const UploadPage = ({ onDataUpdate, onError, onClearAll, onMetadataUpdate, onBac
         </div>
         
         <h3 className="text-xl font-semibold text-gray-900 mb-2">
-          {isDragOver ? 'Drop your files here' : 'Drag and drop CSV files here'}
+          {isDragOver ? 'Drop your files here' : 'Drag and drop CSV, Excel or zip files here'}
         </h3>
         <p className="text-gray-600 mb-6">
           or click to browse files
@@ -334,7 +546,7 @@ const UploadPage = ({ onDataUpdate, onError, onClearAll, onMetadataUpdate, onBac
         <input
           type="file"
           multiple
-          accept=".csv"
+          accept=".csv,.xlsx,.zip"
           onChange={handleFileInput}
           className="hidden"
           id="file-input"
@@ -401,13 +613,31 @@ const UploadPage = ({ onDataUpdate, onError, onClearAll, onMetadataUpdate, onBac
                     </div>
                   </div>
                   
-                  <button
-                    onClick={() => removeFile(index)}
-                    className="text-gray-400 hover:text-red-500 transition-colors p-2 hover:bg-red-50 rounded-lg"
-                  >
-                    <XCircle className="h-5 w-5" />
-                  </button>
+                  <div className="flex items-center space-x-1">
+                    <button
+                      onClick={() => setExpandedHistory(expandedHistory === file.name ? null : file.name)}
+                      className="text-gray-400 hover:text-bmw-600 transition-colors p-2 hover:bg-bmw-50 rounded-lg"
+                      title="Revision history"
+                    >
+                      <History className="h-5 w-5" />
+                    </button>
+                    <button
+                      onClick={() => removeFile(index)}
+                      className="text-gray-400 hover:text-red-500 transition-colors p-2 hover:bg-red-50 rounded-lg"
+                    >
+                      <XCircle className="h-5 w-5" />
+                    </button>
+                  </div>
                 </div>
+
+                {expandedHistory === file.name && (
+                  <FileRevisionHistory
+                    filename={file.name}
+                    activeRevision={file.activeRevision}
+                    onRollback={handleRollback}
+                    isRollingBack={isProcessing || hasUnfinishedJob}
+                  />
+                )}
               </div>
             ))}
           </div>
@@ -445,19 +675,69 @@ const UploadPage = ({ onDataUpdate, onError, onClearAll, onMetadataUpdate, onBac
       {/* Process All Files Button */}
       {uploadedFiles.length > 0 && (
         <div className="mt-8">
-          <button
-            onClick={handleProcessAllFiles}
-            disabled={isProcessing}
-            className="btn-primary flex items-center gap-2"
-          >
-            <RefreshCw className={`w-4 h-4 ${isProcessing ? 'animate-spin' : ''}`} />
-            {isProcessing ? 'Processing...' : 'Process All Files'}
-          </button>
+          <div className="flex items-center gap-3">
+            <button
+              onClick={() => handleProcessAllFiles()}
+              disabled={isProcessing || hasUnfinishedJob}
+              className="btn-primary flex items-center gap-2"
+            >
+              <RefreshCw className={`w-4 h-4 ${hasUnfinishedJob && job.status === JOB_STATUS.RUNNING ? 'animate-spin' : ''}`} />
+              {hasUnfinishedJob && job.status === JOB_STATUS.RUNNING ? 'Processing...' : 'Process All Files'}
+            </button>
+            <button
+              onClick={() => handleProcessAllFiles({ force: true })}
+              disabled={isProcessing || hasUnfinishedJob}
+              className="btn-secondary"
+            >
+              Reprocess Everything
+            </button>
+          </div>
           <p className="text-sm text-gray-600 mt-1">
-            Process uploaded files to extract data for the dashboard
+            Process uploaded files to extract data for the dashboard. Only market-months whose files changed since the last run are reprocessed; use "Reprocess Everything" to rebuild all of them. A cancelled or interrupted run can be resumed from its last completed step
           </p>
         </div>
       )}
+
+      {/* Processing run snapshots */}
+      <ProcessingRunHistory
+        runsVersion={runsVersion}
+        onPinChange={() => onDataUpdate && onDataUpdate([])}
+      />
+
+      {/* Market registry: names, currencies, expected dimensions */}
+      <MarketRegistryManager
+        onRegistryChange={() => onDataUpdate && onDataUpdate([])}
+      />
+
+      {/* Market groups rolled up for cluster reviews */}
+      <MarketGroupsManager
+        onGroupsChange={() => onDataUpdate && onDataUpdate([])}
+      />
+
+      {/* Alias rules for dimension values, and the values waiting for one */}
+      <DimensionAliasManager />
+
+      {/* Rules reclassifying unmapped values, re-applied to history on demand */}
+      <ReclassificationRulesManager
+        runsVersion={runsVersion}
+        isProcessing={isProcessing || hasUnfinishedJob}
+        onReapply={() => handleProcessAllFiles({ reclassify: true })}
+      />
+
+      {/* Model hierarchy for family and segment rollups */}
+      <ModelHierarchyManager
+        onHierarchyChange={() => onDataUpdate && onDataUpdate([])}
+      />
+
+      {/* Quality profiles grading data quality per market */}
+      <QualityProfilesManager
+        onProfilesChange={() => onDataUpdate && onDataUpdate([])}
+      />
+
+      {/* FX rates for the reporting currency */}
+      <FxRatesManager
+        onRatesChange={() => onDataUpdate && onDataUpdate([])}
+      />
     </div>
   );
 };
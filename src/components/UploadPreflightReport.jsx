@@ -0,0 +1,139 @@
+import React from 'react';
+import { ClipboardCheck, CheckCircle, XCircle, AlertTriangle, Loader2 } from 'lucide-react';
+import { formatValue } from '../utils/trendAnalysisDataProcessor.js';
+import { LEGACY_DIMENSION } from '../utils/legacyImporter.js';
+import { getMarketCurrency } from '../utils/currency.js';
+import { getMarketCurrencies } from '../utils/marketRegistry.js';
+
+// Totals shown in the preview, in the market's own currency (ratios are recomputed from the
+// summed base metrics)
+const PREVIEW_METRICS = [
+  { metric: 'Media Cost', format: 'currency' },
+  { metric: 'Impressions', format: 'number' },
+  { metric: 'Clicks', format: 'number' },
+  { metric: 'IV', format: 'number' },
+  { metric: 'NVWR', format: 'number' },
+  { metric: 'DCS (pre) Order', format: 'number' },
+  { metric: 'Cp NVWR', format: 'currency' }
+];
+
+// Dimensions whose rows add up to the market total without a breakdown
+const TOTAL_DIMENSIONS = ['All', LEGACY_DIMENSION];
+
+// Warnings listed before the rest are collapsed into a count
+const MAX_WARNINGS = 5;
+
+const ReportCard = ({ report }) => {
+  const { fileInfo } = report;
+  const hiddenWarnings = report.warnings.length - MAX_WARNINGS;
+  const currency = getMarketCurrency(fileInfo?.country, getMarketCurrencies());
+
+  return (
+    <div className={`border-2 rounded-xl p-4 ${report.isValid ? 'border-gray-200' : 'border-red-200 bg-red-50'}`}>
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center space-x-2">
+          {report.isValid ? (
+            <CheckCircle className="h-5 w-5 text-green-600" />
+          ) : (
+            <XCircle className="h-5 w-5 text-red-600" />
+          )}
+          <h4 className="font-semibold text-gray-900">{report.filename}</h4>
+        </div>
+        <span className="text-xs text-gray-500">{report.rowCount} rows</span>
+      </div>
+
+      {fileInfo && (
+        <p className="text-xs text-gray-500 mb-2">
+          {fileInfo.country} – {fileInfo.dimension} – {fileInfo.monthName} {fileInfo.year}
+          {report.sheets && ` (${report.sheets.length} dimension sheets)`}
+        </p>
+      )}
+
+      {report.errors.length > 0 && (
+        <ul className="text-sm text-red-700 space-y-1 mb-2">
+          {report.errors.map((error, index) => (
+            <li key={index} className="flex items-start">
+              <XCircle className="h-4 w-4 mr-1 mt-0.5 flex-shrink-0" />
+              {error}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {report.warnings.length > 0 && (
+        <ul className="text-sm text-yellow-800 space-y-1 mb-2">
+          {report.warnings.slice(0, MAX_WARNINGS).map((warning, index) => (
+            <li key={index} className="flex items-start">
+              <AlertTriangle className="h-4 w-4 mr-1 mt-0.5 flex-shrink-0" />
+              {warning}
+            </li>
+          ))}
+          {hiddenWarnings > 0 && (
+            <li className="text-xs text-yellow-700 ml-5">+ {hiddenWarnings} more warnings</li>
+          )}
+        </ul>
+      )}
+
+      {report.totals && (
+        <div className="bg-gray-50 rounded-lg p-3 mt-2">
+          <p className="text-xs font-medium text-gray-500 mb-2">
+            {TOTAL_DIMENSIONS.includes(report.totalsDimension) ? 'Market totals' : `Sum of ${report.totalsDimension} rows`}
+          </p>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-xs">
+            {PREVIEW_METRICS.map(({ metric, format }) => (
+              <div key={metric}>
+                <span className="text-gray-500">{metric}: </span>
+                <span className="font-medium text-gray-900">{formatValue(report.totals[metric], format, { currency })}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const UploadPreflightReport = ({ reports, onConfirm, onCancel, isUploading }) => {
+  const validFiles = reports.filter(report => report.isValid).map(report => report.file);
+  const invalidCount = reports.length - validFiles.length;
+
+  return (
+    <div className="bg-white rounded-xl p-6 shadow-soft border border-gray-200 mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+          <ClipboardCheck className="h-5 w-5 mr-2 text-bmw-600" />
+          Upload Preflight
+        </h3>
+        <span className="text-sm text-gray-500">
+          {validFiles.length} ready{invalidCount > 0 && `, ${invalidCount} with errors`}
+        </span>
+      </div>
+
+      <p className="text-sm text-gray-600 mb-4">
+        Nothing has been uploaded yet. Files with errors will not be uploaded; fix them and select them again.
+      </p>
+
+      <div className="space-y-3 mb-4">
+        {reports.map(report => (
+          <ReportCard key={report.filename} report={report} />
+        ))}
+      </div>
+
+      <div className="flex justify-end space-x-3">
+        <button onClick={onCancel} disabled={isUploading} className="btn-secondary disabled:opacity-50 disabled:cursor-not-allowed">
+          Cancel
+        </button>
+        <button
+          onClick={() => onConfirm(validFiles)}
+          disabled={isUploading || validFiles.length === 0}
+          className="btn-primary inline-flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isUploading && <Loader2 className="h-4 w-4 animate-spin" />}
+          Upload {validFiles.length} file{validFiles.length === 1 ? '' : 's'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default UploadPreflightReport;
@@ -0,0 +1,50 @@
+import { useState, useEffect } from 'react';
+import { runComputeTask } from '../utils/computeClient.js';
+
+const IDLE_STATE = { result: null, isComputing: false, progress: null, error: null };
+
+/**
+ * Run a compute task in the worker whenever its arguments change
+ * Results of superseded runs are dropped, so only the latest arguments are shown.
+ * @param {string} task - Task name (see COMPUTE_TASKS in computeTasks.js)
+ * @param {Array|null} args - Task arguments, or null to skip the task; pass a memoized array
+ * @returns {Object} { result, isComputing, progress, error }
+ */
+export const useComputeTask = (task, args) => {
+  const [state, setState] = useState(IDLE_STATE);
+
+  useEffect(() => {
+    if (!args) {
+      setState(IDLE_STATE);
+      return undefined;
+    }
+
+    let isCurrent = true;
+    setState(previous => ({ ...previous, isComputing: true, progress: null, error: null }));
+
+    runComputeTask(task, args, {
+      onProgress: (progress) => {
+        if (isCurrent) {
+          setState(previous => ({ ...previous, progress }));
+        }
+      }
+    })
+      .then(result => {
+        if (isCurrent) {
+          setState({ ...IDLE_STATE, result });
+        }
+      })
+      .catch(error => {
+        console.error(`❌ Error running compute task ${task}:`, error);
+        if (isCurrent) {
+          setState({ ...IDLE_STATE, error });
+        }
+      });
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [task, args]);
+
+  return state;
+};
@@ -0,0 +1,14 @@
+import { createContext, useContext } from 'react';
+import { BASE_CURRENCY } from '../utils/currency.js';
+
+/**
+ * Reporting currency chosen in the dashboard header. The dashboard converts the records it
+ * passes down to this currency; components format their amounts with it.
+ */
+export const ReportingCurrencyContext = createContext(BASE_CURRENCY);
+
+/**
+ * Currency the amounts in the dashboard's records are in
+ * @returns {string} Currency code
+ */
+export const useReportingCurrency = () => useContext(ReportingCurrencyContext);
@@ -0,0 +1,141 @@
+/**
+ * Alias rules storage
+ * Dimension value alias rules are kept in bmw_dimension_alias_rules and the values no rule
+ * matched, per market-month, in bmw_unmatched_dimension_values. Matching itself lives in
+ * dimensionAliases.js.
+ */
+
+import { supabase, TABLES } from './supabase.js';
+import { validateAliasRule, isUnmatchedValue } from './dimensionAliases.js';
+
+const toPeriodKey = (year, month) => `${year}-${month.toString().padStart(2, '0')}`;
+
+/**
+ * All stored alias rules (empty when they cannot be read, so processing goes on without them)
+ */
+export const getAliasRules = async () => {
+  const { data, error } = await supabase
+    .from(TABLES.DIMENSION_ALIAS_RULES)
+    .select('id, dimension, match_type, pattern, canonical_value, priority, is_active')
+    .order('dimension')
+    .order('priority')
+    .order('id');
+
+  if (error) {
+    console.warn('⚠️ Could not load alias rules, dimension values will not be normalized:', error.message);
+    return [];
+  }
+
+  return data || [];
+};
+
+/**
+ * Add or update an alias rule
+ * @param {Object} rule - { id (when updating), dimension, match_type, pattern, canonical_value, priority, is_active }
+ * @returns {Array} All stored rules
+ */
+export const saveAliasRule = async (rule) => {
+  const problem = validateAliasRule(rule);
+  if (problem) {
+    throw new Error(problem);
+  }
+
+  const row = {
+    dimension: rule.dimension,
+    match_type: rule.match_type,
+    pattern: rule.pattern,
+    canonical_value: rule.canonical_value.trim(),
+    priority: Number.isFinite(Number(rule.priority)) ? Number(rule.priority) : 100,
+    is_active: rule.is_active ?? true
+  };
+
+  const { error } = rule.id
+    ? await supabase.from(TABLES.DIMENSION_ALIAS_RULES).update(row).eq('id', rule.id)
+    : await supabase.from(TABLES.DIMENSION_ALIAS_RULES).insert(row);
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  console.log(`🏷️ Saved alias rule ${row.dimension}: ${row.pattern} → ${row.canonical_value}`);
+  return getAliasRules();
+};
+
+/**
+ * Delete an alias rule
+ * @returns {Array} All stored rules
+ */
+export const deleteAliasRule = async (id) => {
+  const { error } = await supabase
+    .from(TABLES.DIMENSION_ALIAS_RULES)
+    .delete()
+    .eq('id', id);
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return getAliasRules();
+};
+
+/**
+ * Replace the unmatched values recorded for a market-month
+ * @param {Object} period - { country, year, month }
+ * @param {Array} unmatchedValues - { dimension, raw_value, record_count } from collectUnmatchedValues
+ */
+export const replaceUnmatchedValues = async ({ country, year, month }, unmatchedValues) => {
+  const { error: deleteError } = await supabase
+    .from(TABLES.UNMATCHED_DIMENSION_VALUES)
+    .delete()
+    .eq('market_code', country)
+    .eq('year', year)
+    .eq('month', month);
+
+  if (deleteError) {
+    console.warn(`⚠️ Could not clear unmatched values of ${country} ${toPeriodKey(year, month)}:`, deleteError.message);
+    return;
+  }
+
+  if (unmatchedValues.length === 0) return;
+
+  const { error } = await supabase
+    .from(TABLES.UNMATCHED_DIMENSION_VALUES)
+    .insert(unmatchedValues.map(value => ({ market_code: country, year, month, ...value })));
+
+  if (error) {
+    console.warn(`⚠️ Could not save unmatched values of ${country} ${toPeriodKey(year, month)}:`, error.message);
+  }
+};
+
+/**
+ * Unmatched values across market-months, leaving out values a rule added since their
+ * processing now matches
+ * @param {Object} compiledRules - From compileAliasRules
+ * @returns {Array} { dimension, raw_value, record_count, markets, latest_period } most records first
+ */
+export const getUnmatchedValueSummary = async (compiledRules) => {
+  const { data, error } = await supabase
+    .from(TABLES.UNMATCHED_DIMENSION_VALUES)
+    .select('market_code, year, month, dimension, raw_value, record_count');
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  const summary = new Map();
+  (data || [])
+    .filter(row => isUnmatchedValue(row.raw_value, row.dimension, compiledRules))
+    .forEach(row => {
+      const key = `${row.dimension}\u0000${row.raw_value}`;
+      const entry = summary.get(key) || { dimension: row.dimension, raw_value: row.raw_value, record_count: 0, markets: [], latest_period: null };
+      const period = toPeriodKey(row.year, row.month);
+      entry.record_count += row.record_count;
+      if (!entry.markets.includes(row.market_code)) entry.markets.push(row.market_code);
+      if (!entry.latest_period || period > entry.latest_period) entry.latest_period = period;
+      summary.set(key, entry);
+    });
+
+  return [...summary.values()]
+    .map(entry => ({ ...entry, markets: entry.markets.sort() }))
+    .sort((a, b) => b.record_count - a.record_count);
+};
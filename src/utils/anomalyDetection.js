@@ -0,0 +1,204 @@
+import _ from 'lodash';
+import { getDimensionLabel } from './dimensionRegistry.js';
+
+/**
+ * KPI anomaly detection
+ * Each series (a market's monthly KPI, or the KPI of one channel or campaign type in a
+ * market) is compared with its own history in bmw_kpi_history: a month is flagged when its
+ * robust z-score against the median and MAD of the previous months is large. Unlike a
+ * flat MoM threshold, a volatile small market needs a bigger swing to be flagged than a
+ * stable large one.
+ */
+
+// KPI series checked; `column` is the KPI history column of the market totals, `breakdown`
+// whether the series is also checked per dimension value. `adverse` is the direction that is
+// bad news (null when neither is).
+export const ANOMALY_METRICS = [
+  { metric: 'spend', label: 'Spend', column: 'total_spend', adverse: null, breakdown: true },
+  { metric: 'impressions', label: 'Impressions', column: 'total_impressions', adverse: 'down', breakdown: false },
+  { metric: 'clicks', label: 'Clicks', column: 'total_clicks', adverse: 'down', breakdown: false },
+  { metric: 'nvwr', label: 'NVWR', column: 'total_nvwr', adverse: 'down', breakdown: true },
+  { metric: 'cpm', label: 'CPM', column: 'cpm', adverse: 'up', breakdown: true },
+  { metric: 'cpc', label: 'CPC', column: 'cpc', adverse: 'up', breakdown: false },
+  { metric: 'ctr', label: 'CTR', column: 'ctr', adverse: 'down', breakdown: true, isRate: true },
+  { metric: 'cvr', label: 'CVR', column: 'cvr', adverse: 'down', breakdown: false, isRate: true },
+  { metric: 'cost_per_nvwr', label: 'CP NVWR', column: 'cost_per_nvwr', adverse: 'up', breakdown: true },
+  { metric: 'cost_per_lead', label: 'CP Lead', column: 'cost_per_lead', adverse: 'up', breakdown: false }
+];
+
+// Dimension breakdowns stored with each KPI history row
+export const ANOMALY_BREAKDOWNS = [
+  { dimension: 'ChannelType', field: 'channel_performance', valueKey: 'channel_type' },
+  { dimension: 'CampaignType', field: 'campaign_type_performance', valueKey: 'campaign_type' }
+];
+
+// Previous months a point is compared with, and the fewest needed for a baseline
+export const BASELINE_MONTHS = 12;
+export const MIN_BASELINE_MONTHS = 4;
+
+// Points this close to the median are never flagged, however stable the series
+const MIN_RELATIVE_DEVIATION = 0.1;
+
+// MAD × 1.4826 estimates the standard deviation of normally distributed values; when more
+// than half the baseline is identical (MAD 0), the mean absolute deviation × 1.2533 is used
+const MAD_SCALE = 1.4826;
+const MEAN_AD_SCALE = 1.2533;
+
+// Severity by absolute robust z-score, highest first
+export const ANOMALY_SEVERITIES = [
+  { severity: 'high', minScore: 6 },
+  { severity: 'medium', minScore: 4.5 },
+  { severity: 'low', minScore: 3.5 }
+];
+
+const toNumber = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+};
+
+/**
+ * Median of a baseline and the scale its deviations are measured in (0 when the baseline
+ * does not vary at all)
+ */
+export const getRobustBaseline = (values) => {
+  const center = median(values);
+  const deviations = values.map(value => Math.abs(value - center));
+  const mad = median(deviations);
+  const scale = mad > 0 ? mad * MAD_SCALE : _.mean(deviations) * MEAN_AD_SCALE;
+  return { median: center, mad, scale };
+};
+
+/**
+ * Severity of an absolute robust z-score, or null below the lowest threshold
+ */
+export const getAnomalySeverity = (score) =>
+  ANOMALY_SEVERITIES.find(level => Math.abs(score) >= level.minScore)?.severity || null;
+
+const formatKPIValue = (value, { isRate }) => isRate
+  ? `${value.toFixed(2)}%`
+  : value.toLocaleString('en-US', { maximumFractionDigits: Math.abs(value) >= 100 ? 0 : 2 });
+
+/**
+ * Sentence explaining a flagged point
+ */
+const explainAnomaly = ({ definition, dimension, dimensionValue, value, baseline, baselineMonths, score, impact }) => {
+  const subject = dimension === 'All' ? definition.label : `${definition.label} of ${getDimensionLabel(dimension)} "${dimensionValue}"`;
+  const change = baseline.median !== 0
+    ? `${Math.round(Math.abs(value - baseline.median) / Math.abs(baseline.median) * 100)}% ${value > baseline.median ? 'above' : 'below'}`
+    : (value > baseline.median ? 'above' : 'below');
+  const verdict = impact === 'adverse' ? ' – worse than usual' : impact === 'favourable' ? ' – better than usual' : '';
+  return `${subject} was ${formatKPIValue(value, definition)}, ${change} the median of ${formatKPIValue(baseline.median, definition)} ` +
+    `over the previous ${baselineMonths} months (robust z-score ${score.toFixed(1)})${verdict}`;
+};
+
+/**
+ * Monthly series of a market's KPI history rows: one per metric for the market totals, and
+ * one per metric and dimension value for the breakdowns
+ * @returns {Array} { dimension ('All' for the totals), dimension_value, definition, points: [{ year, month, value }] }
+ */
+export const buildKPISeries = (historyRows) => {
+  const rows = _.sortBy(historyRows, ['year', 'month']);
+  const series = new Map();
+
+  const addPoint = (dimension, dimensionValue, definition, row, value) => {
+    if (value === null || !Number.isFinite(value)) return;
+    const key = `${dimension}|${dimensionValue}|${definition.metric}`;
+    if (!series.has(key)) {
+      series.set(key, { dimension, dimension_value: dimensionValue, definition, points: [] });
+    }
+    series.get(key).points.push({ year: row.year, month: row.month, value });
+  };
+
+  rows.forEach(row => {
+    ANOMALY_METRICS.forEach(definition => {
+      addPoint('All', '', definition, row, toNumber(row[definition.column]));
+    });
+
+    ANOMALY_BREAKDOWNS.forEach(({ dimension, field, valueKey }) => {
+      (row[field] || []).forEach(entry => {
+        ANOMALY_METRICS.filter(definition => definition.breakdown).forEach(definition => {
+          addPoint(dimension, entry[valueKey], definition, row, toNumber(entry[definition.metric]));
+        });
+      });
+    });
+  });
+
+  return [...series.values()];
+};
+
+/**
+ * Flag the anomalous points of one market's KPI history
+ * @param {Array} historyRows - KPI history rows of a single market (see kpiHistory.js)
+ * @param {Object} options - { periods: 'YYYY-MM' periods to check (every period when omitted) }
+ * @returns {Array} Anomalies { market_code, year, month, dimension, dimension_value, metric, value,
+ *   baseline_median, baseline_mad, baseline_months, robust_z, direction, impact, severity, explanation },
+ *   most severe first
+ */
+export const detectKPIAnomalies = (historyRows, { periods = null } = {}) => {
+  if (!historyRows || historyRows.length === 0) return [];
+  const marketCode = historyRows[0].market_code;
+  const periodSet = periods ? new Set(periods) : null;
+  const anomalies = [];
+
+  buildKPISeries(historyRows).forEach(({ dimension, dimension_value, definition, points }) => {
+    points.forEach((point, index) => {
+      if (index < MIN_BASELINE_MONTHS) return;
+      const period = `${point.year}-${point.month.toString().padStart(2, '0')}`;
+      if (periodSet && !periodSet.has(period)) return;
+
+      const baselineValues = points.slice(Math.max(0, index - BASELINE_MONTHS), index).map(entry => entry.value);
+      const baseline = getRobustBaseline(baselineValues);
+      if (baseline.scale === 0) return;
+
+      const deviation = point.value - baseline.median;
+      if (baseline.median !== 0 && Math.abs(deviation) / Math.abs(baseline.median) < MIN_RELATIVE_DEVIATION) return;
+
+      const score = deviation / baseline.scale;
+      const severity = getAnomalySeverity(score);
+      if (!severity) return;
+
+      const direction = deviation > 0 ? 'up' : 'down';
+      const impact = definition.adverse ? (direction === definition.adverse ? 'adverse' : 'favourable') : null;
+
+      anomalies.push({
+        market_code: marketCode,
+        year: point.year,
+        month: point.month,
+        dimension,
+        dimension_value,
+        metric: definition.metric,
+        value: point.value,
+        baseline_median: baseline.median,
+        baseline_mad: baseline.mad,
+        baseline_months: baselineValues.length,
+        robust_z: Math.round(score * 100) / 100,
+        direction,
+        impact,
+        severity,
+        explanation: explainAnomaly({
+          definition, dimension, dimensionValue: dimension_value, value: point.value,
+          baseline, baselineMonths: baselineValues.length, score, impact
+        })
+      });
+    });
+  });
+
+  return sortAnomalies(anomalies);
+};
+
+/**
+ * Order anomalies most severe first, then by the size of the deviation
+ */
+export const sortAnomalies = (anomalies) => _.orderBy(
+  anomalies,
+  [anomaly => ANOMALY_SEVERITIES.findIndex(level => level.severity === anomaly.severity), anomaly => Math.abs(anomaly.robust_z)],
+  ['asc', 'desc']
+);
+
+/**
+ * Label of an anomaly's metric
+ */
+export const getAnomalyMetricLabel = (metric) => ANOMALY_METRICS.find(definition => definition.metric === metric)?.label || metric;
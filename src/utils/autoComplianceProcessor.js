@@ -1,36 +1,43 @@
 import { supabase } from './supabase.js';
+import { queryFacts, getFactPeriods, SINGLE_DIMENSIONS } from './factTable.js';
 import { analyzeOnebuilderCompliance } from './onebuilderCompliance.js';
 import { saveComplianceHistory, getMonthName } from './complianceHistory.js';
+import { resolveMarket } from './marketResolver.js';
 
 /**
  * Automatically process compliance for all available months in the data
  * This ensures MoM calculations work for all markets and months
+ * @param {Array} periods - Optional { country, year, month } periods to limit processing to
+ *   (incremental runs only refresh the periods whose files changed)
  */
-export const processAllMonthsCompliance = async () => {
+export const processAllMonthsCompliance = async (periods = null) => {
   try {
     console.log('🔧 Auto-processing compliance for all available months...');
     
-    // Get all processed data (always get all data, not filtered)
-    const { data: processedData } = await supabase
-      .from('bmw_processed_data')
-      .select('data')
-      .eq('id', 'latest')
-      .single();
+    // Load only the requested periods' records (every period when none are given)
+    const processedData = await queryFacts({
+      markets: periods ? [...new Set(periods.map(period => period.country))] : null,
+      months: periods ? [...new Set(periods.map(period => `${period.year}-${period.month.toString().padStart(2, '0')}`))] : null,
+      dimensions: SINGLE_DIMENSIONS
+    });
 
-    if (!processedData || !processedData.data) {
+    if (processedData.length === 0) {
       console.log('ℹ️ No processed data found');
       return { success: true, message: 'No data to process' };
     }
 
+    const periodKeys = periods ? new Set(periods.map(period => `${period.country}_${period.year}_${period.month}`)) : null;
+
     // Group data by market, year, and month
     const dataByPeriod = {};
     
-    processedData.data.forEach(record => {
+    processedData.forEach(record => {
       if (record.file_source && record.year && record.month) {
-        // Determine market code: prefer `country` metadata, fallback to filename
-        const marketCode = record.country || record.file_source?.match(/BMW_([A-Z]{2})_[A-Za-z]+_\d{4}_\d{2}\.csv/)?.[1] || record.file_source?.match(/BMW_([A-Z]{2})_\d{4}_\d{2}\.csv/)?.[1];
+        // Determine market code: `country` metadata, fallback to filename
+        const marketCode = resolveMarket(record);
         if (marketCode) {
           const key = `${marketCode}_${record.year}_${record.month}`;
+          if (periodKeys && !periodKeys.has(key)) return;
           if (!dataByPeriod[key]) {
             dataByPeriod[key] = [];
           }
@@ -97,28 +104,9 @@ export const processAllMonthsCompliance = async () => {
  */
 export const checkComplianceCoverage = async () => {
   try {
-    // Get all processed data
-    const { data: processedData } = await supabase
-      .from('bmw_processed_data')
-      .select('data')
-      .eq('id', 'latest')
-      .single();
-
-    if (!processedData || !processedData.data) {
-      return { hasData: false, coverage: [] };
-    }
-
     // Get all periods in the data
-    const periodsInData = new Set();
-    processedData.data.forEach(record => {
-      if (record.file_source && record.year && record.month) {
-        // Determine market code
-        const marketCode = record.country || record.file_source?.match(/BMW_([A-Z]{2})_[A-Za-z]+_\d{4}_\d{2}\.csv/)?.[1] || record.file_source?.match(/BMW_([A-Z]{2})_\d{4}_\d{2}\.csv/)?.[1];
-        if (marketCode) {
-          periodsInData.add(`${marketCode}_${record.year}_${record.month}`);
-        }
-      }
-    });
+    const factPeriods = await getFactPeriods();
+    const periodsInData = new Map(factPeriods.map(period => [`${period.country}_${period.year}_${period.month}`, period]));
 
     // Get all periods in history
     const { data: historyData } = await supabase
@@ -133,14 +121,18 @@ export const checkComplianceCoverage = async () => {
     }
 
     // Find missing periods
-    const missingPeriods = Array.from(periodsInData).filter(period => !periodsInHistory.has(period));
+    const missingPeriods = Array.from(periodsInData.keys()).filter(period => !periodsInHistory.has(period));
 
     return {
       hasData: periodsInData.size > 0,
       totalPeriods: periodsInData.size,
       coveredPeriods: periodsInHistory.size,
       missingPeriods: missingPeriods.length,
-      needsProcessing: missingPeriods.length > 0
+      needsProcessing: missingPeriods.length > 0,
+      missing: missingPeriods.map(key => {
+        const { country, year, month } = periodsInData.get(key);
+        return { country, year, month };
+      })
     };
 
   } catch (error) {
@@ -0,0 +1,156 @@
+import { supabase, TABLES } from './supabase.js';
+import { queryFacts, getFactPeriods, SINGLE_DIMENSIONS } from './factTable.js';
+import { calculateKPIMetrics, saveKPIHistory } from './kpiHistory.js';
+import { analyzeOnebuilderCompliance } from './onebuilderCompliance.js';
+import { saveComplianceHistory, getMonthName } from './complianceHistory.js';
+import { resolveMarket } from './marketResolver.js';
+import { getPeriod } from './recordSchema.js';
+import { getActiveMarketGroups } from './marketGroups.js';
+import { getMarketCurrencies } from './marketRegistry.js';
+import { getFxRates } from './fxRates.js';
+import { BASE_CURRENCY, indexFxRates, convertRecords } from './currency.js';
+
+/**
+ * Market group history
+ * KPI and compliance history of each active market group, rolled up month by month from
+ * its members' records and stored in bmw_kpi_history / bmw_compliance_history under the
+ * group code (is_group). Members may report in different currencies, so costs are
+ * converted to EUR first; group spend history is always in EUR.
+ */
+
+const toPeriodKey = (year, month) => `${year}-${month.toString().padStart(2, '0')}`;
+
+/**
+ * Group-months to roll up: every month of the given periods for each group with a member
+ * among them (periods may include market-months whose data was removed), or every month
+ * with data when no periods are given
+ */
+const planGroupMonths = async (groups, periods) => {
+  const sourcePeriods = periods || await getFactPeriods();
+  const plan = [];
+  groups.forEach(group => {
+    const months = new Set(sourcePeriods
+      .filter(period => group.markets.includes(period.country))
+      .map(period => toPeriodKey(period.year, period.month)));
+    months.forEach(month => plan.push({ group, month }));
+  });
+  return plan;
+};
+
+/**
+ * Remove a group's history rows for a month in which none of its members has data
+ */
+const removeGroupMonth = async (group, year, month) => {
+  for (const table of [TABLES.KPI_HISTORY, TABLES.COMPLIANCE_HISTORY]) {
+    const { error } = await supabase
+      .from(table)
+      .delete()
+      .eq('market_code', group.code)
+      .eq('is_group', true)
+      .eq('year', year)
+      .eq('month', month);
+
+    if (error) {
+      console.warn(`⚠️ Could not remove ${table} rows of group ${group.code} ${toPeriodKey(year, month)}:`, error.message);
+    }
+  }
+};
+
+/**
+ * Roll up KPI and compliance history for market groups
+ * @param {Array} periods - Optional { country, year, month } periods whose data changed;
+ *   only the groups and months they touch are refreshed
+ * @param {Object} options - { groups: groups to roll up (default: the active groups) }
+ */
+export const processMarketGroupHistory = async (periods = null, { groups = getActiveMarketGroups() } = {}) => {
+  try {
+    const plan = await planGroupMonths(groups, periods);
+    if (plan.length === 0) {
+      return { success: true, message: 'No market groups to process', results: [] };
+    }
+
+    console.log(`🔧 Rolling up history for ${plan.length} market group months...`);
+
+    const months = [...new Set(plan.map(({ month }) => month))];
+    const markets = [...new Set(plan.flatMap(({ group }) => group.markets))];
+    const records = await queryFacts({ markets, months, dimensions: SINGLE_DIMENSIONS });
+
+    // Group spend is summed across currencies, so it is converted to EUR first
+    const { records: convertedRecords, missingRates } = convertRecords(records, {
+      reportingCurrency: BASE_CURRENCY,
+      marketCurrencies: getMarketCurrencies(),
+      rateIndex: indexFxRates(await getFxRates())
+    });
+    if (missingRates.length > 0) {
+      console.warn(`⚠️ No FX rate for ${missingRates.map(({ market, period }) => `${market} ${period}`).join(', ')}; their group spend is not converted`);
+    }
+
+    const results = [];
+    for (const { group, month } of plan) {
+      const [year, monthNumber] = month.split('-').map(Number);
+      const monthName = getMonthName(monthNumber);
+      try {
+        const groupRecords = convertedRecords.filter(record =>
+          getPeriod(record) === month && group.markets.includes(resolveMarket(record))
+        );
+
+        if (groupRecords.length === 0) {
+          await removeGroupMonth(group, year, monthNumber);
+          results.push({ group: group.code, month, success: true, removed: true });
+          continue;
+        }
+
+        const kpiMetrics = calculateKPIMetrics(groupRecords);
+        await saveKPIHistory(kpiMetrics, group.code, year, monthNumber, monthName, { isGroup: true });
+
+        const { groupCompliance } = analyzeOnebuilderCompliance(groupRecords, [], { groups: [group] });
+        await saveComplianceHistory(groupCompliance, year, monthNumber, monthName);
+
+        results.push({ group: group.code, month, success: true, records: groupRecords.length });
+      } catch (error) {
+        console.error(`❌ Error rolling up ${group.code} ${month}:`, error);
+        results.push({ group: group.code, month, success: false, error: error.message });
+      }
+    }
+
+    const successCount = results.filter(result => result.success).length;
+    console.log(`✅ Market group history complete: ${successCount}/${results.length} group months processed successfully`);
+
+    return {
+      success: true,
+      message: `Processed ${successCount}/${results.length} group months successfully`,
+      results
+    };
+  } catch (error) {
+    console.error('❌ Error in market group processing:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Check whether every active group has KPI history for each month one of its members has data
+ */
+export const checkMarketGroupCoverage = async () => {
+  try {
+    const groups = getActiveMarketGroups();
+    const plan = await planGroupMonths(groups, null);
+
+    const { data: historyData } = await supabase
+      .from(TABLES.KPI_HISTORY)
+      .select('market_code, year, month')
+      .eq('is_group', true);
+
+    const covered = new Set((historyData || []).map(record => `${record.market_code}_${toPeriodKey(record.year, record.month)}`));
+    const missing = plan.filter(({ group, month }) => !covered.has(`${group.code}_${month}`));
+
+    return {
+      totalGroupMonths: plan.length,
+      missingGroupMonths: missing.length,
+      needsProcessing: missing.length > 0,
+      groups: groups.filter(group => missing.some(entry => entry.group === group))
+    };
+  } catch (error) {
+    console.error('Error checking market group coverage:', error);
+    return { needsProcessing: false, groups: [] };
+  }
+};
@@ -0,0 +1,147 @@
+/**
+ * Zip bundle importer
+ * A .zip may carry a whole month (or many markets) of exports. Every entry is run
+ * through the upload preflight like a single file would be, and the result is laid
+ * out as a market-month × dimension completeness matrix so missing files (the Phase
+ * file is the usual suspect) are visible before anything is written to Supabase.
+ */
+
+import JSZip from 'jszip';
+import { isWorkbookFile, splitWorkbook } from './workbookImporter.js';
+import { preflightCSVFile } from './uploadPreflight.js';
+import { LEGACY_DIMENSION } from './legacyImporter.js';
+import { DIMENSION_COLUMNS } from './recordSchema.js';
+import { getExpectedDimensions } from './marketRegistry.js';
+
+// Dimension columns of the matrix; a market-month needs one file per dimension its market
+// is expected to deliver (see the market registry; a legacy export covers all six)
+export const REQUIRED_DIMENSIONS = Object.keys(DIMENSION_COLUMNS);
+
+/**
+ * Check whether a file is a zip bundle
+ */
+export const isBundleFile = (filename) => !!filename && filename.toLowerCase().endsWith('.zip');
+
+// Folders and metadata files added by archivers
+const isIgnoredEntry = (path) => {
+  const name = path.split('/').pop();
+  return path.startsWith('__MACOSX/') || name.startsWith('.') || name === '';
+};
+
+/**
+ * Unpack a zip bundle into validated upload entries
+ * Workbooks inside the bundle are split into their dimension sheets (sheet entries keep
+ * the workbook as `sourceFile`, which is what gets uploaded so it is stored for auditing).
+ * @param {File} bundle - .zip file
+ * @returns {Array} Preflight report ({ filename, file, fileInfo, isValid, errors, … }) per CSV entry
+ */
+export const unpackBundle = async (bundle) => {
+  const zip = await JSZip.loadAsync(bundle);
+  const entries = [];
+
+  const zipEntries = Object.values(zip.files).filter(entry => !entry.dir && !isIgnoredEntry(entry.name));
+
+  for (const zipEntry of zipEntries) {
+    const filename = zipEntry.name.split('/').pop();
+    const file = new File([await zipEntry.async('blob')], filename);
+
+    if (isWorkbookFile(filename)) {
+      try {
+        const { files, skippedSheets } = await splitWorkbook(file);
+        for (const { file: sheetFile } of files) {
+          entries.push({ ...(await preflightCSVFile(sheetFile)), sourceFile: file });
+        }
+        skippedSheets.forEach(sheet => {
+          entries.push({ filename: `${filename} [${sheet.sheetName}]`, file: null, fileInfo: null, isValid: false, errors: [sheet.reason] });
+        });
+      } catch (error) {
+        entries.push({ filename, file: null, fileInfo: null, isValid: false, errors: [error.message] });
+      }
+    } else if (filename.toLowerCase().endsWith('.csv')) {
+      entries.push(await preflightCSVFile(file));
+    } else {
+      entries.push({ filename, file: null, fileInfo: null, isValid: false, errors: ['Not a CSV or Excel file'] });
+    }
+  }
+
+  console.log(`📦 Unpacked ${bundle.name}: ${entries.length} entries, ${entries.filter(entry => !entry.isValid).length} invalid`);
+  return entries;
+};
+
+/**
+ * Lay out bundle entries as market-month × dimension
+ * @param {Array} entries - Entries from unpackBundle
+ * @returns {Object} { rows, invalidEntries, isComplete }; each row has { key, country, year, month,
+ *   monthName, dimensions: { [dimension]: entry | null }, expected, legacy, missing, invalid, isComplete }
+ */
+export const buildCompletenessMatrix = (entries) => {
+  const groups = {};
+
+  entries.filter(entry => entry.fileInfo).forEach(entry => {
+    const { country, year, month, monthName, dimension } = entry.fileInfo;
+    const key = `${country}_${year}_${month.toString().padStart(2, '0')}`;
+    if (!groups[key]) {
+      groups[key] = {
+        key,
+        country,
+        year,
+        month,
+        monthName,
+        dimensions: Object.fromEntries(REQUIRED_DIMENSIONS.map(required => [required, null])),
+        expected: getExpectedDimensions(country),
+        legacy: null,
+        duplicates: []
+      };
+    }
+
+    const group = groups[key];
+    if (dimension === LEGACY_DIMENSION) {
+      group.legacy = entry;
+    } else if (group.dimensions[dimension]) {
+      group.duplicates.push(entry);
+    } else {
+      group.dimensions[dimension] = entry;
+    }
+  });
+
+  const rows = Object.values(groups)
+    .map(group => {
+      const covered = (dimension) => group.dimensions[dimension]?.isValid || group.legacy?.isValid;
+      const missing = group.expected.filter(dimension => !covered(dimension));
+      const invalid = [...Object.values(group.dimensions), group.legacy].filter(entry => entry && !entry.isValid);
+      return { ...group, missing, invalid, isComplete: missing.length === 0 };
+    })
+    .sort((a, b) => a.key.localeCompare(b.key));
+
+  return {
+    rows,
+    invalidEntries: entries.filter(entry => !entry.isValid),
+    isComplete: rows.length > 0 && rows.every(row => row.isComplete)
+  };
+};
+
+/**
+ * Files to upload for a bundle: valid entries that are not a repeated dimension for their
+ * market-month, with workbook sheets replaced by their workbook (uploaded once, with only
+ * the sheets that passed the preflight)
+ * @returns {Array} { file, sheets } where sheets lists the sheet CSV filenames to upload
+ *   from a workbook (null for CSV files)
+ */
+export const getBundleUploadFiles = (matrix) => {
+  const entries = matrix.rows.flatMap(row => [
+    ...Object.values(row.dimensions).filter(entry => entry?.isValid),
+    ...(row.legacy?.isValid ? [row.legacy] : [])
+  ]);
+
+  const uploads = new Map();
+  entries.forEach(entry => {
+    if (!entry.sourceFile) {
+      uploads.set(entry.file, { file: entry.file, sheets: null });
+      return;
+    }
+    const upload = uploads.get(entry.sourceFile) || { file: entry.sourceFile, sheets: [] };
+    upload.sheets.push(entry.file.name);
+    uploads.set(entry.sourceFile, upload);
+  });
+  return [...uploads.values()];
+};
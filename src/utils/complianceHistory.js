@@ -2,7 +2,7 @@ import { supabase } from './supabase.js';
 
 /**
  * Save compliance data to the database for historical tracking
- * @param {Array} marketCompliance - Array of market compliance data
+ * @param {Array} marketCompliance - Array of market (or market group, isGroup) compliance data
  * @param {number} year - Year of the data
  * @param {number} month - Month of the data
  * @param {string} monthName - Name of the month
@@ -21,7 +21,10 @@ export const saveComplianceHistory = async (marketCompliance, year, month, month
       total_nvwr: market.totalNVWR,
       unmapped_nvwr: market.unmappedNVWR,
       unmapped_nvwr_percentage: market.unmappedNVWRPercentage,
-      unmapped_by_field: market.unmappedByField
+      unmapped_by_field: market.unmappedByField,
+      reclassified_records: market.reclassifiedRecords || 0,
+      compliance_after_reclassification: market.afterReclassification?.compliance ?? market.compliance,
+      is_group: !!market.isGroup
     }));
 
     const { data, error } = await supabase
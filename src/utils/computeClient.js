@@ -0,0 +1,73 @@
+import { runComputeTaskInline } from './computeTasks.js';
+
+/**
+ * Compute client
+ * Promise-based access to the compute worker: file parsing and the heavy aggregations
+ * (insights, data quality scoring, trend data) run in a Web Worker so the UI stays
+ * responsive. Where Web Workers are unavailable (Node scripts), tasks run inline.
+ */
+
+let worker = null;
+let nextTaskId = 1;
+
+// Tasks posted to the worker: id → { resolve, reject, onProgress }
+const pendingTasks = new Map();
+
+const rejectPendingTasks = (error) => {
+  pendingTasks.forEach(({ reject }) => reject(error));
+  pendingTasks.clear();
+};
+
+const getWorker = () => {
+  if (worker) return worker;
+
+  worker = new Worker(new URL('./computeWorker.js', import.meta.url), { type: 'module' });
+
+  worker.onmessage = ({ data: { id, type, message, result } }) => {
+    const pendingTask = pendingTasks.get(id);
+    if (!pendingTask) return;
+
+    if (type === 'progress') {
+      if (pendingTask.onProgress) {
+        pendingTask.onProgress(message);
+      }
+      return;
+    }
+
+    pendingTasks.delete(id);
+    if (type === 'result') {
+      pendingTask.resolve(result);
+    } else {
+      pendingTask.reject(new Error(message));
+    }
+  };
+
+  // A crashed worker is replaced on the next task
+  worker.onerror = (event) => {
+    console.error('❌ Compute worker error:', event.message);
+    worker.terminate();
+    worker = null;
+    rejectPendingTasks(new Error(`Compute worker failed: ${event.message}`));
+  };
+
+  return worker;
+};
+
+/**
+ * Run a compute task in the worker
+ * @param {string} task - Task name (see COMPUTE_TASKS in computeTasks.js)
+ * @param {Array} args - Task arguments (plain data)
+ * @param {Object} options - { onProgress(message) }
+ * @returns {Promise} Task result
+ */
+export const runComputeTask = (task, args, { onProgress } = {}) => {
+  if (typeof Worker === 'undefined') {
+    return Promise.resolve().then(() => runComputeTaskInline(task, args, onProgress));
+  }
+
+  return new Promise((resolve, reject) => {
+    const id = nextTaskId++;
+    pendingTasks.set(id, { resolve, reject, onProgress });
+    getWorker().postMessage({ id, task, args });
+  });
+};
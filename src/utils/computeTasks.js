@@ -0,0 +1,63 @@
+import { parseDimensionFileStream } from './csvStreamParser.js';
+import { generateInsights } from './insightGenerator.js';
+import { calculateComprehensiveDataQuality } from './dataQualityScorer.js';
+import { processTrendData } from './trendAnalysisDataProcessor.js';
+import { setReportingCurrency } from './currency.js';
+import { setModelHierarchy } from './modelHierarchy.js';
+import { setQualityProfiles } from './qualityProfiles.js';
+
+/**
+ * Compute tasks
+ * The CPU-heavy work the app runs off the main thread (see computeClient.js). Each task
+ * takes and returns plain data only, so arguments and results can be posted to and from
+ * the compute worker; a task may return a promise. report(message) sends a progress
+ * message back to the caller.
+ */
+export const COMPUTE_TASKS = {
+  // Parse a dimension or legacy file in chunks (see csvStreamParser.js)
+  parseFileStream: ([input, fileRecord], report) => parseDimensionFileStream(input, fileRecord, { report }),
+
+  // Insights for the tab's rows, informed by the data quality of the whole data set
+  // (scored for the given market and period; skipped when data is null). Amounts in the
+  // insight texts are formatted in the given reporting currency; models are placed with the
+  // given model hierarchy and reported at modelLevel; quality is graded with the given
+  // quality profiles.
+  insights: ([data, tabData, market, period, currency, modelHierarchy, modelLevel, qualityProfiles], report) => {
+    setReportingCurrency(currency);
+    setModelHierarchy(modelHierarchy);
+    setQualityProfiles(qualityProfiles);
+    let qualityData = null;
+    if (data) {
+      report('Scoring data quality');
+      qualityData = calculateComprehensiveDataQuality(data, market, period);
+    }
+    report('Generating insights');
+    return { qualityData, insights: generateInsights(tabData, qualityData, { modelLevel }) };
+  },
+
+  dataQuality: ([data, market, period, qualityProfiles], report) => {
+    setQualityProfiles(qualityProfiles);
+    report('Scoring data quality');
+    return calculateComprehensiveDataQuality(data, market, period);
+  },
+
+  // Trend series of the given metrics and markets; currency values are in the given
+  // reporting currency
+  trendData: ([data, selectedMetrics, selectedMarkets, dateRange, currency], report) => {
+    setReportingCurrency(currency);
+    report('Aggregating trends');
+    return processTrendData(data, selectedMetrics, selectedMarkets, dateRange);
+  }
+};
+
+/**
+ * Run a compute task in the current thread
+ * @returns {*} The task's result, or a promise of it
+ */
+export const runComputeTaskInline = (task, args, report = () => {}) => {
+  const runTask = COMPUTE_TASKS[task];
+  if (!runTask) {
+    throw new Error(`Unknown compute task: ${task}`);
+  }
+  return runTask(args, report);
+};
@@ -0,0 +1,18 @@
+/**
+ * Compute worker
+ * Runs compute tasks (see computeTasks.js) posted by computeClient.js:
+ * { id, task, args } in, { id, type: 'progress' | 'result' | 'error', ... } out.
+ */
+
+import { runComputeTaskInline } from './computeTasks.js';
+
+self.onmessage = ({ data: { id, task, args } }) => {
+  const report = (message) => {
+    self.postMessage({ id, type: 'progress', message });
+  };
+
+  Promise.resolve()
+    .then(() => runComputeTaskInline(task, args, report))
+    .then(result => self.postMessage({ id, type: 'result', result }))
+    .catch(error => self.postMessage({ id, type: 'error', message: error.message }));
+};
@@ -1,50 +1,15 @@
 import Papa from 'papaparse';
+import { getExpectedColumns, alternativeColumns } from './csvStructure.js';
+import { DIMENSION_FIELDS } from './recordSchema.js';
+import { getDimensionByToken } from './dimensionRegistry.js';
 
 // Browser-compatible file operations using localStorage and IndexedDB
 // For now, we'll use localStorage for metadata and keep data in memory
 // In a real app, you'd want to use IndexedDB for larger datasets
 
-// Expected columns for BMW data validation - now varies by dimension
-const expectedColumnsByDimension = {
-  'All': [
-    'Country', 'Media Cost', 'Impressions', 'CPM', 'Clicks', 'CTR', 'CPC', 'IV', 'CP IV',
-    'Entry Rate', 'NVWR', 'Cp NVWR', 'CVR', 'DCS (pre) Order', 'CP DCS (pre) Order', 'Meta Leads', 'Cp lead Forms'
-  ],
-  'CampaignType': [
-    'Country', 'Campaign Type', 'Media Cost', 'Impressions', 'CPM', 'Clicks', 'CTR', 'CPC', 'IV', 'CP IV',
-    'Entry Rate', 'NVWR', 'Cp NVWR', 'CVR', 'DCS (pre) Order', 'CP DCS (pre) Order', 'Meta Leads', 'Cp lead Forms'
-  ],
-  'ChannelType': [
-    'Country', 'Channel Type', 'Media Cost', 'Impressions', 'CPM', 'Clicks', 'CTR', 'CPC', 'IV', 'CP IV',
-    'Entry Rate', 'NVWR', 'Cp NVWR', 'CVR', 'DCS (pre) Order', 'CP DCS (pre) Order', 'Meta Leads', 'Cp lead Forms'
-  ],
-  'ChannelName': [
-    'Country', 'Channel Name', 'Media Cost', 'Impressions', 'CPM', 'Clicks', 'CTR', 'CPC', 'IV', 'CP IV',
-    'Entry Rate', 'NVWR', 'Cp NVWR', 'CVR', 'DCS (pre) Order', 'CP DCS (pre) Order', 'Meta Leads', 'Cp lead Forms'
-  ],
-  'Phase': [
-    'Country', 'Phase', 'Media Cost', 'Impressions', 'CPM', 'Clicks', 'CTR', 'CPC', 'IV', 'CP IV',
-    'Entry Rate', 'NVWR', 'Cp NVWR', 'CVR', 'DCS (pre) Order', 'CP DCS (pre) Order', 'Meta Leads', 'Cp lead Forms'
-  ],
-  'Model': [
-    'Country', 'Model', 'Media Cost', 'Impressions', 'CPM', 'Clicks', 'CTR', 'CPC', 'IV', 'CP IV',
-    'Entry Rate', 'NVWR', 'Cp NVWR', 'CVR', 'DCS (pre) Order', 'CP DCS (pre) Order', 'Meta Leads', 'Cp lead Forms'
-  ]
-};
-
 // Columns that can be missing – optional metrics we rarely have
 const optionalColumns = ['CP DCS (pre) Order', 'DCS (pre) Order', 'Meta Leads', 'Cp lead Forms'];
 
-// Alternative column names that should be accepted
-const alternativeColumns = {
-    'Meta_Leads': 'Meta Leads',  // Handle underscore vs space
-    'CP NVWR': 'Cp NVWR',        // Handle case variations
-    'CP Lead Forms': 'Cp lead Forms',  // Handle case variations
-    'Model ': 'Model',            // Handle trailing space
-    'COUNTRY': 'Country',        // Handle uppercase country column
-    'country': 'Country'         // Handle lowercase country column
-  };
-
 // Columns that should be ignored (extra columns in some files)
 const ignoredColumns = [
   'Line Item (Free Field)',
@@ -61,7 +26,7 @@ const UPLOADED_FILES_KEY = 'bmw_uploaded_files';
  */
 export const validateCSVStructure = (data, dimension) => {
   if (data.length === 0) {
-    const expectedColumns = expectedColumnsByDimension[dimension] || [];
+    const expectedColumns = getExpectedColumns(dimension);
     return { isValid: false, missingColumns: expectedColumns, headers: [] };
   }
   
@@ -74,7 +39,7 @@ export const validateCSVStructure = (data, dimension) => {
     return alternativeColumns[header] || header;
   });
   
-  const expectedColumns = expectedColumnsByDimension[dimension] || [];
+  const expectedColumns = getExpectedColumns(dimension);
   const requiredColumns = expectedColumns.filter(col => col !== 'Country' && !optionalColumns.includes(col));
   const missingRequiredColumns = requiredColumns.filter(col => !normalizedHeaders.includes(col));
   
@@ -94,10 +59,11 @@ export const validateCSVStructure = (data, dimension) => {
  */
 export const extractFileInfo = (filename) => {
   const match = filename.match(/BMW_([A-Z]{2})_([A-Za-z]+)_(\d{4})_(\d{2})\.csv/);
-  if (match) {
+  const entry = match && getDimensionByToken(match[2]);
+  if (entry) {
     return {
       country: match[1],
-      dimension: match[2],
+      dimension: entry.dimension,
       year: parseInt(match[3]),
       month: parseInt(match[4]),
       monthName: new Date(parseInt(match[3]), parseInt(match[4]) - 1).toLocaleString('default', { month: 'long' })
@@ -204,6 +170,16 @@ export const processCSVFile = (file) => {
         skipEmptyLines: true,
         complete: (results) => {
           const fileInfo = extractFileInfo(file.name);
+          if (!fileInfo) {
+            resolve({
+              filename: file.name,
+              status: 'error',
+              message: 'Filename does not match BMW_[CC]_[Dimension]_[YYYY]_[MM].csv with a known dimension',
+              data: null,
+              fileInfo: null
+            });
+            return;
+          }
           const dimension = fileInfo.dimension;
           const validation = validateCSVStructure(results.data, dimension);
           
@@ -222,7 +198,7 @@ export const processCSVFile = (file) => {
               
               // Add default values for missing optional columns
               // This part needs to be dynamic based on the dimension's expected columns
-              const expectedColumns = expectedColumnsByDimension[dimension] || [];
+              const expectedColumns = getExpectedColumns(dimension);
               expectedColumns.forEach(optionalCol => {
                 if (!normalizedRow.hasOwnProperty(optionalCol)) {
                   normalizedRow[optionalCol] = '0'; // Default value for missing optional columns
@@ -296,11 +272,7 @@ const combineDimensionData = (allData, country, year, month) => {
       // Create a unified record structure
       const unifiedRecord = {
         Country: row.Country || country,
-        'Campaign Type': row['Campaign Type'] || 'Not Mapped',
-        'Channel Type': row['Channel Type'] || 'Not Mapped',
-        'Channel Name': row['Channel Name'] || 'Not Mapped',
-        'Phase': row['Phase'] || 'Not Mapped',
-        'Model': row['Model'] || 'Not Mapped',
+        ...Object.fromEntries(DIMENSION_FIELDS.map(field => [field, row[field] || 'Not Mapped'])),
         'Media Cost': row['Media Cost'] || 0,
         'Impressions': row['Impressions'] || 0,
         'CPM': row['CPM'] || 0,
@@ -322,14 +294,7 @@ const combineDimensionData = (allData, country, year, month) => {
         _country: row._country,
         _dimension: row._dimension,
         _year: row._year,
-        _month: row._month,
-        // Add dimension-specific flags
-        is_all_dimension: dimension === 'All',
-        is_campaign_type_dimension: dimension === 'CampaignType',
-        is_channel_type_dimension: dimension === 'ChannelType',
-        is_channel_name_dimension: dimension === 'ChannelName',
-        is_phase_dimension: dimension === 'Phase',
-        is_model_dimension: dimension === 'Model'
+        _month: row._month
       };
 
       combinedData.push(unifiedRecord);
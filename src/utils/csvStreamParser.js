@@ -0,0 +1,121 @@
+/**
+ * Streaming CSV parser
+ * Dimension and legacy files are parsed in chunks: headers are validated on the first
+ * chunk and rows are normalized (legacy rows aggregated) as each chunk arrives, so only
+ * the output is held in memory, never the raw text or the parsed rows of the whole file.
+ * Runs in the compute worker (see computeTasks.js).
+ */
+
+import Papa from 'papaparse';
+import { validateCSVHeaders, validateCSVStructure, normalizeCSVRow } from './csvStructure.js';
+import { LEGACY_DIMENSION, createLegacyAggregator } from './legacyImporter.js';
+import { METRIC_FIELDS, getField, isUnreportedValue, parseNumericValue } from './recordSchema.js';
+
+// Bytes read per chunk
+const CHUNK_SIZE = 1024 * 1024;
+
+// Row errors kept with their line numbers; the rest are only counted
+const MAX_ROW_ERRORS = 100;
+
+/**
+ * Row-level problems of a parsed row: metric cells that are not numbers
+ */
+const findRowErrors = (row, line) => METRIC_FIELDS
+  .map(metric => ({ metric, value: getField(row, metric) }))
+  .filter(({ value }) => !isUnreportedValue(value) && parseNumericValue(value) === null)
+  .map(({ metric, value }) => ({ line, column: metric, value, message: `Not a number: "${value}"` }));
+
+/**
+ * Parse a dimension or legacy file in chunks
+ * @param {Blob|string} input - File contents
+ * @param {Object} fileRecord - File record from bmw_files
+ * @param {Object} options - { report(message): progress callback }
+ * @returns {Promise<Object>} { status, message, validation, data, crossData, rowCount, rowErrors, rowErrorCount }
+ *   where data holds normalized rows (legacy files: the derived dimension rows)
+ */
+export const parseDimensionFileStream = async (input, fileRecord, { report = () => {} } = {}) => {
+  // Papa streams Blobs through FileReader; where there is none (Node) the text is chunked instead
+  const source = typeof input !== 'string' && typeof FileReader === 'undefined' ? await input.text() : input;
+
+  const isLegacy = fileRecord.dimension === LEGACY_DIMENSION;
+  const legacyAggregator = isLegacy ? createLegacyAggregator(fileRecord) : null;
+  const data = [];
+  const rowErrors = [];
+  let rowErrorCount = 0;
+  let rowCount = 0;
+  let validation = null;
+
+  const addRowErrors = (errors) => {
+    rowErrorCount += errors.length;
+    rowErrors.push(...errors.slice(0, MAX_ROW_ERRORS - rowErrors.length));
+  };
+
+  return new Promise((resolve) => {
+    Papa.parse(source, {
+      header: true,
+      skipEmptyLines: true,
+      chunkSize: CHUNK_SIZE,
+      chunk: (results, parser) => {
+        if (!validation) {
+          validation = validateCSVHeaders(results.meta.fields || [], fileRecord.dimension);
+          if (!validation.isValid) {
+            parser.abort();
+            return;
+          }
+        }
+
+        // Line numbers count the header as line 1
+        const firstLine = rowCount + 2;
+        addRowErrors(results.errors.map(error => ({
+          line: firstLine + (error.row ?? 0),
+          message: error.message
+        })));
+
+        results.data.forEach((row, index) => {
+          addRowErrors(findRowErrors(row, firstLine + index));
+          const normalizedRow = normalizeCSVRow(row, fileRecord);
+          if (legacyAggregator) {
+            legacyAggregator.add(normalizedRow);
+          } else {
+            data.push(normalizedRow);
+          }
+        });
+
+        rowCount += results.data.length;
+        report(`${fileRecord.filename}: ${rowCount} rows parsed`);
+      },
+      complete: () => {
+        // A file without data rows is invalid whatever its header says
+        if (rowCount === 0 && (!validation || validation.isValid)) {
+          validation = validateCSVStructure([], fileRecord.dimension);
+        }
+
+        if (!validation.isValid) {
+          resolve({
+            status: 'error',
+            message: `Invalid CSV structure for dimension ${fileRecord.dimension}. Missing columns: ${validation.missingColumns.join(', ')}`,
+            validation
+          });
+          return;
+        }
+
+        resolve({
+          status: 'success',
+          validation,
+          data: legacyAggregator ? legacyAggregator.getDerivedRows() : data,
+          crossData: legacyAggregator ? legacyAggregator.getCrossRows() : null,
+          rowCount,
+          rowErrors,
+          rowErrorCount
+        });
+      },
+      error: (error) => {
+        resolve({
+          status: 'error',
+          message: `CSV parsing failed: ${error.message}`,
+          validation
+        });
+      }
+    });
+  });
+};
@@ -0,0 +1,100 @@
+/**
+ * CSV structure
+ * The columns each dimension file must carry, the alternative spellings accepted for
+ * them, and the normalization applied to every parsed row. Shared by processing (see
+ * csvStreamParser.js) and the upload preflight.
+ */
+
+import { METRIC_FIELDS, DIMENSION_FIELDS, parseNumericValue } from './recordSchema.js';
+import { LEGACY_DIMENSION } from './legacyImporter.js';
+import { getDimensionEntry, getColumnAliases } from './dimensionRegistry.js';
+
+/**
+ * Columns a dimension file must carry: Country, the dimension's column from the dimension
+ * registry and the metrics. Legacy single-file exports carry every dimension column on each row.
+ */
+export const getExpectedColumns = (dimension) => {
+  if (dimension === LEGACY_DIMENSION) return ['Country', ...DIMENSION_FIELDS, ...METRIC_FIELDS];
+  const entry = getDimensionEntry(dimension);
+  if (!entry) return [];
+  return entry.column ? ['Country', entry.column, ...METRIC_FIELDS] : ['Country', ...METRIC_FIELDS];
+};
+
+// Columns that can be missing – optional metrics we rarely have
+const optionalColumns = ['CP DCS (pre) Order', 'DCS (pre) Order', 'Meta Leads', 'Cp lead Forms'];
+
+// Alternative column names that should be accepted
+export const alternativeColumns = {
+    'Meta_Leads': 'Meta Leads',  // Handle underscore vs space
+    'CP NVWR': 'Cp NVWR',        // Handle case variations
+    'CP Lead Forms': 'Cp lead Forms',  // Handle case variations
+    'COUNTRY': 'Country',        // Handle uppercase country column
+    'country': 'Country',        // Handle lowercase country column
+    ...getColumnAliases()         // Dimension column spellings from the registry ('Model ' → 'Model')
+  };
+
+// Columns that should be ignored
+const ignoredColumns = [
+  'Line Item (Free Field)',
+  'Campaign Detail (Free Field)'
+];
+
+/**
+ * Validate a file's header row against expected columns for the specific dimension
+ */
+export const validateCSVHeaders = (headers, dimension) => {
+  // Filter out ignored columns and normalize the rest
+  const filteredHeaders = headers.filter(header => !ignoredColumns.includes(header));
+  
+  const normalizedHeaders = filteredHeaders.map(header => {
+    return alternativeColumns[header] || header;
+  });
+  
+  const expectedColumns = getExpectedColumns(dimension);
+    // Treat 'Country' column as optional since country code is taken from filename
+    const requiredColumns = expectedColumns.filter(col => col !== 'Country' && !optionalColumns.includes(col));
+    const missingRequiredColumns = requiredColumns.filter(col => !normalizedHeaders.includes(col));
+  
+  return {
+    isValid: missingRequiredColumns.length === 0,
+    missingColumns: missingRequiredColumns,
+    headers: normalizedHeaders,
+    originalHeaders: headers,
+    dimension: dimension
+  };
+};
+
+/**
+ * Validate CSV structure against expected columns for the specific dimension
+ */
+export const validateCSVStructure = (data, dimension) => {
+  if (data.length === 0) {
+    const expectedColumns = getExpectedColumns(dimension);
+    return { isValid: false, missingColumns: expectedColumns, headers: [] };
+  }
+  
+  return validateCSVHeaders(Object.keys(data[0]), dimension);
+};
+
+/**
+ * Normalize column names and type metric cells (null = not delivered), and add file metadata
+ */
+export const normalizeCSVRow = (row, fileRecord) => {
+  const normalizedRow = {};
+  
+  Object.keys(row).forEach(key => {
+    const normalizedKey = alternativeColumns[key] || key;
+    normalizedRow[normalizedKey] = METRIC_FIELDS.includes(normalizedKey)
+      ? parseNumericValue(row[key])
+      : row[key];
+  });
+  
+  return {
+    ...normalizedRow,
+    file_source: fileRecord.filename,
+    country: fileRecord.country,
+    dimension: fileRecord.dimension,
+    year: fileRecord.year,
+    month: fileRecord.month
+  };
+};
@@ -0,0 +1,133 @@
+import { getMarket, getPeriod } from './recordSchema.js';
+import { recomputeRatios } from './metricDefinitions.js';
+
+/**
+ * Currencies
+ * Media Cost is stored in each market's own currency. Records are converted to a
+ * reporting currency before they are aggregated across markets, using monthly FX rates
+ * (the value of one unit of a currency in EUR, see fxRates.js); cost-per ratios are then
+ * recomputed from the converted cost. Components pass the
+ * currency to format in (see useReportingCurrency.js); without one, values are formatted in
+ * the currency set with setReportingCurrency, which the compute tasks set from their arguments.
+ */
+
+export const BASE_CURRENCY = 'EUR';
+
+// Metrics that carry an amount of money; ratios built on them are recomputed. Cp lead Forms
+// is only ever supplied (see metricDefinitions.js), so it is converted like the cost.
+const COST_METRICS = ['Media Cost', 'Cp lead Forms'];
+
+const CURRENCY_SYMBOLS = {
+  EUR: '€',
+  GBP: '£',
+  CHF: 'CHF ',
+  USD: '$'
+};
+
+let reportingCurrency = BASE_CURRENCY;
+
+/**
+ * Currency that currency values are formatted in
+ */
+export const getReportingCurrency = () => reportingCurrency;
+
+export const setReportingCurrency = (currency) => {
+  reportingCurrency = currency || BASE_CURRENCY;
+};
+
+/**
+ * Symbol (or code followed by a space) written before amounts in a currency
+ */
+export const getCurrencySymbol = (currency = reportingCurrency) => CURRENCY_SYMBOLS[currency] || `${currency} `;
+
+/**
+ * Format an amount in the reporting currency ('n/a' when it was not reported)
+ * @param {Object} options - { decimals: fraction digits (default 2), currency }
+ */
+export const formatCurrency = (value, { decimals = 2, currency = reportingCurrency } = {}) => {
+  if (value === null || value === undefined || Number.isNaN(value)) return 'n/a';
+  return `${getCurrencySymbol(currency)}${value.toLocaleString(undefined, { minimumFractionDigits: decimals, maximumFractionDigits: decimals })}`;
+};
+
+/**
+ * Currency a market's costs are reported in
+ * @param {Object} marketCurrencies - Market code → currency (see getMarketCurrencies in marketRegistry.js)
+ */
+export const getMarketCurrency = (market, marketCurrencies = {}) =>
+  marketCurrencies[market] || BASE_CURRENCY;
+
+/**
+ * Index FX rate rows by currency, sorted by period
+ * @param {Array} rates - { currency, year, month, rate_to_eur }
+ * @returns {Object} currency → [{ period, rate }] oldest first
+ */
+export const indexFxRates = (rates) => {
+  const index = {};
+  rates.forEach(({ currency, year, month, rate_to_eur }) => {
+    (index[currency] = index[currency] || []).push({ period: `${year}-${month.toString().padStart(2, '0')}`, rate: rate_to_eur });
+  });
+  Object.values(index).forEach(periods => periods.sort((a, b) => a.period.localeCompare(b.period)));
+  return index;
+};
+
+/**
+ * Value of one unit of a currency in EUR for a month: that month's rate, or the latest
+ * earlier one when the month has none yet. Null when no rate is known.
+ */
+export const getRateToEur = (rateIndex, currency, period) => {
+  if (currency === BASE_CURRENCY) return 1;
+
+  const periods = rateIndex[currency] || [];
+  let rate = null;
+  for (const entry of periods) {
+    if (entry.period > period) break;
+    rate = entry.rate;
+  }
+  return rate;
+};
+
+/**
+ * Convert records to the reporting currency
+ * Records already in it are returned as they are; records whose rates are missing are
+ * left unconverted and listed in missingRates.
+ * @param {Array} records - Canonical records
+ * @param {Object} options - { reportingCurrency, marketCurrencies, rateIndex (see indexFxRates) }
+ * @returns {Object} { records, missingRates: [{ market, currency, period }] }
+ */
+export const convertRecords = (records, { reportingCurrency: targetCurrency = BASE_CURRENCY, marketCurrencies = {}, rateIndex = {} } = {}) => {
+  const missingRates = {};
+  const factors = {};
+
+  const getFactor = (market, period) => {
+    const key = `${market}_${period}`;
+    if (!(key in factors)) {
+      const currency = getMarketCurrency(market, marketCurrencies);
+      const fromRate = getRateToEur(rateIndex, currency, period);
+      const toRate = getRateToEur(rateIndex, targetCurrency, period);
+      if (currency === targetCurrency) {
+        factors[key] = 1;
+      } else if (fromRate === null || toRate === null) {
+        factors[key] = null;
+        missingRates[key] = { market, currency: fromRate === null ? currency : targetCurrency, period };
+      } else {
+        factors[key] = fromRate / toRate;
+      }
+    }
+    return factors[key];
+  };
+
+  const converted = records.map(record => {
+    const factor = getFactor(getMarket(record), getPeriod(record));
+    if (factor === null || factor === 1) return record;
+
+    const convertedRecord = { ...record };
+    COST_METRICS.forEach(metric => {
+      if (typeof record[metric] === 'number') {
+        convertedRecord[metric] = record[metric] * factor;
+      }
+    });
+    return recomputeRatios(convertedRecord);
+  });
+
+  return { records: converted, missingRates: Object.values(missingRates) };
+};
@@ -1,29 +1,39 @@
+import { getField, getMetric, getMetricValue, getDimensionValue, getDimension, getMarket, getPeriod, DIMENSION_COLUMNS } from './recordSchema.js';
+import { QUALITY_DIMENSIONS } from './dimensionRegistry.js';
+import { sumMetric } from './metricDefinitions.js';
+import { getMarketCodes } from './marketResolver.js';
+import {
+  QUALITY_METRICS, getDefaultQualityProfile, getMarketQualityProfile, getMarketsQualityProfile,
+  getMetricWeight, getGapSeverity, getQualityProfileSnapshot
+} from './qualityProfiles.js';
+
 /**
  * Data Quality Scoring System
  * Measures how well the sum of filtered dimension data matches the total "All" data
  * Identifies gaps in data completeness (missing records) only
  * Note: Data quality issues like "NOT MAPPED" values are handled separately in Onebuilder compliance
+ * Metrics the "All" file never reported are marked NOT_REPORTED and left out of the
+ * scores instead of being treated as zero.
+ * Ratios supplied by the source that disagree with the ratios recomputed from the base
+ * metrics (recorded per row during processing) are reported as ratio findings.
+ * Metric weights, excluded metrics and severity thresholds come from the market's quality
+ * profile (see qualityProfiles.js); excluded metrics are still measured but marked
+ * excluded and left out of the scores.
  */
 
 // Core metrics to compare for data quality
-const CORE_METRICS = ['Media Cost', 'Impressions', 'Clicks', 'IV', 'NVWR'];
+const CORE_METRICS = QUALITY_METRICS;
 
-// Weights for weighted average calculation
-const METRIC_WEIGHTS = {
-  'Media Cost': 0.25,
-  'Impressions': 0.20,
-  'Clicks': 0.15,
-  'IV': 0.20,
-  'NVWR': 0.20
-};
+// Metrics that count towards a score
+const isScored = (discrepancy) => !discrepancy.notReported && !discrepancy.excluded;
 
 /**
  * Sum dimension data for a specific metric with optional predicate
  */
 const sumDimensionData = (dimensionData, metric, predicate = null) => {
   return dimensionData.reduce((sum, row) => {
-    const value = parseFloat(row[metric]) || 0;
-    const rowValue = row[metric];
+    const value = getMetric(row, metric);
+    const rowValue = getField(row, metric);
     
     // If predicate is provided, only sum rows that match the condition
     if (predicate && !predicate(rowValue)) {
@@ -38,7 +48,19 @@ const sumDimensionData = (dimensionData, metric, predicate = null) => {
  * Calculate coverage and mapping gaps for a single metric
  */
 const calculateMetricGaps = (allData, dimensionData, metric) => {
-  const allTotal = parseFloat(allData[metric]) || 0;
+  const allTotal = getMetricValue(allData, metric);
+  
+  if (allTotal === null) {
+    return {
+      notReported: true,
+      coverageGap: null,
+      mappingGap: 0,
+      coverage: null,
+      mappedSum: 0,
+      unmappedSum: 0,
+      missingValue: null
+    };
+  }
   
   if (allTotal === 0) {
     return {
@@ -75,13 +97,31 @@ const calculateMetricGaps = (allData, dimensionData, metric) => {
 /**
  * Calculate discrepancy analysis for all metrics
  */
-const calculateDiscrepancies = (allData, dimensionData) => {
+const calculateDiscrepancies = (allData, dimensionData, profile) => {
   return CORE_METRICS.map(metric => {
     const gaps = calculateMetricGaps(allData, dimensionData, metric);
     const totalGap = gaps.coverageGap; // Only coverage gap in pure dimension coverage
     
+    if (gaps.notReported) {
+      return {
+        metric,
+        notReported: true,
+        coverage: null,
+        coverageGap: null,
+        mappingGap: 0,
+        totalGap: null,
+        missingValue: null,
+        mappedSum: 0,
+        unmappedSum: 0,
+        severity: 'NOT_REPORTED'
+      };
+    }
+    
+    const excluded = profile.excluded_metrics.includes(metric);
+    
     return {
       metric,
+      ...(excluded ? { excluded: true } : {}),
       coverage: gaps.coverage,
       coverageGap: gaps.coverageGap,
       mappingGap: 0, // No mapping gap in pure dimension coverage
@@ -89,18 +129,23 @@ const calculateDiscrepancies = (allData, dimensionData) => {
       missingValue: gaps.missingValue,
       mappedSum: gaps.mappedSum,
       unmappedSum: 0, // No unmapped concept in pure dimension coverage
-      severity: totalGap > 20 ? 'CRITICAL' : totalGap > 10 ? 'WARNING' : 'OK'
+      severity: excluded ? 'EXCLUDED' : getGapSeverity(totalGap, profile)
     };
   });
 };
 
 /**
- * Calculate overall quality score using weighted average of coverage gaps
+ * Calculate overall quality score using the profile's weighted average of coverage gaps.
+ * Unreported and excluded metrics are skipped and the remaining weights renormalised.
  */
-const calculateWeightedScore = (discrepancies) => {
-  return CORE_METRICS.reduce((acc, metric, index) => {
-    const discrepancy = discrepancies[index];
-    const weight = METRIC_WEIGHTS[metric];
+const calculateWeightedScore = (discrepancies, profile) => {
+  const reported = discrepancies.filter(isScored);
+  const totalWeight = reported.reduce((sum, discrepancy) => sum + getMetricWeight(profile, discrepancy.metric), 0);
+  
+  if (totalWeight === 0) return 0;
+  
+  return reported.reduce((acc, discrepancy) => {
+    const weight = getMetricWeight(profile, discrepancy.metric) / totalWeight;
     
     // Calculate score based on coverage only (no mapping gap in pure dimension coverage)
     const coverageScore = 100 - discrepancy.coverageGap;
@@ -125,12 +170,14 @@ const getQualityGrade = (score) => {
  * Identify missing items by comparing dimension data with "All" data
  */
 const identifyDataGaps = (allData, dimensionData, dimension) => {
-  const allTotal = parseFloat(allData['Media Cost']) || 0;
   const gaps = calculateMetricGaps(allData, dimensionData, 'Media Cost');
   
-  // Estimate counts based on average values
-  const avgDimensionValue = dimensionData.length > 0 ? gaps.mappedSum / dimensionData.length : 0;
-  const estimatedMissingCount = avgDimensionValue > 0 ? Math.round(gaps.missingValue / avgDimensionValue) : 0;
+  // Estimate counts based on the average of rows that reported spend
+  const reportedRows = dimensionData.filter(row => getMetricValue(row, 'Media Cost') !== null);
+  const avgDimensionValue = reportedRows.length > 0 ? gaps.mappedSum / reportedRows.length : 0;
+  const estimatedMissingCount = avgDimensionValue > 0 && gaps.missingValue !== null
+    ? Math.round(gaps.missingValue / avgDimensionValue)
+    : 0;
   
   return {
     missing: {
@@ -176,7 +223,7 @@ const generateRecommendations = (discrepancies, dimension) => {
   }
   
   // Add specific metric recommendations
-  discrepancies.forEach(discrepancy => {
+  discrepancies.filter(isScored).forEach(discrepancy => {
     if (discrepancy.totalGap > 5) {
       let message = `${discrepancy.metric}: ${discrepancy.totalGap}% total gap`;
       let action = `Check ${discrepancy.metric} in ${dimension}`;
@@ -206,8 +253,9 @@ const generateRecommendations = (discrepancies, dimension) => {
 
 /**
  * Calculate data quality score for a single dimension
+ * @param {Object} profile - Quality profile to grade with (see qualityProfiles.js)
  */
-export const calculateDataQualityScore = (allData, dimensionData, dimension) => {
+export const calculateDataQualityScore = (allData, dimensionData, dimension, profile = getDefaultQualityProfile()) => {
   if (!allData || !dimensionData || dimensionData.length === 0) {
     return {
       dimension,
@@ -226,10 +274,10 @@ export const calculateDataQualityScore = (allData, dimensionData, dimension) =>
   }
   
   // Calculate discrepancies for all metrics
-  const discrepancies = calculateDiscrepancies(allData, dimensionData);
+  const discrepancies = calculateDiscrepancies(allData, dimensionData, profile);
   
   // Calculate overall weighted score
-  const weightedScore = calculateWeightedScore(discrepancies);
+  const weightedScore = calculateWeightedScore(discrepancies, profile);
   
   // Identify data gaps (missing and unmapped)
   const dataGaps = identifyDataGaps(allData, dimensionData, dimension);
@@ -247,20 +295,67 @@ export const calculateDataQualityScore = (allData, dimensionData, dimension) =>
   };
 };
 
+/**
+ * Collect the source ratio mismatches recorded on processed rows
+ * @param {Array} records - Processed records (any dimension)
+ * @returns {Object} Findings per row plus counts per ratio metric
+ */
+export const calculateRatioFindings = (records) => {
+  const findings = [];
+
+  (records || []).forEach(row => {
+    (row.ratio_mismatches || []).forEach(mismatch => {
+      const dimension = getDimension(row);
+      const column = DIMENSION_COLUMNS[dimension];
+      findings.push({
+        market: getMarket(row),
+        period: getPeriod(row),
+        dimension,
+        value: column ? getDimensionValue(row, column) : 'All',
+        metric: mismatch.metric,
+        supplied: mismatch.supplied,
+        expected: mismatch.expected,
+        deviation: Math.round(mismatch.deviation * 10000) / 100,
+        severity: mismatch.deviation > 0.1 ? 'WARNING' : 'INFO'
+      });
+    });
+  });
+
+  const byMetric = findings.reduce((counts, finding) => {
+    counts[finding.metric] = (counts[finding.metric] || 0) + 1;
+    return counts;
+  }, {});
+
+  return {
+    total: findings.length,
+    byMetric,
+    findings: findings.sort((a, b) => b.deviation - a.deviation)
+  };
+};
+
 /**
  * Calculate comprehensive data quality for all dimensions
+ * @param {string|Object} market - 'all', a market code or a market group ({ code, name, markets },
+ *   see marketGroups.js); several markets are scored on their summed base metrics, with their
+ *   shared quality profile or the default one, while each market's own analysis uses its profile
+ * @returns {Object} Quality data; `profile` is the quality profile it was graded with, which
+ *   rescoring (integrateComplianceData) grades with again, and `qualityProfile` the snapshot of
+ *   it (getQualityProfileSnapshot) saved with the coverage history
  */
 export const calculateComprehensiveDataQuality = (data, market, period) => {
-  const dimensions = ['Channel Name', 'Channel Type', 'Campaign Type', 'Model', 'Phase'];
+  // Scored dimensions from the dimension registry, keyed by their column
+  const dimensions = QUALITY_DIMENSIONS.map(entry => entry.column);
   const qualityScores = {};
   
-  // Handle multiple markets or single market
-  const markets = market === 'all' ? [...new Set(data.map(row => row.country))] : [market];
+  // Handle multiple markets (all markets or a group) or single market
+  const markets = market === 'all' ? getMarketCodes(data) : market.markets || [market];
+  const marketLabel = market === 'all' ? 'All Markets' : market.name || market;
+  const profile = getMarketsQualityProfile(markets);
   
   // Get "All" data for all markets in the period
   const allDataRecords = data.filter(row => 
     row.dimension === 'All' && 
-    markets.includes(row.country) && 
+    markets.includes(getMarket(row)) && 
     (period === 'all-periods' || (
       row.year === parseInt(period.split('-')[0]) && 
       row.month === parseInt(period.split('-')[1])
@@ -269,7 +364,7 @@ export const calculateComprehensiveDataQuality = (data, market, period) => {
   
   if (allDataRecords.length === 0) {
     return {
-      market: market === 'all' ? 'All Markets' : market,
+      market: marketLabel,
       period,
       overallScore: 0,
       dimensionBreakdown: {},
@@ -280,31 +375,28 @@ export const calculateComprehensiveDataQuality = (data, market, period) => {
     };
   }
   
-  // Aggregate "All" data across markets
+  // Aggregate "All" data across markets (null when no market reported the metric)
   const aggregatedAllData = {
-    'Media Cost': allDataRecords.reduce((sum, row) => sum + (parseFloat(row['Media Cost']) || 0), 0),
-    'Impressions': allDataRecords.reduce((sum, row) => sum + (parseFloat(row['Impressions']) || 0), 0),
-    'Clicks': allDataRecords.reduce((sum, row) => sum + (parseFloat(row['Clicks']) || 0), 0),
-    'IV': allDataRecords.reduce((sum, row) => sum + (parseFloat(row['IV']) || 0), 0),
-    'NVWR': allDataRecords.reduce((sum, row) => sum + (parseFloat(row['NVWR']) || 0), 0),
-    'Country': market === 'all' ? 'All Markets' : market,
+    ...Object.fromEntries(CORE_METRICS.map(metric => [metric, sumMetric(allDataRecords, metric)])),
+    'Country': marketLabel,
     'dimension': 'All',
     'year': parseInt(period.split('-')[0]),
     'month': parseInt(period.split('-')[1])
   };
   
   // Calculate quality score for each dimension with enhanced market-specific analysis
-  dimensions.forEach(dimension => {
+  QUALITY_DIMENSIONS.forEach(entry => {
+    const dimension = entry.column;
     const dimensionData = data.filter(row => 
-      row.dimension === dimension.replace(' ', '') && 
-      markets.includes(row.country) && 
+      row.dimension === entry.dimension && 
+      markets.includes(getMarket(row)) && 
       (period === 'all-periods' || (
         row.year === parseInt(period.split('-')[0]) && 
         row.month === parseInt(period.split('-')[1])
       ))
     );
     
-    qualityScores[dimension] = calculateDataQualityScore(aggregatedAllData, dimensionData, dimension);
+    qualityScores[dimension] = calculateDataQualityScore(aggregatedAllData, dimensionData, dimension, profile);
     
     // Add market-specific discrepancy analysis
     qualityScores[dimension].marketDiscrepancies = calculateMarketDiscrepancies(
@@ -329,15 +421,24 @@ export const calculateComprehensiveDataQuality = (data, market, period) => {
   const dataCompleteness = Math.round((Object.values(qualityScores)
     .filter(score => score.overallScore > 0).length / dimensions.length) * 100);
   
+  // Source ratios that disagree with the recomputed ones
+  const ratioFindings = calculateRatioFindings(data.filter(row => 
+    markets.includes(getMarket(row)) && 
+    (period === 'all-periods' || getPeriod(row) === period)
+  ));
+  
   return {
-    market: market === 'all' ? 'All Markets' : market,
+    market: marketLabel,
     period: period === 'all-periods' ? 'All Periods' : period,
     overallScore,
     dimensionBreakdown: qualityScores,
     criticalIssues,
     dataCompleteness,
     grade: getQualityGrade(overallScore),
-    marketAnalysis: generateMarketAnalysis(qualityScores, markets)
+    profile,
+    qualityProfile: getQualityProfileSnapshot(profile),
+    marketAnalysis: generateMarketAnalysis(qualityScores, markets),
+    ratioFindings
   };
 };
 
@@ -348,8 +449,9 @@ const calculateMarketDiscrepancies = (allDataRecords, dimensionData, dimension,
   const marketDiscrepancies = {};
   
   markets.forEach(marketCode => {
-    const marketAllData = allDataRecords.filter(row => row.country === marketCode);
-    const marketDimensionData = dimensionData.filter(row => row.country === marketCode);
+    const profile = getMarketQualityProfile(marketCode);
+    const marketAllData = allDataRecords.filter(row => getMarket(row) === marketCode);
+    const marketDimensionData = dimensionData.filter(row => getMarket(row) === marketCode);
     
     if (marketAllData.length === 0) {
       marketDiscrepancies[marketCode] = {
@@ -361,25 +463,33 @@ const calculateMarketDiscrepancies = (allDataRecords, dimensionData, dimension,
     }
     
     // Aggregate market-specific "All" data
-    const marketAllAggregated = {
-      'Media Cost': marketAllData.reduce((sum, row) => sum + (parseFloat(row['Media Cost']) || 0), 0),
-      'Impressions': marketAllData.reduce((sum, row) => sum + (parseFloat(row['Impressions']) || 0), 0),
-      'Clicks': marketAllData.reduce((sum, row) => sum + (parseFloat(row['Clicks']) || 0), 0),
-      'IV': marketAllData.reduce((sum, row) => sum + (parseFloat(row['IV']) || 0), 0),
-      'NVWR': marketAllData.reduce((sum, row) => sum + (parseFloat(row['NVWR']) || 0), 0)
-    };
+    const marketAllAggregated = Object.fromEntries(
+      CORE_METRICS.map(metric => [metric, sumMetric(marketAllData, metric)])
+    );
     
     // Calculate gaps for each metric
     const gaps = {};
     CORE_METRICS.forEach(metric => {
       const allValue = marketAllAggregated[metric];
       const dimensionValue = marketDimensionData.reduce((sum, row) => 
-        sum + (parseFloat(row[metric]) || 0), 0
+        sum + getMetric(row, metric), 0
       );
       
+      if (allValue === null) {
+        gaps[metric] = {
+          notReported: true,
+          allValue: null,
+          dimensionValue: Math.round(dimensionValue * 100) / 100,
+          gap: null,
+          missingValue: null
+        };
+        return;
+      }
+      
       const gap = allValue > 0 ? ((allValue - dimensionValue) / allValue) * 100 : 0;
       
       gaps[metric] = {
+        ...(profile.excluded_metrics.includes(metric) ? { excluded: true } : {}),
         allValue: Math.round(allValue * 100) / 100,
         dimensionValue: Math.round(dimensionValue * 100) / 100,
         gap: Math.round(gap * 100) / 100,
@@ -387,12 +497,16 @@ const calculateMarketDiscrepancies = (allDataRecords, dimensionData, dimension,
       };
     });
     
-    // Calculate overall coverage
-    const totalGaps = CORE_METRICS.map(metric => gaps[metric].gap);
-    const overallCoverage = 100 - (totalGaps.reduce((a, b) => a + b, 0) / totalGaps.length);
+    // Calculate overall coverage as the profile's weighted average over the scored metrics
+    // the market reported
+    const scoredMetrics = CORE_METRICS.filter(metric => isScored(gaps[metric]));
+    const totalWeight = scoredMetrics.reduce((sum, metric) => sum + getMetricWeight(profile, metric), 0);
+    const overallCoverage = totalWeight > 0
+      ? 100 - scoredMetrics.reduce((sum, metric) => sum + gaps[metric].gap * getMetricWeight(profile, metric), 0) / totalWeight
+      : null;
     
     marketDiscrepancies[marketCode] = {
-      coverage: Math.round(overallCoverage * 100) / 100,
+      coverage: overallCoverage === null ? null : Math.round(overallCoverage * 100) / 100,
       gaps,
       totalRecords: marketDimensionData.length,
       allRecords: marketAllData.length
@@ -423,7 +537,7 @@ const generateMarketAnalysis = (qualityScores, markets) => {
           allRecords: marketData.allRecords
         };
         
-        if (!marketData.error) {
+        if (!marketData.error && marketData.coverage !== null) {
           totalCoverage += marketData.coverage;
           dimensionCount++;
         }
@@ -432,17 +546,23 @@ const generateMarketAnalysis = (qualityScores, markets) => {
     
     const overallCoverage = dimensionCount > 0 ? totalCoverage / dimensionCount : 0;
     
+    // Dimensions whose coverage gap passes the profile's warning or critical gap are listed
+    // with that severity, like metric gaps (getGapSeverity)
+    const profile = getMarketQualityProfile(marketCode);
+    
     marketAnalysis[marketCode] = {
       overallCoverage: Math.round(overallCoverage * 100) / 100,
       dimensionScores: marketScores,
       grade: getQualityGrade(overallCoverage),
-      criticalIssues: Object.values(marketScores)
-        .filter(score => score.coverage < 80)
-        .map(score => ({
-          dimension: Object.keys(marketScores).find(key => marketScores[key] === score),
+      qualityProfile: getQualityProfileSnapshot(profile),
+      criticalIssues: Object.entries(marketScores)
+        .filter(([, score]) => score.coverage !== null)
+        .map(([dimension, score]) => ({
+          dimension,
           coverage: score.coverage,
-          severity: score.coverage < 60 ? 'CRITICAL' : 'WARNING'
+          severity: getGapSeverity(100 - score.coverage, profile)
         }))
+        .filter(issue => issue.severity !== 'OK')
     };
   });
   
@@ -528,7 +648,7 @@ const generateMetricBreakdown = (dimensionBreakdown) => {
     
     Object.entries(dimensionBreakdown).forEach(([dimension, score]) => {
       const metricScore = score.metricScores.find(m => m.metric === metric);
-      if (metricScore) {
+      if (metricScore && isScored(metricScore)) {
         totalCoverage += metricScore.coverage;
         count++;
         
@@ -585,6 +705,7 @@ const generatePreventiveActions = (qualityData) => {
 
 /**
  * Integrate Onebuilder compliance data into quality scoring
+ * The Campaign Type score is recomputed with the profile the quality data was graded with.
  */
 export const integrateComplianceData = (qualityData, complianceData) => {
   if (!complianceData || !qualityData.dimensionBreakdown['Campaign Type']) {
@@ -601,7 +722,7 @@ export const integrateComplianceData = (qualityData, complianceData) => {
   
   // Update the mapping gap for Campaign Type to include compliance
   const updatedMetricScores = campaignTypeQuality.metricScores.map(metricScore => {
-    if (metricScore.metric === 'Media Cost') {
+    if (metricScore.metric === 'Media Cost' && isScored(metricScore)) {
       // Combine existing mapping gap with compliance gap
       const complianceGap = 100 - compliancePercentage;
       const totalMappingGap = Math.max(metricScore.mappingGap, complianceGap);
@@ -617,7 +738,7 @@ export const integrateComplianceData = (qualityData, complianceData) => {
   });
   
   // Recalculate overall score for Campaign Type
-  const updatedWeightedScore = calculateWeightedScore(updatedMetricScores);
+  const updatedWeightedScore = calculateWeightedScore(updatedMetricScores, qualityData.profile || getDefaultQualityProfile());
   
   // Update the Campaign Type quality data
   const updatedCampaignTypeQuality = {
@@ -0,0 +1,173 @@
+import { DIMENSION_FIELDS, DIMENSION_COLUMNS, NOT_MAPPED, isUnmappedValue } from './recordSchema.js';
+
+/**
+ * Dimension value aliases
+ * Alias rules map the raw values of a dimension ('Channel Name', …) to a canonical value,
+ * so "META (FB&Insta)", "Meta" and "Facebook" group as one channel. A value is checked
+ * against exact rules first, then case-insensitive, then regex rules (which also ignore
+ * case), lowest priority number first; the first match wins. Unmapped values no rule matched
+ * ("NOT MAPPED", "not mapped", …) become NOT_MAPPED in every registry dimension, without a
+ * rule. Records keep the raw value of each column that was rewritten in `raw_values`. Rules are stored in
+ * bmw_dimension_alias_rules (see aliasRules.js).
+ */
+
+export const MATCH_TYPES = ['exact', 'case_insensitive', 'regex'];
+
+export const MATCH_TYPE_LABELS = {
+  exact: 'Exact',
+  case_insensitive: 'Case-insensitive',
+  regex: 'Regex'
+};
+
+const buildMatcher = (rule) => {
+  switch (rule.match_type) {
+    case 'exact':
+      return value => value === rule.pattern;
+    case 'case_insensitive': {
+      const pattern = rule.pattern.trim().toLowerCase();
+      return value => value.trim().toLowerCase() === pattern;
+    }
+    case 'regex': {
+      const regex = new RegExp(rule.pattern, 'i');
+      return value => regex.test(value);
+    }
+    default:
+      throw new Error(`Unknown match type "${rule.match_type}"`);
+  }
+};
+
+/**
+ * Problem with an alias rule, or null when it is valid
+ */
+export const validateAliasRule = (rule) => {
+  if (!DIMENSION_FIELDS.includes(rule.dimension)) return `Unknown dimension "${rule.dimension}"`;
+  if (!MATCH_TYPES.includes(rule.match_type)) return `Unknown match type "${rule.match_type}"`;
+  if (!rule.pattern) return 'Pattern is required';
+  if (!(rule.canonical_value || '').trim()) return 'Canonical value is required';
+  try {
+    buildMatcher(rule);
+  } catch (error) {
+    return `Invalid regex: ${error.message}`;
+  }
+  return null;
+};
+
+/**
+ * Compile the active rules for matching
+ * @param {Array} rules - { id, dimension, match_type, pattern, canonical_value, priority, is_active }
+ * @returns {Object} { rules: dimension → rules in match order, canonicalValues: dimension → Set }
+ */
+export const compileAliasRules = (rules = []) => {
+  const compiled = { rules: {}, canonicalValues: {} };
+
+  rules
+    .filter(rule => rule.is_active !== false)
+    .sort((a, b) =>
+      MATCH_TYPES.indexOf(a.match_type) - MATCH_TYPES.indexOf(b.match_type) ||
+      (a.priority ?? 100) - (b.priority ?? 100) ||
+      (a.id ?? 0) - (b.id ?? 0))
+    .forEach(rule => {
+      const problem = validateAliasRule(rule);
+      if (problem) {
+        console.warn(`⚠️ Skipping alias rule ${rule.id ?? rule.pattern}: ${problem}`);
+        return;
+      }
+      (compiled.rules[rule.dimension] = compiled.rules[rule.dimension] || []).push({ ...rule, matches: buildMatcher(rule) });
+      (compiled.canonicalValues[rule.dimension] = compiled.canonicalValues[rule.dimension] || new Set()).add(rule.canonical_value);
+    });
+
+  return compiled;
+};
+
+/**
+ * First rule matching a value of a dimension, or null
+ */
+export const findAliasRule = (value, dimension, compiledRules) => {
+  if (value === null || value === undefined) return null;
+  const text = value.toString();
+  return (compiledRules.rules[dimension] || []).find(rule => rule.matches(text)) || null;
+};
+
+/**
+ * Canonical value of a dimension value: the matching rule's, NOT_MAPPED for an unmapped
+ * value no rule matched, or the value itself
+ */
+const getCanonicalValue = (value, dimension, compiledRules) => {
+  const rule = findAliasRule(value, dimension, compiledRules);
+  if (rule) return rule.canonical_value;
+  return isUnmappedValue(value) ? NOT_MAPPED : value;
+};
+
+/**
+ * Rewrite a record's dimension values to their canonical values
+ * @returns {Object} The record, with `raw_values` holding the values that were rewritten
+ */
+export const applyAliasRules = (record, compiledRules) => {
+  const rawValues = {};
+  const normalized = { ...record };
+
+  DIMENSION_FIELDS.forEach(field => {
+    if (record[field] === undefined || record[field] === null) return;
+    const canonicalValue = getCanonicalValue(record[field], field, compiledRules);
+    if (canonicalValue !== record[field]) {
+      normalized[field] = canonicalValue;
+      rawValues[field] = record[field];
+    }
+  });
+
+  return Object.keys(rawValues).length > 0 ? { ...normalized, raw_values: rawValues } : normalized;
+};
+
+/**
+ * Dimension columns a record reports: its dimension file's column, or every column for
+ * cross-dimension records ('All' records report none)
+ */
+export const getReportedFields = (record) => {
+  if (record.dimension in DIMENSION_COLUMNS) {
+    const column = DIMENSION_COLUMNS[record.dimension];
+    return column ? [column] : [];
+  }
+  return DIMENSION_FIELDS;
+};
+
+/**
+ * Whether a value still waits for a rule: no rule matches it, it is not a canonical value
+ * and it is not an unmapped placeholder
+ */
+export const isUnmatchedValue = (value, dimension, compiledRules) =>
+  !!value &&
+  !isUnmappedValue(value) &&
+  !compiledRules.canonicalValues[dimension]?.has(value) &&
+  !findAliasRule(value, dimension, compiledRules);
+
+/**
+ * Values of processed records that no rule matched
+ * @param {Array} records - Records after applyAliasRules
+ * @returns {Array} { dimension, raw_value, record_count }
+ */
+export const collectUnmatchedValues = (records, compiledRules) => {
+  const counts = new Map();
+
+  records.forEach(record => {
+    getReportedFields(record).forEach(field => {
+      const value = record[field];
+      if (record.raw_values?.[field] !== undefined || !isUnmatchedValue(value, field, compiledRules)) return;
+      const key = `${field}\u0000${value}`;
+      const entry = counts.get(key) || { dimension: field, raw_value: value, record_count: 0 };
+      entry.record_count++;
+      counts.set(key, entry);
+    });
+  });
+
+  return [...counts.values()];
+};
+
+/**
+ * Stable description of the active rules; it is part of each market-month's processing
+ * fingerprint, so changing a rule reprocesses the market-months on the next run
+ */
+export const getAliasRulesFingerprint = (rules = []) => rules
+  .filter(rule => rule.is_active !== false)
+  .map(rule => [rule.dimension, rule.match_type, rule.pattern, rule.canonical_value, rule.priority ?? 100].join('\u0001'))
+  .sort()
+  .join('\n');
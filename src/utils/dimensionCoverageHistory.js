@@ -49,7 +49,8 @@ export const saveDimensionCoverageHistory = async (recordOrMarketAnalysis, supab
             dimension_impressions: gaps['Impressions']?.dimensionValue || 0,
             dimension_clicks: gaps['Clicks']?.dimensionValue || 0,
             dimension_iv: gaps['IV']?.dimensionValue || 0,
-            dimension_nvwr: gaps['NVWR']?.dimensionValue || 0
+            dimension_nvwr: gaps['NVWR']?.dimensionValue || 0,
+            quality_profile: marketData.qualityProfile || null
           };
           
           records.push(record);
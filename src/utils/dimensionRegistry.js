@@ -0,0 +1,125 @@
+/**
+ * Dimension registry
+ * Every dimension the exports are split by is defined here once, and the pipeline
+ * (filename parsing, header validation, canonical records, fact storage, alias and
+ * reclassification rules, compliance, data quality and coverage history, pivots) iterates
+ * over it. Adding a dimension, e.g. "Audience", is one entry:
+ * - dimension: name stored with each record and in the market registry's expected dimensions
+ * - filenameToken: token in BMW_[CC]_[token]_[YYYY]_[MM].csv (matched without case)
+ * - column: source column the file breaks down by (null for 'All', which has none)
+ * - label: name shown in the UI
+ * - aliases: other spellings of the column found in exports and older stored records
+ * - factColumn: bmw_fact_metrics column holding the value; dimensions without one are
+ *   stored in the fact row's extra_dimensions
+ * - compliance: whether unmapped values count against Onebuilder compliance, under
+ *   complianceKey in unmapped_by_field
+ * - quality: whether the dimension is scored against the 'All' totals for data quality
+ *   and dimension coverage history
+ */
+
+export const DIMENSION_REGISTRY = [
+  {
+    dimension: 'All',
+    filenameToken: 'All',
+    column: null,
+    label: 'All',
+    aliases: [],
+    factColumn: null,
+    compliance: false,
+    complianceKey: null,
+    quality: false
+  },
+  {
+    dimension: 'CampaignType',
+    filenameToken: 'CampaignType',
+    column: 'Campaign Type',
+    label: 'Campaign Type',
+    aliases: ['Campaign_Type', 'campaign_type'],
+    factColumn: 'campaign_type',
+    compliance: true,
+    complianceKey: 'campaignType',
+    quality: true
+  },
+  {
+    dimension: 'ChannelType',
+    filenameToken: 'ChannelType',
+    column: 'Channel Type',
+    label: 'Channel Type',
+    aliases: ['Channel_Type', 'channel_type'],
+    factColumn: 'channel_type',
+    compliance: true,
+    complianceKey: 'channelType',
+    quality: true
+  },
+  {
+    dimension: 'ChannelName',
+    filenameToken: 'ChannelName',
+    column: 'Channel Name',
+    label: 'Channel Name',
+    aliases: ['Channel_Name', 'channel_name'],
+    factColumn: 'channel_name',
+    compliance: true,
+    complianceKey: 'channelName',
+    quality: true
+  },
+  {
+    dimension: 'Phase',
+    filenameToken: 'Phase',
+    column: 'Phase',
+    label: 'Phase',
+    aliases: ['phase'],
+    factColumn: 'phase',
+    compliance: true,
+    complianceKey: 'phase',
+    quality: true
+  },
+  {
+    dimension: 'Model',
+    filenameToken: 'Model',
+    column: 'Model',
+    label: 'Model',
+    aliases: ['Model ', 'model'],
+    factColumn: 'model',
+    compliance: true,
+    complianceKey: 'model',
+    quality: true
+  }
+];
+
+// Dimensions that break down by a column (every one but 'All')
+export const BREAKDOWN_DIMENSIONS = DIMENSION_REGISTRY.filter(entry => entry.column);
+
+export const COMPLIANCE_DIMENSIONS = DIMENSION_REGISTRY.filter(entry => entry.column && entry.compliance);
+
+export const QUALITY_DIMENSIONS = DIMENSION_REGISTRY.filter(entry => entry.column && entry.quality);
+
+/**
+ * Registry entry of a dimension ('CampaignType'), or null
+ */
+export const getDimensionEntry = (dimension) => DIMENSION_REGISTRY.find(entry => entry.dimension === dimension) || null;
+
+/**
+ * Registry entry of a filename token, compared without case, or null
+ */
+export const getDimensionByToken = (token) => {
+  const normalized = (token || '').toLowerCase();
+  return DIMENSION_REGISTRY.find(entry => entry.filenameToken.toLowerCase() === normalized) || null;
+};
+
+/**
+ * Registry entry of a source column ('Campaign Type'), or null
+ */
+export const getDimensionByColumn = (column) => BREAKDOWN_DIMENSIONS.find(entry => entry.column === column) || null;
+
+/**
+ * Label of a dimension or column for the UI (the name itself when it is not registered)
+ */
+export const getDimensionLabel = (dimensionOrColumn) =>
+  (getDimensionEntry(dimensionOrColumn) || getDimensionByColumn(dimensionOrColumn))?.label || dimensionOrColumn;
+
+/**
+ * Other spelling of a dimension column → the column, for header normalization
+ */
+export const getColumnAliases = () => Object.fromEntries(
+  BREAKDOWN_DIMENSIONS.flatMap(entry => entry.aliases.map(alias => [alias, entry.column]))
+);
@@ -0,0 +1,245 @@
+/**
+ * Processed data fact table
+ * Processed records are stored one per row in bmw_fact_metrics, keyed by market, period,
+ * dimension and dimension value, with a numeric column per metric. Records are converted
+ * to and from the canonical record shape (see recordSchema.js) at this boundary, so
+ * consumers keep reading records through the usual accessors.
+ * Rows are never overwritten: each carries the processing run that wrote it and the run that
+ * replaced it, so any run's snapshot can be read back (see processingRuns.js).
+ */
+
+import { supabase, TABLES } from './supabase.js';
+import { DIMENSION_COLUMNS, METRIC_FIELDS, getPeriod } from './recordSchema.js';
+import { CROSS_DIMENSION } from './legacyImporter.js';
+import { BREAKDOWN_DIMENSIONS } from './dimensionRegistry.js';
+
+// Canonical field → fact table column, for the registry dimensions that have one
+export const DIMENSION_FIELD_COLUMNS = Object.fromEntries(
+  BREAKDOWN_DIMENSIONS.filter(entry => entry.factColumn).map(entry => [entry.column, entry.factColumn])
+);
+
+// Dimension fields without a column of their own, kept in the row's extra_dimensions
+const EXTRA_DIMENSION_FIELDS = BREAKDOWN_DIMENSIONS.filter(entry => !entry.factColumn).map(entry => entry.column);
+
+export const METRIC_FIELD_COLUMNS = {
+  'Media Cost': 'media_cost',
+  'Impressions': 'impressions',
+  'CPM': 'cpm',
+  'Clicks': 'clicks',
+  'CTR': 'ctr',
+  'CPC': 'cpc',
+  'IV': 'iv',
+  'CP IV': 'cp_iv',
+  'Entry Rate': 'entry_rate',
+  'NVWR': 'nvwr',
+  'Cp NVWR': 'cp_nvwr',
+  'CVR': 'cvr',
+  'DCS (pre) Order': 'dcs_orders',
+  'CP DCS (pre) Order': 'cp_dcs_orders',
+  'Meta Leads': 'meta_leads',
+  'Cp lead Forms': 'cp_lead_forms'
+};
+
+// Single-dimension records (everything except the cross-dimensional grain)
+export const SINGLE_DIMENSIONS = Object.keys(DIMENSION_COLUMNS);
+
+// PostgREST returns at most this many rows per request
+const PAGE_SIZE = 1000;
+const INSERT_CHUNK_SIZE = 500;
+
+/**
+ * Value the record breaks down by: its dimension column, every column for cross-dimension
+ * rows, or the dimension name for 'All'
+ */
+export const getRecordDimensionValue = (record) => {
+  if (record.dimension === CROSS_DIMENSION) {
+    return BREAKDOWN_DIMENSIONS.map(entry => record[entry.column]).join(' | ');
+  }
+  const column = DIMENSION_COLUMNS[record.dimension];
+  return column ? record[column] : record.dimension;
+};
+
+/**
+ * Fact table row of a processed record
+ */
+export const toFactRow = (record) => ({
+  country: record.country,
+  year: record.year,
+  month: record.month,
+  period: getPeriod(record),
+  dimension: record.dimension,
+  dimension_value: getRecordDimensionValue(record) ?? '',
+  country_label: record.Country ?? null,
+  ...Object.fromEntries(Object.entries(DIMENSION_FIELD_COLUMNS).map(([field, column]) => [column, record[field] ?? null])),
+  extra_dimensions: EXTRA_DIMENSION_FIELDS.length > 0
+    ? Object.fromEntries(EXTRA_DIMENSION_FIELDS.map(field => [field, record[field] ?? null]))
+    : null,
+  ...Object.fromEntries(METRIC_FIELDS.map(metric => [METRIC_FIELD_COLUMNS[metric], record[metric] ?? null])),
+  ratio_mismatches: record.ratio_mismatches || null,
+  raw_values: record.raw_values || null,
+  reclassified: record.reclassified || null,
+  file_source: record.file_source ?? null
+});
+
+/**
+ * Processed record of a fact table row
+ */
+export const fromFactRow = (row) => ({
+  Country: row.country_label,
+  ...Object.fromEntries(Object.entries(DIMENSION_FIELD_COLUMNS).map(([field, column]) => [field, row[column]])),
+  ...Object.fromEntries(EXTRA_DIMENSION_FIELDS.map(field => [field, row.extra_dimensions?.[field] ?? null])),
+  ...Object.fromEntries(METRIC_FIELDS.map(metric => [metric, row[METRIC_FIELD_COLUMNS[metric]]])),
+  file_source: row.file_source,
+  country: row.country,
+  dimension: row.dimension,
+  year: row.year,
+  month: row.month,
+  ...(row.ratio_mismatches?.length > 0 ? { ratio_mismatches: row.ratio_mismatches } : {}),
+  ...(row.raw_values ? { raw_values: row.raw_values } : {}),
+  ...(row.reclassified ? { reclassified: row.reclassified } : {})
+});
+
+/**
+ * Replace the current records of one market-month. The records are inserted staged (in no
+ * snapshot) and published in one transaction by bmw_publish_market_month_facts (see
+ * 021_publish_market_month_facts.sql), so a failed insert leaves the current rows in place.
+ * @param {Object} period - { country, year, month }
+ * @param {Array} records - Processed records (single-dimension and cross-dimension)
+ * @param {number} runId - Processing run writing the records
+ */
+export const replaceMarketMonthFacts = async ({ country, year, month }, records, runId) => {
+  // Rows this run wrote for the month in an earlier, interrupted attempt
+  const { error: cleanupError } = await supabase
+    .from(TABLES.FACT_METRICS)
+    .delete()
+    .eq('country', country)
+    .eq('year', year)
+    .eq('month', month)
+    .eq('valid_from_run', runId);
+
+  if (cleanupError) {
+    throw new Error(`Database error: ${cleanupError.message}`);
+  }
+
+  const rows = records.map(record => ({ ...toFactRow(record), valid_from_run: runId, valid_to_run: runId }));
+  for (let start = 0; start < rows.length; start += INSERT_CHUNK_SIZE) {
+    const { error } = await supabase
+      .from(TABLES.FACT_METRICS)
+      .insert(rows.slice(start, start + INSERT_CHUNK_SIZE));
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+  }
+
+  const { error } = await supabase.rpc('bmw_publish_market_month_facts', {
+    p_country: country,
+    p_year: year,
+    p_month: month,
+    p_run_id: runId
+  });
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+};
+
+/**
+ * Retire the current records of one market-month; they stay in earlier runs' snapshots
+ */
+export const retireMarketMonthFacts = async ({ country, year, month }, runId) => {
+  const { error } = await supabase
+    .from(TABLES.FACT_METRICS)
+    .update({ valid_to_run: runId })
+    .eq('country', country)
+    .eq('year', year)
+    .eq('month', month)
+    .is('valid_to_run', null);
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+};
+
+/**
+ * Restrict a fact query to the current rows, or to the snapshot of a processing run
+ */
+const atRun = (query, runId) => runId
+  ? query.lte('valid_from_run', runId).or(`valid_to_run.is.null,valid_to_run.gt.${runId}`)
+  : query.is('valid_to_run', null);
+
+/**
+ * Query processed records by market and period
+ * @param {Object} scope - { markets: market codes, months: 'YYYY-MM' periods, dimensions,
+ *   runId: read that run's snapshot instead of the current rows }; omitted (or null) filters match everything
+ * @returns {Array} Processed records
+ */
+export const queryFacts = async ({ markets = null, months = null, dimensions = null, runId = null } = {}) => {
+  const records = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    let query = atRun(supabase
+      .from(TABLES.FACT_METRICS)
+      .select('*')
+      .order('id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1), runId);
+
+    if (markets) query = query.in('country', markets);
+    if (months) query = query.in('period', months);
+    if (dimensions) query = query.in('dimension', dimensions);
+
+    const { data, error } = await query;
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    records.push(...(data || []).map(fromFactRow));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+
+  return records;
+};
+
+/**
+ * Market-months present in the fact table
+ * @returns {Array} { country, year, month, period, record_count }
+ */
+export const getFactPeriods = async () => {
+  const { data, error } = await supabase
+    .from(TABLES.FACT_PERIODS)
+    .select('*');
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data || [];
+};
+
+/**
+ * Market-months whose rows were written or retired by the runs after fromRun up to toRun
+ * @returns {Array} { country, period }
+ */
+export const getChangedFactPeriods = async (fromRun, toRun) => {
+  const periods = new Map();
+  const written = `and(valid_from_run.gt.${fromRun},valid_from_run.lte.${toRun})`;
+  const retired = `and(valid_to_run.gt.${fromRun},valid_to_run.lte.${toRun})`;
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from(TABLES.FACT_METRICS)
+      .select('country, period')
+      .or(`${written},${retired}`)
+      .order('id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+
+    (data || []).forEach(row => periods.set(`${row.country}_${row.period}`, row));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+
+  return [...periods.values()];
+};
@@ -0,0 +1,151 @@
+/**
+ * File revisions
+ * Every upload of a filename is kept as a numbered revision (storage path, size, checksum,
+ * uploader, timestamp) in bmw_file_revisions. The bmw_files row mirrors the active revision,
+ * so processing always reads the active revision without knowing about the others.
+ */
+
+import { supabase, TABLES } from './supabase.js';
+
+// Fields copied from a revision onto its bmw_files row when it becomes active
+const ACTIVE_REVISION_FIELDS = ['file_path', 'file_url', 'file_size', 'checksum', 'uploaded_by', 'source_file_path', 'uploaded_at'];
+
+/**
+ * SHA-256 checksum of a file (or any Blob) as a hex string
+ */
+export const computeChecksum = async (file) => {
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+  return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Storage path of a revision. Revision 1 keeps the original layout
+ * ([COUNTRY]/[DIMENSION]/[YEAR]/[FILENAME]); later ones are stored under revisions/[N]/
+ */
+export const getRevisionFilePath = ({ country, dimension, year }, filename, revision) => {
+  const folder = `${country}/${dimension}/${year}`;
+  return revision === 1 ? `${folder}/${filename}` : `${folder}/revisions/${revision}/${filename}`;
+};
+
+/**
+ * Next revision number for a file (one above the highest stored, not the active one)
+ */
+export const getNextRevisionNumber = async (fileId) => {
+  const { data, error } = await supabase
+    .from(TABLES.FILE_REVISIONS)
+    .select('revision')
+    .eq('file_id', fileId)
+    .order('revision', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return (data?.revision || 0) + 1;
+};
+
+/**
+ * Store the revision a bmw_files row currently points at
+ */
+export const recordFileRevision = async (fileRecord, revision) => {
+  const revisionRecord = {
+    file_id: fileRecord.id,
+    filename: fileRecord.filename,
+    revision,
+    ...Object.fromEntries(ACTIVE_REVISION_FIELDS.map(field => [field, fileRecord[field] ?? null]))
+  };
+
+  const { data, error } = await supabase
+    .from(TABLES.FILE_REVISIONS)
+    .insert(revisionRecord)
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data;
+};
+
+/**
+ * All revisions of a file, newest first
+ */
+export const getFileRevisions = async (filename) => {
+  try {
+    const { data, error } = await supabase
+      .from(TABLES.FILE_REVISIONS)
+      .select('*')
+      .eq('filename', filename)
+      .order('revision', { ascending: false });
+
+    if (error) {
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching file revisions:', error);
+    throw error;
+  }
+};
+
+/**
+ * Make an earlier (or later) revision the active one. The data is not reprocessed here;
+ * the next processing run reads the activated revision.
+ * @returns {Object} Updated bmw_files record
+ */
+export const activateFileRevision = async (filename, revision) => {
+  try {
+    const { data: revisionRecord, error: fetchError } = await supabase
+      .from(TABLES.FILE_REVISIONS)
+      .select('*')
+      .eq('filename', filename)
+      .eq('revision', revision)
+      .single();
+
+    if (fetchError) {
+      throw fetchError;
+    }
+
+    const { data: fileRecord, error: updateError } = await supabase
+      .from(TABLES.FILES)
+      .update({
+        ...Object.fromEntries(ACTIVE_REVISION_FIELDS.map(field => [field, revisionRecord[field]])),
+        active_revision: revision,
+        status: 'uploaded'
+      })
+      .eq('filename', filename)
+      .select()
+      .single();
+
+    if (updateError) {
+      throw updateError;
+    }
+
+    console.log(`⏪ ${filename}: revision ${revision} is now active`);
+    return fileRecord;
+  } catch (error) {
+    console.error('Error activating file revision:', error);
+    throw error;
+  }
+};
+
+/**
+ * Storage paths of every revision (of one file, or of all files)
+ */
+export const getRevisionFilePaths = async (filename = null) => {
+  let query = supabase.from(TABLES.FILE_REVISIONS).select('file_path');
+  if (filename) {
+    query = query.eq('filename', filename);
+  }
+
+  const { data, error } = await query;
+  if (error) {
+    throw error;
+  }
+
+  return [...new Set((data || []).map(revision => revision.file_path))];
+};
@@ -0,0 +1,90 @@
+/**
+ * FX rates
+ * Monthly rates (the value of one unit of a currency in EUR) are kept in bmw_fx_rates and
+ * can be uploaded as CSV; each market's currency is set in the market registry
+ * (marketRegistry.js). Conversion itself lives in currency.js.
+ */
+
+import Papa from 'papaparse';
+import { supabase, TABLES } from './supabase.js';
+
+// Header names accepted for each column of an FX rate CSV
+const FX_CSV_COLUMNS = {
+  currency: ['Currency', 'currency'],
+  period: ['Period', 'period', 'Month', 'month'],
+  rate: ['Rate to EUR', 'rate_to_eur', 'Rate', 'rate']
+};
+
+const findColumn = (headers, names) => names.find(name => headers.includes(name));
+
+/**
+ * Parse an FX rate CSV with Currency, Period (YYYY-MM) and Rate to EUR columns
+ * @returns {Object} { rates: [{ currency, year, month, rate_to_eur }], errors: [line messages] }
+ */
+export const parseFxRatesCSV = (text) => {
+  const { data, meta } = Papa.parse(text, { header: true, skipEmptyLines: true });
+  const headers = meta.fields || [];
+  const columns = Object.fromEntries(Object.entries(FX_CSV_COLUMNS).map(([column, names]) => [column, findColumn(headers, names)]));
+
+  const missingColumns = Object.entries(columns).filter(([, header]) => !header).map(([column]) => column);
+  if (missingColumns.length > 0) {
+    return { rates: [], errors: [`Missing columns: ${missingColumns.join(', ')} (expected Currency, Period, Rate to EUR)`] };
+  }
+
+  const rates = [];
+  const errors = [];
+  data.forEach((row, index) => {
+    const line = index + 2; // header is line 1
+    const currency = (row[columns.currency] || '').trim().toUpperCase();
+    const periodMatch = (row[columns.period] || '').trim().match(/^(\d{4})-(\d{1,2})$/);
+    const rate = Number((row[columns.rate] || '').toString().trim());
+
+    if (!/^[A-Z]{3}$/.test(currency)) {
+      errors.push(`Line ${line}: invalid currency "${row[columns.currency]}"`);
+    } else if (!periodMatch) {
+      errors.push(`Line ${line}: invalid period "${row[columns.period]}" (expected YYYY-MM)`);
+    } else if (!Number.isFinite(rate) || rate <= 0) {
+      errors.push(`Line ${line}: invalid rate "${row[columns.rate]}"`);
+    } else {
+      rates.push({ currency, year: parseInt(periodMatch[1]), month: parseInt(periodMatch[2]), rate_to_eur: rate });
+    }
+  });
+
+  return { rates, errors };
+};
+
+/**
+ * All stored FX rates
+ */
+export const getFxRates = async () => {
+  const { data, error } = await supabase
+    .from(TABLES.FX_RATES)
+    .select('currency, year, month, rate_to_eur, source')
+    .order('currency')
+    .order('year')
+    .order('month');
+
+  if (error) {
+    console.warn('⚠️ Could not load FX rates, costs will not be converted:', error.message);
+    return [];
+  }
+
+  return data || [];
+};
+
+/**
+ * Store FX rates, replacing existing rates for the same currency and month
+ * @param {Array} rates - { currency, year, month, rate_to_eur }
+ * @param {string} source - Where the rates came from (e.g. the uploaded filename)
+ */
+export const saveFxRates = async (rates, source = null) => {
+  const { error } = await supabase
+    .from(TABLES.FX_RATES)
+    .upsert(rates.map(rate => ({ ...rate, source })), { onConflict: 'currency,year,month' });
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  console.log(`💱 Saved ${rates.length} FX rates`);
+};
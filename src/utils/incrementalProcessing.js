@@ -0,0 +1,140 @@
+/**
+ * Incremental processing
+ * Each market-month is fingerprinted from the content hashes of its files (plus the
+ * processing version, the active alias rules, see dimensionAliases.js, and the reclassification
+ * rules applying to it, see reclassification.js). processAllCSVsFromSupabase only reprocesses market-months whose
+ * fingerprint changed since the last run, replaces their fact rows (see factTable.js) and
+ * refreshes the history tables for those periods only. State is saved after the fact rows,
+ * so a stored fingerprint means the market-month's rows are in place.
+ */
+
+import { supabase, TABLES } from './supabase.js';
+import { computeChecksum } from './fileRevisions.js';
+import { getApplicableRules, getReclassificationRulesFingerprint } from './reclassification.js';
+
+// Bump when the processing logic changes so every market-month is reprocessed once
+export const PROCESSING_VERSION = 5;
+
+// History tables (and unmatched alias values, the reclassification log and KPI anomalies) keyed by market_code/year/month
+const PERIOD_HISTORY_TABLES = [TABLES.COMPLIANCE_HISTORY, TABLES.KPI_HISTORY, TABLES.DIMENSION_COVERAGE_HISTORY, TABLES.UNMATCHED_DIMENSION_VALUES, TABLES.RECLASSIFICATION_LOG, TABLES.KPI_ANOMALIES];
+
+/**
+ * Key of a market-month, e.g. 'FR_2025_07'
+ */
+export const getMarketMonthKey = (country, year, month) => `${country}_${year}_${month.toString().padStart(2, '0')}`;
+
+/**
+ * Content hash of a file record. Files uploaded before checksums were recorded fall
+ * back to their storage path, size and upload time.
+ */
+export const getFileHash = (fileRecord) =>
+  fileRecord.checksum || `${fileRecord.file_path}|${fileRecord.file_size}|${fileRecord.uploaded_at}`;
+
+/**
+ * Fingerprint of a market-month group: the processing version, every file's hash, the
+ * alias rules fingerprint and the fingerprint of the reclassification rules applying to the
+ * market-month (each left out when there are no rules)
+ */
+export const computeGroupHash = async (group, rulesFingerprint = '', reclassificationRules = []) => {
+  const fileHashes = group.files.map(file => `${file.filename}:${getFileHash(file)}`).sort();
+  const rules = rulesFingerprint ? `\nrules:${rulesFingerprint}` : '';
+  const reclassificationFingerprint = getReclassificationRulesFingerprint(
+    getApplicableRules(reclassificationRules, group.country, group.year, group.month));
+  const reclassification = reclassificationFingerprint ? `\nreclassification:${reclassificationFingerprint}` : '';
+  return computeChecksum(new Blob([`v${PROCESSING_VERSION}\n${fileHashes.join('\n')}${rules}${reclassification}`]));
+};
+
+/**
+ * Stored processing state by market-month key (empty when none is stored yet)
+ */
+export const getProcessingState = async () => {
+  const { data, error } = await supabase
+    .from(TABLES.PROCESSING_STATE)
+    .select('*');
+
+  if (error) {
+    console.warn('⚠️ Could not load processing state, every market-month will be processed:', error.message);
+    return {};
+  }
+
+  return Object.fromEntries((data || []).map(row => [row.market_month, row]));
+};
+
+/**
+ * Decide which market-months need processing
+ * @param {Array} groups - Market-month groups from getUploadedFilesGrouped
+ * @param {Object} options - { force: reprocess everything, rulesFingerprint: see getAliasRulesFingerprint,
+ *   reclassificationRules: every stored reclassification rule, reprocessKeys: market-month keys to reprocess even when unchanged }
+ * @returns {Object} { changed, unchanged, removed } where changed/unchanged are groups with `key` and
+ *   `inputHash`, and removed are stored state rows whose files are gone
+ */
+export const planIncrementalRun = async (groups, { force = false, rulesFingerprint = '', reclassificationRules = [], reprocessKeys = [] } = {}) => {
+  const state = await getProcessingState();
+  const plan = { changed: [], unchanged: [], removed: [] };
+  const reprocess = new Set(reprocessKeys);
+
+  for (const group of groups) {
+    const key = getMarketMonthKey(group.country, group.year, group.month);
+    const inputHash = await computeGroupHash(group, rulesFingerprint, reclassificationRules);
+    const isUnchanged = !force && !reprocess.has(key) && state[key]?.input_hash === inputHash;
+    (isUnchanged ? plan.unchanged : plan.changed).push({ ...group, key, inputHash });
+  }
+
+  const groupKeys = new Set([...plan.changed, ...plan.unchanged].map(group => group.key));
+  plan.removed = Object.values(state).filter(row => !groupKeys.has(row.market_month));
+
+  return plan;
+};
+
+/**
+ * Remember the fingerprint a market-month was processed from
+ */
+export const saveProcessingState = async (group, recordCount) => {
+  const { error } = await supabase
+    .from(TABLES.PROCESSING_STATE)
+    .upsert({
+      market_month: group.key,
+      country: group.country,
+      year: group.year,
+      month: group.month,
+      input_hash: group.inputHash,
+      file_hashes: Object.fromEntries(group.files.map(file => [file.filename, getFileHash(file)])),
+      record_count: recordCount,
+      processed_at: new Date().toISOString()
+    }, { onConflict: 'market_month' });
+
+  if (error) {
+    console.warn(`⚠️ Could not save processing state for ${group.key}:`, error.message);
+  }
+};
+
+/**
+ * Forget market-months whose files were deleted, including their history rows
+ */
+export const removeProcessingState = async (rows) => {
+  for (const row of rows) {
+    for (const table of PERIOD_HISTORY_TABLES) {
+      const { error } = await supabase
+        .from(table)
+        .delete()
+        .eq('market_code', row.country)
+        .eq('year', row.year)
+        .eq('month', row.month);
+
+      if (error) {
+        console.warn(`⚠️ Could not remove ${table} rows for ${row.market_month}:`, error.message);
+      }
+    }
+  }
+
+  if (rows.length > 0) {
+    const { error } = await supabase
+      .from(TABLES.PROCESSING_STATE)
+      .delete()
+      .in('market_month', rows.map(row => row.market_month));
+
+    if (error) {
+      console.warn('⚠️ Could not remove processing state:', error.message);
+    }
+  }
+};
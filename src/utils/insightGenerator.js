@@ -1,14 +1,19 @@
 import _ from 'lodash';
 import { analyzeTrends, formatTrendChange, getTrendColor } from './trendAnalysis.js';
 import { generateQualityAwareInsight } from './dataQualityScorer.js';
+import { getMetric, getDimensionValue, selectRowsForField } from './recordSchema.js';
+import { sumMetric, computeRatio } from './metricDefinitions.js';
+import { formatCurrency as formatAmount } from './currency.js';
+import { resolveModel, describeModelLevelValue, UNCLASSIFIED, DEFAULT_MODEL_LEVEL } from './modelHierarchy.js';
 
 /**
  * Generates Datorama-focused insights from BMW monthly report data
  * @param {Array} data - Parsed CSV data
  * @param {Object} qualityData - Optional data quality information
+ * @param {Object} options - { modelLevel: model hierarchy level the Model Spotlight reports at }
  * @returns {Array} Array of 8 insight objects
  */
-export const generateInsights = (data, qualityData = null) => {
+export const generateInsights = (data, qualityData = null, { modelLevel = DEFAULT_MODEL_LEVEL } = {}) => {
   console.log('🧠 generateInsights called with data:', {
     dataLength: data?.length || 0,
     sampleRow: data?.[0] || null,
@@ -33,8 +38,8 @@ export const generateInsights = (data, qualityData = null) => {
   const channelChampion = generateChannelChampionInsight(data, trendAnalysis);
   insights.push(qualityData ? generateQualityAwareInsight(channelChampion, qualityData, 'Channel Type') : channelChampion);
 
-  // 3. Model Spotlight: Top model by NVWR generation
-  const modelSpotlight = generateModelSpotlightInsight(data, trendAnalysis);
+  // 3. Model Spotlight: Top model (or family, segment) by NVWR generation
+  const modelSpotlight = generateModelSpotlightInsight(data, trendAnalysis, modelLevel);
   insights.push(qualityData ? generateQualityAwareInsight(modelSpotlight, qualityData, 'Model') : modelSpotlight);
 
   // 4. Efficiency Alert: Market with highest cost-per-NVWR (needs attention)
@@ -64,15 +69,15 @@ export const generateInsights = (data, qualityData = null) => {
  * 1. Performance Leader: Market with highest NVWR per spend efficiency
  */
 const generatePerformanceLeaderInsight = (data, trendAnalysis) => {
-  const marketEfficiency = _.chain(data)
+  const marketEfficiency = _.chain(selectRowsForField(data))
     .groupBy('Country')
     .map((group, country) => {
-      const totalCost = _.sumBy(group, row => parseFloat(row['Media Cost']) || 0);
-      const totalNVWR = _.sumBy(group, row => parseFloat(row.NVWR) || 0);
-      const costPerNVWR = totalNVWR > 0 ? totalCost / totalNVWR : Infinity;
+      const totalCost = sumMetric(group, 'Media Cost');
+      const totalNVWR = sumMetric(group, 'NVWR');
+      const costPerNVWR = computeRatio(totalCost, totalNVWR);
       return { country, costPerNVWR, totalNVWR, totalCost };
     })
-    .filter(item => item.costPerNVWR !== Infinity)
+    .filter(item => item.costPerNVWR !== null)
     .orderBy('costPerNVWR', 'asc')
     .value();
 
@@ -102,20 +107,20 @@ const generatePerformanceLeaderInsight = (data, trendAnalysis) => {
  * 2. Channel Champion: Best performing channel type by cost-per-NVWR
  */
 const generateChannelChampionInsight = (data, trendAnalysis) => {
-  const channelPerformance = _.chain(data)
-    .groupBy('Channel Type')
+  const channelPerformance = _.chain(selectRowsForField(data, 'Channel Type'))
+    .groupBy(row => getDimensionValue(row, 'Channel Type'))
     .map((group, channelType) => {
-      const totalCost = _.sumBy(group, row => parseFloat(row['Media Cost']) || 0);
-      const totalNVWR = _.sumBy(group, row => parseFloat(row.NVWR) || 0);
-      const totalImpressions = _.sumBy(group, row => parseFloat(row.Impressions) || 0);
-      const totalClicks = _.sumBy(group, row => parseFloat(row.Clicks) || 0);
+      const totalCost = sumMetric(group, 'Media Cost');
+      const totalNVWR = sumMetric(group, 'NVWR');
+      const totalImpressions = sumMetric(group, 'Impressions');
+      const totalClicks = sumMetric(group, 'Clicks');
       
-      const costPerNVWR = totalNVWR > 0 ? totalCost / totalNVWR : Infinity;
-      const ctr = totalImpressions > 0 ? (totalClicks / totalImpressions) * 100 : 0;
+      const costPerNVWR = computeRatio(totalCost, totalNVWR);
+      const ctr = computeRatio(totalClicks, totalImpressions, 100);
       
       return { channelType, costPerNVWR, ctr, totalNVWR, totalCost };
     })
-    .filter(item => item.costPerNVWR !== Infinity)
+    .filter(item => item.costPerNVWR !== null)
     .orderBy('costPerNVWR', 'asc')
     .value();
 
@@ -133,7 +138,7 @@ const generateChannelChampionInsight = (data, trendAnalysis) => {
 
   return {
     title: "Channel Champion",
-    description: `${champion.channelType} delivers best ROI with ${formatCurrency(champion.costPerNVWR)} cost-per-NVWR and ${champion.ctr.toFixed(2)}% CTR. Generated ${formatNumber(champion.totalNVWR)} NVWR from ${formatCurrency(champion.totalCost)}. ${second ? `${second.channelType} follows with ${formatCurrency(second.costPerNVWR)}.` : ''}`,
+    description: `${champion.channelType} delivers best ROI with ${formatCurrency(champion.costPerNVWR)} cost-per-NVWR and ${formatPercent(champion.ctr, 2)} CTR. Generated ${formatNumber(champion.totalNVWR)} NVWR from ${formatCurrency(champion.totalCost)}. ${second ? `${second.channelType} follows with ${formatCurrency(second.costPerNVWR)}.` : ''}`,
     value: formatCurrency(champion.costPerNVWR),
     recommendation: `Increase budget allocation to ${champion.channelType} by 20-30%. Optimize bidding strategies and creative assets for maximum performance.`,
     momTrend,
@@ -142,19 +147,27 @@ const generateChannelChampionInsight = (data, trendAnalysis) => {
 };
 
 /**
- * 3. Model Spotlight: Top model by NVWR generation
+ * 3. Model Spotlight: Top model by NVWR generation, at a level of the model hierarchy.
+ * Non-model buckets (Brand, Multi, Not Mapped) are left out, and so are models the
+ * hierarchy does not know when reporting by family or segment.
  */
-const generateModelSpotlightInsight = (data, trendAnalysis) => {
-  const modelPerformance = _.chain(data)
-    .groupBy('Model')
-    .map((group, model) => {
-      const totalNVWR = _.sumBy(group, row => parseFloat(row.NVWR) || 0);
-      const totalCost = _.sumBy(group, row => parseFloat(row['Media Cost']) || 0);
-      const totalImpressions = _.sumBy(group, row => parseFloat(row.Impressions) || 0);
-      const totalIV = _.sumBy(group, row => parseFloat(row.IV) || 0);
+const generateModelSpotlightInsight = (data, trendAnalysis, modelLevel) => {
+  const modelRows = selectRowsForField(data, 'Model').filter(row => {
+    const placement = resolveModel(getDimensionValue(row, 'Model'));
+    return placement.is_model && placement[modelLevel] !== UNCLASSIFIED;
+  });
+
+  const modelPerformance = _.chain(modelRows)
+    .groupBy(row => resolveModel(getDimensionValue(row, 'Model'))[modelLevel])
+    .map((group, value) => {
+      const model = describeModelLevelValue(value, modelLevel);
+      const totalNVWR = sumMetric(group, 'NVWR');
+      const totalCost = sumMetric(group, 'Media Cost');
+      const totalImpressions = sumMetric(group, 'Impressions');
+      const totalIV = sumMetric(group, 'IV');
       
-      const costPerNVWR = totalNVWR > 0 ? totalCost / totalNVWR : Infinity;
-      const ivToNvwrRate = totalIV > 0 ? (totalNVWR / totalIV) * 100 : 0;
+      const costPerNVWR = computeRatio(totalCost, totalNVWR);
+      const ivToNvwrRate = computeRatio(totalNVWR, totalIV, 100);
       
       return { model, totalNVWR, costPerNVWR, totalImpressions, ivToNvwrRate };
     })
@@ -165,6 +178,17 @@ const generateModelSpotlightInsight = (data, trendAnalysis) => {
   const spotlight = modelPerformance[0];
   const second = modelPerformance[1];
 
+  if (!spotlight) {
+    return {
+      title: "Model Spotlight",
+      description: "No NVWR attributed to individual models in this period.",
+      value: "N/A",
+      recommendation: "Map campaigns to models in Onebuilder so model performance can be compared.",
+      momTrend: '',
+      trendColor: 'text-gray-600'
+    };
+  }
+
   // Get MoM trend for overall NVWR (since we don't have model-specific trends yet)
   let momTrend = '';
   let trendColor = 'text-gray-600';
@@ -176,7 +200,7 @@ const generateModelSpotlightInsight = (data, trendAnalysis) => {
 
   return {
     title: "Model Spotlight",
-    description: `${spotlight.model} generates ${formatNumber(spotlight.totalNVWR)} NVWR with ${formatCurrency(spotlight.costPerNVWR)} cost-per-NVWR and ${spotlight.ivToNvwrRate.toFixed(1)}% IV-to-NVWR conversion. ${second ? `${second.model} follows with ${formatNumber(second.totalNVWR)} NVWR.` : ''}`,
+    description: `${spotlight.model} generates ${formatNumber(spotlight.totalNVWR)} NVWR with ${formatCurrency(spotlight.costPerNVWR)} cost-per-NVWR and ${formatPercent(spotlight.ivToNvwrRate, 1)} IV-to-NVWR conversion. ${second ? `${second.model} follows with ${formatNumber(second.totalNVWR)} NVWR.` : ''}`,
     value: formatNumber(spotlight.totalNVWR),
     recommendation: `Scale ${spotlight.model} campaigns across all markets. Develop case studies and creative assets to boost other models in the portfolio.`,
     momTrend,
@@ -188,15 +212,15 @@ const generateModelSpotlightInsight = (data, trendAnalysis) => {
  * 4. Efficiency Alert: Market with highest cost-per-NVWR (needs attention)
  */
 const generateEfficiencyAlertInsight = (data, trendAnalysis) => {
-  const marketEfficiency = _.chain(data)
+  const marketEfficiency = _.chain(selectRowsForField(data))
     .groupBy('Country')
     .map((group, country) => {
-      const totalCost = _.sumBy(group, row => parseFloat(row['Media Cost']) || 0);
-      const totalNVWR = _.sumBy(group, row => parseFloat(row.NVWR) || 0);
-      const costPerNVWR = totalNVWR > 0 ? totalCost / totalNVWR : Infinity;
+      const totalCost = sumMetric(group, 'Media Cost');
+      const totalNVWR = sumMetric(group, 'NVWR');
+      const costPerNVWR = computeRatio(totalCost, totalNVWR);
       return { country, costPerNVWR, totalNVWR, totalCost };
     })
-    .filter(item => item.costPerNVWR !== Infinity)
+    .filter(item => item.costPerNVWR !== null)
     .orderBy('costPerNVWR', 'desc')
     .value();
 
@@ -226,19 +250,19 @@ const generateEfficiencyAlertInsight = (data, trendAnalysis) => {
  * 5. Volume Driver: Channel generating most impressions for the spend
  */
 const generateVolumeDriverInsight = (data, trendAnalysis) => {
-  const channelVolume = _.chain(data)
-    .groupBy('Channel Type')
+  const channelVolume = _.chain(selectRowsForField(data, 'Channel Type'))
+    .groupBy(row => getDimensionValue(row, 'Channel Type'))
     .map((group, channelType) => {
-      const totalCost = _.sumBy(group, row => parseFloat(row['Media Cost']) || 0);
-      const totalImpressions = _.sumBy(group, row => parseFloat(row.Impressions) || 0);
-      const totalClicks = _.sumBy(group, row => parseFloat(row.Clicks) || 0);
+      const totalCost = sumMetric(group, 'Media Cost');
+      const totalImpressions = sumMetric(group, 'Impressions');
+      const totalClicks = sumMetric(group, 'Clicks');
       
-      const cpm = totalImpressions > 0 ? (totalCost / totalImpressions) * 1000 : Infinity;
-      const ctr = totalImpressions > 0 ? (totalClicks / totalImpressions) * 100 : 0;
+      const cpm = computeRatio(totalCost, totalImpressions, 1000);
+      const ctr = computeRatio(totalClicks, totalImpressions, 100);
       
       return { channelType, cpm, ctr, totalImpressions, totalCost };
     })
-    .filter(item => item.cpm !== Infinity)
+    .filter(item => item.cpm !== null)
     .orderBy('totalImpressions', 'desc')
     .value();
 
@@ -256,7 +280,7 @@ const generateVolumeDriverInsight = (data, trendAnalysis) => {
 
   return {
     title: "Volume Driver",
-    description: `${driver.channelType} delivers ${formatNumber(driver.totalImpressions)} impressions with ${formatCurrency(driver.cpm)} CPM and ${driver.ctr.toFixed(2)}% CTR. Cost: ${formatCurrency(driver.totalCost)}. ${second ? `${second.channelType} follows with ${formatNumber(second.totalImpressions)} impressions.` : ''}`,
+    description: `${driver.channelType} delivers ${formatNumber(driver.totalImpressions)} impressions with ${formatCurrency(driver.cpm)} CPM and ${formatPercent(driver.ctr, 2)} CTR. Cost: ${formatCurrency(driver.totalCost)}. ${second ? `${second.channelType} follows with ${formatNumber(second.totalImpressions)} impressions.` : ''}`,
     value: formatNumber(driver.totalImpressions),
     recommendation: `Leverage ${driver.channelType}'s reach for brand awareness campaigns. Optimize CPM and CTR to improve cost efficiency while maintaining volume.`,
     momTrend,
@@ -268,15 +292,15 @@ const generateVolumeDriverInsight = (data, trendAnalysis) => {
  * 6. Conversion King: Highest IV-to-NVWR conversion rate
  */
 const generateConversionKingInsight = (data, trendAnalysis) => {
-  const conversionPerformance = _.chain(data)
-    .groupBy('Channel Name')
+  const conversionPerformance = _.chain(selectRowsForField(data, 'Channel Name'))
+    .groupBy(row => getDimensionValue(row, 'Channel Name'))
     .map((group, channelName) => {
-      const totalIV = _.sumBy(group, row => parseFloat(row.IV) || 0);
-      const totalNVWR = _.sumBy(group, row => parseFloat(row.NVWR) || 0);
-      const totalCost = _.sumBy(group, row => parseFloat(row['Media Cost']) || 0);
+      const totalIV = sumMetric(group, 'IV');
+      const totalNVWR = sumMetric(group, 'NVWR');
+      const totalCost = sumMetric(group, 'Media Cost');
       
-      const conversionRate = totalIV > 0 ? (totalNVWR / totalIV) * 100 : 0;
-      const costPerNVWR = totalNVWR > 0 ? totalCost / totalNVWR : Infinity;
+      const conversionRate = computeRatio(totalNVWR, totalIV, 100);
+      const costPerNVWR = computeRatio(totalCost, totalNVWR);
       
       return { channelName, conversionRate, costPerNVWR, totalIV, totalNVWR };
     })
@@ -322,23 +346,23 @@ const generateConversionKingInsight = (data, trendAnalysis) => {
  * 7. Budget Distribution: How spend is allocated across markets/channels
  */
 const generateBudgetDistributionInsight = (data, trendAnalysis) => {
-  const totalSpend = _.sumBy(data, row => parseFloat(row['Media Cost']) || 0);
+  const totalSpend = _.sumBy(selectRowsForField(data), row => getMetric(row, 'Media Cost'));
   
   // Market distribution
-  const marketDistribution = _.chain(data)
+  const marketDistribution = _.chain(selectRowsForField(data))
     .groupBy('Country')
     .map((group, country) => {
-      const spend = _.sumBy(group, row => parseFloat(row['Media Cost']) || 0);
+      const spend = _.sumBy(group, row => getMetric(row, 'Media Cost'));
       return { country, spend, percentage: (spend / totalSpend) * 100 };
     })
     .orderBy('spend', 'desc')
     .value();
 
   // Channel distribution
-  const channelDistribution = _.chain(data)
-    .groupBy('Channel Type')
+  const channelDistribution = _.chain(selectRowsForField(data, 'Channel Type'))
+    .groupBy(row => getDimensionValue(row, 'Channel Type'))
     .map((group, channelType) => {
-      const spend = _.sumBy(group, row => parseFloat(row['Media Cost']) || 0);
+      const spend = _.sumBy(group, row => getMetric(row, 'Media Cost'));
       return { channelType, spend, percentage: (spend / totalSpend) * 100 };
     })
     .orderBy('spend', 'desc')
@@ -370,20 +394,20 @@ const generateBudgetDistributionInsight = (data, trendAnalysis) => {
  * 8. Campaign Type Winner: Always On vs Tactical vs Launch performance comparison
  */
 const generateCampaignTypeWinnerInsight = (data, trendAnalysis) => {
-  const campaignPerformance = _.chain(data)
-    .groupBy('Campaign Type')
+  const campaignPerformance = _.chain(selectRowsForField(data, 'Campaign Type'))
+    .groupBy(row => getDimensionValue(row, 'Campaign Type'))
     .map((group, campaignType) => {
-      const totalCost = _.sumBy(group, row => parseFloat(row['Media Cost']) || 0);
-      const totalNVWR = _.sumBy(group, row => parseFloat(row.NVWR) || 0);
-      const totalImpressions = _.sumBy(group, row => parseFloat(row.Impressions) || 0);
-      const totalClicks = _.sumBy(group, row => parseFloat(row.Clicks) || 0);
+      const totalCost = sumMetric(group, 'Media Cost');
+      const totalNVWR = sumMetric(group, 'NVWR');
+      const totalImpressions = sumMetric(group, 'Impressions');
+      const totalClicks = sumMetric(group, 'Clicks');
       
-      const costPerNVWR = totalNVWR > 0 ? totalCost / totalNVWR : Infinity;
-      const ctr = totalImpressions > 0 ? (totalClicks / totalImpressions) * 100 : 0;
+      const costPerNVWR = computeRatio(totalCost, totalNVWR);
+      const ctr = computeRatio(totalClicks, totalImpressions, 100);
       
       return { campaignType, costPerNVWR, ctr, totalNVWR, totalCost };
     })
-    .filter(item => item.costPerNVWR !== Infinity)
+    .filter(item => item.costPerNVWR !== null)
     .orderBy('costPerNVWR', 'asc')
     .value();
 
@@ -401,7 +425,7 @@ const generateCampaignTypeWinnerInsight = (data, trendAnalysis) => {
 
   return {
     title: "Campaign Type Winner",
-    description: `${winner.campaignType} campaigns deliver best efficiency with ${formatCurrency(winner.costPerNVWR)} cost-per-NVWR and ${winner.ctr.toFixed(2)}% CTR. Generated ${formatNumber(winner.totalNVWR)} NVWR from ${formatCurrency(winner.totalCost)}. ${second ? `${second.campaignType} follows with ${formatCurrency(second.costPerNVWR)}.` : ''}`,
+    description: `${winner.campaignType} campaigns deliver best efficiency with ${formatCurrency(winner.costPerNVWR)} cost-per-NVWR and ${formatPercent(winner.ctr, 2)} CTR. Generated ${formatNumber(winner.totalNVWR)} NVWR from ${formatCurrency(winner.totalCost)}. ${second ? `${second.campaignType} follows with ${formatCurrency(second.costPerNVWR)}.` : ''}`,
     value: formatCurrency(winner.costPerNVWR),
     recommendation: `Increase ${winner.campaignType} campaign budgets by 25%. Develop best practices playbook and apply successful strategies to other campaign types.`,
     momTrend,
@@ -413,17 +437,19 @@ const generateCampaignTypeWinnerInsight = (data, trendAnalysis) => {
  * Utility function to format numbers with commas
  */
 const formatNumber = (num) => {
+  if (num === null) return 'n/a';
   return new Intl.NumberFormat().format(Math.round(num));
 };
 
 /**
- * Utility function to format currency
+ * Utility function to format currency (whole amounts in the reporting currency)
+ */
+const formatCurrency = (num) => formatAmount(num, { decimals: 0 });
+
+/**
+ * Utility function to format percentages ('n/a' when the rate could not be computed)
  */
-const formatCurrency = (num) => {
-  return new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency: 'USD',
-    minimumFractionDigits: 0,
-    maximumFractionDigits: 0
-  }).format(num);
+const formatPercent = (num, digits = 1) => {
+  if (num === null) return 'n/a';
+  return `${num.toFixed(digits)}%`;
 };
@@ -0,0 +1,94 @@
+/**
+ * KPI anomaly storage
+ * Anomalies detected in the KPI history (see anomalyDetection.js) are kept in
+ * bmw_kpi_anomalies. A market's anomalies are detected again over its whole history whenever
+ * its KPI history changes, since a reprocessed month is also part of later months' baselines.
+ */
+
+import { supabase, TABLES } from './supabase.js';
+import { detectKPIAnomalies, sortAnomalies } from './anomalyDetection.js';
+
+const INSERT_CHUNK_SIZE = 500;
+
+/**
+ * Replace the stored anomalies of a market
+ */
+const replaceMarketAnomalies = async (marketCode, anomalies) => {
+  const { error: deleteError } = await supabase
+    .from(TABLES.KPI_ANOMALIES)
+    .delete()
+    .eq('market_code', marketCode);
+
+  if (deleteError) {
+    throw new Error(`Database error: ${deleteError.message}`);
+  }
+
+  for (let start = 0; start < anomalies.length; start += INSERT_CHUNK_SIZE) {
+    const { error } = await supabase
+      .from(TABLES.KPI_ANOMALIES)
+      .insert(anomalies.slice(start, start + INSERT_CHUNK_SIZE));
+
+    if (error) {
+      throw new Error(`Database error: ${error.message}`);
+    }
+  }
+};
+
+/**
+ * Detect and store the anomalies of the given markets from their KPI history
+ * (market group rows are left out; a group shows its members' anomalies)
+ * @param {Array} marketCodes - Markets whose KPI history changed
+ * @returns {Object} { success, results: [{ market, anomalies } | { market, error }] }
+ */
+export const processKPIAnomalies = async (marketCodes) => {
+  console.log(`🔎 Detecting KPI anomalies for ${marketCodes.length} markets...`);
+
+  const { data, error } = await supabase
+    .from(TABLES.KPI_HISTORY)
+    .select('market_code, year, month, total_spend, total_impressions, total_clicks, total_nvwr, cpm, cpc, ctr, cvr, cost_per_nvwr, cost_per_lead, channel_performance, campaign_type_performance')
+    .in('market_code', marketCodes)
+    .eq('is_group', false);
+
+  if (error) {
+    console.warn('⚠️ Could not load KPI history for anomaly detection:', error.message);
+    return { success: false, error: error.message };
+  }
+
+  const results = [];
+  for (const marketCode of marketCodes) {
+    try {
+      const anomalies = detectKPIAnomalies((data || []).filter(row => row.market_code === marketCode));
+      await replaceMarketAnomalies(marketCode, anomalies);
+      results.push({ market: marketCode, anomalies: anomalies.length });
+    } catch (anomalyError) {
+      console.warn(`⚠️ Could not save KPI anomalies for ${marketCode}:`, anomalyError.message);
+      results.push({ market: marketCode, error: anomalyError.message });
+    }
+  }
+
+  const total = results.reduce((sum, result) => sum + (result.anomalies || 0), 0);
+  console.log(`✅ KPI anomaly detection complete: ${total} anomalies in ${results.length} markets`);
+  return { success: results.every(result => !result.error), results };
+};
+
+/**
+ * Stored anomalies of a month, most severe first
+ * @param {Object} scope - { markets: market codes (null for every market), period: 'YYYY-MM' }
+ */
+export const getKPIAnomalies = async ({ markets = null, period }) => {
+  const [year, month] = period.split('-').map(Number);
+  let query = supabase
+    .from(TABLES.KPI_ANOMALIES)
+    .select('*')
+    .eq('year', year)
+    .eq('month', month);
+
+  if (markets) query = query.in('market_code', markets);
+
+  const { data, error } = await query;
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return sortAnomalies(data || []);
+};
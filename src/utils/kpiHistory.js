@@ -1,113 +1,112 @@
 import { supabase } from './supabase.js';
 import _ from 'lodash';
+import { getDimensionValue, selectRowsForField } from './recordSchema.js';
+import { sumMetric, computeRatio } from './metricDefinitions.js';
+import { resolveModel, DEFAULT_MODEL_LEVEL } from './modelHierarchy.js';
+
+/**
+ * Spend, volume and rate KPIs from summed base metrics (rates are null when a base is)
+ */
+const toKPISummary = ({ spend, impressions, clicks, nvwr, leads }) => ({
+  spend,
+  impressions,
+  clicks,
+  nvwr,
+  leads,
+  cpm: computeRatio(spend, impressions, 1000),
+  cpc: computeRatio(spend, clicks),
+  ctr: computeRatio(clicks, impressions, 100),
+  cvr: computeRatio(leads, clicks, 100),
+  cost_per_nvwr: computeRatio(spend, nvwr),
+  cost_per_lead: computeRatio(spend, leads)
+});
+
+/**
+ * Summarise a group of records into spend, volume and rate KPIs.
+ * Metrics no record reported stay null, and so do the rates built on them.
+ */
+const summarizeKPIGroup = (rows) => toKPISummary({
+  spend: sumMetric(rows, 'Media Cost'),
+  impressions: sumMetric(rows, 'Impressions'),
+  clicks: sumMetric(rows, 'Clicks'),
+  nvwr: sumMetric(rows, 'NVWR'),
+  leads: sumMetric(rows, 'Meta Leads')
+});
+
+/**
+ * Per-value KPI breakdown of one dimension column
+ */
+const calculateBreakdown = (data, field, key) => _.chain(selectRowsForField(data, field))
+  .groupBy(row => getDimensionValue(row, field))
+  .map((group, value) => ({ [key]: value, ...summarizeKPIGroup(group) }))
+  .value();
+
+// Base metrics of a KPI summary; the rates are recomputed from their sums
+const KPI_BASE_METRICS = ['spend', 'impressions', 'clicks', 'nvwr', 'leads'];
+
+/**
+ * Sum KPI summaries (null when none of them reported a metric) and recompute the rates
+ */
+const sumKPISummaries = (summaries) => toKPISummary(Object.fromEntries(KPI_BASE_METRICS.map(metric => {
+  const values = summaries.map(summary => summary[metric]).filter(value => value !== null && value !== undefined);
+  return [metric, values.length > 0 ? _.sum(values) : null];
+})));
 
 /**
  * Calculate KPI metrics for a dataset
+ * Records of several markets (a market group) roll up like one market's: base metrics are
+ * summed across them and every rate is recomputed from the sums, never averaged.
+ * model_performance entries carry their place in the model hierarchy (model_code, family,
+ * segment, is_model), so they can be rolled up with getModelPerformance.
  * @param {Array} data - Array of records to analyze
- * @returns {Object} KPI metrics
+ * @returns {Object} KPI metrics (null for metrics that were never reported)
  */
 export const calculateKPIMetrics = (data) => {
   if (!data || data.length === 0) {
     return null;
   }
 
-  // Core metrics
-  const totalSpend = _.sumBy(data, row => parseFloat(row['Media Cost']) || 0);
-  const totalImpressions = _.sumBy(data, row => parseFloat(row['Impressions']) || 0);
-  const totalClicks = _.sumBy(data, row => parseFloat(row['Clicks']) || 0);
-  const totalNVWR = _.sumBy(data, row => parseFloat(row['NVWR']) || 0);
-  const totalLeads = _.sumBy(data, row => parseFloat(row['Meta_Leads']) || 0);
-
-  // Calculated metrics
-  const cpm = totalImpressions > 0 ? (totalSpend / totalImpressions) * 1000 : 0;
-  const cpc = totalClicks > 0 ? totalSpend / totalClicks : 0;
-  const ctr = totalImpressions > 0 ? (totalClicks / totalImpressions) * 100 : 0;
-  const cvr = totalClicks > 0 ? (totalLeads / totalClicks) * 100 : 0;
-  const costPerNVWR = totalNVWR > 0 ? totalSpend / totalNVWR : 0;
-  const costPerLead = totalLeads > 0 ? totalSpend / totalLeads : 0;
-
-  // Channel performance breakdown
-  const channelPerformance = _.chain(data)
-    .groupBy('Channel Type')
-    .map((group, channelType) => ({
-      channel_type: channelType,
-      spend: _.sumBy(group, row => parseFloat(row['Media Cost']) || 0),
-      impressions: _.sumBy(group, row => parseFloat(row['Impressions']) || 0),
-      clicks: _.sumBy(group, row => parseFloat(row['Clicks']) || 0),
-      nvwr: _.sumBy(group, row => parseFloat(row['NVWR']) || 0),
-      leads: _.sumBy(group, row => parseFloat(row['Meta_Leads']) || 0),
-      cpm: _.sumBy(group, row => parseFloat(row['Impressions']) || 0) > 0 ? 
-        (_.sumBy(group, row => parseFloat(row['Media Cost']) || 0) / _.sumBy(group, row => parseFloat(row['Impressions']) || 0)) * 1000 : 0,
-      cpc: _.sumBy(group, row => parseFloat(row['Clicks']) || 0) > 0 ? 
-        _.sumBy(group, row => parseFloat(row['Media Cost']) || 0) / _.sumBy(group, row => parseFloat(row['Clicks']) || 0) : 0,
-      ctr: _.sumBy(group, row => parseFloat(row['Impressions']) || 0) > 0 ? 
-        (_.sumBy(group, row => parseFloat(row['Clicks']) || 0) / _.sumBy(group, row => parseFloat(row['Impressions']) || 0)) * 100 : 0,
-      cvr: _.sumBy(group, row => parseFloat(row['Clicks']) || 0) > 0 ? 
-        (_.sumBy(group, row => parseFloat(row['Meta_Leads']) || 0) / _.sumBy(group, row => parseFloat(row['Clicks']) || 0)) * 100 : 0
-    }))
-    .value();
-
-  // Campaign type performance breakdown
-  const campaignTypePerformance = _.chain(data)
-    .groupBy('Campaign Type')
-    .map((group, campaignType) => ({
-      campaign_type: campaignType,
-      spend: _.sumBy(group, row => parseFloat(row['Media Cost']) || 0),
-      impressions: _.sumBy(group, row => parseFloat(row['Impressions']) || 0),
-      clicks: _.sumBy(group, row => parseFloat(row['Clicks']) || 0),
-      nvwr: _.sumBy(group, row => parseFloat(row['NVWR']) || 0),
-      leads: _.sumBy(group, row => parseFloat(row['Meta_Leads']) || 0),
-      cpm: _.sumBy(group, row => parseFloat(row['Impressions']) || 0) > 0 ? 
-        (_.sumBy(group, row => parseFloat(row['Media Cost']) || 0) / _.sumBy(group, row => parseFloat(row['Impressions']) || 0)) * 1000 : 0,
-      cpc: _.sumBy(group, row => parseFloat(row['Clicks']) || 0) > 0 ? 
-        _.sumBy(group, row => parseFloat(row['Media Cost']) || 0) / _.sumBy(group, row => parseFloat(row['Clicks']) || 0) : 0,
-      ctr: _.sumBy(group, row => parseFloat(row['Impressions']) || 0) > 0 ? 
-        (_.sumBy(group, row => parseFloat(row['Clicks']) || 0) / _.sumBy(group, row => parseFloat(row['Impressions']) || 0)) * 100 : 0,
-      cvr: _.sumBy(group, row => parseFloat(row['Clicks']) || 0) > 0 ? 
-        (_.sumBy(group, row => parseFloat(row['Meta_Leads']) || 0) / _.sumBy(group, row => parseFloat(row['Clicks']) || 0)) * 100 : 0
-    }))
-    .value();
-
-  // Model performance breakdown
-  const modelPerformance = _.chain(data)
-    .groupBy('Model')
-    .map((group, model) => ({
-      model: model,
-      spend: _.sumBy(group, row => parseFloat(row['Media Cost']) || 0),
-      impressions: _.sumBy(group, row => parseFloat(row['Impressions']) || 0),
-      clicks: _.sumBy(group, row => parseFloat(row['Clicks']) || 0),
-      nvwr: _.sumBy(group, row => parseFloat(row['NVWR']) || 0),
-      leads: _.sumBy(group, row => parseFloat(row['Meta_Leads']) || 0),
-      cpm: _.sumBy(group, row => parseFloat(row['Impressions']) || 0) > 0 ? 
-        (_.sumBy(group, row => parseFloat(row['Media Cost']) || 0) / _.sumBy(group, row => parseFloat(row['Impressions']) || 0)) * 1000 : 0,
-      cpc: _.sumBy(group, row => parseFloat(row['Clicks']) || 0) > 0 ? 
-        _.sumBy(group, row => parseFloat(row['Media Cost']) || 0) / _.sumBy(group, row => parseFloat(row['Clicks']) || 0) : 0,
-      ctr: _.sumBy(group, row => parseFloat(row['Impressions']) || 0) > 0 ? 
-        (_.sumBy(group, row => parseFloat(row['Clicks']) || 0) / _.sumBy(group, row => parseFloat(row['Impressions']) || 0)) * 100 : 0,
-      cvr: _.sumBy(group, row => parseFloat(row['Clicks']) || 0) > 0 ? 
-        (_.sumBy(group, row => parseFloat(row['Meta_Leads']) || 0) / _.sumBy(group, row => parseFloat(row['Clicks']) || 0)) * 100 : 0
-    }))
-    .value();
+  // Core metrics, from the 'All' rows so dimension files are not double counted
+  const totals = summarizeKPIGroup(selectRowsForField(data));
 
   return {
-    total_spend: totalSpend,
-    total_impressions: totalImpressions,
-    total_clicks: totalClicks,
-    total_nvwr: totalNVWR,
-    total_leads: totalLeads,
-    cpm: cpm,
-    cpc: cpc,
-    ctr: ctr,
-    cvr: cvr,
-    cost_per_nvwr: costPerNVWR,
-    cost_per_lead: costPerLead,
-    channel_performance: channelPerformance,
-    campaign_type_performance: campaignTypePerformance,
-    model_performance: modelPerformance,
+    total_spend: totals.spend,
+    total_impressions: totals.impressions,
+    total_clicks: totals.clicks,
+    total_nvwr: totals.nvwr,
+    total_leads: totals.leads,
+    cpm: totals.cpm,
+    cpc: totals.cpc,
+    ctr: totals.ctr,
+    cvr: totals.cvr,
+    cost_per_nvwr: totals.cost_per_nvwr,
+    cost_per_lead: totals.cost_per_lead,
+    channel_performance: calculateBreakdown(data, 'Channel Type', 'channel_type'),
+    campaign_type_performance: calculateBreakdown(data, 'Campaign Type', 'campaign_type'),
+    model_performance: calculateBreakdown(data, 'Model', 'model').map(entry => {
+      const { model_code, family, segment, is_model } = resolveModel(entry.model);
+      return { ...entry, model_code, family, segment, is_model };
+    }),
     total_records: data.length
   };
 };
 
+/**
+ * Model KPIs of a KPI metrics object (or KPI history row) at a level of the model hierarchy
+ * History rows are placed by the current hierarchy, so hierarchy edits apply to them too.
+ * @param {string} level - 'model_code', 'model', 'family' or 'segment' (see modelHierarchy.js)
+ * @returns {Array} { model: level value, is_model, ...KPIs } by spend, largest first
+ */
+export const getModelPerformance = (kpiMetrics, level = DEFAULT_MODEL_LEVEL) => _.chain(kpiMetrics?.model_performance || [])
+  .groupBy(entry => resolveModel(entry.model)[level])
+  .map((entries, value) => ({
+    model: value,
+    is_model: resolveModel(entries[0].model).is_model,
+    ...sumKPISummaries(entries)
+  }))
+  .orderBy(entry => entry.spend ?? 0, 'desc')
+  .value();
+
 /**
  * Save KPI metrics to history table
  * @param {Object} kpiMetrics - KPI metrics object
@@ -115,8 +114,9 @@ export const calculateKPIMetrics = (data) => {
  * @param {number} year - Year
  * @param {number} month - Month
  * @param {string} monthName - Month name (e.g., 'July')
+ * @param {Object} options - { isGroup: marketCode is a market group }
  */
-export const saveKPIHistory = async (kpiMetrics, marketCode, year, month, monthName) => {
+export const saveKPIHistory = async (kpiMetrics, marketCode, year, month, monthName, { isGroup = false } = {}) => {
   try {
     const { error } = await supabase
       .from('bmw_kpi_history')
@@ -139,7 +139,8 @@ export const saveKPIHistory = async (kpiMetrics, marketCode, year, month, monthN
         channel_performance: kpiMetrics.channel_performance,
         campaign_type_performance: kpiMetrics.campaign_type_performance,
         model_performance: kpiMetrics.model_performance,
-        total_records: kpiMetrics.total_records
+        total_records: kpiMetrics.total_records,
+        is_group: isGroup
       }, {
         onConflict: 'market_code,year,month'
       });
@@ -219,6 +220,10 @@ export const calculateKPIMoMChange = (currentMetrics, previousMetrics) => {
   }
 
   const calculateChange = (current, previous, metricName) => {
+    // A metric missing in either month has no comparable change
+    if (current === null || current === undefined || previous === null || previous === undefined) {
+      return { change: null, percentage: null, direction: null };
+    }
     if (previous === 0) return { change: current, percentage: current > 0 ? 100 : 0, direction: current > 0 ? 'up' : 'stable' };
     
     const change = current - previous;
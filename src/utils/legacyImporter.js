@@ -0,0 +1,112 @@
+/**
+ * Legacy flat-file importer
+ * The old single-file exports (BMW_[COUNTRY]_[YEAR]_[MONTH].csv) carry every dimension
+ * column on each row. This module derives the All, CampaignType, ChannelType,
+ * ChannelName, Phase and Model records from them by aggregation, so they can be
+ * combined exactly as if the split dimension files had been uploaded.
+ */
+
+import { createMetricTotals, addToMetricTotals, recomputeRatios } from './metricDefinitions.js';
+import { DIMENSION_COLUMNS, NOT_MAPPED, getDimensionValue, isUnmappedValue } from './recordSchema.js';
+import { parseMarketFilename } from './marketResolver.js';
+
+export const LEGACY_DIMENSION = 'Legacy';
+
+// Records that keep every dimension column populated (Model × Channel × Phase …)
+export const CROSS_DIMENSION = 'Cross';
+
+// Dimension files derived from a legacy export, and the column each one groups by
+export const LEGACY_DERIVED_DIMENSIONS = DIMENSION_COLUMNS;
+
+/**
+ * Extract file info from the legacy naming convention
+ */
+export const extractLegacyFileInfo = (filename) => {
+  const parsed = parseMarketFilename(filename);
+  if (parsed?.scheme === 'legacy') {
+    return {
+      country: parsed.market,
+      dimension: LEGACY_DIMENSION,
+      year: parsed.year,
+      month: parsed.month,
+      monthName: new Date(parsed.year, parsed.month - 1).toLocaleString('default', { month: 'long' }),
+      isLegacy: true
+    };
+  }
+  return null;
+};
+
+// Dimension value a legacy row is grouped by; empty and "not mapped" values share one bucket
+const getGroupValue = (row, column) => {
+  const value = getDimensionValue(row, column);
+  return isUnmappedValue(value) ? NOT_MAPPED : value;
+};
+
+/**
+ * Aggregate normalized legacy rows as they are parsed, one row at a time, into the six
+ * dimension views and the full cross-dimensional grain. Only running totals per group
+ * are kept, so memory does not grow with the number of rows. Cross rows sharing the same
+ * combination of dimension values are aggregated, which drops the free-text Line Item /
+ * Campaign Detail columns but keeps every dimension column.
+ * @param {Object} fileRecord - File record from bmw_files (country, year, month, filename)
+ * @returns {Object} { add(row), getDerivedRows(), getCrossRows(), rowCount() }
+ */
+export const createLegacyAggregator = (fileRecord) => {
+  const crossColumns = Object.values(LEGACY_DERIVED_DIMENSIONS).filter(Boolean);
+  const dimensionGroups = Object.fromEntries(Object.keys(LEGACY_DERIVED_DIMENSIONS).map(dimension => [dimension, new Map()]));
+  const crossGroups = new Map();
+  let rowCount = 0;
+
+  const addToGroup = (groups, key, row, values) => {
+    if (!groups.has(key)) {
+      groups.set(key, { country: row.Country, values, totals: createMetricTotals() });
+    }
+    addToMetricTotals(groups.get(key).totals, row);
+  };
+
+  const toRecord = (group, dimension, dimensionColumns) => ({
+    Country: group.country || fileRecord.country,
+    ...Object.fromEntries(dimensionColumns.map((column, index) => [column, group.values[index]])),
+    ...recomputeRatios(group.totals),
+    file_source: fileRecord.filename,
+    country: fileRecord.country,
+    dimension,
+    year: fileRecord.year,
+    month: fileRecord.month,
+    derived_from_legacy: true
+  });
+
+  return {
+    add: (row) => {
+      rowCount++;
+      Object.entries(LEGACY_DERIVED_DIMENSIONS).forEach(([dimension, column]) => {
+        const key = column ? getGroupValue(row, column) : 'All';
+        addToGroup(dimensionGroups[dimension], key, row, column ? [key] : []);
+      });
+
+      const values = crossColumns.map(column => getGroupValue(row, column));
+      addToGroup(crossGroups, values.join('|'), row, values);
+    },
+
+    // Rows tagged with their derived dimension, ready for combineDimensionData
+    getDerivedRows: () => Object.entries(LEGACY_DERIVED_DIMENSIONS).flatMap(([dimension, column]) =>
+      [...dimensionGroups[dimension].values()].map(group => toRecord(group, dimension, column ? [column] : []))
+    ),
+
+    // Cross-dimension rows tagged with dimension 'Cross'
+    getCrossRows: () => [...crossGroups.values()].map(group => toRecord(group, CROSS_DIMENSION, crossColumns)),
+
+    rowCount: () => rowCount
+  };
+};
+
+/**
+ * Legacy-derived rows of the dimensions that did not also arrive as native split files.
+ * Split files are the authoritative source whenever both exist for a market and month.
+ * @param {Array} nativeRows - Rows of the native split files
+ * @param {Array} derivedRows - Rows derived from legacy files
+ */
+export const preferNativeDimensionRows = (nativeRows, derivedRows) => {
+  const nativeDimensions = new Set(nativeRows.map(row => row.dimension));
+  return derivedRows.filter(row => !nativeDimensions.has(row.dimension));
+};
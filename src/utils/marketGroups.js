@@ -0,0 +1,138 @@
+/**
+ * Market groups
+ * Clusters of markets reviewed together (Benelux = BE + NL, …), configured in
+ * bmw_market_groups. A group is selectable wherever a market is: a market selection is
+ * 'all', a market code or a group code, and resolveMarketSelection turns a group code into
+ * the { code, name, markets } object the aggregations roll up over. Loaded once on start
+ * like the market registry.
+ */
+
+import { supabase, TABLES } from './supabase.js';
+import { getMarketDisplayName } from './marketRegistry.js';
+
+// Longer than a market code, and short enough for the history tables' market_code
+const GROUP_CODE_PATTERN = /^[A-Z][A-Z0-9_]{2,9}$/;
+
+// Mirrors the seed rows of 014_create_market_groups.sql
+export const DEFAULT_MARKET_GROUPS = [
+  { code: 'BENELUX', name: 'Benelux', markets: ['BE', 'NL'], is_active: true }
+];
+
+let groups = DEFAULT_MARKET_GROUPS;
+
+/**
+ * All configured groups, sorted by code
+ */
+export const getMarketGroups = () => groups;
+
+/**
+ * Groups offered in the market selectors
+ */
+export const getActiveMarketGroups = () => groups.filter(group => group.is_active);
+
+export const getMarketGroup = (code) => groups.find(group => group.code === code) || null;
+
+export const isMarketGroup = (code) => !!getMarketGroup(code);
+
+/**
+ * Resolve a market selection: 'all', a market code, or the group object of a group code
+ */
+export const resolveMarketSelection = (selection) => getMarketGroup(selection) || selection;
+
+/**
+ * Market codes a selection covers (null for all markets)
+ */
+export const getSelectionMarkets = (selection) => {
+  if (selection === 'all') return null;
+  return getMarketGroup(selection)?.markets || [selection];
+};
+
+/**
+ * Label of a market selection
+ */
+export const getSelectionLabel = (selection) => {
+  if (selection === 'all') return 'All Markets';
+  return getMarketGroup(selection)?.name || getMarketDisplayName(selection);
+};
+
+/**
+ * Load the groups from bmw_market_groups; the current groups are kept when it cannot be read
+ * @returns {Array} Configured groups
+ */
+export const loadMarketGroups = async () => {
+  const { data, error } = await supabase
+    .from(TABLES.MARKET_GROUPS)
+    .select('code, name, markets, is_active')
+    .order('code');
+
+  if (error) {
+    console.warn('⚠️ Could not load market groups, using the built-in groups:', error.message);
+    return groups;
+  }
+
+  groups = data || [];
+  console.log(`🌍 Market groups loaded: ${groups.length} groups`);
+  return groups;
+};
+
+/**
+ * Add or update a group and reload the groups
+ * @param {Object} group - { code, name, markets, is_active }
+ * @returns {Array} Configured groups
+ */
+export const saveMarketGroup = async (group) => {
+  const code = (group.code || '').trim().toUpperCase();
+  if (!GROUP_CODE_PATTERN.test(code)) {
+    throw new Error(`Invalid group code "${group.code}": use 3 to 10 letters, digits or underscores`);
+  }
+  const markets = [...new Set(group.markets || [])].sort();
+  if (markets.length < 2) {
+    throw new Error(`Group ${code} needs at least two markets`);
+  }
+
+  const { error } = await supabase
+    .from(TABLES.MARKET_GROUPS)
+    .upsert({
+      code,
+      name: (group.name || '').trim() || code,
+      markets,
+      is_active: group.is_active ?? true
+    }, { onConflict: 'code' });
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  console.log(`🌍 Saved market group ${code}`);
+  return loadMarketGroups();
+};
+
+/**
+ * Delete a group and its rolled-up history
+ * @returns {Array} Configured groups
+ */
+export const deleteMarketGroup = async (code) => {
+  for (const table of [TABLES.KPI_HISTORY, TABLES.COMPLIANCE_HISTORY]) {
+    const { error } = await supabase
+      .from(table)
+      .delete()
+      .eq('market_code', code)
+      .eq('is_group', true);
+
+    if (error) {
+      console.warn(`⚠️ Could not remove ${table} rows of group ${code}:`, error.message);
+    }
+  }
+
+  const { error } = await supabase
+    .from(TABLES.MARKET_GROUPS)
+    .delete()
+    .eq('code', code);
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  console.log(`🗑️ Deleted market group ${code}`);
+  return loadMarketGroups();
+};
@@ -0,0 +1,129 @@
+/**
+ * Market registry
+ * Markets are configured in bmw_markets (code, display name, region, currency, language,
+ * active flag and the dimension files a market-month must deliver) instead of in code.
+ * The registry is loaded once on start and kept here; until then, or when the table is
+ * unavailable, the markets delivered so far are used. Adding a market is a registry edit.
+ */
+
+import { supabase, TABLES } from './supabase.js';
+import { DIMENSION_COLUMNS } from './recordSchema.js';
+import { BASE_CURRENCY } from './currency.js';
+
+// Filenames carry two-letter market codes (see marketResolver.js)
+const MARKET_CODE_PATTERN = /^[A-Z]{2}$/;
+
+// Dimension files expected from a market without its own list
+export const ALL_DIMENSIONS = Object.keys(DIMENSION_COLUMNS);
+
+// Mirrors the seed rows of 013_create_markets.sql
+export const DEFAULT_MARKETS = [
+  { code: 'BE', display_name: 'Belgium', region: 'Western Europe', currency: 'EUR', language: 'nl', is_active: true, expected_dimensions: null },
+  { code: 'CH', display_name: 'Switzerland', region: 'Central Europe', currency: 'CHF', language: 'de', is_active: true, expected_dimensions: null },
+  { code: 'CS', display_name: 'Central Southern Europe', region: 'Central Europe', currency: 'EUR', language: 'en', is_active: true, expected_dimensions: null },
+  { code: 'ES', display_name: 'Spain', region: 'Southern Europe', currency: 'EUR', language: 'es', is_active: true, expected_dimensions: null },
+  { code: 'FR', display_name: 'France', region: 'Western Europe', currency: 'EUR', language: 'fr', is_active: true, expected_dimensions: null },
+  { code: 'IT', display_name: 'Italy', region: 'Southern Europe', currency: 'EUR', language: 'it', is_active: true, expected_dimensions: null },
+  { code: 'NE', display_name: 'Nordics', region: 'Northern Europe', currency: 'EUR', language: 'en', is_active: true, expected_dimensions: null },
+  { code: 'NL', display_name: 'Netherlands', region: 'Western Europe', currency: 'EUR', language: 'nl', is_active: true, expected_dimensions: null },
+  { code: 'PT', display_name: 'Portugal', region: 'Southern Europe', currency: 'EUR', language: 'pt', is_active: true, expected_dimensions: null },
+  { code: 'UK', display_name: 'United Kingdom', region: 'Western Europe', currency: 'GBP', language: 'en', is_active: true, expected_dimensions: null }
+];
+
+let markets = DEFAULT_MARKETS;
+
+/**
+ * All registered markets, sorted by code
+ */
+export const getMarkets = () => markets;
+
+/**
+ * Registry entry of a market code, or null when it is not registered
+ */
+export const getMarketEntry = (code) => markets.find(market => market.code === code) || null;
+
+export const isRegisteredMarket = (code) => !!getMarketEntry(code);
+
+/**
+ * Whether a market is offered in selectors; codes found in stored data but missing from
+ * the registry are kept so their data stays reachable
+ */
+export const isActiveMarket = (code) => getMarketEntry(code)?.is_active ?? true;
+
+/**
+ * Display name of a market code (the code itself when it is not registered)
+ */
+export const getMarketDisplayName = (code) => getMarketEntry(code)?.display_name || code;
+
+/**
+ * Dimension files a market-month of this market must deliver to be complete
+ */
+export const getExpectedDimensions = (code) => {
+  const expected = getMarketEntry(code)?.expected_dimensions;
+  return expected?.length ? ALL_DIMENSIONS.filter(dimension => expected.includes(dimension)) : ALL_DIMENSIONS;
+};
+
+/**
+ * Market code → currency its costs are reported in (see convertRecords in currency.js)
+ */
+export const getMarketCurrencies = () =>
+  Object.fromEntries(markets.map(market => [market.code, market.currency || BASE_CURRENCY]));
+
+/**
+ * Load the registry from bmw_markets; the current markets are kept when it cannot be read
+ * @returns {Array} Registered markets
+ */
+export const loadMarketRegistry = async () => {
+  const { data, error } = await supabase
+    .from(TABLES.MARKETS)
+    .select('code, display_name, region, currency, language, is_active, expected_dimensions')
+    .order('code');
+
+  if (error) {
+    console.warn('⚠️ Could not load the market registry, using the built-in markets:', error.message);
+    return markets;
+  }
+
+  if (data && data.length > 0) {
+    markets = data;
+    console.log(`🌍 Market registry loaded: ${data.length} markets`);
+  }
+  return markets;
+};
+
+/**
+ * Add or update a market and reload the registry
+ * @param {Object} market - { code, display_name, region, currency, language, is_active, expected_dimensions }
+ * @returns {Array} Registered markets
+ */
+export const saveMarket = async (market) => {
+  const code = (market.code || '').trim().toUpperCase();
+  if (!MARKET_CODE_PATTERN.test(code)) {
+    throw new Error(`Invalid market code "${market.code}": use the two letters of the BMW_[COUNTRY]_… filenames`);
+  }
+
+  const expectedDimensions = (market.expected_dimensions || ALL_DIMENSIONS).filter(dimension => ALL_DIMENSIONS.includes(dimension));
+  if (expectedDimensions.length === 0) {
+    throw new Error(`Market ${code} must deliver at least one dimension`);
+  }
+
+  const { error } = await supabase
+    .from(TABLES.MARKETS)
+    .upsert({
+      code,
+      display_name: (market.display_name || '').trim() || code,
+      region: (market.region || '').trim() || null,
+      currency: (market.currency || BASE_CURRENCY).trim().toUpperCase(),
+      language: (market.language || '').trim() || null,
+      is_active: market.is_active ?? true,
+      // Every dimension is stored as NULL so dimensions added later are expected too
+      expected_dimensions: expectedDimensions.length < ALL_DIMENSIONS.length ? expectedDimensions : null
+    }, { onConflict: 'code' });
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  console.log(`🌍 Saved market ${code}`);
+  return loadMarketRegistry();
+};
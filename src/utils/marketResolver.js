@@ -0,0 +1,77 @@
+/**
+ * Market resolution for processed records
+ * The market is the two-letter code a file was delivered for. It is written to each
+ * record as `country` metadata by processCSVFileFromSupabase; records without it fall
+ * back to the filename. The CSV `Country` column is never used: cluster files carry
+ * their sub-markets there (BMW_CS_* rows say PL, CZ, …) and some rows hold free text.
+ */
+
+// Supported filename schemes, most specific first (.xlsx workbooks follow the same names)
+export const MARKET_FILENAME_SCHEMES = [
+  {
+    // Dimension-split export: BMW_FR_Model_2025_07.csv
+    name: 'split',
+    pattern: /BMW_([A-Z]{2})_([A-Za-z]+)_(\d{4})_(\d{2})\.(?:csv|xlsx)$/i,
+    parse: match => ({ market: match[1], dimension: match[2], year: parseInt(match[3]), month: parseInt(match[4]) })
+  },
+  {
+    // Legacy single-file export: BMW_FR_2025_07.csv
+    name: 'legacy',
+    pattern: /BMW_([A-Z]{2})_(\d{4})_(\d{2})\.(?:csv|xlsx)$/i,
+    parse: match => ({ market: match[1], dimension: null, year: parseInt(match[2]), month: parseInt(match[3]) })
+  }
+];
+
+const MARKET_CODE_PATTERN = /^[A-Za-z]{2}$/;
+
+/**
+ * Parse a source filename (or storage path) with the first scheme that matches
+ * @returns {Object|null} { market, dimension, year, month, scheme }
+ */
+export const parseMarketFilename = (filename) => {
+  if (!filename) return null;
+
+  for (const scheme of MARKET_FILENAME_SCHEMES) {
+    const match = filename.match(scheme.pattern);
+    if (match) {
+      const parsed = scheme.parse(match);
+      return { ...parsed, market: parsed.market.toUpperCase(), scheme: scheme.name };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Market code encoded in a source filename, or null
+ */
+export const resolveMarketFromFilename = (filename) => parseMarketFilename(filename)?.market || null;
+
+/**
+ * Market code of a processed record: `country` metadata first, then `file_source`
+ */
+export const resolveMarket = (row) => {
+  if (!row) return null;
+  if (typeof row.country === 'string' && MARKET_CODE_PATTERN.test(row.country.trim())) {
+    return row.country.trim().toUpperCase();
+  }
+  return resolveMarketFromFilename(row.file_source);
+};
+
+/**
+ * Check a record against a market selection: 'all' matches every record, a market group
+ * ({ markets }, see marketGroups.js) the records of its members
+ */
+export const matchesMarket = (row, market) => {
+  if (market === 'all') return true;
+  if (market?.markets) return market.markets.includes(resolveMarket(row));
+  return resolveMarket(row) === market;
+};
+
+/**
+ * Sorted market codes present in a set of records
+ */
+export const getMarketCodes = (rows) => {
+  if (!rows || rows.length === 0) return [];
+  return [...new Set(rows.map(resolveMarket).filter(Boolean))].sort();
+};
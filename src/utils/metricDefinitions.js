@@ -0,0 +1,125 @@
+import { getMetricValue } from './recordSchema.js';
+
+/**
+ * Metric definitions shared by importers and aggregations
+ * Base metrics are additive and can be summed across rows; ratio metrics are
+ * always recomputed from the summed base metrics, never summed themselves.
+ */
+
+// Additive metrics that can be summed across rows
+export const BASE_METRICS = ['Media Cost', 'Impressions', 'Clicks', 'IV', 'NVWR', 'DCS (pre) Order', 'Meta Leads'];
+
+// Ratio metrics, recomputed from the aggregated base metrics. Cp lead Forms divides Meta
+// spend only, which is not delivered, so it is taken as supplied and never recomputed or checked.
+export const RATIO_METRICS = {
+  'CPM': { numerator: 'Media Cost', denominator: 'Impressions', scale: 1000 },
+  'CTR': { numerator: 'Clicks', denominator: 'Impressions', scale: 1 },
+  'CPC': { numerator: 'Media Cost', denominator: 'Clicks', scale: 1 },
+  'CP IV': { numerator: 'Media Cost', denominator: 'IV', scale: 1 },
+  'Entry Rate': { numerator: 'IV', denominator: 'Clicks', scale: 1 },
+  'Cp NVWR': { numerator: 'Media Cost', denominator: 'NVWR', scale: 1 },
+  'CVR': { numerator: 'NVWR', denominator: 'IV', scale: 1 },
+  'CP DCS (pre) Order': { numerator: 'Media Cost', denominator: 'DCS (pre) Order', scale: 1 }
+};
+
+// Relative difference above which a ratio supplied by the source is reported as inconsistent
+export const RATIO_TOLERANCE = 0.01;
+
+/**
+ * Sum a base metric over rows, skipping cells that were not reported (empty or NaN).
+ * Returns null when no row reported the metric, so it is not mistaken for a zero.
+ */
+export const sumMetric = (rows, metric) => {
+  let reported = false;
+  const total = rows.reduce((sum, row) => {
+    const value = getMetricValue(row, metric);
+    if (value === null) {
+      return sum;
+    }
+    reported = true;
+    return sum + value;
+  }, 0);
+  return reported ? total : null;
+};
+
+/**
+ * Ratio of two aggregated values, or null when either side was not reported
+ * or the denominator is zero
+ */
+export const computeRatio = (numerator, denominator, scale = 1) => {
+  if (numerator === null || denominator === null || !(denominator > 0)) {
+    return null;
+  }
+  return (numerator / denominator) * scale;
+};
+
+/**
+ * Replace a record's ratio fields with values recomputed from its base metrics
+ */
+export const recomputeRatios = (record) => {
+  const result = { ...record };
+
+  Object.entries(RATIO_METRICS).forEach(([ratio, { numerator, denominator, scale }]) => {
+    result[ratio] = computeRatio(getMetricValue(record, numerator), getMetricValue(record, denominator), scale);
+  });
+
+  return result;
+};
+
+/**
+ * Compare the ratios a row was delivered with against the ones its base metrics give.
+ * Ratios that were not supplied, or cannot be recomputed, are not checked.
+ * @returns {Array} { metric, supplied, expected, deviation } per inconsistent ratio
+ */
+export const findRatioMismatches = (row, tolerance = RATIO_TOLERANCE) => {
+  const mismatches = [];
+
+  Object.entries(RATIO_METRICS).forEach(([ratio, { numerator, denominator, scale }]) => {
+    const supplied = getMetricValue(row, ratio);
+    const expected = computeRatio(getMetricValue(row, numerator), getMetricValue(row, denominator), scale);
+    if (supplied === null || expected === null) {
+      return;
+    }
+
+    const deviation = expected === 0 ? Math.abs(supplied) : Math.abs(supplied - expected) / Math.abs(expected);
+    if (deviation > tolerance) {
+      mismatches.push({ metric: ratio, supplied, expected, deviation });
+    }
+  });
+
+  return mismatches;
+};
+
+/**
+ * Aggregate a group of rows into a single metric record:
+ * base metrics are summed, ratios are recomputed from the sums
+ */
+export const aggregateMetrics = (rows) => {
+  const record = {};
+
+  BASE_METRICS.forEach(metric => {
+    record[metric] = sumMetric(rows, metric);
+  });
+
+  return recomputeRatios(record);
+};
+
+/**
+ * Running totals of the base metrics, for aggregating rows as they stream in
+ * (null until a metric is reported, like sumMetric)
+ */
+export const createMetricTotals = () => Object.fromEntries(BASE_METRICS.map(metric => [metric, null]));
+
+/**
+ * Add a row's base metrics to running totals
+ * @returns {Object} The updated totals
+ */
+export const addToMetricTotals = (totals, row) => {
+  BASE_METRICS.forEach(metric => {
+    const value = getMetricValue(row, metric);
+    if (value !== null) {
+      totals[metric] = (totals[metric] ?? 0) + value;
+    }
+  });
+  return totals;
+};
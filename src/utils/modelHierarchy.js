@@ -0,0 +1,165 @@
+import { isUnmappedValue, NOT_MAPPED } from './recordSchema.js';
+
+/**
+ * Model hierarchy
+ * Model values arrive as "<model> (<model code>)", e.g. "R 1300 GS Adventure (KA2)", next to
+ * non-model buckets such as "Brand" and "Multi". The hierarchy (bmw_model_hierarchy, see
+ * modelHierarchyStore.js) maps each model code to its model, family (GS, RT, S 1000, …)
+ * and segment (Adventure, Touring, Roadster, Urban Mobility, …), so breakdowns can be
+ * reported at any level. Values are resolved by model code first, then by name; values
+ * the hierarchy does not know are reported as delivered, in the Unclassified family.
+ * The hierarchy in use is set with setModelHierarchy (posted to the compute worker with
+ * the tasks that need it).
+ */
+
+// Levels a model breakdown can be reported at, most detailed first
+export const MODEL_LEVELS = ['model_code', 'model', 'family', 'segment'];
+
+export const MODEL_LEVEL_LABELS = {
+  model_code: 'Model (code)',
+  model: 'Model',
+  family: 'Family',
+  segment: 'Segment'
+};
+
+export const DEFAULT_MODEL_LEVEL = 'model_code';
+
+export const UNCLASSIFIED = 'Unclassified';
+
+export const NON_MODEL_SEGMENT = 'Non-model';
+
+const model = (model_code, name, family, segment) => ({ model_code, model: name, family, segment, is_model: true });
+const bucket = (model_code, name) => ({ model_code, model: name, family: name, segment: NON_MODEL_SEGMENT, is_model: false });
+
+// Mirrors the seed rows of 016_create_model_hierarchy.sql (older and newer codes of a model)
+export const DEFAULT_MODEL_HIERARCHY = [
+  model('0S01', 'C 400 GT', 'C 400', 'Urban Mobility'),
+  model('K08', 'C 400 GT', 'C 400', 'Urban Mobility'),
+  model('0S11', 'C 400 X', 'C 400', 'Urban Mobility'),
+  model('K09', 'C 400 X', 'C 400', 'Urban Mobility'),
+  model('0C71', 'CE 02', 'CE', 'Urban Mobility'),
+  model('K06', 'CE 02', 'CE', 'Urban Mobility'),
+  model('0C51', 'CE 04', 'CE', 'Urban Mobility'),
+  model('K07', 'CE 04', 'CE', 'Urban Mobility'),
+  model('0K51', 'F 800 GS', 'GS', 'Adventure'),
+  model('K80', 'F 800 GS', 'GS', 'Adventure'),
+  model('0K61', 'F 900 GS', 'GS', 'Adventure'),
+  model('K81', 'F 900 GS', 'GS', 'Adventure'),
+  model('K82', 'F 900 GS Adventure', 'GS', 'Adventure'),
+  model('0G31', 'G 310 GS', 'GS', 'Adventure'),
+  model('K02', 'G 310 GS', 'GS', 'Adventure'),
+  model('0M11', 'R 1250 GS Adventure', 'GS', 'Adventure'),
+  model('0M21', 'R 1300 GS', 'GS', 'Adventure'),
+  model('KA1', 'R 1300 GS', 'GS', 'Adventure'),
+  model('KA2', 'R 1300 GS Adventure', 'GS', 'Adventure'),
+  model('0K21', 'F 900 XR', 'XR', 'Sport'),
+  model('K84', 'F 900 XR', 'XR', 'Sport'),
+  model('0L01', 'R 1250 RT', 'RT', 'Touring'),
+  model('0F61', 'K 1600 B', 'K 1600', 'Touring'),
+  model('K61', 'K 1600 B / Grand America', 'K 1600', 'Touring'),
+  model('0F21', 'K 1600 GT', 'K 1600', 'Touring'),
+  model('K48', 'K 1600 GT', 'K 1600', 'Touring'),
+  model('0F31', 'K 1600 GTL', 'K 1600', 'Touring'),
+  model('0G41', 'G 310 R', 'R', 'Roadster'),
+  model('K03', 'G 310 R', 'R', 'Roadster'),
+  model('0M71', 'R 1250 R', 'R', 'Roadster'),
+  model('K63', 'S 1000 R', 'S 1000', 'Roadster'),
+  model('K67', 'S 1000 RR', 'S 1000', 'Sport'),
+  model('K69', 'S 1000 XR', 'S 1000', 'Sport'),
+  model('KM3', 'M 1000 R', 'M', 'Sport'),
+  model('0P01', 'M 1000 RR', 'M', 'Sport'),
+  model('K66', 'M 1000 RR', 'M', 'Sport'),
+  model('KM9', 'M 1000 XR', 'M', 'Sport'),
+  model('0N71', 'R 18', 'R 18', 'Heritage'),
+  model('K34', 'R 18', 'R 18', 'Heritage'),
+  model('K35', 'R 18 B / Transcontinental', 'R 18', 'Heritage'),
+  model('0L21', 'R 18 Classic', 'R 18', 'Heritage'),
+  model('0L41', 'R 18 Transcontinental', 'R 18', 'Heritage'),
+  model('KR3', 'R 12', 'R 12', 'Heritage'),
+  model('KR1', 'R nineT', 'R nineT', 'Heritage'),
+  bucket('BRAND', 'Brand'),
+  bucket('MULTI', 'Multi'),
+  bucket('DEALER', 'Dealer'),
+  bucket('GENERIC', 'Generic')
+];
+
+// "R 1300 GS Adventure (KA2)" → name and code; "K 1600 GT(K48)" has no space
+const MODEL_VALUE_PATTERN = /^(.*?)\s*\(([^()]+)\)\s*$/;
+
+const NOT_MAPPED_ENTRY = { model_code: NOT_MAPPED, model: NOT_MAPPED, family: NOT_MAPPED, segment: NOT_MAPPED, is_model: false };
+
+let hierarchy = DEFAULT_MODEL_HIERARCHY;
+let index = null;
+const resolved = new Map();
+
+const buildIndex = (entries) => ({
+  byCode: new Map(entries.map(entry => [entry.model_code.toUpperCase(), entry])),
+  byName: new Map(entries.map(entry => [entry.model.toLowerCase(), entry]))
+});
+
+/**
+ * Hierarchy entries in use: { model_code, model, family, segment, is_model }
+ */
+export const getModelHierarchy = () => hierarchy;
+
+export const setModelHierarchy = (entries) => {
+  hierarchy = entries && entries.length > 0 ? entries : DEFAULT_MODEL_HIERARCHY;
+  index = null;
+  resolved.clear();
+};
+
+/**
+ * Split a model value into its name and model code (null when it carries none)
+ */
+export const parseModelValue = (value) => {
+  const text = (value ?? '').toString().trim();
+  const match = text.match(MODEL_VALUE_PATTERN);
+  return match ? { name: match[1].trim(), code: match[2].trim() } : { name: text, code: null };
+};
+
+/**
+ * Place a model value in the hierarchy
+ * @returns {Object} { model_code, model, family, segment, is_model, classified }; model_code is
+ *   the value at the most detailed level ("R 1300 GS Adventure (KA2)", or the bucket name)
+ */
+export const resolveModel = (value) => {
+  if (isUnmappedValue(value)) return { ...NOT_MAPPED_ENTRY, classified: true };
+
+  const key = value.toString();
+  if (resolved.has(key)) return resolved.get(key);
+
+  index = index || buildIndex(hierarchy);
+  const { name, code } = parseModelValue(key);
+  const entry = (code && index.byCode.get(code.toUpperCase())) || index.byName.get(name.toLowerCase());
+
+  let result;
+  if (!entry) {
+    result = { model_code: key.trim(), model: name, family: UNCLASSIFIED, segment: UNCLASSIFIED, is_model: true, classified: false };
+  } else if (!entry.is_model) {
+    result = { ...entry, model_code: entry.model, classified: true };
+  } else {
+    result = { ...entry, model_code: code ? `${entry.model} (${code})` : entry.model, classified: true };
+  }
+
+  resolved.set(key, result);
+  return result;
+};
+
+/**
+ * Value of a model at a hierarchy level
+ */
+export const getModelLevelValue = (value, level = DEFAULT_MODEL_LEVEL) => resolveModel(value)[level];
+
+/**
+ * Whether a model value is a real model rather than a bucket such as Brand, Multi or Not Mapped
+ */
+export const isModelValue = (value) => resolveModel(value).is_model;
+
+/**
+ * Name of a value at a level for texts, e.g. "GS family", "Adventure segment"
+ */
+export const describeModelLevelValue = (value, level = DEFAULT_MODEL_LEVEL) => {
+  if (level === 'family') return `${value} family`;
+  if (level === 'segment') return `${value} segment`;
+  return value;
+};
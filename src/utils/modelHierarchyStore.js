@@ -0,0 +1,77 @@
+/**
+ * Model hierarchy storage
+ * The hierarchy is kept in bmw_model_hierarchy and loaded on start like the market
+ * registry; resolution itself lives in modelHierarchy.js.
+ */
+
+import { supabase, TABLES } from './supabase.js';
+import { getModelHierarchy, setModelHierarchy } from './modelHierarchy.js';
+
+/**
+ * Load the hierarchy from bmw_model_hierarchy; the current hierarchy is kept when it cannot be read
+ * @returns {Array} Hierarchy entries
+ */
+export const loadModelHierarchy = async () => {
+  const { data, error } = await supabase
+    .from(TABLES.MODEL_HIERARCHY)
+    .select('model_code, model, family, segment, is_model')
+    .order('segment')
+    .order('family')
+    .order('model');
+
+  if (error) {
+    console.warn('⚠️ Could not load the model hierarchy, using the built-in hierarchy:', error.message);
+    return getModelHierarchy();
+  }
+
+  setModelHierarchy(data);
+  console.log(`🏍️ Model hierarchy loaded: ${getModelHierarchy().length} entries`);
+  return getModelHierarchy();
+};
+
+/**
+ * Add or update a hierarchy entry and reload the hierarchy
+ * @param {Object} entry - { model_code, model, family, segment, is_model }
+ * @returns {Array} Hierarchy entries
+ */
+export const saveModelEntry = async (entry) => {
+  const row = {
+    model_code: (entry.model_code || '').trim().toUpperCase(),
+    model: (entry.model || '').trim(),
+    family: (entry.family || '').trim(),
+    segment: (entry.segment || '').trim(),
+    is_model: entry.is_model ?? true
+  };
+  const missing = Object.entries(row).filter(([, value]) => value === '').map(([field]) => field);
+  if (missing.length > 0) {
+    throw new Error(`Missing ${missing.join(', ')}`);
+  }
+
+  const { error } = await supabase
+    .from(TABLES.MODEL_HIERARCHY)
+    .upsert(row, { onConflict: 'model_code' });
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  console.log(`🏍️ Saved model ${row.model_code}: ${row.model} / ${row.family} / ${row.segment}`);
+  return loadModelHierarchy();
+};
+
+/**
+ * Delete a hierarchy entry and reload the hierarchy
+ * @returns {Array} Hierarchy entries
+ */
+export const deleteModelEntry = async (modelCode) => {
+  const { error } = await supabase
+    .from(TABLES.MODEL_HIERARCHY)
+    .delete()
+    .eq('model_code', modelCode);
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return loadModelHierarchy();
+};
@@ -1,16 +1,25 @@
 import _ from 'lodash';
+import { getMetric, getMarket, getPeriod, getDimensionValue, isUnmappedValue } from './recordSchema.js';
+import { isReclassified } from './reclassification.js';
+import { COMPLIANCE_DIMENSIONS, getDimensionEntry } from './dimensionRegistry.js';
+import { BASE_CURRENCY } from './currency.js';
 
 /**
  * Analyzes Onebuilder compliance with focus on market-by-market breakdown
+ * Compliance is measured on the data as delivered; `afterReclassification` holds the same
+ * figures once the reclassification rules filled unmapped values
  * @param {Array} data - Parsed CSV data
  * @param {Array} historicalData - Historical compliance data for MoM calculations
+ * @param {Object} options - { groups: market groups ({ code, name, markets }) to roll up in groupCompliance }
  * @returns {Object} Compliance analysis results
  */
-export const analyzeOnebuilderCompliance = (data, historicalData = []) => {
+export const analyzeOnebuilderCompliance = (data, historicalData = [], { groups = [] } = {}) => {
   if (!data || data.length === 0) {
     return {
       overallCompliance: 0,
+      overallComplianceAfterReclassification: 0,
       marketCompliance: [],
+      groupCompliance: [],
       unmappedDataTypes: {},
       trend: null
     };
@@ -18,102 +27,34 @@ export const analyzeOnebuilderCompliance = (data, historicalData = []) => {
 
   // Split rows by dimension so we can treat them differently
   // Separate rows
-  const detailRows = data.filter(row => row.dimension !== 'All');
+  // (rows of dimensions the dimension registry leaves out of compliance are not counted)
+  const detailRows = data.filter(row => row.dimension !== 'All' && getDimensionEntry(row.dimension)?.compliance !== false);
 
   // Helper to extract consistent 2-letter market code
   const extractMarketCode = (row) => {
-    // If country field already looks like a 2-char ISO, keep it
-    if (row.country && row.country.length === 2) {
-      return row.country.toUpperCase();
-    }
-    // Otherwise try to read from the filename e.g. BMW_CS_Model_2025_07.csv → CS
-    if (row.file_source) {
-      const m = row.file_source.match(/BMW_([A-Z]{2})_/);
-      if (m) return m[1];
-    }
+    // Metadata or filename e.g. BMW_CS_Model_2025_07.csv → CS
     // Fallback – use the country string itself (may not match the history)
-    return row.country;
+    return getMarket(row) || row.country;
   };
 
   // Re-group detail rows by this market code
   const marketData = _.groupBy(detailRows, extractMarketCode);
   
-  // Analyze each market
-  const marketCompliance = Object.entries(marketData).map(([country, complianceRows]) => {
+  // Analyze each market: as delivered, and after the reclassification rules filled unmapped values
+  const marketCompliance = Object.entries(marketData).map(([country, detailRowsMarket]) => {
     // Market code is simply the country ISO
     const marketCode = country;
-
-    // Detailed rows (not "All") for unmapped analysis
-    const detailRowsMarket = detailRows.filter(r => extractMarketCode(r) === marketCode);
-
-    // Initialise unmapped counters per field
-    const unmappedByField = {
-      model: 0,
-      phase: 0,
-      channelType: 0,
-      channelName: 0,
-      campaignType: 0
-    };
-
-    const isNotMapped = (val) => !val || val.trim() === '' || val.toString().toLowerCase().includes('not mapped');
-
-    let totalUnmapped = 0;
-    detailRowsMarket.forEach(row => {
-      // Determine which field to check based on this row's dimension
-      const fieldUnmapped = {
-        model: row.dimension === 'Model' ? isNotMapped(row.Model) : false,
-        phase: row.dimension === 'Phase' ? isNotMapped(row.Phase) : false,
-        channelType: row.dimension === 'ChannelType' ? isNotMapped(row['Channel Type']) : false,
-        channelName: row.dimension === 'ChannelName' ? isNotMapped(row['Channel Name']) : false,
-        campaignType: row.dimension === 'CampaignType' ? isNotMapped(row['Campaign Type']) : false
-      };
-
-      Object.keys(fieldUnmapped).forEach(key => {
-        if (fieldUnmapped[key]) {
-          unmappedByField[key]++;
-        }
-      });
-
-      if (Object.values(fieldUnmapped).some(Boolean)) {
-        totalUnmapped++;
-      }
-    });
-
     const totalRecords = detailRowsMarket.length;
-    const mappedRecords = totalRecords - totalUnmapped;
-    const compliance = totalRecords > 0 ? (mappedRecords / totalRecords) * 100 : 0;
+    const totalNVWR = _.sumBy(detailRowsMarket, row => getMetric(row, 'NVWR'));
 
-    // Impact metrics based on detail rows
-    const totalNVWR = _.sumBy(detailRowsMarket, row => parseFloat(row.NVWR) || 0);
-    const unmappedNVWR = _.sumBy(detailRowsMarket.filter(row => {
-      switch (row.dimension) {
-        case 'Model':
-          return isNotMapped(row.Model);
-        case 'Phase':
-          return isNotMapped(row.Phase);
-        case 'ChannelType':
-          return isNotMapped(row['Channel Type']);
-        case 'ChannelName':
-          return isNotMapped(row['Channel Name']);
-        case 'CampaignType':
-          return isNotMapped(row['Campaign Type']);
-        default:
-          return false;
-      }
-    }), row => parseFloat(row.NVWR) || 0);
+    const delivered = countUnmapped(detailRowsMarket, { asDelivered: true });
+    const afterReclassification = countUnmapped(detailRowsMarket, { asDelivered: false });
 
     return {
       marketCode,
-      totalRecords,
-      totalUnmapped,
-      mappedRecords,
-      compliance,
-      unmappedByField,
-      totalNVWR,
-      unmappedNVWR,
-      unmappedNVWRPercentage: totalNVWR > 0 ? (unmappedNVWR / totalNVWR) * 100 : 0,
-      severity: getSeverityLevel(compliance),
-      status: getComplianceStatus(compliance)
+      ...toComplianceFigures({ totalRecords, totalNVWR, ...delivered }),
+      reclassifiedRecords: delivered.totalUnmapped - afterReclassification.totalUnmapped,
+      afterReclassification: toComplianceFigures({ totalRecords, totalNVWR, ...afterReclassification })
     };
   });
   
@@ -129,35 +70,132 @@ export const analyzeOnebuilderCompliance = (data, historicalData = []) => {
     };
   });
   
+  // Market groups with at least one member in the data, with their own MoM change
+  const groupCompliance = groups
+    .map(group => rollUpGroupCompliance(group, marketCompliance))
+    .filter(Boolean)
+    .map(group => ({
+      ...group,
+      momChange: calculateMoMChange(group, historicalData, data)
+    }));
+  
   // Overall compliance = average of market compliance values
   const overallCompliance = marketCompliance.length > 0 ? _.meanBy(marketCompliance, 'compliance') : 0;
+  const overallComplianceAfterReclassification = marketCompliance.length > 0 ? _.meanBy(marketCompliance, 'afterReclassification.compliance') : 0;
   
   // Analyze unmapped data types across all markets
-  const unmappedDataTypes = {
-    model: _.sumBy(marketCompliance, 'unmappedByField.model'),
-    phase: _.sumBy(marketCompliance, 'unmappedByField.phase'),
-    channelType: _.sumBy(marketCompliance, 'unmappedByField.channelType'),
-    channelName: _.sumBy(marketCompliance, 'unmappedByField.channelName'),
-    campaignType: _.sumBy(marketCompliance, 'unmappedByField.campaignType')
-  };
+  const unmappedDataTypes = Object.fromEntries(COMPLIANCE_DIMENSIONS.map(entry =>
+    [entry.complianceKey, _.sumBy(marketCompliance, market => market.unmappedByField[entry.complianceKey])]));
   
   // Trend analysis (placeholder for future implementation)
   const trend = null;
   
   return {
     overallCompliance,
+    overallComplianceAfterReclassification,
     marketCompliance: marketComplianceWithMoM,
+    groupCompliance,
     unmappedDataTypes,
     trend,
     summary: {
       totalRecords: detailRows.length,
       totalUnmapped: _.sumBy(marketCompliance, 'totalUnmapped'),
       mappedRecords: detailRows.length - _.sumBy(marketCompliance, 'totalUnmapped'),
+      reclassifiedRecords: _.sumBy(marketCompliance, 'reclassifiedRecords'),
       complianceStatus: getComplianceStatus(overallCompliance)
     }
   };
 };
 
+// Dimension file → its unmappedByField key and the column it breaks down by, for the
+// dimensions taking part in compliance (see dimensionRegistry.js)
+const COMPLIANCE_FIELDS = Object.fromEntries(COMPLIANCE_DIMENSIONS.map(entry =>
+  [entry.dimension, { key: entry.complianceKey, column: entry.column }]));
+
+/**
+ * Check whether a detail row's column is unmapped. As delivered, columns a reclassification
+ * rule filled (see reclassification.js) still count as unmapped.
+ */
+export const isUnmappedRow = (row, { asDelivered = true } = {}) => {
+  const field = COMPLIANCE_FIELDS[row.dimension];
+  if (!field) return false;
+  return isUnmappedValue(getDimensionValue(row, field.column)) || (asDelivered && isReclassified(row, field.column));
+};
+
+/**
+ * Unmapped rows of a market, counted per field, with their NVWR
+ */
+const countUnmapped = (rows, options) => {
+  const unmappedByField = Object.fromEntries(Object.values(COMPLIANCE_FIELDS).map(field => [field.key, 0]));
+  const unmappedRows = rows.filter(row => isUnmappedRow(row, options));
+  unmappedRows.forEach(row => {
+    unmappedByField[COMPLIANCE_FIELDS[row.dimension].key]++;
+  });
+
+  return {
+    totalUnmapped: unmappedRows.length,
+    unmappedByField,
+    unmappedNVWR: _.sumBy(unmappedRows, row => getMetric(row, 'NVWR'))
+  };
+};
+
+/**
+ * Compliance figures from record and NVWR counts
+ */
+const toComplianceFigures = ({ totalRecords, totalUnmapped, unmappedByField, totalNVWR, unmappedNVWR }) => {
+  const compliance = totalRecords > 0 ? ((totalRecords - totalUnmapped) / totalRecords) * 100 : 0;
+  return {
+    totalRecords,
+    totalUnmapped,
+    mappedRecords: totalRecords - totalUnmapped,
+    compliance,
+    unmappedByField,
+    totalNVWR,
+    unmappedNVWR,
+    unmappedNVWRPercentage: totalNVWR > 0 ? (unmappedNVWR / totalNVWR) * 100 : 0,
+    severity: getSeverityLevel(compliance),
+    status: getComplianceStatus(compliance)
+  };
+};
+
+const sumUnmappedByField = (figures) =>
+  _.mergeWith({}, ...figures.map(figure => figure.unmappedByField), (sum = 0, count) => sum + count);
+
+/**
+ * Compliance of a market group from its members' record and NVWR counts, so large
+ * members weigh more than small ones (null when no member is in the data)
+ */
+const rollUpGroupCompliance = (group, marketCompliance) => {
+  const members = marketCompliance.filter(market => group.markets.includes(market.marketCode));
+  if (members.length === 0) return null;
+
+  const totalRecords = _.sumBy(members, 'totalRecords');
+  const totalNVWR = _.sumBy(members, 'totalNVWR');
+  const afterReclassification = members.map(market => market.afterReclassification);
+
+  return {
+    marketCode: group.code,
+    name: group.name,
+    isGroup: true,
+    markets: members.map(market => market.marketCode),
+    ...toComplianceFigures({
+      totalRecords,
+      totalNVWR,
+      totalUnmapped: _.sumBy(members, 'totalUnmapped'),
+      unmappedNVWR: _.sumBy(members, 'unmappedNVWR'),
+      unmappedByField: sumUnmappedByField(members)
+    }),
+    reclassifiedRecords: _.sumBy(members, 'reclassifiedRecords'),
+    afterReclassification: toComplianceFigures({
+      totalRecords,
+      totalNVWR,
+      totalUnmapped: _.sumBy(afterReclassification, 'totalUnmapped'),
+      unmappedNVWR: _.sumBy(afterReclassification, 'unmappedNVWR'),
+      unmappedByField: sumUnmappedByField(afterReclassification)
+    })
+  };
+};
+
 /**
  * Get severity level for ordering
  */
@@ -200,10 +238,10 @@ export const formatNumber = (num) => {
 /**
  * Format currency
  */
-export const formatCurrency = (num) => {
+export const formatCurrency = (num, currency = BASE_CURRENCY) => {
   return new Intl.NumberFormat('en-US', {
     style: 'currency',
-    currency: 'USD',
+    currency,
     minimumFractionDigits: 0,
     maximumFractionDigits: 0
   }).format(num);
@@ -242,7 +280,7 @@ const calculateMoMChange = (currentMarket, historicalData, currentData = []) =>
       currentMonth = parseInt(firstRecord._month);
     } else {
       // If no year/month fields, try to get the latest month from all records
-      const months = [...new Set(currentData.map(row => `${row.year}-${row.month.toString().padStart(2, '0')}`))].sort();
+      const months = [...new Set(currentData.map(row => getPeriod(row)))].sort();
       if (months.length > 0) {
         const latestMonth = months[months.length - 1];
         const [year, month] = latestMonth.split('-');
@@ -0,0 +1,91 @@
+import { aggregateMetrics } from './metricDefinitions.js';
+import { getMarket, getPeriod, getDimension, getDimensionValue, getMetric } from './recordSchema.js';
+import { matchesMarket } from './marketResolver.js';
+import { BREAKDOWN_DIMENSIONS } from './dimensionRegistry.js';
+
+/**
+ * Pivot API over processed records
+ * Groups by any combination of Market, Month and the dimensions in the dimension registry.
+ * A single dimension is answered from the split dimension records, so every market
+ * works. Two or more dimensions need the cross-dimensional grain, which only exists
+ * for market/months imported from files carrying every dimension column (legacy
+ * exports); other market/months are reported as unavailable instead of guessed.
+ */
+
+// Fields the pivot can group by; `dimension` is the split file holding that column
+export const PIVOT_FIELDS = {
+  'Market': { accessor: getMarket, dimension: null },
+  'Month': { accessor: getPeriod, dimension: null },
+  ...Object.fromEntries(BREAKDOWN_DIMENSIONS.map(entry =>
+    [entry.label, { accessor: row => getDimensionValue(row, entry.column), dimension: entry.dimension }]))
+};
+
+/**
+ * Build a pivot table
+ * @param {Array} data - Processed single-dimension records
+ * @param {Array} crossData - Cross-dimension records (may be empty)
+ * @param {Array} groupBy - Field names from PIVOT_FIELDS
+ * @param {Object} filters - Optional { market, month }, 'all' meaning no filter; market may
+ *   be a market group (see marketGroups.js)
+ * @returns {Object} Pivot rows plus the grain used and any market/months left out
+ */
+export const buildPivot = (data, crossData = [], groupBy = [], filters = {}) => {
+  const { market = 'all', month = 'all' } = filters;
+  const matchesFilters = (row) =>
+    matchesMarket(row, market) &&
+    (month === 'all' || getPeriod(row) === month);
+
+  const fields = groupBy.filter(field => PIVOT_FIELDS[field]);
+  const dimensionFields = fields.filter(field => PIVOT_FIELDS[field].dimension);
+
+  let grain;
+  let sourceRows;
+  let unavailablePeriods = [];
+
+  if (dimensionFields.length === 0) {
+    grain = 'All';
+    sourceRows = (data || []).filter(row => getDimension(row) === 'All' && matchesFilters(row));
+  } else if (dimensionFields.length === 1) {
+    grain = PIVOT_FIELDS[dimensionFields[0]].dimension;
+    sourceRows = (data || []).filter(row => getDimension(row) === grain && matchesFilters(row));
+  } else {
+    grain = 'Cross';
+    sourceRows = (crossData || []).filter(matchesFilters);
+
+    const crossPeriods = new Set(sourceRows.map(row => `${getMarket(row)}_${getPeriod(row)}`));
+    const dataPeriods = new Set((data || []).filter(matchesFilters).map(row => `${getMarket(row)}_${getPeriod(row)}`));
+    unavailablePeriods = [...dataPeriods]
+      .filter(period => !crossPeriods.has(period))
+      .sort()
+      .map(period => {
+        const [country, periodKey] = period.split('_');
+        return { country, period: periodKey };
+      });
+  }
+
+  const groups = {};
+  sourceRows.forEach(row => {
+    const values = fields.map(field => PIVOT_FIELDS[field].accessor(row) || 'Not Mapped');
+    const key = values.join('|');
+    if (!groups[key]) {
+      groups[key] = { values, rows: [] };
+    }
+    groups[key].rows.push(row);
+  });
+
+  const rows = Object.values(groups)
+    .map(group => ({
+      keys: Object.fromEntries(fields.map((field, index) => [field, group.values[index]])),
+      ...aggregateMetrics(group.rows),
+      recordCount: group.rows.length
+    }))
+    .sort((a, b) => getMetric(b, 'Media Cost') - getMetric(a, 'Media Cost'));
+
+  return {
+    groupBy: fields,
+    grain,
+    rows,
+    unavailablePeriods,
+    sourceRecords: sourceRows.length
+  };
+};
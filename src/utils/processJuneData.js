@@ -1,4 +1,5 @@
 import { supabase } from './supabase.js';
+import { queryFacts, SINGLE_DIMENSIONS } from './factTable.js';
 import { analyzeOnebuilderCompliance } from './onebuilderCompliance.js';
 import { saveComplianceHistory, getMonthName } from './complianceHistory.js';
 
@@ -23,22 +24,9 @@ export const processJuneDataForMoM = async () => {
 
     console.log('✅ Found June 2025 file:', juneFile.filename);
 
-    // Get the processed data for June
-    const { data: processedData, error: dataError } = await supabase
-      .from('bmw_processed_data')
-      .select('*')
-      .eq('id', 'latest')
-      .single();
-
-    if (dataError || !processedData) {
-      console.error('❌ No processed data found:', dataError);
-      return { success: false, error: 'No processed data found' };
-    }
-
-    // Filter data for June 2025 (BE market)
-    const juneData = processedData.data.filter(record => 
-      record.file_source === 'BMW_BE_2025_06.csv'
-    );
+    // Get the processed data for June (BE market)
+    const juneData = (await queryFacts({ markets: ['BE'], months: ['2025-06'], dimensions: SINGLE_DIMENSIONS }))
+      .filter(record => record.file_source === 'BMW_BE_2025_06.csv');
 
     if (juneData.length === 0) {
       console.log('⚠️ No June 2025 data found in processed data');
@@ -0,0 +1,184 @@
+/**
+ * Processing jobs
+ * A processing run is executed as a job of discrete steps whose state is kept in
+ * bmw_processing_jobs: the plan, each step's status and result, and the latest progress
+ * message. The steps themselves are run by runProcessingJob in supabaseCsvProcessor.js;
+ * this module persists job state and tracks cancellation and liveness.
+ */
+
+import { supabase, TABLES } from './supabase.js';
+import { failProcessingRun } from './processingRuns.js';
+
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  CANCELLING: 'cancelling',
+  CANCELLED: 'cancelled',
+  FAILED: 'failed',
+  COMPLETED: 'completed',
+  DISCARDED: 'discarded'
+};
+
+// Jobs in these states still have steps to run and can be resumed
+const UNFINISHED_STATUSES = [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING, JOB_STATUS.CANCELLING, JOB_STATUS.CANCELLED, JOB_STATUS.FAILED];
+
+// A running job refreshes its heartbeat this often; one that has not for STALE_AFTER_MS
+// was interrupted (tab closed or refreshed) and can be resumed
+const HEARTBEAT_INTERVAL_MS = 15000;
+const STALE_AFTER_MS = 60000;
+
+// Jobs running in this tab: id → { cancelRequested, heartbeat }
+const activeJobs = new Map();
+
+/**
+ * Store a new job
+ * @param {Object} job - { runId, force, triggeredBy, plan, steps }
+ * @returns {Object} Job record
+ */
+export const createJobRecord = async ({ runId, force, triggeredBy, plan, steps }) => {
+  const { data, error } = await supabase
+    .from(TABLES.PROCESSING_JOBS)
+    .insert({
+      status: JOB_STATUS.QUEUED,
+      run_id: runId,
+      forced: force,
+      triggered_by: triggeredBy,
+      plan,
+      steps,
+      progress: { message: 'Queued', completedSteps: 0, totalSteps: steps.length }
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data;
+};
+
+/**
+ * Job record by id
+ */
+export const getProcessingJob = async (jobId) => {
+  const { data, error } = await supabase
+    .from(TABLES.PROCESSING_JOBS)
+    .select('*')
+    .eq('id', jobId)
+    .single();
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return data;
+};
+
+/**
+ * The most recent job that still has steps to run, or null
+ */
+export const getUnfinishedProcessingJob = async () => {
+  const { data, error } = await supabase
+    .from(TABLES.PROCESSING_JOBS)
+    .select('*')
+    .in('status', UNFINISHED_STATUSES)
+    .order('id', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    console.warn('⚠️ Could not load unfinished processing jobs:', error.message);
+    return null;
+  }
+
+  return data;
+};
+
+/**
+ * Update a job's state
+ */
+export const updateProcessingJob = async (jobId, fields) => {
+  const { error } = await supabase
+    .from(TABLES.PROCESSING_JOBS)
+    .update(fields)
+    .eq('id', jobId);
+
+  if (error) {
+    console.warn(`⚠️ Could not update processing job #${jobId}:`, error.message);
+  }
+};
+
+/**
+ * Check whether a job is running in this tab
+ */
+export const isJobActiveInTab = (jobId) => activeJobs.has(jobId);
+
+/**
+ * Check whether a job can be resumed from here: it is stopped, or it was running in a tab
+ * that stopped sending heartbeats
+ */
+export const isJobResumable = (job) => {
+  if (!job || !UNFINISHED_STATUSES.includes(job.status) || isJobActiveInTab(job.id)) return false;
+  if (job.status !== JOB_STATUS.RUNNING && job.status !== JOB_STATUS.CANCELLING) return true;
+  return !job.heartbeat_at || Date.now() - new Date(job.heartbeat_at).getTime() > STALE_AFTER_MS;
+};
+
+/**
+ * Register a job as running in this tab and keep its heartbeat fresh
+ */
+export const startJobInTab = (jobId) => {
+  const heartbeat = setInterval(() => {
+    updateProcessingJob(jobId, { heartbeat_at: new Date().toISOString() });
+  }, HEARTBEAT_INTERVAL_MS);
+  activeJobs.set(jobId, { cancelRequested: false, heartbeat });
+};
+
+/**
+ * Unregister a job that stopped running in this tab
+ */
+export const endJobInTab = (jobId) => {
+  const activeJob = activeJobs.get(jobId);
+  if (activeJob) {
+    clearInterval(activeJob.heartbeat);
+    activeJobs.delete(jobId);
+  }
+};
+
+/**
+ * Ask a running job to stop after the file or step it is working on
+ */
+export const requestJobCancellation = async (jobId) => {
+  const activeJob = activeJobs.get(jobId);
+  if (activeJob) {
+    activeJob.cancelRequested = true;
+  }
+  await updateProcessingJob(jobId, { status: JOB_STATUS.CANCELLING });
+  console.log(`⏹️ Cancellation requested for processing job #${jobId}`);
+};
+
+/**
+ * Check whether cancellation was requested in this tab, or (with checkDatabase) from any tab
+ */
+export const isCancellationRequested = async (jobId, { checkDatabase = false } = {}) => {
+  if (activeJobs.get(jobId)?.cancelRequested) return true;
+  if (!checkDatabase) return false;
+
+  const { data } = await supabase
+    .from(TABLES.PROCESSING_JOBS)
+    .select('status')
+    .eq('id', jobId)
+    .single();
+
+  return data?.status === JOB_STATUS.CANCELLING;
+};
+
+/**
+ * Give up on an unfinished job; its processing run is recorded as failed
+ */
+export const discardProcessingJob = async (job) => {
+  await updateProcessingJob(job.id, { status: JOB_STATUS.DISCARDED, completed_at: new Date().toISOString() });
+  if (job.run_id) {
+    await failProcessingRun(job.run_id, new Error('Processing job discarded'));
+  }
+  console.log(`🗑️ Processing job #${job.id} discarded`);
+};
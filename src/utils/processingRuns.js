@@ -0,0 +1,264 @@
+/**
+ * Processing run snapshots
+ * Each processAllCSVsFromSupabase run is recorded in bmw_processing_runs with the file
+ * revisions it read, summary totals and the metadata it produced. Because fact rows are
+ * retired rather than overwritten, the records of any completed run can be read back
+ * (queryFacts with runId), compared with another run, or pinned as the dashboard's data.
+ */
+
+import { supabase, TABLES } from './supabase.js';
+import { METRIC_FIELDS, getPeriod } from './recordSchema.js';
+import { BASE_METRICS, sumMetric, aggregateMetrics } from './metricDefinitions.js';
+import { queryFacts, getChangedFactPeriods, getRecordDimensionValue, SINGLE_DIMENSIONS } from './factTable.js';
+import { getMarketMonthKey } from './incrementalProcessing.js';
+import { BASE_CURRENCY, convertRecords, getMarketCurrency, indexFxRates } from './currency.js';
+import { getFxRates } from './fxRates.js';
+import { getMarketCurrencies } from './marketRegistry.js';
+
+// Differences smaller than this are floating point noise, not changed numbers
+const DIFF_TOLERANCE = 1e-9;
+
+/**
+ * Record the start of a processing run
+ * @param {Object} run - { groups: market-month file groups, force, triggeredBy }
+ * @returns {number} Run id
+ */
+export const startProcessingRun = async ({ groups, force = false, triggeredBy = null }) => {
+  const fileRevisions = Object.fromEntries(groups.flatMap(group => group.files).map(file => [
+    file.filename,
+    { revision: file.active_revision || 1, checksum: file.checksum || null }
+  ]));
+
+  const { data, error } = await supabase
+    .from(TABLES.PROCESSING_RUNS)
+    .insert({
+      status: 'running',
+      forced: force,
+      triggered_by: triggeredBy,
+      file_revisions: fileRevisions,
+      started_at: new Date().toISOString()
+    })
+    .select('id')
+    .single();
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  console.log(`🏁 Processing run #${data.id} started`);
+  return data.id;
+};
+
+/**
+ * Summary totals of the current records: base metrics per market-month (from the 'All'
+ * rows, costs in the market's currency) and across all of them (costs converted to EUR;
+ * market-months without an FX rate are listed in unconverted)
+ */
+const buildRunSummary = async () => {
+  const [totalRows, rates] = await Promise.all([queryFacts({ dimensions: ['All'] }), getFxRates()]);
+  const marketCurrencies = getMarketCurrencies();
+  const converted = convertRecords(totalRows, { reportingCurrency: BASE_CURRENCY, marketCurrencies, rateIndex: indexFxRates(rates) });
+
+  const rowsByMarketMonth = {};
+  totalRows.forEach(row => {
+    const key = getMarketMonthKey(row.country, row.year, row.month);
+    (rowsByMarketMonth[key] = rowsByMarketMonth[key] || []).push(row);
+  });
+
+  const summarize = (rows) => Object.fromEntries(BASE_METRICS.map(metric => [metric, sumMetric(rows, metric)]));
+
+  return {
+    market_months: Object.keys(rowsByMarketMonth).length,
+    currency: BASE_CURRENCY,
+    totals: summarize(converted.records),
+    unconverted: converted.missingRates,
+    by_market_month: Object.fromEntries(Object.entries(rowsByMarketMonth).map(([key, rows]) => [key, {
+      country: rows[0].country,
+      period: getPeriod(rows[0]),
+      currency: getMarketCurrency(rows[0].country, marketCurrencies),
+      ...summarize(rows)
+    }]))
+  };
+};
+
+/**
+ * Record a finished processing run with its summary and metadata
+ */
+export const completeProcessingRun = async (runId, { metadata, changedMarketMonths }) => {
+  const { error } = await supabase
+    .from(TABLES.PROCESSING_RUNS)
+    .update({
+      status: 'completed',
+      changed_market_months: changedMarketMonths,
+      summary: { records: metadata.total_records, ...(await buildRunSummary()) },
+      metadata,
+      completed_at: new Date().toISOString()
+    })
+    .eq('id', runId);
+
+  if (error) {
+    console.warn(`⚠️ Could not complete processing run #${runId}:`, error.message);
+  }
+};
+
+/**
+ * Record a processing run that stopped with an error
+ */
+export const failProcessingRun = async (runId, failure) => {
+  const { error } = await supabase
+    .from(TABLES.PROCESSING_RUNS)
+    .update({
+      status: 'failed',
+      error: failure.message,
+      completed_at: new Date().toISOString()
+    })
+    .eq('id', runId);
+
+  if (error) {
+    console.warn(`⚠️ Could not mark processing run #${runId} as failed:`, error.message);
+  }
+};
+
+/**
+ * Completed processing runs, newest first
+ */
+export const getProcessingRuns = async () => {
+  try {
+    const { data, error } = await supabase
+      .from(TABLES.PROCESSING_RUNS)
+      .select('*')
+      .eq('status', 'completed')
+      .order('id', { ascending: false });
+
+    if (error) {
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching processing runs:', error);
+    throw error;
+  }
+};
+
+/**
+ * The run the dashboard is pinned to, or null when it shows the current data
+ */
+export const getPinnedRun = async () => {
+  const { data, error } = await supabase
+    .from(TABLES.PROCESSING_RUNS)
+    .select('*')
+    .not('pinned_at', 'is', null)
+    .maybeSingle();
+
+  if (error) {
+    console.warn('⚠️ Could not load the pinned processing run:', error.message);
+    return null;
+  }
+
+  return data;
+};
+
+/**
+ * Pin the dashboard to a run's snapshot (replacing any earlier pin), or unpin it with null
+ */
+export const pinProcessingRun = async (runId) => {
+  const { error: unpinError } = await supabase
+    .from(TABLES.PROCESSING_RUNS)
+    .update({ pinned_at: null })
+    .not('pinned_at', 'is', null);
+
+  if (unpinError) {
+    throw new Error(`Database error: ${unpinError.message}`);
+  }
+
+  if (runId === null) {
+    console.log('📌 Dashboard unpinned, showing the current data');
+    return;
+  }
+
+  const { error } = await supabase
+    .from(TABLES.PROCESSING_RUNS)
+    .update({ pinned_at: new Date().toISOString() })
+    .eq('id', runId);
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  console.log(`📌 Dashboard pinned to processing run #${runId}`);
+};
+
+/**
+ * Metric records of a snapshot keyed by market, month, dimension and dimension value
+ */
+const indexSnapshot = (records, changedKeys) => {
+  const groups = {};
+  records
+    .filter(record => changedKeys.has(`${record.country}_${getPeriod(record)}`))
+    .forEach(record => {
+      const key = JSON.stringify([record.country, getPeriod(record), record.dimension, getRecordDimensionValue(record)]);
+      (groups[key] = groups[key] || []).push(record);
+    });
+
+  return Object.fromEntries(Object.entries(groups).map(([key, rows]) => [key, aggregateMetrics(rows)]));
+};
+
+/**
+ * Compare the snapshots of two runs by market, month, dimension and metric. Only the
+ * market-months reprocessed between the two runs are loaded.
+ * @param {Object} scope - Optional { markets, months } filters
+ * @returns {Array} { country, period, dimension, dimension_value, metric, before, after, change, status }
+ *   per differing metric, where status is 'added', 'removed' or 'changed'
+ */
+export const diffSnapshots = async (runA, runB, { markets = null, months = null } = {}) => {
+  const [fromRun, toRun] = [Math.min(runA, runB), Math.max(runA, runB)];
+
+  const changedPeriods = (await getChangedFactPeriods(fromRun, toRun))
+    .filter(({ country, period }) => (!markets || markets.includes(country)) && (!months || months.includes(period)));
+  if (changedPeriods.length === 0) {
+    return [];
+  }
+
+  const scope = {
+    markets: [...new Set(changedPeriods.map(period => period.country))],
+    months: [...new Set(changedPeriods.map(period => period.period))],
+    dimensions: SINGLE_DIMENSIONS
+  };
+  const [beforeRecords, afterRecords] = await Promise.all([
+    queryFacts({ ...scope, runId: fromRun }),
+    queryFacts({ ...scope, runId: toRun })
+  ]);
+
+  const changedKeys = new Set(changedPeriods.map(period => `${period.country}_${period.period}`));
+  const before = indexSnapshot(beforeRecords, changedKeys);
+  const after = indexSnapshot(afterRecords, changedKeys);
+
+  const differences = [];
+  [...new Set([...Object.keys(before), ...Object.keys(after)])].sort().forEach(key => {
+    const [country, period, dimension, dimensionValue] = JSON.parse(key);
+    const status = !before[key] ? 'added' : !after[key] ? 'removed' : 'changed';
+
+    METRIC_FIELDS.forEach(metric => {
+      const beforeValue = before[key]?.[metric] ?? null;
+      const afterValue = after[key]?.[metric] ?? null;
+      const isSame = beforeValue === afterValue ||
+        (beforeValue !== null && afterValue !== null && Math.abs(afterValue - beforeValue) <= DIFF_TOLERANCE * Math.max(1, Math.abs(beforeValue)));
+      if (isSame) return;
+
+      differences.push({
+        country,
+        period,
+        dimension,
+        dimension_value: dimensionValue,
+        metric,
+        before: beforeValue,
+        after: afterValue,
+        change: beforeValue !== null && afterValue !== null ? afterValue - beforeValue : null,
+        status
+      });
+    });
+  });
+
+  return differences;
+};
@@ -0,0 +1,84 @@
+/**
+ * Quality profile storage
+ * Profiles are kept in bmw_quality_profiles and loaded on start like the market registry;
+ * grading itself lives in qualityProfiles.js and dataQualityScorer.js.
+ */
+
+import { supabase, TABLES } from './supabase.js';
+import { getQualityProfiles, setQualityProfiles, validateQualityProfile, QUALITY_METRICS } from './qualityProfiles.js';
+
+/**
+ * Load the profiles from bmw_quality_profiles; the current profiles are kept when they cannot be read
+ * @returns {Array} Profiles, the default profile first
+ */
+export const loadQualityProfiles = async () => {
+  const { data, error } = await supabase
+    .from(TABLES.QUALITY_PROFILES)
+    .select('name, markets, metric_weights, excluded_metrics, warning_gap, critical_gap, is_default')
+    .order('name');
+
+  if (error) {
+    console.warn('⚠️ Could not load quality profiles, using the built-in profile:', error.message);
+    return getQualityProfiles();
+  }
+
+  setQualityProfiles(data);
+  console.log(`📏 Quality profiles loaded: ${getQualityProfiles().length} profiles`);
+  return getQualityProfiles();
+};
+
+/**
+ * Add or update a profile and reload the profiles. Coverage history already saved keeps
+ * the profile it was graded with until its month is processed again.
+ * @param {Object} profile - { name, markets, metric_weights, excluded_metrics, warning_gap, critical_gap, is_default }
+ * @returns {Array} Profiles
+ */
+export const saveQualityProfile = async (profile) => {
+  const name = (profile.name || '').trim();
+  const otherProfiles = getQualityProfiles().filter(other => other.name !== name);
+  const problems = validateQualityProfile({ ...profile, name }, otherProfiles);
+  if (problems.length > 0) {
+    throw new Error(`Invalid quality profile: ${problems.join('; ')}`);
+  }
+
+  const { error } = await supabase
+    .from(TABLES.QUALITY_PROFILES)
+    .upsert({
+      name,
+      markets: profile.is_default ? [] : [...new Set(profile.markets || [])].sort(),
+      metric_weights: Object.fromEntries(QUALITY_METRICS.map(metric => [metric, Number(profile.metric_weights[metric])])),
+      excluded_metrics: QUALITY_METRICS.filter(metric => (profile.excluded_metrics || []).includes(metric)),
+      warning_gap: Number(profile.warning_gap),
+      critical_gap: Number(profile.critical_gap),
+      is_default: !!profile.is_default
+    }, { onConflict: 'name' });
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  console.log(`📏 Saved quality profile ${name}`);
+  return loadQualityProfiles();
+};
+
+/**
+ * Delete a profile (its markets fall back to the default profile) and reload the profiles
+ * @returns {Array} Profiles
+ */
+export const deleteQualityProfile = async (name) => {
+  if (getQualityProfiles().find(profile => profile.name === name)?.is_default) {
+    throw new Error('The default quality profile cannot be deleted');
+  }
+
+  const { error } = await supabase
+    .from(TABLES.QUALITY_PROFILES)
+    .delete()
+    .eq('name', name);
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  console.log(`🗑️ Deleted quality profile ${name}`);
+  return loadQualityProfiles();
+};
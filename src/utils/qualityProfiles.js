@@ -0,0 +1,126 @@
+/**
+ * Quality profiles
+ * How dimension coverage is graded (see dataQualityScorer.js): the weight of each core
+ * metric, the metrics left out of the scores (e.g. IV in markets that never report it) and
+ * the coverage gaps above which a metric is a WARNING or CRITICAL. A market is graded with
+ * the profile listing it, or the default profile. Profiles are kept in bmw_quality_profiles
+ * (see qualityProfileStore.js); the profiles in use are set with setQualityProfiles (posted
+ * to the compute worker with the tasks that need them).
+ */
+
+// Core metrics compared between the "All" file and the dimension files
+export const QUALITY_METRICS = ['Media Cost', 'Impressions', 'Clicks', 'IV', 'NVWR'];
+
+// Mirrors the seed row of 020_create_quality_profiles.sql; weights are in percent
+export const DEFAULT_QUALITY_PROFILE = {
+  name: 'Default',
+  markets: [],
+  metric_weights: { 'Media Cost': 25, 'Impressions': 20, 'Clicks': 15, 'IV': 20, 'NVWR': 20 },
+  excluded_metrics: [],
+  warning_gap: 10,
+  critical_gap: 20,
+  is_default: true
+};
+
+let profiles = [DEFAULT_QUALITY_PROFILE];
+
+// Numeric columns arrive from Supabase as strings
+const normalizeProfile = (profile) => ({
+  ...profile,
+  markets: profile.markets || [],
+  metric_weights: profile.metric_weights || {},
+  excluded_metrics: profile.excluded_metrics || [],
+  warning_gap: Number(profile.warning_gap),
+  critical_gap: Number(profile.critical_gap)
+});
+
+/**
+ * Profiles in use, the default profile first
+ */
+export const getQualityProfiles = () => profiles;
+
+export const setQualityProfiles = (entries) => {
+  const normalized = (entries || []).map(normalizeProfile);
+  profiles = normalized.some(profile => profile.is_default)
+    ? [...normalized.filter(profile => profile.is_default), ...normalized.filter(profile => !profile.is_default)]
+    : [DEFAULT_QUALITY_PROFILE, ...normalized];
+};
+
+export const getDefaultQualityProfile = () => profiles[0];
+
+/**
+ * Profile a market is graded with
+ */
+export const getMarketQualityProfile = (marketCode) =>
+  profiles.find(profile => !profile.is_default && profile.markets.includes(marketCode)) || getDefaultQualityProfile();
+
+/**
+ * Profile several markets are graded with together: their shared profile, or the default
+ * profile when they use different ones
+ */
+export const getMarketsQualityProfile = (marketCodes) => {
+  const used = [...new Set(marketCodes.map(getMarketQualityProfile))];
+  return used.length === 1 ? used[0] : getDefaultQualityProfile();
+};
+
+/**
+ * Core metrics a profile scores
+ */
+export const getScoredMetrics = (profile) =>
+  QUALITY_METRICS.filter(metric => !profile.excluded_metrics.includes(metric));
+
+export const getMetricWeight = (profile, metric) => Number(profile.metric_weights[metric]) || 0;
+
+/**
+ * Severity of a metric's coverage gap (percent)
+ */
+export const getGapSeverity = (gap, profile) =>
+  gap > profile.critical_gap ? 'CRITICAL' : gap > profile.warning_gap ? 'WARNING' : 'OK';
+
+/**
+ * The grading settings of a profile, stored with the scores it produced
+ */
+export const getQualityProfileSnapshot = (profile) => ({
+  name: profile.name,
+  metric_weights: profile.metric_weights,
+  excluded_metrics: profile.excluded_metrics,
+  warning_gap: profile.warning_gap,
+  critical_gap: profile.critical_gap
+});
+
+/**
+ * Problems that keep a profile from being saved (empty when it is valid)
+ * @param {Object} profile - { name, markets, metric_weights, excluded_metrics, warning_gap, critical_gap, is_default }
+ * @param {Array} otherProfiles - The other configured profiles
+ */
+export const validateQualityProfile = (profile, otherProfiles = []) => {
+  const problems = [];
+  if (!(profile.name || '').trim()) {
+    problems.push('a name is required');
+  }
+
+  const weights = QUALITY_METRICS.map(metric => Number(profile.metric_weights?.[metric]));
+  if (weights.some(weight => !Number.isFinite(weight) || weight < 0)) {
+    problems.push('metric weights must be zero or more');
+  }
+  const scored = QUALITY_METRICS.filter(metric => !(profile.excluded_metrics || []).includes(metric));
+  if (!scored.some(metric => Number(profile.metric_weights?.[metric]) > 0)) {
+    problems.push('at least one scored metric needs a weight');
+  }
+
+  const warning = Number(profile.warning_gap);
+  const critical = Number(profile.critical_gap);
+  if (!(warning >= 0 && warning < critical && critical <= 100)) {
+    problems.push('thresholds need 0 ≤ warning gap < critical gap ≤ 100');
+  }
+
+  if (!profile.is_default) {
+    const taken = (profile.markets || []).filter(market =>
+      otherProfiles.some(other => other.markets.includes(market)));
+    if (taken.length > 0) {
+      problems.push(`${taken.join(', ')} ${taken.length === 1 ? 'is' : 'are'} already in another profile`);
+    }
+  }
+
+  return problems;
+};
@@ -0,0 +1,142 @@
+import { DIMENSION_FIELDS, METRIC_FIELDS, getMetric, getMetricValue, isUnmappedValue } from './recordSchema.js';
+import { getReportedFields } from './dimensionAliases.js';
+
+/**
+ * Unmapped-value reclassification
+ * Reclassification rules let the central team assign unmapped ("Not Mapped") values of a
+ * dimension to a value, e.g. "in ES, Channel Name rows with Media Cost under 500 are
+ * Programmatic". A rule applies to one market (or every market, market_code NULL) from its
+ * valid_from month on, optionally only to rows whose metric passes a condition. Rules run
+ * after the alias rules while a market-month is processed; market-specific rules are tried
+ * before rules for every market, oldest first. Records keep the id of the rule that
+ * reclassified each column in `reclassified`, so compliance can still be reported as
+ * delivered. Rules are stored in bmw_reclassification_rules (see reclassificationRules.js).
+ */
+
+export const CONDITION_OPERATORS = ['<', '<=', '>', '>='];
+
+const COMPARE = {
+  '<': (value, limit) => value < limit,
+  '<=': (value, limit) => value <= limit,
+  '>': (value, limit) => value > limit,
+  '>=': (value, limit) => value >= limit
+};
+
+/**
+ * 'YYYY-MM' month a rule applies from
+ */
+export const getValidFromPeriod = (rule) => (rule.valid_from || '').slice(0, 7);
+
+/**
+ * Problem with a reclassification rule, or null when it is valid
+ */
+export const validateReclassificationRule = (rule) => {
+  if (!DIMENSION_FIELDS.includes(rule.dimension)) return `Unknown dimension "${rule.dimension}"`;
+  if (!(rule.target_value || '').trim()) return 'Target value is required';
+  if (isUnmappedValue(rule.target_value)) return 'Target value cannot be an unmapped value';
+  if (!/^\d{4}-\d{2}$/.test(getValidFromPeriod(rule))) return 'Valid from must be a month (YYYY-MM)';
+  if (rule.condition_metric) {
+    if (!METRIC_FIELDS.includes(rule.condition_metric)) return `Unknown metric "${rule.condition_metric}"`;
+    if (!CONDITION_OPERATORS.includes(rule.condition_operator)) return `Unknown operator "${rule.condition_operator}"`;
+    if (rule.condition_value === '' || rule.condition_value === null || !Number.isFinite(Number(rule.condition_value))) {
+      return 'Condition value must be a number';
+    }
+  }
+  return null;
+};
+
+/**
+ * Readable condition of a rule, e.g. "Media Cost < 500" (null when it has none)
+ */
+export const describeCondition = (rule) =>
+  rule.condition_metric ? `${rule.condition_metric} ${rule.condition_operator} ${Number(rule.condition_value).toLocaleString()}` : null;
+
+/**
+ * Active, valid rules that apply to a market-month, in the order they are tried
+ */
+export const getApplicableRules = (rules, country, year, month) => {
+  const period = `${year}-${month.toString().padStart(2, '0')}`;
+
+  return rules
+    .filter(rule => rule.is_active !== false)
+    .filter(rule => !rule.market_code || rule.market_code === country)
+    .filter(rule => getValidFromPeriod(rule) <= period)
+    .filter(rule => {
+      const problem = validateReclassificationRule(rule);
+      if (problem) {
+        console.warn(`⚠️ Skipping reclassification rule ${rule.id}: ${problem}`);
+      }
+      return !problem;
+    })
+    .sort((a, b) => (a.market_code ? 0 : 1) - (b.market_code ? 0 : 1) || (a.id ?? 0) - (b.id ?? 0));
+};
+
+/**
+ * Stable description of the rules applying to a market-month; it is part of the
+ * market-month's processing fingerprint, so a rule change reprocesses the months it applies to
+ * @param {Array} rules - From getApplicableRules
+ */
+export const getReclassificationRulesFingerprint = (rules = []) => rules
+  .map(rule => [rule.id, rule.market_code || '*', rule.dimension, rule.condition_metric || '', rule.condition_operator || '',
+    rule.condition_metric ? Number(rule.condition_value) : '', rule.target_value, getValidFromPeriod(rule)].join('\u0001'))
+  .join('\n');
+
+const matchesCondition = (rule, record) => {
+  if (!rule.condition_metric) return true;
+  const value = getMetricValue(record, rule.condition_metric);
+  return value !== null && COMPARE[rule.condition_operator](value, Number(rule.condition_value));
+};
+
+/**
+ * Reclassify a record's unmapped dimension values
+ * @param {Array} rules - From getApplicableRules
+ * @returns {Object} The record, with `reclassified` holding the rule id per reclassified column
+ *   and `raw_values` the value it was delivered with
+ */
+export const applyReclassificationRules = (record, rules) => {
+  if (rules.length === 0) return record;
+
+  const reclassified = {};
+  const rawValues = {};
+  const updated = { ...record };
+
+  getReportedFields(record).forEach(field => {
+    if (!isUnmappedValue(record[field])) return;
+    const rule = rules.find(candidate => candidate.dimension === field && matchesCondition(candidate, record));
+    if (!rule) return;
+
+    updated[field] = rule.target_value.trim();
+    reclassified[field] = rule.id;
+    rawValues[field] = record.raw_values?.[field] ?? record[field] ?? '';
+  });
+
+  if (Object.keys(reclassified).length === 0) return record;
+  return { ...updated, reclassified, raw_values: { ...record.raw_values, ...rawValues } };
+};
+
+/**
+ * Whether a record's column was delivered unmapped and reclassified by a rule
+ */
+export const isReclassified = (record, field) => record.reclassified?.[field] !== undefined;
+
+/**
+ * What each rule reclassified in a market-month
+ * @param {Array} records - Single-dimension records after applyReclassificationRules (cross-dimension
+ *   records are left out, so spend is not counted once per dimension file)
+ * @returns {Array} { rule_id, dimension, target_value, record_count, media_cost, nvwr }
+ */
+export const summarizeReclassifications = (records) => {
+  const summary = new Map();
+
+  records.forEach(record => {
+    Object.entries(record.reclassified || {}).forEach(([field, ruleId]) => {
+      const entry = summary.get(ruleId) || { rule_id: ruleId, dimension: field, target_value: record[field], record_count: 0, media_cost: 0, nvwr: 0 };
+      entry.record_count++;
+      entry.media_cost += getMetric(record, 'Media Cost');
+      entry.nvwr += getMetric(record, 'NVWR');
+      summary.set(ruleId, entry);
+    });
+  });
+
+  return [...summary.values()];
+};
@@ -0,0 +1,173 @@
+/**
+ * Reclassification rules storage
+ * Rules are kept in bmw_reclassification_rules and what each rule reclassified, per
+ * market-month, in bmw_reclassification_log. Applying them lives in reclassification.js.
+ */
+
+import { supabase, TABLES } from './supabase.js';
+import { validateReclassificationRule, getApplicableRules } from './reclassification.js';
+import { getMarketMonthKey } from './incrementalProcessing.js';
+
+const toPeriodKey = (year, month) => `${year}-${month.toString().padStart(2, '0')}`;
+
+/**
+ * All stored reclassification rules (empty when they cannot be read, so processing goes on without them)
+ */
+export const getReclassificationRules = async () => {
+  const { data, error } = await supabase
+    .from(TABLES.RECLASSIFICATION_RULES)
+    .select('id, market_code, dimension, condition_metric, condition_operator, condition_value, target_value, valid_from, description, is_active')
+    .order('id');
+
+  if (error) {
+    console.warn('⚠️ Could not load reclassification rules, unmapped values will not be reclassified:', error.message);
+    return [];
+  }
+
+  return data || [];
+};
+
+/**
+ * Add or update a reclassification rule. It applies to market-months processed from now
+ * on; earlier months change when the rules are re-applied to history.
+ * @param {Object} rule - { id (when updating), market_code (null for every market), dimension,
+ *   condition_metric, condition_operator, condition_value, target_value, valid_from ('YYYY-MM'), description, is_active }
+ * @returns {Array} All stored rules
+ */
+export const saveReclassificationRule = async (rule) => {
+  const problem = validateReclassificationRule(rule);
+  if (problem) {
+    throw new Error(problem);
+  }
+
+  const hasCondition = !!rule.condition_metric;
+  const row = {
+    market_code: rule.market_code || null,
+    dimension: rule.dimension,
+    condition_metric: hasCondition ? rule.condition_metric : null,
+    condition_operator: hasCondition ? rule.condition_operator : null,
+    condition_value: hasCondition ? Number(rule.condition_value) : null,
+    target_value: rule.target_value.trim(),
+    valid_from: `${rule.valid_from.slice(0, 7)}-01`,
+    description: (rule.description || '').trim() || null,
+    is_active: rule.is_active ?? true
+  };
+
+  const { error } = rule.id
+    ? await supabase.from(TABLES.RECLASSIFICATION_RULES).update(row).eq('id', rule.id)
+    : await supabase.from(TABLES.RECLASSIFICATION_RULES).insert(row);
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  console.log(`🔀 Saved reclassification rule ${row.market_code || 'all markets'} ${row.dimension} → ${row.target_value}`);
+  return getReclassificationRules();
+};
+
+/**
+ * Delete a reclassification rule; the records it reclassified keep their value until the
+ * rules are re-applied to history
+ * @returns {Array} All stored rules
+ */
+export const deleteReclassificationRule = async (id) => {
+  const { error } = await supabase
+    .from(TABLES.RECLASSIFICATION_RULES)
+    .delete()
+    .eq('id', id);
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  return getReclassificationRules();
+};
+
+/**
+ * Replace what the rules reclassified in a market-month
+ * @param {Object} period - { country, year, month }
+ * @param {Array} reclassifications - From summarizeReclassifications
+ */
+export const replaceReclassificationLog = async ({ country, year, month }, reclassifications) => {
+  const { error: deleteError } = await supabase
+    .from(TABLES.RECLASSIFICATION_LOG)
+    .delete()
+    .eq('market_code', country)
+    .eq('year', year)
+    .eq('month', month);
+
+  if (deleteError) {
+    console.warn(`⚠️ Could not clear the reclassification log of ${country} ${toPeriodKey(year, month)}:`, deleteError.message);
+    return;
+  }
+
+  if (reclassifications.length === 0) return;
+
+  const { error } = await supabase
+    .from(TABLES.RECLASSIFICATION_LOG)
+    .insert(reclassifications.map(entry => ({ market_code: country, year, month, ...entry })));
+
+  if (error) {
+    console.warn(`⚠️ Could not save the reclassification log of ${country} ${toPeriodKey(year, month)}:`, error.message);
+  }
+};
+
+/**
+ * What each rule reclassified, by rule id
+ * @returns {Object} rule id → { record_count, nvwr, marketMonths: [{ market_code, period, record_count, media_cost, nvwr }] }
+ *   with the latest market-months first
+ */
+export const getReclassificationSummary = async () => {
+  const { data, error } = await supabase
+    .from(TABLES.RECLASSIFICATION_LOG)
+    .select('market_code, year, month, rule_id, record_count, media_cost, nvwr');
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  const summary = {};
+  (data || []).forEach(row => {
+    const entry = summary[row.rule_id] || { record_count: 0, nvwr: 0, marketMonths: [] };
+    entry.record_count += row.record_count;
+    entry.nvwr += parseFloat(row.nvwr) || 0;
+    entry.marketMonths.push({
+      market_code: row.market_code,
+      period: toPeriodKey(row.year, row.month),
+      record_count: row.record_count,
+      media_cost: parseFloat(row.media_cost) || 0,
+      nvwr: parseFloat(row.nvwr) || 0
+    });
+    summary[row.rule_id] = entry;
+  });
+
+  Object.values(summary).forEach(entry => {
+    entry.marketMonths.sort((a, b) => b.period.localeCompare(a.period) || a.market_code.localeCompare(b.market_code));
+  });
+
+  return summary;
+};
+
+/**
+ * Keys of the market-months re-applying the rules to history reprocesses: those a rule
+ * applies to now, and those a rule reclassified before (it may since have been changed or deleted)
+ * @param {Array} groups - Market-month groups from getUploadedFilesGrouped
+ */
+export const getReclassificationMarketMonths = async (groups) => {
+  const rules = await getReclassificationRules();
+  const { data, error } = await supabase
+    .from(TABLES.RECLASSIFICATION_LOG)
+    .select('market_code, year, month');
+
+  if (error) {
+    throw new Error(`Database error: ${error.message}`);
+  }
+
+  const reclassifiedKeys = new Set((data || []).map(row => getMarketMonthKey(row.market_code, row.year, row.month)));
+
+  return groups
+    .filter(group =>
+      reclassifiedKeys.has(getMarketMonthKey(group.country, group.year, group.month)) ||
+      getApplicableRules(rules, group.country, group.year, group.month).length > 0)
+    .map(group => getMarketMonthKey(group.country, group.year, group.month));
+};
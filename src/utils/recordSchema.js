@@ -0,0 +1,154 @@
+/**
+ * Canonical processed record schema
+ * Every record in bmw_processed_data uses the normalized CSV header names for its
+ * dimension and metric fields plus a fixed set of metadata fields. Utils and components
+ * read records through the accessors below instead of guessing key spellings, so
+ * records stored before the schema was settled (e.g. 'CP NVWR', 'Meta_Leads') keep working.
+ */
+
+import { resolveMarket } from './marketResolver.js';
+import { DIMENSION_REGISTRY, BREAKDOWN_DIMENSIONS } from './dimensionRegistry.js';
+
+// Dimension file → the column it breaks down by ('All' has none), from the dimension registry
+export const DIMENSION_COLUMNS = Object.fromEntries(DIMENSION_REGISTRY.map(entry => [entry.dimension, entry.column]));
+
+export const DIMENSION_FIELDS = Object.values(DIMENSION_COLUMNS).filter(Boolean);
+
+export const METRIC_FIELDS = [
+  'Media Cost', 'Impressions', 'CPM', 'Clicks', 'CTR', 'CPC', 'IV', 'CP IV', 'Entry Rate',
+  'NVWR', 'Cp NVWR', 'CVR', 'DCS (pre) Order', 'CP DCS (pre) Order', 'Meta Leads', 'Cp lead Forms'
+];
+
+export const METADATA_FIELDS = ['file_source', 'country', 'dimension', 'year', 'month'];
+
+export const NOT_MAPPED = 'Not Mapped';
+
+// Cell values meaning "not delivered" rather than zero
+const MISSING_NUMERIC_VALUES = ['', 'nan', 'null', 'n/a', 'na', '-'];
+
+// Spellings found in older stored records and ad-hoc consumers, per canonical field
+// (dimension spellings come from the dimension registry)
+const FIELD_ALIASES = {
+  ...Object.fromEntries(BREAKDOWN_DIMENSIONS.map(entry => [entry.column, entry.aliases])),
+  'Media Cost': ['media_cost', 'spend'],
+  'Impressions': ['impressions'],
+  'Clicks': ['clicks'],
+  'IV': ['iv'],
+  'NVWR': ['nvwr'],
+  'Cp NVWR': ['CP NVWR'],
+  'DCS (pre) Order': ['DCS_Orders', 'dcs_orders'],
+  'Meta Leads': ['Meta_Leads'],
+  'Cp lead Forms': ['CP Lead Forms']
+};
+
+const hasValue = (value) => value !== undefined && value !== null && value !== '';
+
+/**
+ * Read a field by its canonical name, falling back to known alias spellings
+ */
+export const getField = (row, field) => {
+  if (!row) return undefined;
+  if (hasValue(row[field])) return row[field];
+  const alias = (FIELD_ALIASES[field] || []).find(key => hasValue(row[key]));
+  return alias ? row[alias] : row[field];
+};
+
+/**
+ * Check whether a cell marks a metric as not delivered ('', 'NaN', 'n/a', …)
+ */
+export const isUnreportedValue = (value) =>
+  value === undefined || value === null || MISSING_NUMERIC_VALUES.includes(value.toString().trim().toLowerCase());
+
+/**
+ * Parse a numeric cell, keeping null for values that were not delivered
+ * ('', 'NaN', 'n/a', …). Handles exponent notation such as '2.5457842E8'.
+ * @returns {number|null}
+ */
+export const parseNumericValue = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (isUnreportedValue(value)) return null;
+
+  const number = Number(value.toString().trim());
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Numeric value of a metric field, or null when the metric was not reported
+ */
+export const getMetricValue = (row, metric) => parseNumericValue(getField(row, metric));
+
+/**
+ * Numeric value of a metric field (0 when missing or unparseable)
+ */
+export const getMetric = (row, metric) => getMetricValue(row, metric) ?? 0;
+
+/**
+ * Sum a metric over rows, counting unreported values as 0
+ */
+export const sumMetricValues = (rows, metric) => rows.reduce((sum, row) => sum + getMetric(row, metric), 0);
+
+/**
+ * Trimmed value of a dimension column, or '' when the row does not carry it
+ */
+export const getDimensionValue = (row, field) => {
+  const value = getField(row, field);
+  return value === undefined || value === null ? '' : value.toString().trim();
+};
+
+/**
+ * Check whether a dimension value is missing or a "not mapped" placeholder
+ */
+export const isUnmappedValue = (value) => !value || value.toString().trim() === '' || value.toString().toLowerCase().includes('not mapped');
+
+/**
+ * Dimension file the record came from (All, CampaignType, …)
+ */
+export const getDimension = (row) => row?.dimension || null;
+
+/**
+ * Two-letter market code (see marketResolver for the resolution order)
+ */
+export const getMarket = (row) => resolveMarket(row);
+
+/**
+ * Reporting period as 'YYYY-MM', or null when the record has no period
+ */
+export const getPeriod = (row) => {
+  if (!row || !row.year || !row.month) return null;
+  return `${row.year}-${row.month.toString().padStart(2, '0')}`;
+};
+
+/**
+ * Records carrying a given dimension column without double counting.
+ * Each dimension file repeats the market total, so breakdowns by a column must use the
+ * rows of that column's file, and totals (field null) the 'All' rows. Records without
+ * dimension metadata are returned unchanged.
+ */
+export const selectRowsForField = (rows, field = null) => {
+  if (!rows || rows.length === 0) return [];
+  if (!rows.some(row => row.dimension)) return rows;
+  const dimension = Object.keys(DIMENSION_COLUMNS).find(key => DIMENSION_COLUMNS[key] === field);
+  return rows.filter(row => row.dimension === dimension);
+};
+
+/**
+ * Build a canonical record from a normalized CSV row and its file metadata
+ */
+export const toCanonicalRecord = (row, defaults = {}) => {
+  const record = { Country: row.Country || defaults.country };
+
+  DIMENSION_FIELDS.forEach(field => {
+    record[field] = getDimensionValue(row, field) || NOT_MAPPED;
+  });
+
+  // Unreported metrics stay null so aggregations can skip them instead of averaging in zeros
+  METRIC_FIELDS.forEach(metric => {
+    record[metric] = getMetricValue(row, metric);
+  });
+
+  METADATA_FIELDS.forEach(field => {
+    record[field] = row[field];
+  });
+
+  return record;
+};
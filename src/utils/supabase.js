@@ -24,11 +24,27 @@ export const STORAGE_BUCKET = 'bmw-csv-files';
 // Database table names
 export const TABLES = {
   FILES: 'bmw_files',
+  FILE_REVISIONS: 'bmw_file_revisions',
   PROCESSED_DATA: 'bmw_processed_data',
+  FACT_METRICS: 'bmw_fact_metrics',
+  FACT_PERIODS: 'bmw_fact_periods',
   METADATA: 'bmw_metadata',
   COMPLIANCE_HISTORY: 'bmw_compliance_history',
   KPI_HISTORY: 'bmw_kpi_history',
-  DIMENSION_COVERAGE_HISTORY: 'bmw_dimension_coverage_history'
+  DIMENSION_COVERAGE_HISTORY: 'bmw_dimension_coverage_history',
+  PROCESSING_STATE: 'bmw_processing_state',
+  PROCESSING_RUNS: 'bmw_processing_runs',
+  PROCESSING_JOBS: 'bmw_processing_jobs',
+  MARKETS: 'bmw_markets',
+  MARKET_GROUPS: 'bmw_market_groups',
+  DIMENSION_ALIAS_RULES: 'bmw_dimension_alias_rules',
+  UNMATCHED_DIMENSION_VALUES: 'bmw_unmatched_dimension_values',
+  MODEL_HIERARCHY: 'bmw_model_hierarchy',
+  RECLASSIFICATION_RULES: 'bmw_reclassification_rules',
+  RECLASSIFICATION_LOG: 'bmw_reclassification_log',
+  KPI_ANOMALIES: 'bmw_kpi_anomalies',
+  QUALITY_PROFILES: 'bmw_quality_profiles',
+  FX_RATES: 'bmw_fx_rates'
 };
 
 // Initialize storage bucket if it doesn't exist
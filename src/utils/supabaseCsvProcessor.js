@@ -1,184 +1,175 @@
-import Papa from 'papaparse';
 import { supabase, STORAGE_BUCKET, TABLES } from './supabase.js';
+import { runComputeTask } from './computeClient.js';
 import { processAllMonthsCompliance } from './autoComplianceProcessor.js';
 import { processAllMonthsKPI } from './autoKPIProcessor.js';
+import { processMarketGroupHistory } from './autoGroupProcessor.js';
+import { processKPIAnomalies } from './kpiAnomalies.js';
+import { toCanonicalRecord } from './recordSchema.js';
+import { parseMarketFilename } from './marketResolver.js';
+import { isRegisteredMarket, getExpectedDimensions } from './marketRegistry.js';
+import { recomputeRatios, findRatioMismatches } from './metricDefinitions.js';
+import { isWorkbookFile, splitWorkbook } from './workbookImporter.js';
+import { getMarketMonthKey, planIncrementalRun, saveProcessingState, removeProcessingState } from './incrementalProcessing.js';
+import { replaceMarketMonthFacts, retireMarketMonthFacts, queryFacts, SINGLE_DIMENSIONS } from './factTable.js';
+import { startProcessingRun, completeProcessingRun } from './processingRuns.js';
+import { JOB_STATUS, createJobRecord, getProcessingJob, getUnfinishedProcessingJob, updateProcessingJob, startJobInTab, endJobInTab, isCancellationRequested } from './processingJobs.js';
+import { computeChecksum, getRevisionFilePath, getNextRevisionNumber, recordFileRevision, getRevisionFilePaths } from './fileRevisions.js';
+import { LEGACY_DIMENSION, CROSS_DIMENSION, extractLegacyFileInfo, preferNativeDimensionRows } from './legacyImporter.js';
+import { compileAliasRules, applyAliasRules, collectUnmatchedValues, getAliasRulesFingerprint } from './dimensionAliases.js';
+import { getAliasRules, replaceUnmatchedValues } from './aliasRules.js';
+import { getApplicableRules, applyReclassificationRules, summarizeReclassifications } from './reclassification.js';
+import { getReclassificationRules, replaceReclassificationLog, getReclassificationMarketMonths } from './reclassificationRules.js';
+import { getDimensionByToken, QUALITY_DIMENSIONS } from './dimensionRegistry.js';
+import { getQualityProfiles } from './qualityProfiles.js';
 
-// Expected columns for BMW data validation - now varies by dimension
-const expectedColumnsByDimension = {
-  'All': [
-    'Country', 'Media Cost', 'Impressions', 'CPM', 'Clicks', 'CTR', 'CPC', 'IV', 'CP IV',
-    'Entry Rate', 'NVWR', 'Cp NVWR', 'CVR', 'DCS (pre) Order', 'CP DCS (pre) Order', 'Meta Leads', 'Cp lead Forms'
-  ],
-  'CampaignType': [
-    'Country', 'Campaign Type', 'Media Cost', 'Impressions', 'CPM', 'Clicks', 'CTR', 'CPC', 'IV', 'CP IV',
-    'Entry Rate', 'NVWR', 'Cp NVWR', 'CVR', 'DCS (pre) Order', 'CP DCS (pre) Order', 'Meta Leads', 'Cp lead Forms'
-  ],
-  'ChannelType': [
-    'Country', 'Channel Type', 'Media Cost', 'Impressions', 'CPM', 'Clicks', 'CTR', 'CPC', 'IV', 'CP IV',
-    'Entry Rate', 'NVWR', 'Cp NVWR', 'CVR', 'DCS (pre) Order', 'CP DCS (pre) Order', 'Meta Leads', 'Cp lead Forms'
-  ],
-  'ChannelName': [
-    'Country', 'Channel Name', 'Media Cost', 'Impressions', 'CPM', 'Clicks', 'CTR', 'CPC', 'IV', 'CP IV',
-    'Entry Rate', 'NVWR', 'Cp NVWR', 'CVR', 'DCS (pre) Order', 'CP DCS (pre) Order', 'Meta Leads', 'Cp lead Forms'
-  ],
-  'Phase': [
-    'Country', 'Phase', 'Media Cost', 'Impressions', 'CPM', 'Clicks', 'CTR', 'CPC', 'IV', 'CP IV',
-    'Entry Rate', 'NVWR', 'Cp NVWR', 'CVR', 'DCS (pre) Order', 'CP DCS (pre) Order', 'Meta Leads', 'Cp lead Forms'
-  ],
-  'Model': [
-    'Country', 'Model', 'Media Cost', 'Impressions', 'CPM', 'Clicks', 'CTR', 'CPC', 'IV', 'CP IV',
-    'Entry Rate', 'NVWR', 'Cp NVWR', 'CVR', 'DCS (pre) Order', 'CP DCS (pre) Order', 'Meta Leads', 'Cp lead Forms'
-  ]
+/**
+ * Extract file info from new naming convention
+ * Expected format: BMW_[COUNTRY]_[DIMENSION]_[YEAR]_[MONTH].csv
+ * Examples: BMW_FR_All_2025_07.csv, BMW_FR_CampaignType_2025_07.csv
+ * Legacy single-file exports (BMW_[COUNTRY]_[YEAR]_[MONTH].csv) are recognised with dimension 'Legacy'
+ * Returns null for markets that are not in the market registry and dimension tokens that
+ * are not in the dimension registry
+ */
+export const extractFileInfo = (filename) => {
+  const parsed = parseMarketFilename(filename);
+  if (parsed && !isRegisteredMarket(parsed.market)) {
+    return null;
+  }
+  if (parsed?.scheme === 'split') {
+    const entry = getDimensionByToken(parsed.dimension);
+    if (!entry) return null;
+    return {
+      country: parsed.market,
+      dimension: entry.dimension,
+      year: parsed.year,
+      month: parsed.month,
+      monthName: new Date(parsed.year, parsed.month - 1).toLocaleString('default', { month: 'long' })
+    };
+  }
+  return extractLegacyFileInfo(filename);
 };
 
-// Columns that can be missing – optional metrics we rarely have
-const optionalColumns = ['CP DCS (pre) Order', 'DCS (pre) Order', 'Meta Leads', 'Cp lead Forms'];
-
-// Alternative column names that should be accepted
-const alternativeColumns = {
-    'Meta_Leads': 'Meta Leads',  // Handle underscore vs space
-    'CP NVWR': 'Cp NVWR',        // Handle case variations
-    'CP Lead Forms': 'Cp lead Forms',  // Handle case variations
-    'Model ': 'Model',            // Handle trailing space
-    'COUNTRY': 'Country',        // Handle uppercase country column
-    'country': 'Country'         // Handle lowercase country column
-  };
-
-// Columns that should be ignored
-const ignoredColumns = [
-  'Line Item (Free Field)',
-  'Campaign Detail (Free Field)'
-];
-
 /**
- * Validate CSV structure against expected columns for the specific dimension
+ * Why extractFileInfo rejects a filename
  */
-export const validateCSVStructure = (data, dimension) => {
-  if (data.length === 0) {
-    const expectedColumns = expectedColumnsByDimension[dimension] || [];
-    return { isValid: false, missingColumns: expectedColumns, headers: [] };
+export const getFilenameError = (filename) => {
+  const parsed = parseMarketFilename(filename);
+  if (parsed && !isRegisteredMarket(parsed.market)) {
+    return `Unknown market ${parsed.market} (add it to the market registry)`;
   }
-  
-  const headers = Object.keys(data[0]);
-  
-  // Filter out ignored columns and normalize the rest
-  const filteredHeaders = headers.filter(header => !ignoredColumns.includes(header));
-  
-  const normalizedHeaders = filteredHeaders.map(header => {
-    return alternativeColumns[header] || header;
-  });
-  
-      const expectedColumns = expectedColumnsByDimension[dimension] || [];
-    // Treat 'Country' column as optional since country code is taken from filename
-    const requiredColumns = expectedColumns.filter(col => col !== 'Country' && !optionalColumns.includes(col));
-    const missingRequiredColumns = requiredColumns.filter(col => !normalizedHeaders.includes(col));
-  
-  return {
-    isValid: missingRequiredColumns.length === 0,
-    missingColumns: missingRequiredColumns,
-    headers: normalizedHeaders,
-    originalHeaders: headers,
-    dimension: dimension
-  };
+  if (parsed?.scheme === 'split' && !getDimensionByToken(parsed.dimension)) {
+    return `Unknown dimension ${parsed.dimension} (add it to the dimension registry)`;
+  }
+  return 'Invalid filename format';
 };
 
 /**
- * Extract file info from new naming convention
- * Expected format: BMW_[COUNTRY]_[DIMENSION]_[YEAR]_[MONTH].csv
- * Examples: BMW_FR_All_2025_07.csv, BMW_FR_CampaignType_2025_07.csv
+ * Upload an Excel workbook: the original is kept in storage for auditing and each
+ * dimension sheet is uploaded as the CSV file it corresponds to
+ * @param {Object} options - uploadFileToSupabase options; sheets limits the upload to these
+ *   sheet CSV filenames (the sheets that passed the preflight)
  */
-export const extractFileInfo = (filename) => {
-  const match = filename.match(/BMW_([A-Z]{2})_([A-Za-z]+)_(\d{4})_(\d{2})\.csv/);
-  if (match) {
-    return {
-      country: match[1],
-      dimension: match[2],
-      year: parseInt(match[3]),
-      month: parseInt(match[4]),
-      monthName: new Date(parseInt(match[3]), parseInt(match[4]) - 1).toLocaleString('default', { month: 'long' })
-    };
+const uploadWorkbookToSupabase = async (file, { sheets, ...options }) => {
+  const fileInfo = extractFileInfo(file.name);
+  if (!fileInfo) {
+    throw new Error(`${getFilenameError(file.name)}: ${file.name}`);
+  }
+
+  const split = await splitWorkbook(file);
+  const files = sheets ? split.files.filter(entry => sheets.includes(entry.file.name)) : split.files;
+  const skippedSheets = [
+    ...split.skippedSheets,
+    ...split.files.filter(entry => !files.includes(entry)).map(entry => ({ sheetName: entry.sheetName, reason: 'Did not pass the upload preflight' }))
+  ];
+  if (files.length === 0) {
+    throw new Error(`No dimension sheets found in workbook ${file.name}`);
+  }
+
+  // Keep the original workbook next to the files derived from it; the checksum folder keeps
+  // the workbook behind every earlier revision of its sheets
+  const checksum = await computeChecksum(file);
+  const workbookPath = `${fileInfo.country}/Workbook/${fileInfo.year}/${checksum.slice(0, 12)}/${file.name}`;
+  const { error: uploadError } = await supabase.storage
+    .from(STORAGE_BUCKET)
+    .upload(workbookPath, file, {
+      cacheControl: '3600',
+      upsert: true
+    });
+
+  if (uploadError) {
+    throw new Error(`Storage upload error: ${uploadError.message}`);
   }
-  return null;
+
+  const fileRecords = [];
+  for (const { file: sheetFile } of files) {
+    const result = await uploadFileToSupabase(sheetFile, { ...options, sourceFilePath: workbookPath });
+    fileRecords.push(result.fileRecord);
+  }
+
+  console.log(`✅ Workbook uploaded successfully: ${file.name} (${fileRecords.length} dimension files)`);
+  return {
+    success: true,
+    message: `Workbook uploaded as ${fileRecords.length} dimension files`,
+    fileRecord: fileRecords[0],
+    fileRecords,
+    skippedSheets
+  };
 };
 
 /**
  * Upload file to Supabase Storage
+ * CSV files are stored as-is; .xlsx workbooks are split into one CSV per dimension sheet
+ * Re-uploading a filename with different contents stores a new revision and makes it active;
+ * identical contents are skipped
+ * @param {File} file - CSV file or workbook
+ * @param {Object} options - Optional { uploadedBy, sourceFilePath (workbook a CSV was extracted from),
+ *   sheets (workbooks: sheet CSV filenames to upload, default all) }
  */
-export const uploadFileToSupabase = async (file) => {
+export const uploadFileToSupabase = async (file, options = {}) => {
   try {
+    if (isWorkbookFile(file.name)) {
+      return await uploadWorkbookToSupabase(file, options);
+    }
+
     console.log(`📤 Uploading file: ${file.name}`);
     
     // Extract file info
     const fileInfo = extractFileInfo(file.name);
     if (!fileInfo) {
-      throw new Error(`Invalid filename format: ${file.name}`);
+      throw new Error(`${getFilenameError(file.name)}: ${file.name}`);
     }
 
+    const checksum = await computeChecksum(file);
+
     // Check if file already exists in database
     const { data: existingFile } = await supabase
       .from(TABLES.FILES)
-      .select('id, filename')
+      .select('*')
       .eq('filename', file.name)
-      .single();
+      .maybeSingle();
 
-    if (existingFile) {
-      console.log(`⚠️ File ${file.name} already exists in database, skipping upload`);
+    if (existingFile?.checksum === checksum) {
+      console.log(`⚠️ File ${file.name} is identical to revision ${existingFile.active_revision}, skipping upload`);
       return {
         success: true,
-        message: 'File already exists',
+        message: 'File unchanged',
         fileRecord: existingFile
       };
     }
 
-    // Create file path for storage
-    const filePath = `${fileInfo.country}/${fileInfo.dimension}/${fileInfo.year}/${file.name}`;
+    // A re-delivery becomes the next revision; earlier revisions stay in storage
+    const revision = existingFile ? await getNextRevisionNumber(existingFile.id) : 1;
+    const filePath = getRevisionFilePath(fileInfo, file.name, revision);
     
-    // Upload file to Supabase Storage
-    const { data: uploadData, error: uploadError } = await supabase.storage
+    // Upload file to Supabase Storage (each revision has its own path)
+    const { error: uploadError } = await supabase.storage
       .from(STORAGE_BUCKET)
       .upload(filePath, file, {
         cacheControl: '3600',
-        upsert: false // Don't overwrite existing files
+        upsert: true
       });
 
     if (uploadError) {
-      if (uploadError.message.includes('already exists')) {
-        console.log(`⚠️ File ${file.name} already exists in storage, skipping upload`);
-        // Get the existing file URL
-        const { data: urlData } = supabase.storage
-          .from(STORAGE_BUCKET)
-          .getPublicUrl(filePath);
-        
-        const fileRecord = {
-          filename: file.name,
-          file_path: filePath,
-          file_url: urlData.publicUrl,
-          file_size: file.size,
-          country: fileInfo.country,
-          dimension: fileInfo.dimension,
-          year: fileInfo.year,
-          month: fileInfo.month,
-          month_name: fileInfo.monthName,
-          status: 'uploaded'
-        };
-
-        // Insert into database
-        const { data: dbData, error: dbError } = await supabase
-          .from(TABLES.FILES)
-          .insert(fileRecord)
-          .select()
-          .single();
-
-        if (dbError) {
-          throw new Error(`Database error: ${dbError.message}`);
-        }
-
-        return {
-          success: true,
-          message: 'File already existed in storage, added to database',
-          fileRecord: dbData
-        };
-      }
       throw new Error(`Storage upload error: ${uploadError.message}`);
     }
 
@@ -187,35 +178,50 @@ export const uploadFileToSupabase = async (file) => {
       .from(STORAGE_BUCKET)
       .getPublicUrl(filePath);
 
-    // Create file record for database
-    const fileRecord = {
-      filename: file.name,
+    // bmw_files mirrors the active revision
+    const revisionFields = {
       file_path: filePath,
       file_url: urlData.publicUrl,
       file_size: file.size,
-      country: fileInfo.country,
-      dimension: fileInfo.dimension,
-      year: fileInfo.year,
-      month: fileInfo.month,
-      month_name: fileInfo.monthName,
+      checksum,
+      uploaded_by: options.uploadedBy || null,
+      source_file_path: options.sourceFilePath || null,
+      uploaded_at: new Date().toISOString(),
+      active_revision: revision,
       status: 'uploaded'
     };
 
-    // Insert file record into database
-    const { data: dbData, error: dbError } = await supabase
-      .from(TABLES.FILES)
-      .insert(fileRecord)
-      .select()
-      .single();
+    const { data: dbData, error: dbError } = existingFile
+      ? await supabase
+        .from(TABLES.FILES)
+        .update(revisionFields)
+        .eq('id', existingFile.id)
+        .select()
+        .single()
+      : await supabase
+        .from(TABLES.FILES)
+        .insert({
+          filename: file.name,
+          country: fileInfo.country,
+          dimension: fileInfo.dimension,
+          year: fileInfo.year,
+          month: fileInfo.month,
+          month_name: fileInfo.monthName,
+          ...revisionFields
+        })
+        .select()
+        .single();
 
     if (dbError) {
       throw new Error(`Database error: ${dbError.message}`);
     }
 
-    console.log(`✅ File uploaded successfully: ${file.name}`);
+    await recordFileRevision(dbData, revision);
+
+    console.log(`✅ File uploaded successfully: ${file.name} (revision ${revision})`);
     return {
       success: true,
-      message: 'File uploaded successfully',
+      message: revision > 1 ? `File uploaded as revision ${revision}` : 'File uploaded successfully',
       fileRecord: dbData
     };
 
@@ -239,93 +245,62 @@ export const processCSVFileFromSupabase = async (fileRecord) => {
       throw downloadError;
     }
 
-    // Convert to text
-    const fileText = await fileData.text();
-
-    // Parse CSV
-    return new Promise((resolve, reject) => {
-      Papa.parse(fileText, {
-        header: true,
-        skipEmptyLines: true,
-        complete: (results) => {
-          try {
-            // Validate structure
-            const validation = validateCSVStructure(results.data, fileRecord.dimension);
-            console.log(`🔍 Validating ${fileRecord.filename}:`, {
-              originalHeaders: validation.originalHeaders,
-              normalizedHeaders: validation.headers,
-              missingColumns: validation.missingColumns,
-              isValid: validation.isValid,
-              dimension: validation.dimension
-            });
-            
-            if (!validation.isValid) {
-              resolve({
-                filename: fileRecord.filename,
-                status: 'error',
-                message: `Invalid CSV structure for dimension ${validation.dimension}. Missing columns: ${validation.missingColumns.join(', ')}`,
-                data: null,
-                fileInfo: null
-              });
-              return;
-            }
-
-            // Process data with normalized column names
-            const processedData = results.data.map(row => {
-              const normalizedRow = {};
-              
-              // Normalize column names
-              Object.keys(row).forEach(key => {
-                const normalizedKey = alternativeColumns[key] || key;
-                normalizedRow[normalizedKey] = row[key];
-              });
-              
-              // Add file metadata
-              return {
-                ...normalizedRow,
-                file_source: fileRecord.filename,
-                country: fileRecord.country,
-                dimension: fileRecord.dimension,
-                year: fileRecord.year,
-                month: fileRecord.month
-              };
-            });
-
-            resolve({
-              filename: fileRecord.filename,
-              status: 'success',
-              message: `Successfully processed ${processedData.length} records for dimension ${fileRecord.dimension}`,
-              data: processedData,
-              fileInfo: {
-                country: fileRecord.country,
-                dimension: fileRecord.dimension,
-                year: fileRecord.year,
-                month: fileRecord.month,
-                monthName: fileRecord.month_name,
-                recordCount: processedData.length
-              }
-            });
-          } catch (error) {
-            resolve({
-              filename: fileRecord.filename,
-              status: 'error',
-              message: `Processing failed: ${error.message}`,
-              data: null,
-              fileInfo: null
-            });
-          }
-        },
-        error: (error) => {
-          resolve({
-            filename: fileRecord.filename,
-            status: 'error',
-            message: `CSV parsing failed: ${error.message}`,
-            data: null,
-            fileInfo: null
-          });
-        }
-      });
+    // Parse in chunks in the compute worker: headers are validated on the first chunk
+    // and rows are normalized (legacy rows aggregated) as they stream in
+    const parsed = await runComputeTask('parseFileStream', [fileData, fileRecord]);
+    console.log(`🔍 Validating ${fileRecord.filename}:`, {
+      originalHeaders: parsed.validation?.originalHeaders,
+      normalizedHeaders: parsed.validation?.headers,
+      missingColumns: parsed.validation?.missingColumns,
+      isValid: parsed.validation?.isValid,
+      dimension: fileRecord.dimension
     });
+
+    if (parsed.status !== 'success') {
+      return {
+        filename: fileRecord.filename,
+        status: 'error',
+        message: parsed.message,
+        data: null,
+        fileInfo: null
+      };
+    }
+
+    if (parsed.rowErrorCount > 0) {
+      console.warn(`⚠️ ${fileRecord.filename}: ${parsed.rowErrorCount} row errors`, parsed.rowErrors.slice(0, 5).map(error => `line ${error.line}: ${error.message}`));
+    }
+
+    const fileInfo = {
+      country: fileRecord.country,
+      dimension: fileRecord.dimension,
+      year: fileRecord.year,
+      month: fileRecord.month,
+      monthName: fileRecord.month_name,
+      recordCount: parsed.data.length,
+      rowErrors: parsed.rowErrors,
+      rowErrorCount: parsed.rowErrorCount
+    };
+
+    // Legacy files are exploded into the six dimension views by aggregation,
+    // and their full cross-dimensional grain is kept alongside for pivots
+    if (fileRecord.dimension === LEGACY_DIMENSION) {
+      return {
+        filename: fileRecord.filename,
+        status: 'success',
+        message: `Successfully derived ${parsed.data.length} dimension records from ${parsed.rowCount} legacy rows`,
+        data: parsed.data,
+        crossData: parsed.crossData,
+        fileInfo: { ...fileInfo, sourceRowCount: parsed.rowCount }
+      };
+    }
+
+    return {
+      filename: fileRecord.filename,
+      status: 'success',
+      message: `Successfully processed ${parsed.data.length} records for dimension ${fileRecord.dimension}`,
+      data: parsed.data,
+      fileInfo
+    };
   } catch (error) {
     console.error('Error processing CSV file from Supabase:', error);
     throw error;
@@ -392,25 +367,47 @@ export const getUploadedFilesGrouped = async () => {
 
 /**
  * Process all dimension files for a specific market and month
+ * @param {Object} options - { onFileProgress({ fileIndex, fileCount, dimension }), shouldStop(): stop before the next file }
+ * @returns {Object} Combined records, the dimension values no alias rule matched, what the
+ *   reclassification rules reclassified and metadata, or { cancelled: true } when stopped
  */
-export const processMarketMonthFiles = async (marketMonthGroup) => {
+export const processMarketMonthFiles = async (marketMonthGroup, { onFileProgress, shouldStop } = {}) => {
   try {
     const { country, year, month, files } = marketMonthGroup;
     console.log(`🔄 Processing ${country} ${year}-${month.toString().padStart(2, '0')} with ${files.length} dimension files`);
 
+    // Unmapped values are reclassified after the alias rules normalized them
+    const aliasRules = compileAliasRules(await getAliasRules());
+    const reclassificationRules = getApplicableRules(await getReclassificationRules(), country, year, month);
+
     const results = [];
-    let allData = [];
+    const nativeData = [];
+    const legacyData = [];
+    const combinedCrossData = [];
     let successCount = 0;
     let errorCount = 0;
 
     // Process each dimension file
-    for (const fileRecord of files) {
+    for (const [index, fileRecord] of files.entries()) {
+      if (shouldStop && await shouldStop()) {
+        return { cancelled: true };
+      }
+      if (onFileProgress) {
+        await onFileProgress({ fileIndex: index + 1, fileCount: files.length, dimension: fileRecord.dimension });
+      }
+
       try {
-        const result = await processCSVFileFromSupabase(fileRecord);
+        const { data, crossData, ...result } = await processCSVFileFromSupabase(fileRecord);
         results.push(result);
         
+        // Each file's rows are combined as soon as it is parsed, so only one file's parsed
+        // rows are held at a time
         if (result.status === 'success') {
-          allData = [...allData, ...result.data];
+          appendRows(fileRecord.dimension === LEGACY_DIMENSION ? legacyData : nativeData,
+            combineDimensionData(data, country, year, month, aliasRules, reclassificationRules));
+          if (crossData) {
+            appendRows(combinedCrossData, combineDimensionData(crossData, country, year, month, aliasRules, reclassificationRules));
+          }
           successCount++;
         } else {
           errorCount++;
@@ -427,12 +424,15 @@ export const processMarketMonthFiles = async (marketMonthGroup) => {
       }
     }
 
-    // Combine and normalize the data from all dimensions
-    const combinedData = combineDimensionData(allData, country, year, month);
+    // Native split files win over legacy-derived rows for the same dimension
+    const combinedData = appendRows(nativeData, preferNativeDimensionRows(nativeData, legacyData));
 
     return {
       success: successCount > 0,
       data: combinedData,
+      crossData: combinedCrossData,
+      unmatchedValues: collectUnmatchedValues([...combinedData, ...combinedCrossData], aliasRules),
+      reclassifications: summarizeReclassifications(combinedData),
       metadata: {
         country,
         year,
@@ -441,7 +441,7 @@ export const processMarketMonthFiles = async (marketMonthGroup) => {
         successfulFiles: successCount,
         errorFiles: errorCount,
         totalRecords: combinedData.length,
-        dimensions: [...new Set(files.map(f => f.dimension))],
+        dimensions: [...new Set(combinedData.map(row => row.dimension))],
         fileResults: results
       }
     };
@@ -451,10 +451,22 @@ export const processMarketMonthFiles = async (marketMonthGroup) => {
   }
 };
 
+/**
+ * Append rows to an array in place (spreading a large file's rows into push() would
+ * exceed the argument limit)
+ * @returns {Array} The target array
+ */
+const appendRows = (target, rows) => {
+  rows.forEach(row => target.push(row));
+  return target;
+};
+
 /**
  * Combine data from multiple dimension files into a unified structure
+ * @param {Object} aliasRules - Compiled alias rules mapping dimension values to canonical ones
+ * @param {Array} reclassificationRules - Reclassification rules applying to the market-month (see getApplicableRules)
  */
-const combineDimensionData = (allData, country, year, month) => {
+const combineDimensionData = (allData, country, year, month, aliasRules = compileAliasRules(), reclassificationRules = []) => {
   const combinedData = [];
   const dimensionMap = {};
 
@@ -472,43 +484,15 @@ const combineDimensionData = (allData, country, year, month) => {
     const dimensionData = dimensionMap[dimension];
     
     dimensionData.forEach(row => {
+      // Ratios are recomputed from the base metrics; supplied ratios that disagree
+      // are kept as findings for the data quality scorer
+      const canonicalRecord = applyReclassificationRules(applyAliasRules(toCanonicalRecord(row, { country }), aliasRules), reclassificationRules);
+      const ratioMismatches = findRatioMismatches(canonicalRecord);
+
       // Create a unified record structure
       const unifiedRecord = {
-        Country: row.Country || country,
-        'Campaign Type': row['Campaign Type'] || 'Not Mapped',
-        'Channel Type': row['Channel Type'] || 'Not Mapped',
-        'Channel Name': row['Channel Name'] || 'Not Mapped',
-        'Phase': row['Phase'] || 'Not Mapped',
-        'Model': row['Model'] || 'Not Mapped',
-        'Media Cost': row['Media Cost'] || 0,
-        'Impressions': row['Impressions'] || 0,
-        'CPM': row['CPM'] || 0,
-        'Clicks': row['Clicks'] || 0,
-        'CTR': row['CTR'] || 0,
-        'CPC': row['CPC'] || 0,
-        'IV': row['IV'] || 0,
-        'CP IV': row['CP IV'] || 0,
-        'Entry Rate': row['Entry Rate'] || 0,
-        'NVWR': row['NVWR'] || 0,
-        'CP NVWR': row['CP NVWR'] || 0,
-        'CVR': row['CVR'] || 0,
-        'DCS (pre) Order': row['DCS (pre) Order'] || 0,
-        'CP DCS (pre) Order': row['CP DCS (pre) Order'] || 0,
-        'Meta_Leads': row['Meta_Leads'] || 0,
-        'Cp lead Forms': row['Cp lead Forms'] || 0,
-        // Metadata
-        file_source: row.file_source,
-        country: row.country,
-        dimension: row.dimension,
-        year: row.year,
-        month: row.month,
-        // Add dimension-specific flags
-        is_all_dimension: dimension === 'All',
-        is_campaign_type_dimension: dimension === 'CampaignType',
-        is_channel_type_dimension: dimension === 'ChannelType',
-        is_channel_name_dimension: dimension === 'ChannelName',
-        is_phase_dimension: dimension === 'Phase',
-        is_model_dimension: dimension === 'Model'
+        ...recomputeRatios(canonicalRecord),
+        ...(ratioMismatches.length > 0 ? { ratio_mismatches: ratioMismatches } : {})
       };
 
       combinedData.push(unifiedRecord);
@@ -519,232 +503,496 @@ const combineDimensionData = (allData, country, year, month) => {
 };
 
 /**
- * Process all CSV files from Supabase with new multi-file structure
+ * Save dimension coverage history for the given market-months
  */
-export const processAllCSVsFromSupabase = async () => {
+const saveCoverageHistory = async (affectedPeriods) => {
+  // Save dimension coverage history for the reprocessed markets and dimensions
   try {
-    const groupedFiles = await getUploadedFilesGrouped();
+    console.log('🔄 Saving dimension coverage history...');
+    const { saveDimensionCoverageHistory } = await import('./dimensionCoverageHistory.js');
     
-    if (groupedFiles.length === 0) {
-      throw new Error('No CSV files found in Supabase storage');
+    for (const period of affectedPeriods) {
+      const market = period.country;
+      const month = `${period.year}-${period.month.toString().padStart(2, '0')}`;
+      try {
+        // Calculate quality data for this market and month
+        const periodData = await queryFacts({ markets: [market], months: [month], dimensions: SINGLE_DIMENSIONS });
+        const qualityData = await runComputeTask('dataQuality', [periodData, market, month, getQualityProfiles()]);
+        
+        if (qualityData && qualityData.marketAnalysis && qualityData.marketAnalysis[market]) {
+          const marketAnalysis = qualityData.marketAnalysis[market];
+          
+          // Save dimension coverage history for each dimension
+          const dimensions = QUALITY_DIMENSIONS.map(entry => entry.column);
+          for (const dimension of dimensions) {
+            if (marketAnalysis.dimensionScores && marketAnalysis.dimensionScores[dimension]) {
+              const dimensionScore = marketAnalysis.dimensionScores[dimension];
+              
+              // Extract gap data for each metric
+              const gaps = dimensionScore.gaps || {};
+              const [year, monthNum] = month.split('-');
+              
+              const historyRecord = {
+                market_code: market,
+                year: parseInt(year),
+                month: parseInt(monthNum),
+                month_name: new Date(parseInt(year), parseInt(monthNum) - 1).toLocaleString('en-US', { month: 'long' }),
+                dimension: dimension,
+                overall_coverage: dimensionScore.coverage || 0,
+                media_cost_gap: gaps['Media Cost']?.gap || 0,
+                impressions_gap: gaps['Impressions']?.gap || 0,
+                clicks_gap: gaps['Clicks']?.gap || 0,
+                iv_gap: gaps['IV']?.gap || 0,
+                nvwr_gap: gaps['NVWR']?.gap || 0,
+                total_missing_media_cost: gaps['Media Cost']?.missingValue || 0,
+                total_missing_impressions: gaps['Impressions']?.missingValue || 0,
+                total_missing_clicks: gaps['Clicks']?.missingValue || 0,
+                total_missing_iv: gaps['IV']?.missingValue || 0,
+                total_missing_nvwr: gaps['NVWR']?.missingValue || 0,
+                all_media_cost: gaps['Media Cost']?.allValue || 0,
+                all_impressions: gaps['Impressions']?.allValue || 0,
+                all_clicks: gaps['Clicks']?.allValue || 0,
+                all_iv: gaps['IV']?.allValue || 0,
+                all_nvwr: gaps['NVWR']?.allValue || 0,
+                dimension_media_cost: gaps['Media Cost']?.dimensionValue || 0,
+                dimension_impressions: gaps['Impressions']?.dimensionValue || 0,
+                dimension_clicks: gaps['Clicks']?.dimensionValue || 0,
+                dimension_iv: gaps['IV']?.dimensionValue || 0,
+                dimension_nvwr: gaps['NVWR']?.dimensionValue || 0,
+                // Graded with this profile, so the score can be reproduced after it changes
+                quality_profile: marketAnalysis.qualityProfile
+              };
+              
+              await saveDimensionCoverageHistory(historyRecord, supabase);
+            }
+          }
+        }
+      } catch (error) {
+        console.warn(`⚠️ Error saving dimension coverage history for ${market} ${month}:`, error);
+        // Don't fail the entire process if dimension coverage saving fails
+      }
     }
+    console.log('✅ Dimension coverage history saved successfully');
+  } catch (error) {
+    console.warn('⚠️ Dimension coverage history saving failed:', error);
+    // Don't fail the entire process if dimension coverage saving fails
+  }
+
+};
+
+// Row errors per file kept in the processing metadata
+const MAX_REPORTED_ROW_ERRORS = 10;
+
+/**
+ * Metadata entry of a processed market-month
+ */
+const toMarketMonthResult = (result) => ({
+  country: result.metadata.country,
+  year: result.metadata.year,
+  month: result.metadata.month,
+  success: result.success,
+  total_files: result.metadata.totalFiles,
+  successful_files: result.metadata.successfulFiles,
+  error_files: result.metadata.errorFiles,
+  total_records: result.metadata.totalRecords,
+  cross_records: result.success ? result.crossData.length : 0,
+  dimensions: result.metadata.dimensions,
+  // Dimension files the market is expected to deliver (see marketRegistry.js) that were not processed
+  missing_dimensions: getExpectedDimensions(result.metadata.country)
+    .filter(dimension => !(result.metadata.dimensions || []).includes(dimension)),
+  // Row-level errors (with line numbers) of files that were processed despite them
+  row_errors: result.metadata.fileResults
+    .filter(fileResult => fileResult.fileInfo?.rowErrorCount > 0)
+    .map(fileResult => ({
+      filename: fileResult.filename,
+      count: fileResult.fileInfo.rowErrorCount,
+      errors: fileResult.fileInfo.rowErrors.slice(0, MAX_REPORTED_ROW_ERRORS)
+    }))
+});
+
+/**
+ * Plan a processing job: which market-months changed (see incrementalProcessing.js), and
+ * the steps to run. Every job is recorded as a processing run snapshot (see processingRuns.js).
+ * @param {Object} options - { force: reprocess every market-month, triggeredBy: who started the run,
+ *   reclassify: also reprocess the market-months the reclassification rules cover (see reclassificationRules.js) }
+ * @returns {Object} Job record (see processingJobs.js)
+ */
+export const createProcessingJob = async ({ force = false, triggeredBy = null, reclassify = false } = {}) => {
+  const unfinishedJob = await getUnfinishedProcessingJob();
+  if (unfinishedJob) {
+    throw new Error(`Processing job #${unfinishedJob.id} is unfinished; resume or discard it first`);
+  }
 
-    const allResults = [];
-    let allCombinedData = [];
-    let totalSuccessCount = 0;
-    let totalErrorCount = 0;
+  const groupedFiles = await getUploadedFilesGrouped();
+  
+  if (groupedFiles.length === 0) {
+    throw new Error('No CSV files found in Supabase storage');
+  }
+
+  // Alias rules and the reclassification rules applying to a market-month are part of its
+  // fingerprint, so rule changes reprocess it
+  const rulesFingerprint = getAliasRulesFingerprint(await getAliasRules());
+  const reclassificationRules = await getReclassificationRules();
+  const reprocessKeys = reclassify ? await getReclassificationMarketMonths(groupedFiles) : [];
+  const plan = await planIncrementalRun(groupedFiles, { force, rulesFingerprint, reclassificationRules, reprocessKeys });
+  console.log(`🧮 Processing ${plan.changed.length} changed market-months (${plan.unchanged.length} unchanged, ${plan.removed.length} removed)`);
+
+  const runId = await startProcessingRun({ groups: groupedFiles, force, triggeredBy });
+
+  // One step per changed market-month, then the steps that depend on all of them
+  const steps = [
+    ...plan.changed.map(group => ({
+      id: group.key,
+      type: 'market_month',
+      label: `${group.country} ${group.year}-${group.month.toString().padStart(2, '0')}`,
+      group
+    })),
+    ...(plan.removed.length > 0 ? [{ id: 'remove', type: 'remove', label: 'Remove deleted market-months' }] : []),
+    { id: 'metadata', type: 'metadata', label: 'Save metadata' },
+    { id: 'coverage', type: 'coverage', label: 'Dimension coverage history' },
+    { id: 'compliance', type: 'compliance', label: 'Compliance history' },
+    { id: 'kpi', type: 'kpi', label: 'KPI history' },
+    { id: 'anomalies', type: 'anomalies', label: 'KPI anomaly detection' },
+    { id: 'groups', type: 'groups', label: 'Market group history' },
+    { id: 'run', type: 'run', label: 'Complete processing run' }
+  ].map(step => ({ ...step, status: 'pending', result: null }));
+
+  return createJobRecord({
+    runId,
+    force,
+    triggeredBy,
+    plan: {
+      unchanged: plan.unchanged.map(group => group.key),
+      removed: plan.removed,
+      reclassify,
+      total_market_months: groupedFiles.length,
+      total_files: groupedFiles.reduce((sum, group) => sum + group.files.length, 0)
+    },
+    steps
+  });
+};
 
-    // Process each market/month group
-    for (const marketMonthGroup of groupedFiles) {
+/**
+ * Run one step of a processing job
+ * @returns {Object} Step result, or { cancelled: true } when the job was cancelled mid-step
+ */
+const runJobStep = async (job, step, { reportProgress, shouldStop }) => {
+  const marketMonthSteps = job.steps.filter(jobStep => jobStep.type === 'market_month');
+  const affectedPeriods = marketMonthSteps
+    .filter(jobStep => jobStep.result?.processed)
+    .map(({ group: { country, year, month } }) => ({ country, year, month }));
+
+  switch (step.type) {
+    case 'market_month': {
+      const { group } = step;
       try {
-        const result = await processMarketMonthFiles(marketMonthGroup);
-        allResults.push(result);
-        
-        if (result.success) {
-          allCombinedData = [...allCombinedData, ...result.data];
-          totalSuccessCount += result.metadata.successfulFiles;
-          totalErrorCount += result.metadata.errorFiles;
+        const result = await processMarketMonthFiles(group, {
+          shouldStop,
+          onFileProgress: ({ fileIndex, fileCount, dimension }) =>
+            reportProgress(`${step.label}: ${dimension} file ${fileIndex}/${fileCount}`, { fileIndex, fileCount })
+        });
+        if (result.cancelled) {
+          return { cancelled: true };
+        }
+
+        // A market-month none of whose files could be processed keeps its current facts;
+        // the step fails so the month is retried on the next run
+        if (!result.success) {
+          return { processed: false, result: toMarketMonthResult(result), error: `None of the ${result.metadata.totalFiles} files could be processed; the current data is kept` };
         }
+
+        await replaceMarketMonthFacts(group, [...result.data, ...result.crossData], job.run_id);
+        await replaceUnmatchedValues(group, result.unmatchedValues);
+        await replaceReclassificationLog(group, result.reclassifications);
+
+        // Groups with failed files are not remembered, so the next run retries them
+        if (result.metadata.errorFiles === 0) {
+          await saveProcessingState(group, result.data.length);
+        }
+
+        return { processed: true, result: toMarketMonthResult(result) };
       } catch (error) {
-        console.error(`Error processing ${marketMonthGroup.country} ${marketMonthGroup.year}-${marketMonthGroup.month}:`, error);
-        totalErrorCount++;
+        console.error(`Error processing ${group.country} ${group.year}-${group.month}:`, error);
+        return { processed: false, result: null, error: error.message };
+      }
+    }
+
+    case 'remove': {
+      // Market-months whose files were deleted lose their current fact rows and history
+      for (const row of job.plan.removed) {
+        try {
+          await retireMarketMonthFacts(row, job.run_id);
+        } catch (error) {
+          console.warn(`⚠️ Could not remove fact rows for ${row.market_month}:`, error.message);
+        }
       }
+      await removeProcessingState(job.plan.removed);
+      return {};
     }
 
-    // Save processed data to Supabase
-    if (allCombinedData.length > 0) {
-      const { error: dataError } = await supabase
-        .from(TABLES.PROCESSED_DATA)
+    case 'metadata': {
+      // Results of unchanged market-months are carried over as they are, and so are those of
+      // failed market-months, which keep their current facts
+      const previousMetadata = await getMetadata();
+      const failedSteps = marketMonthSteps.filter(jobStep => jobStep.result?.error);
+      const keptKeys = new Set([...job.plan.unchanged, ...failedSteps.map(jobStep => jobStep.id)]);
+      const previousResults = (previousMetadata?.metadata?.market_month_results || [])
+        .filter(result => result.success && keptKeys.has(getMarketMonthKey(result.country, result.year, result.month)));
+      const previousKeys = new Set(previousResults.map(result => getMarketMonthKey(result.country, result.year, result.month)));
+
+      const marketMonthResults = [
+        ...previousResults,
+        ...marketMonthSteps.filter(jobStep => !previousKeys.has(jobStep.id)).map(jobStep => jobStep.result?.result).filter(Boolean)
+      ];
+      const storedResults = marketMonthResults.filter(result => result.success);
+      // Failed steps whose own result is not counted above
+      const uncountedFailures = failedSteps.filter(jobStep => previousKeys.has(jobStep.id) || !jobStep.result?.result).length;
+
+      // Save metadata to Supabase (markets and months drive the dashboard selectors)
+      const metadata = {
+        run_id: job.run_id,
+        last_processed: new Date().toISOString(),
+        total_market_months: job.plan.total_market_months,
+        total_files: job.plan.total_files,
+        successful_files: marketMonthResults.reduce((sum, result) => sum + result.successful_files, 0),
+        error_files: marketMonthResults.reduce((sum, result) => sum + result.error_files, 0) + uncountedFailures,
+        total_records: storedResults.reduce((sum, result) => sum + result.total_records, 0),
+        total_cross_records: storedResults.reduce((sum, result) => sum + (result.cross_records || 0), 0),
+        markets: [...new Set(storedResults.map(result => result.country))].sort(),
+        dimensions: [...new Set(storedResults.flatMap(result => result.dimensions || []))],
+        months: [...new Set(storedResults.map(result => `${result.year}-${result.month.toString().padStart(2, '0')}`))].sort().reverse(),
+        processed_market_months: marketMonthSteps.filter(jobStep => jobStep.result?.processed).map(jobStep => jobStep.id),
+        market_month_results: marketMonthResults
+      };
+
+      const { error: metadataError } = await supabase
+        .from(TABLES.METADATA)
         .upsert({
           id: 'latest',
-          data: allCombinedData,
-          total_records: allCombinedData.length,
-          processed_at: new Date().toISOString()
+          metadata: metadata,
+          updated_at: new Date().toISOString()
         });
 
-      if (dataError) {
-        console.error('Error saving processed data:', dataError);
+      if (metadataError) {
+        console.error('Error saving metadata:', metadataError);
       }
+
+      return { metadata };
     }
 
-    // Save metadata to Supabase
-    const metadata = {
-      last_processed: new Date().toISOString(),
-      total_market_months: groupedFiles.length,
-      total_files: groupedFiles.reduce((sum, group) => sum + group.files.length, 0),
-      successful_files: totalSuccessCount,
-      error_files: totalErrorCount,
-      total_records: allCombinedData.length,
-      markets: [...new Set(allCombinedData.map(row => row.country))],
-      dimensions: [...new Set(allCombinedData.map(row => row.dimension))],
-      months: [...new Set(allCombinedData.map(row => `${row.year}-${row.month.toString().padStart(2, '0')}`))],
-      market_month_results: allResults.map(r => ({
-        country: r.metadata.country,
-        year: r.metadata.year,
-        month: r.metadata.month,
-        success: r.success,
-        total_files: r.metadata.totalFiles,
-        successful_files: r.metadata.successfulFiles,
-        error_files: r.metadata.errorFiles,
-        total_records: r.metadata.totalRecords,
-        dimensions: r.metadata.dimensions
-      }))
-    };
+    // History tables are only refreshed for the periods that were reprocessed
+    case 'coverage':
+      await saveCoverageHistory(affectedPeriods);
+      return {};
 
-    const { error: metadataError } = await supabase
-      .from(TABLES.METADATA)
-      .upsert({
-        id: 'latest',
-        metadata: metadata,
-        updated_at: new Date().toISOString()
-      });
-
-    if (metadataError) {
-      console.error('Error saving metadata:', metadataError);
+    // Compliance and KPI history for the reprocessed months enable MoM calculations
+    case 'compliance': {
+      try {
+        console.log('🔄 Auto-processing compliance for MoM calculations...');
+        const complianceResult = affectedPeriods.length === 0
+          ? { success: true }
+          : await processAllMonthsCompliance(affectedPeriods);
+        if (complianceResult.success) {
+          console.log('✅ Auto-compliance processing completed');
+        } else {
+          console.warn('⚠️ Auto-compliance processing had issues:', complianceResult.error);
+        }
+        return { success: complianceResult.success };
+      } catch (error) {
+        console.warn('⚠️ Auto-compliance processing failed:', error);
+        // Don't fail the entire process if compliance processing fails
+        return { success: false };
+      }
     }
 
-    // Save dimension coverage history for all markets and dimensions
-    try {
-      console.log('🔄 Saving dimension coverage history...');
-      const { calculateComprehensiveDataQuality } = await import('./dataQualityScorer.js');
-      const { saveDimensionCoverageHistory } = await import('./dimensionCoverageHistory.js');
-      
-      // Get all unique markets and months from the processed data
-      const markets = [...new Set(allCombinedData.map(row => row.country))];
-      const months = [...new Set(allCombinedData.map(row => `${row.year}-${row.month.toString().padStart(2, '0')}`))];
-      
-      for (const market of markets) {
-        for (const month of months) {
-          try {
-            // Calculate quality data for this market and month
-            const qualityData = calculateComprehensiveDataQuality(allCombinedData, market, month);
-            
-            if (qualityData && qualityData.marketAnalysis && qualityData.marketAnalysis[market]) {
-              const marketAnalysis = qualityData.marketAnalysis[market];
-              
-              // Save dimension coverage history for each dimension
-              const dimensions = ['Channel Name', 'Channel Type', 'Campaign Type', 'Model', 'Phase'];
-              for (const dimension of dimensions) {
-                if (marketAnalysis.dimensionScores && marketAnalysis.dimensionScores[dimension]) {
-                  const dimensionScore = marketAnalysis.dimensionScores[dimension];
-                  
-                  // Extract gap data for each metric
-                  const gaps = dimensionScore.gaps || {};
-                  const [year, monthNum] = month.split('-');
-                  
-                  const historyRecord = {
-                    market_code: market,
-                    year: parseInt(year),
-                    month: parseInt(monthNum),
-                    month_name: new Date(parseInt(year), parseInt(monthNum) - 1).toLocaleString('en-US', { month: 'long' }),
-                    dimension: dimension,
-                    overall_coverage: dimensionScore.coverage || 0,
-                    media_cost_gap: gaps['Media Cost']?.gap || 0,
-                    impressions_gap: gaps['Impressions']?.gap || 0,
-                    clicks_gap: gaps['Clicks']?.gap || 0,
-                    iv_gap: gaps['IV']?.gap || 0,
-                    nvwr_gap: gaps['NVWR']?.gap || 0,
-                    total_missing_media_cost: gaps['Media Cost']?.missingValue || 0,
-                    total_missing_impressions: gaps['Impressions']?.missingValue || 0,
-                    total_missing_clicks: gaps['Clicks']?.missingValue || 0,
-                    total_missing_iv: gaps['IV']?.missingValue || 0,
-                    total_missing_nvwr: gaps['NVWR']?.missingValue || 0,
-                    all_media_cost: gaps['Media Cost']?.allValue || 0,
-                    all_impressions: gaps['Impressions']?.allValue || 0,
-                    all_clicks: gaps['Clicks']?.allValue || 0,
-                    all_iv: gaps['IV']?.allValue || 0,
-                    all_nvwr: gaps['NVWR']?.allValue || 0,
-                    dimension_media_cost: gaps['Media Cost']?.dimensionValue || 0,
-                    dimension_impressions: gaps['Impressions']?.dimensionValue || 0,
-                    dimension_clicks: gaps['Clicks']?.dimensionValue || 0,
-                    dimension_iv: gaps['IV']?.dimensionValue || 0,
-                    dimension_nvwr: gaps['NVWR']?.dimensionValue || 0
-                  };
-                  
-                  await saveDimensionCoverageHistory(historyRecord, supabase);
-                }
-              }
-            }
-          } catch (error) {
-            console.warn(`⚠️ Error saving dimension coverage history for ${market} ${month}:`, error);
-            // Don't fail the entire process if dimension coverage saving fails
-          }
+    case 'kpi': {
+      try {
+        console.log('🔄 Auto-processing KPI metrics for MoM calculations...');
+        const kpiResult = affectedPeriods.length === 0
+          ? { success: true }
+          : await processAllMonthsKPI(affectedPeriods);
+        if (kpiResult.success) {
+          console.log('✅ Auto-KPI processing completed');
+        } else {
+          console.warn('⚠️ Auto-KPI processing had issues:', kpiResult.error);
         }
+        return { success: kpiResult.success };
+      } catch (error) {
+        console.warn('⚠️ Auto-KPI processing failed:', error);
+        // Don't fail the entire process if KPI processing fails
+        return { success: false };
       }
-      console.log('✅ Dimension coverage history saved successfully');
-    } catch (error) {
-      console.warn('⚠️ Dimension coverage history saving failed:', error);
-      // Don't fail the entire process if dimension coverage saving fails
     }
 
-    // Automatically process compliance for all months to enable MoM calculations
-    try {
-      console.log('🔄 Auto-processing compliance for MoM calculations...');
-      const complianceResult = await processAllMonthsCompliance();
-      if (complianceResult.success) {
-        console.log('✅ Auto-compliance processing completed');
-      } else {
-        console.warn('⚠️ Auto-compliance processing had issues:', complianceResult.error);
+    // A changed month is part of later months' baselines, so each affected market is checked again in full
+    case 'anomalies': {
+      const markets = [...new Set([...affectedPeriods, ...job.plan.removed].map(period => period.country))];
+      const anomalyResult = markets.length === 0
+        ? { success: true }
+        : await processKPIAnomalies(markets);
+      if (!anomalyResult.success) {
+        console.warn('⚠️ KPI anomaly detection had issues:', anomalyResult.error);
       }
-    } catch (error) {
-      console.warn('⚠️ Auto-compliance processing failed:', error);
-      // Don't fail the entire process if compliance processing fails
+      return { success: anomalyResult.success };
     }
 
-    // Automatically process KPI metrics for all months to enable MoM calculations
-    try {
-      console.log('🔄 Auto-processing KPI metrics for MoM calculations...');
-      const kpiResult = await processAllMonthsKPI();
-      if (kpiResult.success) {
-        console.log('✅ Auto-KPI processing completed');
-      } else {
-        console.warn('⚠️ Auto-KPI processing had issues:', kpiResult.error);
+    // Groups roll up their members, so months whose member data was removed are refreshed too
+    case 'groups': {
+      const changedPeriods = [...affectedPeriods, ...job.plan.removed];
+      const groupResult = changedPeriods.length === 0
+        ? { success: true }
+        : await processMarketGroupHistory(changedPeriods);
+      if (!groupResult.success) {
+        console.warn('⚠️ Market group processing had issues:', groupResult.error);
       }
-    } catch (error) {
-      console.warn('⚠️ Auto-KPI processing failed:', error);
-      // Don't fail the entire process if KPI processing fails
+      return { success: groupResult.success };
     }
 
+    case 'run':
+      await completeProcessingRun(job.run_id, {
+        metadata: job.steps.find(jobStep => jobStep.type === 'metadata').result.metadata,
+        changedMarketMonths: {
+          changed: marketMonthSteps.map(jobStep => jobStep.id),
+          removed: job.plan.removed.map(row => row.market_month)
+        }
+      });
+      return {};
+
+    default:
+      throw new Error(`Unknown processing step: ${step.type}`);
+  }
+};
+
+/**
+ * Run (or resume) a processing job. Steps completed earlier are skipped; after each step
+ * the job's state is saved, so a cancelled, failed or interrupted job continues from there.
+ * @param {Object} options - { onProgress(progress): called with { message, completedSteps, totalSteps, ... } }
+ * @returns {Object} { success, cancelled, jobId, runId, metadata, incremental }
+ */
+export const runProcessingJob = async (jobId, { onProgress } = {}) => {
+  const job = await getProcessingJob(jobId);
+  const { steps } = job;
+  let completedSteps = steps.filter(step => step.status === 'completed').length;
+
+  const reportProgress = async (message, detail = {}) => {
+    const progress = { message, completedSteps, totalSteps: steps.length, ...detail };
+    if (onProgress) {
+      onProgress(progress);
+    }
+    await updateProcessingJob(jobId, { progress, heartbeat_at: new Date().toISOString() });
+  };
+
+  const stopJob = async (status, message, error = null) => {
+    await updateProcessingJob(jobId, { status, steps, completed_steps: completedSteps, error });
+    await reportProgress(message);
+  };
+
+  startJobInTab(jobId);
+  await updateProcessingJob(jobId, { status: JOB_STATUS.RUNNING, error: null, heartbeat_at: new Date().toISOString() });
+  console.log(`▶️ Running processing job #${jobId} from step ${completedSteps + 1} of ${steps.length}`);
+
+  try {
+    for (const step of steps) {
+      if (step.status === 'completed') continue;
+
+      if (await isCancellationRequested(jobId, { checkDatabase: true })) {
+        await stopJob(JOB_STATUS.CANCELLED, `Cancelled before ${step.label}`);
+        return { success: false, cancelled: true, jobId, runId: job.run_id };
+      }
+
+      await reportProgress(step.label);
+      const result = await runJobStep(job, step, {
+        reportProgress,
+        shouldStop: () => isCancellationRequested(jobId)
+      });
+
+      if (result.cancelled) {
+        await stopJob(JOB_STATUS.CANCELLED, `Cancelled during ${step.label}`);
+        return { success: false, cancelled: true, jobId, runId: job.run_id };
+      }
+
+      step.status = 'completed';
+      step.result = result;
+      completedSteps++;
+      await updateProcessingJob(jobId, { steps, completed_steps: completedSteps });
+    }
+
+    await updateProcessingJob(jobId, { status: JOB_STATUS.COMPLETED, completed_at: new Date().toISOString() });
+    await reportProgress('Completed');
+    console.log(`✅ Processing job #${jobId} completed`);
+
     return {
       success: true,
-      data: allCombinedData,
-      metadata,
-      results: allResults
+      cancelled: false,
+      jobId,
+      runId: job.run_id,
+      metadata: steps.find(step => step.type === 'metadata').result.metadata,
+      incremental: {
+        changed: steps.filter(step => step.type === 'market_month').map(step => step.id),
+        unchanged: job.plan.unchanged,
+        removed: job.plan.removed.map(row => row.market_month)
+      }
     };
   } catch (error) {
-    console.error('Error processing CSV files from Supabase:', error);
+    console.error(`❌ Processing job #${jobId} failed:`, error);
+    await stopJob(JOB_STATUS.FAILED, `Failed: ${error.message}`, error.message);
     throw error;
+  } finally {
+    endJobInTab(jobId);
   }
 };
 
 /**
- * Get processed data from Supabase
+ * Process all CSV files from Supabase with new multi-file structure
+ * Plans a processing job and runs it to the end (see createProcessingJob / runProcessingJob)
+ * @param {Object} options - { force, triggeredBy, onProgress }
  */
-export const getProcessedData = async () => {
+export const processAllCSVsFromSupabase = async ({ force = false, triggeredBy = null, onProgress } = {}) => {
   try {
-    const { data, error } = await supabase
-      .from(TABLES.PROCESSED_DATA)
-      .select('*')
-      .eq('id', 'latest')
-      .maybeSingle(); // Use maybeSingle instead of single to avoid 406 errors
+    const job = await createProcessingJob({ force, triggeredBy });
+    return await runProcessingJob(job.id, { onProgress });
+  } catch (error) {
+    console.error('Error processing CSV files from Supabase:', error);
+    throw error;
+  }
+};
 
-    if (error) {
-      console.error('Error fetching processed data:', error);
-      return null;
-    }
+/**
+ * Get processed data from Supabase for the given markets and periods
+ * @param {Object} scope - { markets: market codes, months: 'YYYY-MM' periods, runId: a processing run's
+ *   snapshot instead of the current data }; omitted filters match everything
+ * @returns {Object|null} { data, total_records }
+ */
+export const getProcessedData = async ({ markets = null, months = null, runId = null } = {}) => {
+  try {
+    const data = await queryFacts({ markets, months, runId, dimensions: SINGLE_DIMENSIONS });
 
-    if (!data) {
-      console.log('ℹ️ No processed data found yet - this is normal for a new setup');
-      return null;
+    if (data.length === 0) {
+      console.log('ℹ️ No processed data found for this scope - this is normal for a new setup');
     }
 
-    return data;
+    return { data, total_records: data.length };
   } catch (error) {
     console.error('Error fetching processed data:', error);
     return null;
   }
 };
 
+/**
+ * Get cross-dimension data (full Model × Channel × Phase grain) from Supabase
+ * Only market/months imported from files that carry every dimension column have it
+ * @param {Object} scope - { markets, months, runId } as for getProcessedData
+ */
+export const getCrossDimensionData = async ({ markets = null, months = null, runId = null } = {}) => {
+  try {
+    const data = await queryFacts({ markets, months, runId, dimensions: [CROSS_DIMENSION] });
+    return { data, total_records: data.length };
+  } catch (error) {
+    console.error('Error fetching cross-dimension data:', error);
+    return null;
+  }
+};
+
 /**
  * Get metadata from Supabase
  */
@@ -789,16 +1037,17 @@ export const deleteFileFromSupabase = async (filename) => {
       throw fetchError;
     }
 
-    // Delete from storage
+    // Delete every revision from storage
+    const revisionPaths = await getRevisionFilePaths(filename);
     const { error: storageError } = await supabase.storage
       .from(STORAGE_BUCKET)
-      .remove([fileRecord.file_path]);
+      .remove([...new Set([fileRecord.file_path, ...revisionPaths])]);
 
     if (storageError) {
       throw storageError;
     }
 
-    // Delete from database
+    // Delete from database (revisions are removed with the file)
     const { error: dbError } = await supabase
       .from(TABLES.FILES)
       .delete()
@@ -825,19 +1074,28 @@ export const clearAllDataFromSupabase = async () => {
       .from(TABLES.FILES)
       .select('file_path');
 
-    if (files && files.length > 0) {
-      const filePaths = files.map(f => f.file_path);
+    const revisionPaths = await getRevisionFilePaths();
+    if ((files && files.length > 0) || revisionPaths.length > 0) {
+      const filePaths = [...new Set([...(files || []).map(f => f.file_path), ...revisionPaths])];
       await supabase.storage
         .from(STORAGE_BUCKET)
         .remove(filePaths);
     }
 
     // Clear database tables
+    await supabase.from(TABLES.FILE_REVISIONS).delete().neq('id', 0);
     await supabase.from(TABLES.FILES).delete().neq('id', 0);
     await supabase.from(TABLES.PROCESSED_DATA).delete().neq('id', 0);
+    await supabase.from(TABLES.FACT_METRICS).delete().neq('id', 0);
     await supabase.from(TABLES.METADATA).delete().neq('id', 0);
     await supabase.from(TABLES.COMPLIANCE_HISTORY).delete().neq('id', 0);
     await supabase.from(TABLES.KPI_HISTORY).delete().neq('id', 0);
+    await supabase.from(TABLES.UNMATCHED_DIMENSION_VALUES).delete().neq('id', 0);
+    await supabase.from(TABLES.RECLASSIFICATION_LOG).delete().neq('id', 0);
+    await supabase.from(TABLES.KPI_ANOMALIES).delete().neq('id', 0);
+    await supabase.from(TABLES.PROCESSING_STATE).delete().neq('market_month', '');
+    await supabase.from(TABLES.PROCESSING_JOBS).delete().neq('id', 0);
+    await supabase.from(TABLES.PROCESSING_RUNS).delete().neq('id', 0);
 
     return { success: true };
   } catch (error) {
@@ -1,4 +1,5 @@
 import _ from 'lodash';
+import { getMetric, getDimensionValue, isUnmappedValue, selectRowsForField } from './recordSchema.js';
 
 /**
  * Extracts month information from data and organizes by month
@@ -91,8 +92,8 @@ export const analyzeTrends = (data) => {
   const previousData = monthGroups[previousMonth];
 
   // NVWR Trend Analysis
-  const currentNVWR = _.sumBy(currentData, row => parseFloat(row.NVWR) || 0);
-  const previousNVWR = _.sumBy(previousData, row => parseFloat(row.NVWR) || 0);
+  const currentNVWR = _.sumBy(selectRowsForField(currentData), row => getMetric(row, 'NVWR'));
+  const previousNVWR = _.sumBy(selectRowsForField(previousData), row => getMetric(row, 'NVWR'));
   const nvwrChange = calculateMoMChange(currentNVWR, previousNVWR);
 
   trends.nvwr = {
@@ -133,14 +134,14 @@ export const analyzeTrends = (data) => {
  * Analyzes market performance trends
  */
 const analyzeMarketTrends = (currentData, previousData) => {
-  const currentMarkets = _.groupBy(currentData, 'Country');
-  const previousMarkets = _.groupBy(previousData, 'Country');
+  const currentMarkets = _.groupBy(selectRowsForField(currentData), 'Country');
+  const previousMarkets = _.groupBy(selectRowsForField(previousData), 'Country');
   
   const marketTrends = {};
   
   Object.keys(currentMarkets).forEach(country => {
-    const currentNVWR = _.sumBy(currentMarkets[country], row => parseFloat(row.NVWR) || 0);
-    const previousNVWR = _.sumBy(previousMarkets[country] || [], row => parseFloat(row.NVWR) || 0);
+    const currentNVWR = _.sumBy(currentMarkets[country], row => getMetric(row, 'NVWR'));
+    const previousNVWR = _.sumBy(previousMarkets[country] || [], row => getMetric(row, 'NVWR'));
     const change = calculateMoMChange(currentNVWR, previousNVWR);
     
     marketTrends[country] = {
@@ -158,16 +159,16 @@ const analyzeMarketTrends = (currentData, previousData) => {
  * Analyzes channel performance trends
  */
 const analyzeChannelTrends = (currentData, previousData) => {
-  const currentChannels = _.groupBy(currentData, 'Channel Type');
-  const previousChannels = _.groupBy(previousData, 'Channel Type');
+  const currentChannels = _.groupBy(selectRowsForField(currentData, 'Channel Type'), row => getDimensionValue(row, 'Channel Type'));
+  const previousChannels = _.groupBy(selectRowsForField(previousData, 'Channel Type'), row => getDimensionValue(row, 'Channel Type'));
   
   const channelTrends = {};
   
   Object.keys(currentChannels).forEach(channelType => {
-    const currentCost = _.sumBy(currentChannels[channelType], row => parseFloat(row['Media Cost']) || 0);
-    const currentNVWR = _.sumBy(currentChannels[channelType], row => parseFloat(row.NVWR) || 0);
-    const previousCost = _.sumBy(previousChannels[channelType] || [], row => parseFloat(row['Media Cost']) || 0);
-    const previousNVWR = _.sumBy(previousChannels[channelType] || [], row => parseFloat(row.NVWR) || 0);
+    const currentCost = _.sumBy(currentChannels[channelType], row => getMetric(row, 'Media Cost'));
+    const currentNVWR = _.sumBy(currentChannels[channelType], row => getMetric(row, 'NVWR'));
+    const previousCost = _.sumBy(previousChannels[channelType] || [], row => getMetric(row, 'Media Cost'));
+    const previousNVWR = _.sumBy(previousChannels[channelType] || [], row => getMetric(row, 'NVWR'));
     
     const currentEfficiency = currentNVWR > 0 ? currentCost / currentNVWR : Infinity;
     const previousEfficiency = previousNVWR > 0 ? previousCost / previousNVWR : Infinity;
@@ -192,10 +193,10 @@ const analyzeChannelTrends = (currentData, previousData) => {
  * Analyzes cost efficiency trends
  */
 const analyzeCostEfficiencyTrends = (currentData, previousData) => {
-  const currentTotalCost = _.sumBy(currentData, row => parseFloat(row['Media Cost']) || 0);
-  const currentTotalNVWR = _.sumBy(currentData, row => parseFloat(row.NVWR) || 0);
-  const previousTotalCost = _.sumBy(previousData, row => parseFloat(row['Media Cost']) || 0);
-  const previousTotalNVWR = _.sumBy(previousData, row => parseFloat(row.NVWR) || 0);
+  const currentTotalCost = _.sumBy(selectRowsForField(currentData), row => getMetric(row, 'Media Cost'));
+  const currentTotalNVWR = _.sumBy(selectRowsForField(currentData), row => getMetric(row, 'NVWR'));
+  const previousTotalCost = _.sumBy(selectRowsForField(previousData), row => getMetric(row, 'Media Cost'));
+  const previousTotalNVWR = _.sumBy(selectRowsForField(previousData), row => getMetric(row, 'NVWR'));
   
   const currentEfficiency = currentTotalNVWR > 0 ? currentTotalCost / currentTotalNVWR : Infinity;
   const previousEfficiency = previousTotalNVWR > 0 ? previousTotalCost / previousTotalNVWR : Infinity;
@@ -214,16 +215,12 @@ const analyzeCostEfficiencyTrends = (currentData, previousData) => {
  * Analyzes Onebuilder compliance trends
  */
 const analyzeComplianceTrends = (currentData, previousData) => {
-  const currentMapped = currentData.filter(row => {
-    const model = row.Model || '';
-    return model && model.trim() !== '' && !model.toLowerCase().includes('not mapped');
-  }).length;
-  const currentTotal = currentData.length;
-  const previousMapped = previousData.filter(row => {
-    const model = row.Model || '';
-    return model && model.trim() !== '' && !model.toLowerCase().includes('not mapped');
-  }).length;
-  const previousTotal = previousData.length;
+  const currentModelRows = selectRowsForField(currentData, 'Model');
+  const previousModelRows = selectRowsForField(previousData, 'Model');
+  const currentMapped = currentModelRows.filter(row => !isUnmappedValue(getDimensionValue(row, 'Model'))).length;
+  const currentTotal = currentModelRows.length;
+  const previousMapped = previousModelRows.filter(row => !isUnmappedValue(getDimensionValue(row, 'Model'))).length;
+  const previousTotal = previousModelRows.length;
   
   const currentCompliance = currentTotal > 0 ? (currentMapped / currentTotal) * 100 : 0;
   const previousCompliance = previousTotal > 0 ? (previousMapped / previousTotal) * 100 : 0;
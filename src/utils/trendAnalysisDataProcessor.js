@@ -1,3 +1,8 @@
+import { getMetric, getMetricValue, getPeriod, selectRowsForField } from './recordSchema.js';
+import { sumMetric, computeRatio } from './metricDefinitions.js';
+import { resolveMarket, matchesMarket } from './marketResolver.js';
+import { formatCurrency } from './currency.js';
+
 /**
  * Comprehensive data processing utilities for trend analysis visualizations
  */
@@ -41,15 +46,18 @@ export const METRICS_CONFIG = {
  * Calculate month-over-month percentage change
  */
 export const calculateMoMChange = (current, previous) => {
+  if (current === null || current === undefined) return null;
   if (!previous || previous === 0) return null;
   return ((current - previous) / previous) * 100;
 };
 
 /**
  * Format values based on type
+ * @param {Object} options - { currency: currency of 'currency' values (default the reporting currency) }
  */
-export const formatValue = (value, format = 'number') => {
-  if (value === null || value === undefined) return 'N/A';
+export const formatValue = (value, format = 'number', { currency } = {}) => {
+  // Metrics that were never delivered (e.g. DCS orders) are null
+  if (value === null || value === undefined || Number.isNaN(value)) return 'n/a';
   
   switch (format) {
     case 'number':
@@ -57,7 +65,7 @@ export const formatValue = (value, format = 'number') => {
     case 'percentage':
       return `${value.toFixed(1)}%`;
     case 'currency':
-      return `€${value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+      return formatCurrency(value, { currency });
     default:
       return value.toString();
   }
@@ -85,7 +93,7 @@ export const processTrendData = (data, selectedMetrics = [], selectedMarkets = [
   const uniqueYearMonths = [...new Set(allYearMonths.map(ym => `${ym.year}-${ym.month}`))];
 
   // Filter by date range
-  const monthStrings = data.map(row => `${row.year}-${row.month.toString().padStart(2, '0')}`);
+  const monthStrings = data.map(row => getPeriod(row));
   const months = [...new Set(monthStrings)].sort();
   const requestedMonths = parseInt(dateRange);
   const availableMonths = months.length;
@@ -98,20 +106,14 @@ export const processTrendData = (data, selectedMetrics = [], selectedMarkets = [
   // Filter by markets
   let filteredData = data;
   if (selectedMarkets.length > 0 && !selectedMarkets.includes('all')) {
-    filteredData = data.filter(row => {
-      if (row.file_source) {
-        const match = row.file_source.match(/BMW_([A-Z]{2})_\d{4}_\d{2}\.csv/);
-        return match && selectedMarkets.includes(match[1]);
-      }
-      return false;
-    });
+    filteredData = data.filter(row => selectedMarkets.includes(resolveMarket(row)));
   }
 
   // Group by month and calculate metrics
   const monthlyData = {};
   
-  filteredData.forEach(row => {
-    const monthKey = `${row.year}-${row.month.toString().padStart(2, '0')}`;
+  selectRowsForField(filteredData).forEach(row => {
+    const monthKey = getPeriod(row);
     if (!filteredMonths.includes(monthKey)) return;
     
     if (!monthlyData[monthKey]) {
@@ -122,7 +124,7 @@ export const processTrendData = (data, selectedMetrics = [], selectedMarkets = [
         clicks: 0,
         iv: 0,
         nvwr: 0,
-        dcs_orders: 0,
+        dcs_orders: null,
         spend: 0,
         ctr: 0,
         cvr: 0,
@@ -136,12 +138,15 @@ export const processTrendData = (data, selectedMetrics = [], selectedMarkets = [
     }
     
     const month = monthlyData[monthKey];
-    month.impressions += parseFloat(row['Impressions'] || row['impressions'] || 0) || 0;
-    month.clicks += parseFloat(row['Clicks'] || row['clicks'] || 0) || 0;
-    month.iv += parseFloat(row['IV'] || row['iv'] || 0) || 0;
-    month.nvwr += parseFloat(row['NVWR'] || row['nvwr'] || 0) || 0;
-    month.dcs_orders += parseFloat(row['DCS_Orders'] || row['dcs_orders'] || 0) || 0;
-    month.spend += parseFloat(row['Media Cost'] || row['media_cost'] || row['spend'] || 0) || 0;
+    month.impressions += getMetric(row, 'Impressions');
+    month.clicks += getMetric(row, 'Clicks');
+    month.iv += getMetric(row, 'IV');
+    month.nvwr += getMetric(row, 'NVWR');
+    const dcsOrders = getMetricValue(row, 'DCS (pre) Order');
+    if (dcsOrders !== null) {
+      month.dcs_orders = (month.dcs_orders || 0) + dcsOrders;
+    }
+    month.spend += getMetric(row, 'Media Cost');
   });
 
   // Calculate derived metrics
@@ -153,7 +158,7 @@ export const processTrendData = (data, selectedMetrics = [], selectedMarkets = [
     month.cpc = month.clicks > 0 ? month.spend / month.clicks : 0;
     month.cp_iv = month.iv > 0 ? month.spend / month.iv : 0;
     month.cp_nvwr = month.nvwr > 0 ? month.spend / month.nvwr : 0;
-    month.cp_dcs = month.dcs_orders > 0 ? month.spend / month.dcs_orders : 0;
+    month.cp_dcs = month.dcs_orders === null ? null : computeRatio(month.spend, month.dcs_orders) ?? 0;
   });
 
   // Calculate MoM changes
@@ -187,25 +192,19 @@ export const processFunnelData = (data, selectedMarket = 'all', selectedMonth =
   let filteredData = data;
   
   if (selectedMarket !== 'all') {
-    filteredData = data.filter(row => {
-      if (row.file_source) {
-        const match = row.file_source.match(/BMW_([A-Z]{2})_\d{4}_\d{2}\.csv/);
-        return match && match[1] === selectedMarket;
-      }
-      return false;
-    });
+    filteredData = data.filter(row => matchesMarket(row, selectedMarket));
   }
 
   if (selectedMonth !== 'latest') {
     filteredData = filteredData.filter(row => 
-      `${row.year}-${row.month.toString().padStart(2, '0')}` === selectedMonth
+      getPeriod(row) === selectedMonth
     );
   } else {
     // Get latest month
-    const months = [...new Set(data.map(row => `${row.year}-${row.month.toString().padStart(2, '0')}`))].sort();
+    const months = [...new Set(data.map(row => getPeriod(row)))].sort();
     const latestMonth = months[months.length - 1];
     filteredData = filteredData.filter(row => 
-      `${row.year}-${row.month.toString().padStart(2, '0')}` === latestMonth
+      getPeriod(row) === latestMonth
     );
   }
 
@@ -219,15 +218,18 @@ export const processFunnelData = (data, selectedMarket = 'all', selectedMonth =
     spend: 0
   };
 
-  filteredData.forEach(row => {
-    totals.impressions += parseFloat(row['Impressions'] || row['impressions'] || 0) || 0;
-    totals.clicks += parseFloat(row['Clicks'] || row['clicks'] || 0) || 0;
-    totals.iv += parseFloat(row['IV'] || row['iv'] || 0) || 0;
-    totals.nvwr += parseFloat(row['NVWR'] || row['nvwr'] || 0) || 0;
-    totals.dcs_orders += parseFloat(row['DCS_Orders'] || row['dcs_orders'] || 0) || 0;
-    totals.spend += parseFloat(row['Media Cost'] || row['media_cost'] || row['spend'] || 0) || 0;
+  const totalRows = selectRowsForField(filteredData);
+  totalRows.forEach(row => {
+    totals.impressions += getMetric(row, 'Impressions');
+    totals.clicks += getMetric(row, 'Clicks');
+    totals.iv += getMetric(row, 'IV');
+    totals.nvwr += getMetric(row, 'NVWR');
+    totals.spend += getMetric(row, 'Media Cost');
   });
 
+  // DCS orders are often not delivered; keep null rather than a zero stage
+  totals.dcs_orders = sumMetric(totalRows, 'DCS (pre) Order');
+
   // Create funnel stages
   const stages = [
     {
@@ -265,9 +267,9 @@ export const processFunnelData = (data, selectedMarket = 'all', selectedMonth =
     {
       name: 'DCS Orders',
       value: totals.dcs_orders,
-      percentage: totals.impressions > 0 ? (totals.dcs_orders / totals.impressions) * 100 : 0,
-      conversionRate: totals.nvwr > 0 ? (totals.dcs_orders / totals.nvwr) * 100 : 0,
-      costPerConversion: totals.dcs_orders > 0 ? totals.spend / totals.dcs_orders : 0,
+      percentage: totals.dcs_orders === null ? null : computeRatio(totals.dcs_orders, totals.impressions, 100) ?? 0,
+      conversionRate: totals.dcs_orders === null ? null : computeRatio(totals.dcs_orders, totals.nvwr, 100) ?? 0,
+      costPerConversion: computeRatio(totals.spend, totals.dcs_orders),
       color: BMW_COLORS.warning
     }
   ];
@@ -290,45 +292,42 @@ export const processHeatmapData = (data, selectedMonth = 'latest') => {
   let filteredData = data;
   if (selectedMonth !== 'latest') {
     filteredData = data.filter(row => 
-      `${row.year}-${row.month.toString().padStart(2, '0')}` === selectedMonth
+      getPeriod(row) === selectedMonth
     );
   } else {
     // Get latest month
-    const months = [...new Set(data.map(row => `${row.year}-${row.month.toString().padStart(2, '0')}`))].sort();
+    const months = [...new Set(data.map(row => getPeriod(row)))].sort();
     const latestMonth = months[months.length - 1];
     filteredData = data.filter(row => 
-      `${row.year}-${row.month.toString().padStart(2, '0')}` === latestMonth
+      getPeriod(row) === latestMonth
     );
   }
 
   // Group by market
   const marketData = {};
   
-  filteredData.forEach(row => {
-    if (row.file_source) {
-      const match = row.file_source.match(/BMW_([A-Z]{2})_\d{4}_\d{2}\.csv/);
-      if (match) {
-        const market = match[1];
-        if (!marketData[market]) {
-          marketData[market] = {
-            market,
-            impressions: 0,
-            clicks: 0,
-            iv: 0,
-            nvwr: 0,
-            dcs_orders: 0,
-            spend: 0
-          };
-        }
-        
-        marketData[market].impressions += parseFloat(row['Impressions'] || row['impressions'] || 0) || 0;
-        marketData[market].clicks += parseFloat(row['Clicks'] || row['clicks'] || 0) || 0;
-        marketData[market].iv += parseFloat(row['IV'] || row['iv'] || 0) || 0;
-        marketData[market].nvwr += parseFloat(row['NVWR'] || row['nvwr'] || 0) || 0;
-        marketData[market].dcs_orders += parseFloat(row['DCS_Orders'] || row['dcs_orders'] || 0) || 0;
-        marketData[market].spend += parseFloat(row['Media Cost'] || row['media_cost'] || row['spend'] || 0) || 0;
-      }
+  selectRowsForField(filteredData).forEach(row => {
+    const market = resolveMarket(row);
+    if (!market) return;
+
+    if (!marketData[market]) {
+      marketData[market] = {
+        market,
+        impressions: 0,
+        clicks: 0,
+        iv: 0,
+        nvwr: 0,
+        dcs_orders: 0,
+        spend: 0
+      };
     }
+    
+    marketData[market].impressions += getMetric(row, 'Impressions');
+    marketData[market].clicks += getMetric(row, 'Clicks');
+    marketData[market].iv += getMetric(row, 'IV');
+    marketData[market].nvwr += getMetric(row, 'NVWR');
+    marketData[market].dcs_orders += getMetric(row, 'DCS (pre) Order');
+    marketData[market].spend += getMetric(row, 'Media Cost');
   });
 
   // Calculate derived metrics
@@ -378,17 +377,11 @@ export const processHeatmapData = (data, selectedMonth = 'latest') => {
 export const getSparklineData = (data, market, months = 3) => {
   if (!data || data.length === 0) return [];
 
-  const marketData = data.filter(row => {
-    if (row.file_source) {
-      const match = row.file_source.match(/BMW_([A-Z]{2})_\d{4}_\d{2}\.csv/);
-      return match && match[1] === market;
-    }
-    return false;
-  });
+  const marketData = data.filter(row => resolveMarket(row) === market);
 
   const monthlyData = {};
-  marketData.forEach(row => {
-    const monthKey = `${row.year}-${row.month.toString().padStart(2, '0')}`;
+  selectRowsForField(marketData).forEach(row => {
+    const monthKey = getPeriod(row);
     if (!monthlyData[monthKey]) {
       monthlyData[monthKey] = {
         month: monthKey,
@@ -396,8 +389,8 @@ export const getSparklineData = (data, market, months = 3) => {
         spend: 0
       };
     }
-    monthlyData[monthKey].nvwr += parseFloat(row['NVWR'] || row['nvwr'] || 0) || 0;
-    monthlyData[monthKey].spend += parseFloat(row['Media Cost'] || row['media_cost'] || row['spend'] || 0) || 0;
+    monthlyData[monthKey].nvwr += getMetric(row, 'NVWR');
+    monthlyData[monthKey].spend += getMetric(row, 'Media Cost');
   });
 
   const sortedMonths = Object.keys(monthlyData).sort();
@@ -0,0 +1,168 @@
+/**
+ * Upload preflight
+ * Parses a file locally and runs the checks processCSVFileFromSupabase would run later
+ * (structure, numeric cells, row counts) so broken files are reported before anything
+ * is written to the storage bucket or the bmw_files table.
+ */
+
+import Papa from 'papaparse';
+import { extractFileInfo, getFilenameError } from './supabaseCsvProcessor.js';
+import { validateCSVStructure } from './csvStructure.js';
+import { isWorkbookFile, splitWorkbook } from './workbookImporter.js';
+import { METRIC_FIELDS, DIMENSION_COLUMNS, getField, isUnreportedValue, parseNumericValue, toCanonicalRecord, getDimensionValue, isUnmappedValue } from './recordSchema.js';
+import { BASE_METRICS, aggregateMetrics, findRatioMismatches } from './metricDefinitions.js';
+
+// Example cells listed per numeric problem
+const MAX_EXAMPLES = 3;
+
+const describeCells = (cells) => {
+  const examples = cells.slice(0, MAX_EXAMPLES).map(({ line, value }) => `line ${line}: "${value}"`).join(', ');
+  return cells.length > MAX_EXAMPLES ? `${examples}, …` : examples;
+};
+
+/**
+ * Numeric checks per metric column: unparseable cells and negative base metrics are
+ * errors, unreported base metrics are warnings (ratios are recomputed anyway)
+ */
+const checkNumericCells = (rows) => {
+  const errors = [];
+  const warnings = [];
+
+  METRIC_FIELDS.forEach(metric => {
+    const unparseable = [];
+    const negative = [];
+    let unreported = 0;
+
+    rows.forEach((row, index) => {
+      const value = getField(row, metric);
+      const line = index + 2; // header is line 1
+      if (isUnreportedValue(value)) {
+        unreported++;
+        return;
+      }
+      const number = parseNumericValue(value);
+      if (number === null) {
+        unparseable.push({ line, value });
+      } else if (number < 0 && BASE_METRICS.includes(metric)) {
+        negative.push({ line, value });
+      }
+    });
+
+    if (unparseable.length > 0) {
+      errors.push(`${metric}: ${unparseable.length} non-numeric value${unparseable.length > 1 ? 's' : ''} (${describeCells(unparseable)})`);
+    }
+    if (negative.length > 0) {
+      errors.push(`${metric}: ${negative.length} negative value${negative.length > 1 ? 's' : ''} (${describeCells(negative)})`);
+    }
+    if (unreported === 0 || !BASE_METRICS.includes(metric)) return;
+    if (unreported === rows.length) {
+      warnings.push(`${metric} is not reported in any row`);
+    } else {
+      warnings.push(`${metric} is not reported in ${unreported} of ${rows.length} rows`);
+    }
+  });
+
+  return { errors, warnings };
+};
+
+/**
+ * Preflight a CSV file
+ * @param {File} file - CSV named BMW_[COUNTRY]_[DIMENSION]_[YEAR]_[MONTH].csv (or legacy)
+ * @returns {Object} { filename, file, fileInfo, isValid, errors, warnings, rowCount, totals, totalsDimension }
+ *   where totals are the summed base metrics (with recomputed ratios) of the totalsDimension rows
+ */
+export const preflightCSVFile = async (file) => {
+  const report = { filename: file.name, file, fileInfo: null, isValid: false, errors: [], warnings: [], rowCount: 0, totals: null };
+
+  const fileInfo = extractFileInfo(file.name);
+  if (!fileInfo) {
+    report.errors.push(getFilenameError(file.name));
+    return report;
+  }
+  report.fileInfo = fileInfo;
+
+  const { data, errors: parseErrors } = Papa.parse(await file.text(), { header: true, skipEmptyLines: true });
+  report.rowCount = data.length;
+  parseErrors.slice(0, MAX_EXAMPLES).forEach(error => {
+    report.warnings.push(`CSV parse issue on line ${error.row + 2}: ${error.message}`);
+  });
+
+  if (data.length === 0) {
+    report.errors.push('File has no data rows');
+    return report;
+  }
+
+  const validation = validateCSVStructure(data, fileInfo.dimension);
+  if (!validation.isValid) {
+    report.errors.push(`Missing columns: ${validation.missingColumns.join(', ')}`);
+    return report;
+  }
+
+  const numericChecks = checkNumericCells(data);
+  report.errors.push(...numericChecks.errors);
+  report.warnings.push(...numericChecks.warnings);
+
+  const dimensionField = DIMENSION_COLUMNS[fileInfo.dimension];
+  if (dimensionField) {
+    const unmapped = data.filter(row => isUnmappedValue(getDimensionValue(row, dimensionField))).length;
+    if (unmapped > 0) {
+      report.warnings.push(`${unmapped} of ${data.length} rows have no ${dimensionField} value (Not Mapped)`);
+    }
+  }
+
+  const mismatchedRows = data.filter(row => findRatioMismatches(row).length > 0).length;
+  if (mismatchedRows > 0) {
+    report.warnings.push(`${mismatchedRows} row${mismatchedRows > 1 ? 's carry' : ' carries'} ratios that disagree with their base metrics (they will be recomputed)`);
+  }
+
+  report.totals = aggregateMetrics(data.map(row => toCanonicalRecord(row, { country: fileInfo.country })));
+  report.totalsDimension = fileInfo.dimension;
+  report.isValid = report.errors.length === 0;
+  return report;
+};
+
+/**
+ * Preflight an Excel workbook: every dimension sheet is checked as the CSV it becomes,
+ * and the workbook is only valid when all of them are
+ */
+const preflightWorkbook = async (file) => {
+  const report = { filename: file.name, file, fileInfo: extractFileInfo(file.name), isValid: false, errors: [], warnings: [], rowCount: 0, totals: null, sheets: [] };
+
+  try {
+    const { files, skippedSheets } = await splitWorkbook(file);
+    skippedSheets.forEach(sheet => report.warnings.push(`Sheet "${sheet.sheetName}" skipped: ${sheet.reason}`));
+    if (files.length === 0) {
+      report.errors.push('No dimension sheets found');
+      return report;
+    }
+
+    for (const { sheetName, dimension, file: sheetFile } of files) {
+      const sheetReport = await preflightCSVFile(sheetFile);
+      report.sheets.push({ ...sheetReport, sheetName });
+      report.rowCount += sheetReport.rowCount;
+      report.errors.push(...sheetReport.errors.map(error => `${sheetName} (${dimension}): ${error}`));
+      report.warnings.push(...sheetReport.warnings.map(warning => `${sheetName} (${dimension}): ${warning}`));
+    }
+
+    // The All sheet carries the market totals; otherwise fall back to the first sheet
+    const totalsSheet = report.sheets.find(sheet => sheet.fileInfo?.dimension === 'All') || report.sheets[0];
+    report.totals = totalsSheet.totals;
+    report.totalsDimension = totalsSheet.totalsDimension;
+    report.isValid = report.errors.length === 0;
+  } catch (error) {
+    report.errors.push(error.message);
+  }
+
+  return report;
+};
+
+/**
+ * Preflight a file selected for upload (CSV or workbook)
+ * @param {File} file
+ * @returns {Object} Preflight report (see preflightCSVFile; workbooks add per-sheet `sheets`)
+ */
+export const preflightFile = async (file) => {
+  const report = isWorkbookFile(file.name) ? await preflightWorkbook(file) : await preflightCSVFile(file);
+  console.log(`🔍 Preflight ${file.name}: ${report.rowCount} rows, ${report.errors.length} errors, ${report.warnings.length} warnings`);
+  return report;
+};
@@ -1,3 +1,5 @@
+import { getMetric, getMarket, getPeriod, getDimensionValue, selectRowsForField } from './recordSchema.js';
+
 /**
  * Determine visualization context based on selected filters
  * This helps decide which charts to show and how to configure them
@@ -223,8 +225,8 @@ export const prepareChartData = (data, chartType, context) => {
 const prepareChannelDistributionData = (data) => {
   const channelData = {};
   
-  data.forEach(row => {
-    const channel = row['Channel Type'] || 'Unknown';
+  selectRowsForField(data, 'Channel Type').forEach(row => {
+    const channel = getDimensionValue(row, 'Channel Type') || 'Unknown';
     if (!channelData[channel]) {
       channelData[channel] = {
         channel_type: channel,
@@ -236,11 +238,11 @@ const prepareChannelDistributionData = (data) => {
       };
     }
     
-    channelData[channel].spend += parseFloat(row['Media Cost']) || 0;
-    channelData[channel].impressions += parseFloat(row['Impressions']) || 0;
-    channelData[channel].clicks += parseFloat(row['Clicks']) || 0;
-    channelData[channel].nvwr += parseFloat(row['NVWR']) || 0;
-    channelData[channel].leads += parseFloat(row['Meta_Leads']) || 0;
+    channelData[channel].spend += getMetric(row, 'Media Cost');
+    channelData[channel].impressions += getMetric(row, 'Impressions');
+    channelData[channel].clicks += getMetric(row, 'Clicks');
+    channelData[channel].nvwr += getMetric(row, 'NVWR');
+    channelData[channel].leads += getMetric(row, 'Meta Leads');
   });
   
   return Object.values(channelData).sort((a, b) => b.spend - a.spend);
@@ -257,11 +259,11 @@ const prepareFunnelData = (data) => {
     nvwr: 0
   };
   
-  data.forEach(row => {
-    totals.impressions += parseFloat(row['Impressions']) || 0;
-    totals.clicks += parseFloat(row['Clicks']) || 0;
-    totals.leads += parseFloat(row['Meta_Leads']) || 0;
-    totals.nvwr += parseFloat(row['NVWR']) || 0;
+  selectRowsForField(data).forEach(row => {
+    totals.impressions += getMetric(row, 'Impressions');
+    totals.clicks += getMetric(row, 'Clicks');
+    totals.leads += getMetric(row, 'Meta Leads');
+    totals.nvwr += getMetric(row, 'NVWR');
   });
   
   return [
@@ -278,8 +280,8 @@ const prepareFunnelData = (data) => {
 const prepareKPITrendsData = (data) => {
   const monthlyData = {};
   
-  data.forEach(row => {
-    const monthKey = `${row.year}-${row.month.toString().padStart(2, '0')}`;
+  selectRowsForField(data).forEach(row => {
+    const monthKey = getPeriod(row);
     if (!monthlyData[monthKey]) {
       monthlyData[monthKey] = {
         month: monthKey,
@@ -291,11 +293,11 @@ const prepareKPITrendsData = (data) => {
       };
     }
     
-    monthlyData[monthKey].spend += parseFloat(row['Media Cost']) || 0;
-    monthlyData[monthKey].impressions += parseFloat(row['Impressions']) || 0;
-    monthlyData[monthKey].clicks += parseFloat(row['Clicks']) || 0;
-    monthlyData[monthKey].nvwr += parseFloat(row['NVWR']) || 0;
-    monthlyData[monthKey].leads += parseFloat(row['Meta_Leads']) || 0;
+    monthlyData[monthKey].spend += getMetric(row, 'Media Cost');
+    monthlyData[monthKey].impressions += getMetric(row, 'Impressions');
+    monthlyData[monthKey].clicks += getMetric(row, 'Clicks');
+    monthlyData[monthKey].nvwr += getMetric(row, 'NVWR');
+    monthlyData[monthKey].leads += getMetric(row, 'Meta Leads');
   });
   
   return Object.values(monthlyData).sort((a, b) => a.month.localeCompare(b.month));
@@ -307,29 +309,26 @@ const prepareKPITrendsData = (data) => {
 const prepareMarketComparisonData = (data) => {
   const marketData = {};
   
-  data.forEach(row => {
-    if (row.file_source) {
-      const match = row.file_source.match(/BMW_([A-Z]{2})_\d{4}_\d{2}\.csv/);
-      if (match) {
-        const market = match[1];
-        if (!marketData[market]) {
-          marketData[market] = {
-            market: market,
-            spend: 0,
-            impressions: 0,
-            clicks: 0,
-            nvwr: 0,
-            leads: 0
-          };
-        }
-        
-        marketData[market].spend += parseFloat(row['Media Cost']) || 0;
-        marketData[market].impressions += parseFloat(row['Impressions']) || 0;
-        marketData[market].clicks += parseFloat(row['Clicks']) || 0;
-        marketData[market].nvwr += parseFloat(row['NVWR']) || 0;
-        marketData[market].leads += parseFloat(row['Meta_Leads']) || 0;
-      }
+  selectRowsForField(data).forEach(row => {
+    const market = getMarket(row);
+    if (!market) return;
+
+    if (!marketData[market]) {
+      marketData[market] = {
+        market: market,
+        spend: 0,
+        impressions: 0,
+        clicks: 0,
+        nvwr: 0,
+        leads: 0
+      };
     }
+    
+    marketData[market].spend += getMetric(row, 'Media Cost');
+    marketData[market].impressions += getMetric(row, 'Impressions');
+    marketData[market].clicks += getMetric(row, 'Clicks');
+    marketData[market].nvwr += getMetric(row, 'NVWR');
+    marketData[market].leads += getMetric(row, 'Meta Leads');
   });
   
   return Object.values(marketData).sort((a, b) => b.spend - a.spend);
@@ -347,12 +346,12 @@ const preparePerformanceSummaryData = (data) => {
     total_leads: 0
   };
   
-  data.forEach(row => {
-    totals.total_spend += parseFloat(row['Media Cost']) || 0;
-    totals.total_impressions += parseFloat(row['Impressions']) || 0;
-    totals.total_clicks += parseFloat(row['Clicks']) || 0;
-    totals.total_nvwr += parseFloat(row['NVWR']) || 0;
-    totals.total_leads += parseFloat(row['Meta_Leads']) || 0;
+  selectRowsForField(data).forEach(row => {
+    totals.total_spend += getMetric(row, 'Media Cost');
+    totals.total_impressions += getMetric(row, 'Impressions');
+    totals.total_clicks += getMetric(row, 'Clicks');
+    totals.total_nvwr += getMetric(row, 'NVWR');
+    totals.total_leads += getMetric(row, 'Meta Leads');
   });
   
   return totals;
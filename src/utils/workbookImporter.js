@@ -0,0 +1,144 @@
+/**
+ * Excel workbook importer
+ * Market teams sometimes send Datorama extracts as .xlsx workbooks, often with one
+ * sheet per dimension. Each sheet is mapped to a dimension (by sheet name, by the
+ * workbook filename for single-sheet workbooks, or by the dimension columns in its
+ * header) and turned into the CSV file the split export would have contained, so it
+ * is uploaded and processed exactly like a CSV upload.
+ */
+
+import readExcelFile from 'read-excel-file/universal';
+import Papa from 'papaparse';
+import { DIMENSION_FIELDS } from './recordSchema.js';
+import { DIMENSION_REGISTRY, getDimensionEntry, getDimensionByToken, getDimensionByColumn, getColumnAliases } from './dimensionRegistry.js';
+import { parseMarketFilename } from './marketResolver.js';
+import { LEGACY_DIMENSION } from './legacyImporter.js';
+
+export const WORKBOOK_EXTENSIONS = ['.xlsx'];
+
+const normalizeSheetName = (name) => name.toLowerCase().replace(/[\s_-]/g, '');
+
+// Sheet names accepted for each dimension (its filename token or label in the dimension
+// registry), compared without case, spaces or underscores
+const SHEET_NAME_DIMENSIONS = {
+  ...Object.fromEntries(DIMENSION_REGISTRY.flatMap(entry => [entry.filenameToken, entry.label]
+    .map(name => [normalizeSheetName(name), entry.dimension]))),
+  'total': 'All',
+  'legacy': LEGACY_DIMENSION
+};
+
+// Header spellings found in exports, mapped to the canonical column name
+const HEADER_ALIASES = getColumnAliases();
+
+// Rows searched for the header line (exports may start with a title block)
+const HEADER_SEARCH_ROWS = 10;
+
+/**
+ * Check whether a file is an Excel workbook
+ */
+export const isWorkbookFile = (filename) =>
+  !!filename && WORKBOOK_EXTENSIONS.some(extension => filename.toLowerCase().endsWith(extension));
+
+/**
+ * Dimension named by a sheet, or null
+ */
+export const detectDimensionFromSheetName = (sheetName) => SHEET_NAME_DIMENSIONS[normalizeSheetName(sheetName)] || null;
+
+/**
+ * Dimension implied by a sheet's header: no dimension column means 'All', exactly one
+ * column means that dimension, every column means a legacy flat export
+ */
+export const detectDimensionFromHeaders = (headers) => {
+  const columns = headers.map(header => HEADER_ALIASES[header] || header);
+  if (!columns.includes('Media Cost')) return null;
+
+  const present = DIMENSION_FIELDS.filter(field => columns.includes(field));
+  if (present.length === 0) return 'All';
+  if (present.length === 1) return getDimensionByColumn(present[0]).dimension;
+  if (present.length === DIMENSION_FIELDS.length) return LEGACY_DIMENSION;
+  return null;
+};
+
+// Cell as written to the CSV: empty cells are blank and date cells are ISO dates
+const toCsvCell = (cell) => {
+  if (cell === null || cell === undefined) return '';
+  if (cell instanceof Date) return cell.toISOString().slice(0, 10);
+  return cell;
+};
+
+/**
+ * Read the sheets of a workbook as header + row arrays
+ * @param {ArrayBuffer} buffer - Workbook contents
+ * @returns {Array} { sheetName, headers, rows } per sheet (headers null when no 'Media Cost' header was found)
+ */
+export const readWorkbookSheets = async (buffer) => {
+  const sheets = await readExcelFile(buffer);
+
+  return sheets.map(({ sheet: sheetName, data }) => {
+    const cells = data.map(row => row.map(toCsvCell));
+    const headerIndex = cells.slice(0, HEADER_SEARCH_ROWS).findIndex(row => row.some(cell => cell === 'Media Cost'));
+    if (headerIndex === -1) {
+      return { sheetName, headers: null, rows: [] };
+    }
+
+    const headers = cells[headerIndex].map(cell => cell.toString());
+    const rows = cells.slice(headerIndex + 1).filter(row => row.some(cell => cell !== ''));
+    return { sheetName, headers, rows };
+  });
+};
+
+/**
+ * Filename the split export would have used for a market/month/dimension
+ */
+const buildSheetFilename = ({ market, year, month }, dimension) => {
+  const period = `${year}_${month.toString().padStart(2, '0')}`;
+  return dimension === LEGACY_DIMENSION
+    ? `BMW_${market}_${period}.csv`
+    : `BMW_${market}_${getDimensionEntry(dimension).filenameToken}_${period}.csv`;
+};
+
+/**
+ * Split a workbook into one CSV file per dimension sheet
+ * @param {File} file - Workbook named BMW_[COUNTRY]_[YEAR]_[MONTH].xlsx (or with a dimension)
+ * @returns {Object} { files: [{ sheetName, dimension, file }], skippedSheets: [{ sheetName, reason }] }
+ */
+export const splitWorkbook = async (file) => {
+  const fileInfo = parseMarketFilename(file.name);
+  if (!fileInfo) {
+    throw new Error(`Invalid filename format: ${file.name}`);
+  }
+
+  const sheets = await readWorkbookSheets(await file.arrayBuffer());
+  const dataSheets = sheets.filter(sheet => sheet.headers);
+  const files = [];
+  const skippedSheets = sheets
+    .filter(sheet => !sheet.headers)
+    .map(sheet => ({ sheetName: sheet.sheetName, reason: 'No header row with a Media Cost column' }));
+
+  dataSheets.forEach(({ sheetName, headers, rows }) => {
+    const dimension = detectDimensionFromSheetName(sheetName) ||
+      (dataSheets.length === 1 && getDimensionByToken(fileInfo.dimension)?.dimension) ||
+      detectDimensionFromHeaders(headers);
+
+    if (!dimension) {
+      skippedSheets.push({ sheetName, reason: 'Dimension could not be detected from sheet name or header' });
+      return;
+    }
+    if (files.some(entry => entry.dimension === dimension)) {
+      skippedSheets.push({ sheetName, reason: `Another sheet already provides ${dimension}` });
+      return;
+    }
+
+    const csvText = Papa.unparse({ fields: headers, data: rows });
+    files.push({
+      sheetName,
+      dimension,
+      file: new File([csvText], buildSheetFilename(fileInfo, dimension), { type: 'text/csv' })
+    });
+  });
+
+  const sheetNames = files.map(entry => `${entry.sheetName} → ${entry.dimension}`).join(', ');
+  console.log(`📗 Workbook ${file.name}: ${files.length} dimension sheets (${sheetNames}), ${skippedSheets.length} skipped`);
+
+  return { files, skippedSheets };
+};
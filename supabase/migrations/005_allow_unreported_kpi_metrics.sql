@@ -0,0 +1,15 @@
+-- Allow KPI metrics that a market never reported to be stored as NULL
+-- Meta Leads and DCS orders are often not delivered; storing 0 made them look like
+-- real zeros and dragged cost-per-lead / CVR averages down.
+
+ALTER TABLE IF EXISTS bmw_kpi_history ALTER COLUMN total_spend DROP NOT NULL;
+ALTER TABLE IF EXISTS bmw_kpi_history ALTER COLUMN total_impressions DROP NOT NULL;
+ALTER TABLE IF EXISTS bmw_kpi_history ALTER COLUMN total_clicks DROP NOT NULL;
+ALTER TABLE IF EXISTS bmw_kpi_history ALTER COLUMN total_nvwr DROP NOT NULL;
+ALTER TABLE IF EXISTS bmw_kpi_history ALTER COLUMN total_leads DROP NOT NULL;
+ALTER TABLE IF EXISTS bmw_kpi_history ALTER COLUMN cpm DROP NOT NULL;
+ALTER TABLE IF EXISTS bmw_kpi_history ALTER COLUMN cpc DROP NOT NULL;
+ALTER TABLE IF EXISTS bmw_kpi_history ALTER COLUMN ctr DROP NOT NULL;
+ALTER TABLE IF EXISTS bmw_kpi_history ALTER COLUMN cvr DROP NOT NULL;
+ALTER TABLE IF EXISTS bmw_kpi_history ALTER COLUMN cost_per_nvwr DROP NOT NULL;
+ALTER TABLE IF EXISTS bmw_kpi_history ALTER COLUMN cost_per_lead DROP NOT NULL;
@@ -0,0 +1,7 @@
+-- Link files extracted from an uploaded Excel workbook to the original workbook
+-- Each dimension sheet of a .xlsx upload is stored as its own CSV file record; the
+-- workbook itself is kept in storage under [COUNTRY]/Workbook/[YEAR]/ for auditing.
+
+ALTER TABLE bmw_files ADD COLUMN IF NOT EXISTS source_file_path VARCHAR(500);
+
+CREATE INDEX IF NOT EXISTS idx_bmw_files_source_file_path ON bmw_files(source_file_path);
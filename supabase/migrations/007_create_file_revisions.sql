@@ -0,0 +1,48 @@
+-- Versioned file revisions
+-- Re-uploading a filename that already exists (e.g. a corrected re-delivery from a market)
+-- stores a new revision instead of being skipped. bmw_files keeps one row per logical file
+-- whose file_path/file_url/file_size/checksum point at the active revision, so processing
+-- always reads the active revision; rolling back just points the row at an older one.
+
+ALTER TABLE bmw_files ADD COLUMN IF NOT EXISTS active_revision INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE bmw_files ADD COLUMN IF NOT EXISTS checksum VARCHAR(64);
+ALTER TABLE bmw_files ADD COLUMN IF NOT EXISTS uploaded_by VARCHAR(255);
+
+CREATE TABLE IF NOT EXISTS bmw_file_revisions (
+  id SERIAL PRIMARY KEY,
+  file_id INTEGER NOT NULL REFERENCES bmw_files(id) ON DELETE CASCADE,
+  filename VARCHAR(255) NOT NULL,
+  revision INTEGER NOT NULL,
+  file_path VARCHAR(500) NOT NULL,
+  file_url TEXT,
+  file_size BIGINT NOT NULL,
+  checksum VARCHAR(64),
+  uploaded_by VARCHAR(255),
+  source_file_path VARCHAR(500),
+  uploaded_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(file_id, revision)
+);
+
+-- Files uploaded before revisions existed become their own revision 1
+INSERT INTO bmw_file_revisions (file_id, filename, revision, file_path, file_url, file_size, source_file_path, uploaded_at)
+SELECT id, filename, 1, file_path, file_url, file_size, source_file_path, uploaded_at
+FROM bmw_files
+ON CONFLICT (file_id, revision) DO NOTHING;
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_bmw_file_revisions_file_id ON bmw_file_revisions(file_id);
+CREATE INDEX IF NOT EXISTS idx_bmw_file_revisions_filename ON bmw_file_revisions(filename);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE bmw_file_revisions ENABLE ROW LEVEL SECURITY;
+
+-- Create policies for public access
+CREATE POLICY "Allow public read access to file_revisions" ON bmw_file_revisions
+  FOR SELECT USING (true);
+
+CREATE POLICY "Allow public insert access to file_revisions" ON bmw_file_revisions
+  FOR INSERT WITH CHECK (true);
+
+CREATE POLICY "Allow public delete access to file_revisions" ON bmw_file_revisions
+  FOR DELETE USING (true);
@@ -0,0 +1,38 @@
+-- Processing state for incremental processing
+-- One row per market-month with the fingerprint of the files it was last processed from.
+-- processAllCSVsFromSupabase skips market-months whose fingerprint has not changed and
+-- merges the reprocessed ones into the existing processed dataset.
+
+CREATE TABLE IF NOT EXISTS bmw_processing_state (
+  market_month VARCHAR(30) PRIMARY KEY,
+  country VARCHAR(10) NOT NULL,
+  year INTEGER NOT NULL,
+  month INTEGER NOT NULL,
+  input_hash VARCHAR(64) NOT NULL,
+  file_hashes JSONB NOT NULL,
+  record_count INTEGER NOT NULL,
+  processed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Add trigger to update updated_at column
+CREATE TRIGGER update_processing_state_updated_at
+  BEFORE UPDATE ON bmw_processing_state
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE bmw_processing_state ENABLE ROW LEVEL SECURITY;
+
+-- Create policies for public access
+CREATE POLICY "Allow public read access to processing_state" ON bmw_processing_state
+  FOR SELECT USING (true);
+
+CREATE POLICY "Allow public insert access to processing_state" ON bmw_processing_state
+  FOR INSERT WITH CHECK (true);
+
+CREATE POLICY "Allow public update access to processing_state" ON bmw_processing_state
+  FOR UPDATE USING (true);
+
+CREATE POLICY "Allow public delete access to processing_state" ON bmw_processing_state
+  FOR DELETE USING (true);
@@ -0,0 +1,70 @@
+-- Fact table for processed data
+-- One row per processed record, keyed by market, period, dimension and dimension value, with
+-- one numeric column per metric. Replaces the single JSONB array stored under
+-- bmw_processed_data id 'latest' (and 'cross'), so the dashboard can query the market-months
+-- it needs instead of downloading every record. Cross-dimension rows use dimension 'Cross'.
+-- bmw_processed_data is no longer written; the processing version bump reprocesses every
+-- market-month into this table on the next run.
+
+CREATE TABLE IF NOT EXISTS bmw_fact_metrics (
+  id BIGSERIAL PRIMARY KEY,
+  country VARCHAR(10) NOT NULL,
+  year INTEGER NOT NULL,
+  month INTEGER NOT NULL,
+  period VARCHAR(7) NOT NULL,
+  dimension VARCHAR(50) NOT NULL,
+  dimension_value VARCHAR(500) NOT NULL,
+  country_label VARCHAR(255),
+  campaign_type VARCHAR(255),
+  channel_type VARCHAR(255),
+  channel_name VARCHAR(255),
+  phase VARCHAR(255),
+  model VARCHAR(255),
+  media_cost DOUBLE PRECISION,
+  impressions DOUBLE PRECISION,
+  cpm DOUBLE PRECISION,
+  clicks DOUBLE PRECISION,
+  ctr DOUBLE PRECISION,
+  cpc DOUBLE PRECISION,
+  iv DOUBLE PRECISION,
+  cp_iv DOUBLE PRECISION,
+  entry_rate DOUBLE PRECISION,
+  nvwr DOUBLE PRECISION,
+  cp_nvwr DOUBLE PRECISION,
+  cvr DOUBLE PRECISION,
+  dcs_orders DOUBLE PRECISION,
+  cp_dcs_orders DOUBLE PRECISION,
+  meta_leads DOUBLE PRECISION,
+  cp_lead_forms DOUBLE PRECISION,
+  ratio_mismatches JSONB,
+  file_source VARCHAR(255),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_bmw_fact_metrics_market_period ON bmw_fact_metrics(country, period);
+CREATE INDEX IF NOT EXISTS idx_bmw_fact_metrics_period ON bmw_fact_metrics(period);
+CREATE INDEX IF NOT EXISTS idx_bmw_fact_metrics_dimension ON bmw_fact_metrics(dimension, dimension_value);
+
+-- Market-months present in the fact table, for coverage checks without reading the rows
+CREATE OR REPLACE VIEW bmw_fact_periods AS
+SELECT country, year, month, period, COUNT(*) AS record_count
+FROM bmw_fact_metrics
+WHERE dimension <> 'Cross'
+GROUP BY country, year, month, period;
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE bmw_fact_metrics ENABLE ROW LEVEL SECURITY;
+
+-- Create policies for public access
+CREATE POLICY "Allow public read access to fact_metrics" ON bmw_fact_metrics
+  FOR SELECT USING (true);
+
+CREATE POLICY "Allow public insert access to fact_metrics" ON bmw_fact_metrics
+  FOR INSERT WITH CHECK (true);
+
+CREATE POLICY "Allow public update access to fact_metrics" ON bmw_fact_metrics
+  FOR UPDATE USING (true);
+
+CREATE POLICY "Allow public delete access to fact_metrics" ON bmw_fact_metrics
+  FOR DELETE USING (true);
@@ -0,0 +1,52 @@
+-- Processing run snapshots
+-- Every processAllCSVsFromSupabase run is recorded in bmw_processing_runs with the file
+-- revisions it read, summary totals and the metadata it produced. Fact rows are never
+-- overwritten: reprocessing a market-month retires its current rows (valid_to_run) and
+-- inserts new ones (valid_from_run), so the snapshot of run R is every row with
+-- valid_from_run <= R and (valid_to_run IS NULL OR valid_to_run > R).
+-- Rows written before runs were recorded belong to every snapshot (valid_from_run 0).
+
+CREATE TABLE IF NOT EXISTS bmw_processing_runs (
+  id BIGSERIAL PRIMARY KEY,
+  status VARCHAR(20) NOT NULL DEFAULT 'running',
+  forced BOOLEAN NOT NULL DEFAULT FALSE,
+  triggered_by VARCHAR(255),
+  file_revisions JSONB,
+  changed_market_months JSONB,
+  summary JSONB,
+  metadata JSONB,
+  error TEXT,
+  pinned_at TIMESTAMP WITH TIME ZONE,
+  started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  completed_at TIMESTAMP WITH TIME ZONE
+);
+
+ALTER TABLE bmw_fact_metrics ADD COLUMN IF NOT EXISTS valid_from_run BIGINT NOT NULL DEFAULT 0;
+ALTER TABLE bmw_fact_metrics ADD COLUMN IF NOT EXISTS valid_to_run BIGINT;
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_bmw_processing_runs_status ON bmw_processing_runs(status);
+CREATE INDEX IF NOT EXISTS idx_bmw_fact_metrics_runs ON bmw_fact_metrics(valid_from_run, valid_to_run);
+
+-- Only the current rows count as stored market-months
+CREATE OR REPLACE VIEW bmw_fact_periods AS
+SELECT country, year, month, period, COUNT(*) AS record_count
+FROM bmw_fact_metrics
+WHERE dimension <> 'Cross' AND valid_to_run IS NULL
+GROUP BY country, year, month, period;
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE bmw_processing_runs ENABLE ROW LEVEL SECURITY;
+
+-- Create policies for public access
+CREATE POLICY "Allow public read access to processing_runs" ON bmw_processing_runs
+  FOR SELECT USING (true);
+
+CREATE POLICY "Allow public insert access to processing_runs" ON bmw_processing_runs
+  FOR INSERT WITH CHECK (true);
+
+CREATE POLICY "Allow public update access to processing_runs" ON bmw_processing_runs
+  FOR UPDATE USING (true);
+
+CREATE POLICY "Allow public delete access to processing_runs" ON bmw_processing_runs
+  FOR DELETE USING (true);
@@ -0,0 +1,47 @@
+-- Processing jobs
+-- "Process All Files" runs as a job of discrete steps (one per changed market-month, then
+-- metadata, dimension coverage, compliance, KPI and completing the processing run). The job
+-- row holds the plan, each step's status and result, and live progress, so a job can be
+-- followed from any tab, cancelled, and resumed from the last completed step after a
+-- cancellation, failure or browser refresh.
+
+CREATE TABLE IF NOT EXISTS bmw_processing_jobs (
+  id BIGSERIAL PRIMARY KEY,
+  status VARCHAR(20) NOT NULL DEFAULT 'queued',
+  run_id BIGINT REFERENCES bmw_processing_runs(id) ON DELETE SET NULL,
+  forced BOOLEAN NOT NULL DEFAULT FALSE,
+  triggered_by VARCHAR(255),
+  plan JSONB NOT NULL,
+  steps JSONB NOT NULL,
+  completed_steps INTEGER NOT NULL DEFAULT 0,
+  progress JSONB,
+  error TEXT,
+  heartbeat_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  completed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Add trigger to update updated_at column
+CREATE TRIGGER update_processing_jobs_updated_at
+  BEFORE UPDATE ON bmw_processing_jobs
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_bmw_processing_jobs_status ON bmw_processing_jobs(status);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE bmw_processing_jobs ENABLE ROW LEVEL SECURITY;
+
+-- Create policies for public access
+CREATE POLICY "Allow public read access to processing_jobs" ON bmw_processing_jobs
+  FOR SELECT USING (true);
+
+CREATE POLICY "Allow public insert access to processing_jobs" ON bmw_processing_jobs
+  FOR INSERT WITH CHECK (true);
+
+CREATE POLICY "Allow public update access to processing_jobs" ON bmw_processing_jobs
+  FOR UPDATE USING (true);
+
+CREATE POLICY "Allow public delete access to processing_jobs" ON bmw_processing_jobs
+  FOR DELETE USING (true);
@@ -0,0 +1,68 @@
+-- Currencies and FX rates
+-- Media Cost is stored in each market's own currency (CHF for Switzerland, GBP for the
+-- UK, EUR elsewhere unless configured in bmw_market_currencies). bmw_fx_rates holds one
+-- rate per currency and month: the value of one unit of the currency in EUR. The
+-- dashboard converts costs to the chosen reporting currency with these rates.
+
+CREATE TABLE IF NOT EXISTS bmw_market_currencies (
+  market_code VARCHAR(10) PRIMARY KEY,
+  currency VARCHAR(3) NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS bmw_fx_rates (
+  id BIGSERIAL PRIMARY KEY,
+  currency VARCHAR(3) NOT NULL,
+  year INTEGER NOT NULL,
+  month INTEGER NOT NULL,
+  rate_to_eur DOUBLE PRECISION NOT NULL CHECK (rate_to_eur > 0),
+  source VARCHAR(255),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (currency, year, month)
+);
+
+-- Markets whose budgets are not in EUR
+INSERT INTO bmw_market_currencies (market_code, currency) VALUES
+  ('CH', 'CHF'),
+  ('UK', 'GBP')
+ON CONFLICT (market_code) DO NOTHING;
+
+-- Add triggers to update updated_at column
+CREATE TRIGGER update_market_currencies_updated_at
+  BEFORE UPDATE ON bmw_market_currencies
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_fx_rates_updated_at
+  BEFORE UPDATE ON bmw_fx_rates
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE bmw_market_currencies ENABLE ROW LEVEL SECURITY;
+ALTER TABLE bmw_fx_rates ENABLE ROW LEVEL SECURITY;
+
+-- Create policies for public access
+CREATE POLICY "Allow public read access to market_currencies" ON bmw_market_currencies
+  FOR SELECT USING (true);
+
+CREATE POLICY "Allow public insert access to market_currencies" ON bmw_market_currencies
+  FOR INSERT WITH CHECK (true);
+
+CREATE POLICY "Allow public update access to market_currencies" ON bmw_market_currencies
+  FOR UPDATE USING (true);
+
+CREATE POLICY "Allow public delete access to market_currencies" ON bmw_market_currencies
+  FOR DELETE USING (true);
+
+CREATE POLICY "Allow public read access to fx_rates" ON bmw_fx_rates
+  FOR SELECT USING (true);
+
+CREATE POLICY "Allow public insert access to fx_rates" ON bmw_fx_rates
+  FOR INSERT WITH CHECK (true);
+
+CREATE POLICY "Allow public update access to fx_rates" ON bmw_fx_rates
+  FOR UPDATE USING (true);
+
+CREATE POLICY "Allow public delete access to fx_rates" ON bmw_fx_rates
+  FOR DELETE USING (true);
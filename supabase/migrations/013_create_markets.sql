@@ -0,0 +1,60 @@
+-- Market registry
+-- One row per market code (the two letters in BMW_[COUNTRY]_… filenames). The registry
+-- names markets in the UI, decides which filenames are accepted on upload and which
+-- dimension files a market-month must deliver to be complete. It replaces the
+-- bmw_market_currencies table from 012: each market's currency now lives here.
+-- expected_dimensions NULL means the market delivers every dimension.
+
+CREATE TABLE IF NOT EXISTS bmw_markets (
+  code VARCHAR(10) PRIMARY KEY,
+  display_name VARCHAR(100) NOT NULL,
+  region VARCHAR(100),
+  currency VARCHAR(3) NOT NULL DEFAULT 'EUR',
+  language VARCHAR(10),
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  expected_dimensions TEXT[],
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Markets delivered so far
+INSERT INTO bmw_markets (code, display_name, region, currency, language) VALUES
+  ('BE', 'Belgium', 'Western Europe', 'EUR', 'nl'),
+  ('CH', 'Switzerland', 'Central Europe', 'CHF', 'de'),
+  ('CS', 'Central Southern Europe', 'Central Europe', 'EUR', 'en'),
+  ('ES', 'Spain', 'Southern Europe', 'EUR', 'es'),
+  ('FR', 'France', 'Western Europe', 'EUR', 'fr'),
+  ('IT', 'Italy', 'Southern Europe', 'EUR', 'it'),
+  ('NE', 'Nordics', 'Northern Europe', 'EUR', 'en'),
+  ('NL', 'Netherlands', 'Western Europe', 'EUR', 'nl'),
+  ('PT', 'Portugal', 'Southern Europe', 'EUR', 'pt'),
+  ('UK', 'United Kingdom', 'Western Europe', 'GBP', 'en')
+ON CONFLICT (code) DO NOTHING;
+
+-- Keep currencies configured in bmw_market_currencies, then drop it
+INSERT INTO bmw_markets (code, display_name, currency)
+SELECT market_code, market_code, currency FROM bmw_market_currencies
+ON CONFLICT (code) DO UPDATE SET currency = EXCLUDED.currency;
+
+DROP TABLE IF EXISTS bmw_market_currencies;
+
+-- Add trigger to update updated_at column
+CREATE TRIGGER update_markets_updated_at
+  BEFORE UPDATE ON bmw_markets
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE bmw_markets ENABLE ROW LEVEL SECURITY;
+
+-- Create policies for public access
+CREATE POLICY "Allow public read access to markets" ON bmw_markets
+  FOR SELECT USING (true);
+
+CREATE POLICY "Allow public insert access to markets" ON bmw_markets
+  FOR INSERT WITH CHECK (true);
+
+CREATE POLICY "Allow public update access to markets" ON bmw_markets
+  FOR UPDATE USING (true);
+
+CREATE POLICY "Allow public delete access to markets" ON bmw_markets
+  FOR DELETE USING (true);
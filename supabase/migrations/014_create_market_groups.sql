@@ -0,0 +1,44 @@
+-- Market groups
+-- Clusters of markets that are reviewed together (e.g. Benelux = BE + NL). Groups are
+-- selectable on the dashboard like a market; their KPI and compliance history is
+-- rolled up from the member markets and stored next to the markets' history under the
+-- group code, flagged with is_group. Group codes are 3-10 characters so they never
+-- clash with the two-letter market codes.
+
+CREATE TABLE IF NOT EXISTS bmw_market_groups (
+  code VARCHAR(10) PRIMARY KEY CHECK (char_length(code) >= 3),
+  name VARCHAR(100) NOT NULL,
+  markets TEXT[] NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+INSERT INTO bmw_market_groups (code, name, markets) VALUES
+  ('BENELUX', 'Benelux', ARRAY['BE', 'NL'])
+ON CONFLICT (code) DO NOTHING;
+
+-- Group rows in the history tables
+ALTER TABLE bmw_kpi_history ADD COLUMN IF NOT EXISTS is_group BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE bmw_compliance_history ADD COLUMN IF NOT EXISTS is_group BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Add trigger to update updated_at column
+CREATE TRIGGER update_market_groups_updated_at
+  BEFORE UPDATE ON bmw_market_groups
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE bmw_market_groups ENABLE ROW LEVEL SECURITY;
+
+-- Create policies for public access
+CREATE POLICY "Allow public read access to market_groups" ON bmw_market_groups
+  FOR SELECT USING (true);
+
+CREATE POLICY "Allow public insert access to market_groups" ON bmw_market_groups
+  FOR INSERT WITH CHECK (true);
+
+CREATE POLICY "Allow public update access to market_groups" ON bmw_market_groups
+  FOR UPDATE USING (true);
+
+CREATE POLICY "Allow public delete access to market_groups" ON bmw_market_groups
+  FOR DELETE USING (true);
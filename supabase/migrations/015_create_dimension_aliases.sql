@@ -0,0 +1,72 @@
+-- Dimension value aliases
+-- The same value arrives under different spellings across markets and months ("META
+-- (FB&Insta)", "Meta", "Facebook"; "NOT MAPPED" and "Not Mapped"). Alias rules map raw
+-- dimension values to a canonical value per dimension while files are processed: exact
+-- rules first, then case-insensitive, then regex (case-insensitive), lowest priority
+-- number first. The raw value is kept on the fact row (raw_values) for lineage.
+
+CREATE TABLE IF NOT EXISTS bmw_dimension_alias_rules (
+  id BIGSERIAL PRIMARY KEY,
+  dimension VARCHAR(50) NOT NULL,
+  match_type VARCHAR(20) NOT NULL CHECK (match_type IN ('exact', 'case_insensitive', 'regex')),
+  pattern TEXT NOT NULL,
+  canonical_value TEXT NOT NULL,
+  priority INTEGER NOT NULL DEFAULT 100,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (dimension, match_type, pattern)
+);
+
+-- Values of the last processing of each market-month that no rule matched and that are
+-- not a canonical value themselves, waiting for a rule
+CREATE TABLE IF NOT EXISTS bmw_unmatched_dimension_values (
+  id BIGSERIAL PRIMARY KEY,
+  market_code VARCHAR(10) NOT NULL,
+  year INTEGER NOT NULL,
+  month INTEGER NOT NULL,
+  dimension VARCHAR(50) NOT NULL,
+  raw_value TEXT NOT NULL,
+  record_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (market_code, year, month, dimension, raw_value)
+);
+
+CREATE INDEX IF NOT EXISTS idx_unmatched_dimension_values_dimension ON bmw_unmatched_dimension_values(dimension);
+
+-- Raw values of the dimension columns a rule rewrote ({ "Channel Name": "META (FB&Insta)" })
+ALTER TABLE bmw_fact_metrics ADD COLUMN IF NOT EXISTS raw_values JSONB;
+
+-- Add trigger to update updated_at column
+CREATE TRIGGER update_dimension_alias_rules_updated_at
+  BEFORE UPDATE ON bmw_dimension_alias_rules
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE bmw_dimension_alias_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE bmw_unmatched_dimension_values ENABLE ROW LEVEL SECURITY;
+
+-- Create policies for public access
+CREATE POLICY "Allow public read access to dimension_alias_rules" ON bmw_dimension_alias_rules
+  FOR SELECT USING (true);
+
+CREATE POLICY "Allow public insert access to dimension_alias_rules" ON bmw_dimension_alias_rules
+  FOR INSERT WITH CHECK (true);
+
+CREATE POLICY "Allow public update access to dimension_alias_rules" ON bmw_dimension_alias_rules
+  FOR UPDATE USING (true);
+
+CREATE POLICY "Allow public delete access to dimension_alias_rules" ON bmw_dimension_alias_rules
+  FOR DELETE USING (true);
+
+CREATE POLICY "Allow public read access to unmatched_dimension_values" ON bmw_unmatched_dimension_values
+  FOR SELECT USING (true);
+
+CREATE POLICY "Allow public insert access to unmatched_dimension_values" ON bmw_unmatched_dimension_values
+  FOR INSERT WITH CHECK (true);
+
+CREATE POLICY "Allow public update access to unmatched_dimension_values" ON bmw_unmatched_dimension_values
+  FOR UPDATE USING (true);
+
+CREATE POLICY "Allow public delete access to unmatched_dimension_values" ON bmw_unmatched_dimension_values
+  FOR DELETE USING (true);
@@ -0,0 +1,88 @@
+-- Model hierarchy
+-- Model values arrive as "<model> (<model code>)", e.g. "R 1300 GS Adventure (KA2)", next
+-- to non-model buckets such as Brand and Multi. Each row places a model code in the
+-- hierarchy: model, family (GS, RT, S 1000, ...) and segment (Adventure, Touring,
+-- Roadster, Urban Mobility, ...). Non-model buckets have is_model FALSE and are matched
+-- by name. Older and newer codes of the same model both get a row.
+
+CREATE TABLE IF NOT EXISTS bmw_model_hierarchy (
+  model_code VARCHAR(20) PRIMARY KEY,
+  model VARCHAR(100) NOT NULL,
+  family VARCHAR(50) NOT NULL,
+  segment VARCHAR(50) NOT NULL,
+  is_model BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+INSERT INTO bmw_model_hierarchy (model_code, model, family, segment, is_model) VALUES
+  ('0S01', 'C 400 GT', 'C 400', 'Urban Mobility', TRUE),
+  ('K08', 'C 400 GT', 'C 400', 'Urban Mobility', TRUE),
+  ('0S11', 'C 400 X', 'C 400', 'Urban Mobility', TRUE),
+  ('K09', 'C 400 X', 'C 400', 'Urban Mobility', TRUE),
+  ('0C71', 'CE 02', 'CE', 'Urban Mobility', TRUE),
+  ('K06', 'CE 02', 'CE', 'Urban Mobility', TRUE),
+  ('0C51', 'CE 04', 'CE', 'Urban Mobility', TRUE),
+  ('K07', 'CE 04', 'CE', 'Urban Mobility', TRUE),
+  ('0K51', 'F 800 GS', 'GS', 'Adventure', TRUE),
+  ('K80', 'F 800 GS', 'GS', 'Adventure', TRUE),
+  ('0K61', 'F 900 GS', 'GS', 'Adventure', TRUE),
+  ('K81', 'F 900 GS', 'GS', 'Adventure', TRUE),
+  ('K82', 'F 900 GS Adventure', 'GS', 'Adventure', TRUE),
+  ('0G31', 'G 310 GS', 'GS', 'Adventure', TRUE),
+  ('K02', 'G 310 GS', 'GS', 'Adventure', TRUE),
+  ('0M11', 'R 1250 GS Adventure', 'GS', 'Adventure', TRUE),
+  ('0M21', 'R 1300 GS', 'GS', 'Adventure', TRUE),
+  ('KA1', 'R 1300 GS', 'GS', 'Adventure', TRUE),
+  ('KA2', 'R 1300 GS Adventure', 'GS', 'Adventure', TRUE),
+  ('0K21', 'F 900 XR', 'XR', 'Sport', TRUE),
+  ('K84', 'F 900 XR', 'XR', 'Sport', TRUE),
+  ('0L01', 'R 1250 RT', 'RT', 'Touring', TRUE),
+  ('0F61', 'K 1600 B', 'K 1600', 'Touring', TRUE),
+  ('K61', 'K 1600 B / Grand America', 'K 1600', 'Touring', TRUE),
+  ('0F21', 'K 1600 GT', 'K 1600', 'Touring', TRUE),
+  ('K48', 'K 1600 GT', 'K 1600', 'Touring', TRUE),
+  ('0F31', 'K 1600 GTL', 'K 1600', 'Touring', TRUE),
+  ('0G41', 'G 310 R', 'R', 'Roadster', TRUE),
+  ('K03', 'G 310 R', 'R', 'Roadster', TRUE),
+  ('0M71', 'R 1250 R', 'R', 'Roadster', TRUE),
+  ('K63', 'S 1000 R', 'S 1000', 'Roadster', TRUE),
+  ('K67', 'S 1000 RR', 'S 1000', 'Sport', TRUE),
+  ('K69', 'S 1000 XR', 'S 1000', 'Sport', TRUE),
+  ('KM3', 'M 1000 R', 'M', 'Sport', TRUE),
+  ('0P01', 'M 1000 RR', 'M', 'Sport', TRUE),
+  ('K66', 'M 1000 RR', 'M', 'Sport', TRUE),
+  ('KM9', 'M 1000 XR', 'M', 'Sport', TRUE),
+  ('0N71', 'R 18', 'R 18', 'Heritage', TRUE),
+  ('K34', 'R 18', 'R 18', 'Heritage', TRUE),
+  ('K35', 'R 18 B / Transcontinental', 'R 18', 'Heritage', TRUE),
+  ('0L21', 'R 18 Classic', 'R 18', 'Heritage', TRUE),
+  ('0L41', 'R 18 Transcontinental', 'R 18', 'Heritage', TRUE),
+  ('KR3', 'R 12', 'R 12', 'Heritage', TRUE),
+  ('KR1', 'R nineT', 'R nineT', 'Heritage', TRUE),
+  ('BRAND', 'Brand', 'Brand', 'Non-model', FALSE),
+  ('MULTI', 'Multi', 'Multi', 'Non-model', FALSE),
+  ('DEALER', 'Dealer', 'Dealer', 'Non-model', FALSE),
+  ('GENERIC', 'Generic', 'Generic', 'Non-model', FALSE)
+ON CONFLICT (model_code) DO NOTHING;
+
+-- Add trigger to update updated_at column
+CREATE TRIGGER update_model_hierarchy_updated_at
+  BEFORE UPDATE ON bmw_model_hierarchy
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE bmw_model_hierarchy ENABLE ROW LEVEL SECURITY;
+
+-- Create policies for public access
+CREATE POLICY "Allow public read access to model_hierarchy" ON bmw_model_hierarchy
+  FOR SELECT USING (true);
+
+CREATE POLICY "Allow public insert access to model_hierarchy" ON bmw_model_hierarchy
+  FOR INSERT WITH CHECK (true);
+
+CREATE POLICY "Allow public update access to model_hierarchy" ON bmw_model_hierarchy
+  FOR UPDATE USING (true);
+
+CREATE POLICY "Allow public delete access to model_hierarchy" ON bmw_model_hierarchy
+  FOR DELETE USING (true);
@@ -0,0 +1,83 @@
+-- Unmapped-value reclassification
+-- Reclassification rules assign the unmapped ("Not Mapped") values of a dimension to a
+-- value, e.g. "in ES, Channel Name rows with Media Cost under 500 are Programmatic". A rule
+-- applies to one market (every market when market_code is NULL) from its valid_from month
+-- on, optionally only to rows whose metric passes the condition. Rules run while files are
+-- processed; "Re-apply to history" reprocesses the months they cover.
+
+CREATE TABLE IF NOT EXISTS bmw_reclassification_rules (
+  id BIGSERIAL PRIMARY KEY,
+  market_code VARCHAR(10),
+  dimension VARCHAR(50) NOT NULL,
+  condition_metric VARCHAR(50),
+  condition_operator VARCHAR(2) CHECK (condition_operator IN ('<', '<=', '>', '>=')),
+  condition_value DECIMAL(15,2),
+  target_value TEXT NOT NULL,
+  valid_from DATE NOT NULL,
+  description TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK (condition_metric IS NULL OR (condition_operator IS NOT NULL AND condition_value IS NOT NULL))
+);
+
+-- What each rule reclassified in the last processing of each market-month. Rows outlive
+-- their rule, so the months a deleted rule touched are known when history is re-run.
+-- Media Cost is in the market's own currency.
+CREATE TABLE IF NOT EXISTS bmw_reclassification_log (
+  id BIGSERIAL PRIMARY KEY,
+  market_code VARCHAR(10) NOT NULL,
+  year INTEGER NOT NULL,
+  month INTEGER NOT NULL,
+  rule_id BIGINT NOT NULL,
+  dimension VARCHAR(50) NOT NULL,
+  target_value TEXT NOT NULL,
+  record_count INTEGER NOT NULL DEFAULT 0,
+  media_cost DECIMAL(15,2) NOT NULL DEFAULT 0,
+  nvwr DECIMAL(15,2) NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (market_code, year, month, rule_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_reclassification_log_rule ON bmw_reclassification_log(rule_id);
+
+-- Rule id per reclassified dimension column ({ "Channel Name": 3 }); the delivered value is in raw_values
+ALTER TABLE bmw_fact_metrics ADD COLUMN IF NOT EXISTS reclassified JSONB;
+
+-- Compliance is stored as delivered; these hold the figures after reclassification
+ALTER TABLE bmw_compliance_history ADD COLUMN IF NOT EXISTS reclassified_records INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE bmw_compliance_history ADD COLUMN IF NOT EXISTS compliance_after_reclassification DECIMAL(5,2);
+
+-- Add trigger to update updated_at column
+CREATE TRIGGER update_reclassification_rules_updated_at
+  BEFORE UPDATE ON bmw_reclassification_rules
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE bmw_reclassification_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE bmw_reclassification_log ENABLE ROW LEVEL SECURITY;
+
+-- Create policies for public access
+CREATE POLICY "Allow public read access to reclassification_rules" ON bmw_reclassification_rules
+  FOR SELECT USING (true);
+
+CREATE POLICY "Allow public insert access to reclassification_rules" ON bmw_reclassification_rules
+  FOR INSERT WITH CHECK (true);
+
+CREATE POLICY "Allow public update access to reclassification_rules" ON bmw_reclassification_rules
+  FOR UPDATE USING (true);
+
+CREATE POLICY "Allow public delete access to reclassification_rules" ON bmw_reclassification_rules
+  FOR DELETE USING (true);
+
+CREATE POLICY "Allow public read access to reclassification_log" ON bmw_reclassification_log
+  FOR SELECT USING (true);
+
+CREATE POLICY "Allow public insert access to reclassification_log" ON bmw_reclassification_log
+  FOR INSERT WITH CHECK (true);
+
+CREATE POLICY "Allow public update access to reclassification_log" ON bmw_reclassification_log
+  FOR UPDATE USING (true);
+
+CREATE POLICY "Allow public delete access to reclassification_log" ON bmw_reclassification_log
+  FOR DELETE USING (true);
@@ -0,0 +1,7 @@
+-- Dimension registry
+-- Dimensions are defined once in src/utils/dimensionRegistry.js. The registry dimensions that
+-- existed when the fact table was created have a column of their own (campaign_type, …); a
+-- dimension added to the registry without a column is stored here ({ "Audience": "Intenders" }),
+-- so adding one needs no schema change.
+
+ALTER TABLE bmw_fact_metrics ADD COLUMN IF NOT EXISTS extra_dimensions JSONB;
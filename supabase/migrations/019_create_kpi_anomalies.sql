@@ -0,0 +1,44 @@
+-- KPI anomalies
+-- Months whose KPI is far from the series' own history (robust z-score of the value against
+-- the median and MAD of the previous months in bmw_kpi_history), per market and per channel
+-- and campaign type. A market's anomalies are detected again after each processing run that
+-- changes its KPI history. Values are in the market's own currency.
+
+CREATE TABLE IF NOT EXISTS bmw_kpi_anomalies (
+  id BIGSERIAL PRIMARY KEY,
+  market_code VARCHAR(10) NOT NULL,
+  year INTEGER NOT NULL,
+  month INTEGER NOT NULL,
+  dimension VARCHAR(50) NOT NULL,
+  dimension_value VARCHAR(500) NOT NULL DEFAULT '',
+  metric VARCHAR(50) NOT NULL,
+  value DOUBLE PRECISION NOT NULL,
+  baseline_median DOUBLE PRECISION NOT NULL,
+  baseline_mad DOUBLE PRECISION NOT NULL,
+  baseline_months INTEGER NOT NULL,
+  robust_z DECIMAL(10,2) NOT NULL,
+  direction VARCHAR(4) NOT NULL CHECK (direction IN ('up', 'down')),
+  impact VARCHAR(10) CHECK (impact IN ('adverse', 'favourable')),
+  severity VARCHAR(10) NOT NULL CHECK (severity IN ('high', 'medium', 'low')),
+  explanation TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (market_code, year, month, dimension, dimension_value, metric)
+);
+
+CREATE INDEX IF NOT EXISTS idx_kpi_anomalies_period ON bmw_kpi_anomalies(year, month);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE bmw_kpi_anomalies ENABLE ROW LEVEL SECURITY;
+
+-- Create policies for public access
+CREATE POLICY "Allow public read access to kpi_anomalies" ON bmw_kpi_anomalies
+  FOR SELECT USING (true);
+
+CREATE POLICY "Allow public insert access to kpi_anomalies" ON bmw_kpi_anomalies
+  FOR INSERT WITH CHECK (true);
+
+CREATE POLICY "Allow public update access to kpi_anomalies" ON bmw_kpi_anomalies
+  FOR UPDATE USING (true);
+
+CREATE POLICY "Allow public delete access to kpi_anomalies" ON bmw_kpi_anomalies
+  FOR DELETE USING (true);
@@ -0,0 +1,49 @@
+-- Quality profiles
+-- How a market's dimension coverage is graded: the weight of each core metric (percent),
+-- the metrics left out of its scores (e.g. IV in markets that never report it) and the
+-- coverage gaps above which a metric is a WARNING or CRITICAL. A market uses the profile
+-- listing it, or the default profile. A market is listed in at most one profile.
+
+CREATE TABLE IF NOT EXISTS bmw_quality_profiles (
+  name VARCHAR(50) PRIMARY KEY,
+  markets TEXT[] NOT NULL DEFAULT '{}',
+  metric_weights JSONB NOT NULL,
+  excluded_metrics TEXT[] NOT NULL DEFAULT '{}',
+  warning_gap DECIMAL(5,2) NOT NULL DEFAULT 10,
+  critical_gap DECIMAL(5,2) NOT NULL DEFAULT 20,
+  is_default BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CHECK (warning_gap >= 0 AND warning_gap < critical_gap AND critical_gap <= 100)
+);
+
+-- Only one default profile
+CREATE UNIQUE INDEX IF NOT EXISTS idx_quality_profiles_default ON bmw_quality_profiles(is_default) WHERE is_default;
+
+INSERT INTO bmw_quality_profiles (name, metric_weights, warning_gap, critical_gap, is_default) VALUES
+  ('Default', '{"Media Cost": 25, "Impressions": 20, "Clicks": 15, "IV": 20, "NVWR": 20}', 10, 20, TRUE)
+ON CONFLICT (name) DO NOTHING;
+
+-- The profile a coverage history record was graded with, as it was at the time
+ALTER TABLE bmw_dimension_coverage_history ADD COLUMN IF NOT EXISTS quality_profile JSONB;
+
+-- Add trigger to update updated_at column
+CREATE TRIGGER update_quality_profiles_updated_at
+  BEFORE UPDATE ON bmw_quality_profiles
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE bmw_quality_profiles ENABLE ROW LEVEL SECURITY;
+
+-- Create policies for public access
+CREATE POLICY "Allow public read access to quality_profiles" ON bmw_quality_profiles
+  FOR SELECT USING (true);
+
+CREATE POLICY "Allow public insert access to quality_profiles" ON bmw_quality_profiles
+  FOR INSERT WITH CHECK (true);
+
+CREATE POLICY "Allow public update access to quality_profiles" ON bmw_quality_profiles
+  FOR UPDATE USING (true);
+
+CREATE POLICY "Allow public delete access to quality_profiles" ON bmw_quality_profiles
+  FOR DELETE USING (true);
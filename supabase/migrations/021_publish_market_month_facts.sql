@@ -0,0 +1,19 @@
+-- Atomic market-month fact swap
+-- Reprocessed rows are first inserted staged: valid_from_run = valid_to_run = the run, so they
+-- are in no snapshot and not current. Once every chunk is in, this function retires the
+-- month's current rows and publishes the staged ones in one transaction, so a failed insert
+-- never leaves a month partly written or missing.
+
+CREATE OR REPLACE FUNCTION bmw_publish_market_month_facts(p_country VARCHAR, p_year INTEGER, p_month INTEGER, p_run_id BIGINT)
+RETURNS VOID AS $$
+BEGIN
+  UPDATE bmw_fact_metrics
+  SET valid_to_run = p_run_id
+  WHERE country = p_country AND year = p_year AND month = p_month AND valid_to_run IS NULL;
+
+  UPDATE bmw_fact_metrics
+  SET valid_to_run = NULL
+  WHERE country = p_country AND year = p_year AND month = p_month
+    AND valid_from_run = p_run_id AND valid_to_run = p_run_id;
+END;
+$$ LANGUAGE plpgsql;
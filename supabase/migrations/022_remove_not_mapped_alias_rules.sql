@@ -0,0 +1,8 @@
+-- Unmapped values are normalised to "Not Mapped" in code for every registry dimension
+-- (see applyAliasRules in dimensionAliases.js), so the case-insensitive "Not Mapped" rules
+-- 015 seeded for each dimension are no longer needed.
+
+DELETE FROM bmw_dimension_alias_rules
+WHERE match_type = 'case_insensitive'
+  AND pattern = 'Not Mapped'
+  AND canonical_value = 'Not Mapped';